@@ -24,6 +24,22 @@ const replaceVersion = () => ({
   }
 });
 
+// The five builds of a plugin module (src/quikdown_<name>.js); each
+// bundles what it imports, so it loads on its own next to quikdown or
+// quikdown_bd
+const pluginBuilds = (name, title) => {
+  const input = `src/quikdown_${name}.js`;
+  const umdName = `quikdown_${name}`;
+  const pluginBanner = banner.replace('quikdown - Lightweight Markdown Parser', `${umdName} - ${title}`);
+  return [
+    { input, output: { file: `dist/${umdName}.umd.js`, format: 'umd', name: umdName, banner: pluginBanner }, plugins: [nodeResolve()] },
+    { input, output: { file: `dist/${umdName}.umd.min.js`, format: 'umd', name: umdName, banner: pluginBanner, sourcemap: true }, plugins: [nodeResolve(), terser()] },
+    { input, output: { file: `dist/${umdName}.esm.js`, format: 'es', banner: pluginBanner }, plugins: [nodeResolve()] },
+    { input, output: { file: `dist/${umdName}.esm.min.js`, format: 'es', banner: pluginBanner, sourcemap: true }, plugins: [nodeResolve(), terser()] },
+    { input, output: { file: `dist/${umdName}.cjs`, format: 'cjs', banner: pluginBanner }, plugins: [nodeResolve()] }
+  ];
+};
+
 export default [
   // UMD build (browser)
   {
@@ -446,5 +462,77 @@ export default [
       banner: banner.replace('quikdown - Lightweight', 'quikdown_ast_html - AST to HTML')
     },
     plugins: [replaceVersion(), nodeResolve()]
-  }
-];
\ No newline at end of file
+  },
+  // ========== quikdown_emoji (emoji shortcode table) Builds ==========
+
+  // Emoji UMD build (browser)
+  {
+    input: 'src/quikdown_emoji.js',
+    output: {
+      file: 'dist/quikdown_emoji.umd.js',
+      format: 'umd',
+      name: 'quikdown_emoji',
+      banner: banner.replace('quikdown - Lightweight Markdown Parser', 'quikdown_emoji - Emoji shortcodes')
+    },
+    plugins: [nodeResolve()]
+  },
+
+  // Emoji UMD minified
+  {
+    input: 'src/quikdown_emoji.js',
+    output: {
+      file: 'dist/quikdown_emoji.umd.min.js',
+      format: 'umd',
+      name: 'quikdown_emoji',
+      banner: banner.replace('quikdown - Lightweight Markdown Parser', 'quikdown_emoji - Emoji shortcodes'),
+      sourcemap: true
+    },
+    plugins: [nodeResolve(), terser()]
+  },
+
+  // Emoji ESM build
+  {
+    input: 'src/quikdown_emoji.js',
+    output: {
+      file: 'dist/quikdown_emoji.esm.js',
+      format: 'es',
+      banner: banner.replace('quikdown - Lightweight Markdown Parser', 'quikdown_emoji - Emoji shortcodes')
+    },
+    plugins: [nodeResolve()]
+  },
+
+  // Emoji ESM minified
+  {
+    input: 'src/quikdown_emoji.js',
+    output: {
+      file: 'dist/quikdown_emoji.esm.min.js',
+      format: 'es',
+      banner: banner.replace('quikdown - Lightweight Markdown Parser', 'quikdown_emoji - Emoji shortcodes'),
+      sourcemap: true
+    },
+    plugins: [nodeResolve(), terser()]
+  },
+
+  // Emoji CommonJS build
+  {
+    input: 'src/quikdown_emoji.js',
+    output: {
+      file: 'dist/quikdown_emoji.cjs',
+      format: 'cjs',
+      banner: banner.replace('quikdown - Lightweight Markdown Parser', 'quikdown_emoji - Emoji shortcodes')
+    },
+    plugins: [nodeResolve()]
+  },
+
+  // ========== Plugins (opt-in syntax, kept out of the core bundle) ==========
+
+  ...pluginBuilds('footnotes', 'Footnotes'),
+  ...pluginBuilds('math', 'Math'),
+  ...pluginBuilds('callouts', 'Callouts'),
+  ...pluginBuilds('mentions', 'Mentions'),
+  ...pluginBuilds('typographer', 'Typographer'),
+  ...pluginBuilds('entities', 'Named character references'),
+  ...pluginBuilds('frontmatter', 'Front matter'),
+  ...pluginBuilds('attributes', 'Attribute lists'),
+  ...pluginBuilds('stream', 'Streaming')
+];
@@ -16,20 +16,21 @@
  *
  *   ┌─────────────────────────────────────────────────────────┐
  *   │  Phase 1 — Code Extraction                             │
- *   │  Scan for fenced code blocks (``` / ~~~) and inline    │
- *   │  code spans (`…`). Replace with §CB§ / §IC§ place-    │
- *   │  holders so code content is never touched by later      │
- *   │  phases.                                                │
+ *   │  Scan for fenced code blocks (``` / ~~~), indented     │
+ *   │  code and inline code spans (`…`). Replace with §CB§ / │
+ *   │  §IC§ placeholders so code content is never touched by  │
+ *   │  later phases.  Backslash escapes (\*) become §ES§.     │
  *   ├─────────────────────────────────────────────────────────┤
  *   │  Phase 2 — HTML Escaping                                │
  *   │  Escape &, <, >, ", ' in the remaining text to prevent │
- *   │  XSS. (Skipped when allow_unsafe_html is true.)         │
+ *   │  XSS, then decode entity references (&#169;) to §ES§.  │
+ *   │  (Skipped when allow_unsafe_html is true.)              │
  *   ├─────────────────────────────────────────────────────────┤
  *   │  Phase 3 — Block Scanning                               │
  *   │  Walk the text **line by line**.  At each line, the     │
  *   │  scanner checks (in order):                             │
  *   │    • table rows  (|)                                    │
- *   │    • headings    (#)                                    │
+ *   │    • headings    (#, or === / -- under text)           │
  *   │    • HR          (---)                                  │
  *   │    • blockquotes (&gt;)                                 │
  *   │    • list items  (-, *, +, 1.)                          │
@@ -61,7 +62,14 @@
  * @returns {string}         Rendered HTML
  */
 
-import { isDashHRLine } from './quikdown_classify.js';
+import { isHRLine, isDashHRLine, LINK_DEF_RE, ABBR_DEF_RE, DEFINITION_RE, LIST_LINE_RE, normalizeLabel } from './quikdown_classify.js';
+import { sanitizeUrl as applyUrlPolicy, linkAttrs } from './quikdown_url.js';
+import { canStartAutolink, angleAutolink, matchAutolink, linkifyMatches } from './quikdown_autolink.js';
+import { toTrustedHtml } from './quikdown_trusted.js';
+import { createGuard } from './quikdown_limits.js';
+import { decodeNumeric, decodePredefined } from './quikdown_charrefs.js';
+import { slugify, uniqueSlug, claimId } from './quikdown_slug.js';
+import { urlAttributeKind } from './quikdown_attrs.js';
 
 // ────────────────────────────────────────────────────────────────────
 //  Constants
@@ -77,13 +85,76 @@ const CLASS_PREFIX = 'quikdown-';
 const PLACEHOLDER_CB = '§CB';   // fenced code blocks
 const PLACEHOLDER_IC = '§IC';   // inline code spans
 const PLACEHOLDER_HT = '§HT';  // safe HTML tags (limited mode)
+const PLACEHOLDER_HID = '§HID§'; // heading awaiting an id (heading_ids)
+const PLACEHOLDER_PL = '§PL';   // paragraph source lines (source_map)
+const PLACEHOLDER_XT = '§XT';   // raw inline extension output
+const PLACEHOLDER_ES = '§ES';   // backslash-escaped and entity characters
+const PLACEHOLDER_QT = '§QT';   // rendered blockquote bodies
 
-/** Attributes whose values need URL sanitization */
-const URL_ATTRIBUTES = { href:1, src:1, action:1, formaction:1 };
+/** A code block placeholder: a block element on a line of its own, like <pre> */
+const CODE_LINE = `(?<![^\\n>])${PLACEHOLDER_CB}\\d+§(?![^\\n<])`;
+
+/** An escape placeholder, for the URL policy to see its character */
+const ESCAPE_RE = new RegExp(`${PLACEHOLDER_ES}(\\d+)§`, 'g');
+
+// Private options keys (Symbol.for, so quikdown_stream.js, a bundle of
+// its own, reaches the same ones)
+
+/** quikdown.toc() and createStream collect the document's headings here */
+const TOC_HEADINGS = Symbol.for('quikdown.headings');
+
+/** createStream shares heading slugs between renders here */
+const HEADING_SLUGS = Symbol.for('quikdown.slugs');
+
+/** createStream sets this on text past the document's start */
+const MID_DOCUMENT = Symbol.for('quikdown.mid-document');
+
+/** A setext heading underline: '=' for h1, one or two '-' for h2 */
+const SETEXT_RE = /^ {0,3}(=+|-{1,2})[ \t]*$/;
+
+/** strict: 'commonmark' — any run of '-' underlines, ahead of the HR */
+const SETEXT_STRICT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+
+/**
+ * strict: 'commonmark' emphasis.  A delimiter run opens only when it is
+ * left-flanking (not followed by whitespace, and not followed by
+ * punctuation unless preceded by whitespace or punctuation) and closes
+ * only when right-flanking (the mirror image).  '_' additionally may not
+ * open or close inside a word.
+ */
+const FLANK_OPEN = (d) => `(?:(?<![^\\s\\p{P}\\p{S}])${d}(?!\\s)|${d}(?![\\s\\p{P}\\p{S}]))`;
+const FLANK_CLOSE = (d) => `(?:(?<!\\s)${d}(?![^\\s\\p{P}\\p{S}])|(?<![\\s\\p{P}\\p{S}])${d})`;
+const STRICT_EMPHASIS = [
+    [`${FLANK_OPEN('\\*\\*')}(.+?)${FLANK_CLOSE('\\*\\*')}`, 'strong', '**'],
+    [`(?<![\\p{L}\\p{N}_])${FLANK_OPEN('__')}(.+?)${FLANK_CLOSE('__')}(?![\\p{L}\\p{N}_])`, 'strong', '__'],
+    [`(?<!\\*)${FLANK_OPEN('\\*(?!\\*)')}(.+?)${FLANK_CLOSE('(?<!\\*)\\*')}(?!\\*)`, 'em', '*'],
+    [`(?<![\\p{L}\\p{N}_])${FLANK_OPEN('_(?!_)')}(.+?)${FLANK_CLOSE('(?<!_)_')}(?![\\p{L}\\p{N}_])`, 'em', '_']
+// eslint-disable-next-line security/detect-non-literal-regexp -- built from the constant patterns above
+].map(([source, tag, marker]) => [new RegExp(source, 'gu'), tag, marker]);
+
+// Where autolinks may be in escaped inline text: links and tags made so
+// far (passed over), &lt;…&gt; autolinks, and runs of URL characters
+// that start like a bare URL, www. domain or email address —
+// quikdown_autolink.js decides where each one ends
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: alternations of single characters and fixed entities
+const AUTOLINK_RE = /(<a\b[^>]*>[\s\S]*?<\/a>|<[^>]*>)|&lt;((?:[^\s<>&]|&(?!lt;|gt;))+)&gt;|(?<![\w.+-])(?=https?:\/\/|www\.|mailto:|[\w.+-]+@)((?:[^\s<>&§]|&(?!lt;|gt;)|§ES\d+§)+)/gi;
+
+// Splits inline text into runs for the linkify option, keeping the
+// links, tags and placeholders between them at odd indexes
+const LINKIFY_SKIP_RE = /(<a\b[^>]*>[\s\S]*?<\/a>|<[^>]*>|%%T\d+%%|§[A-Z]+\d*§)/;
+
+/** Elements without a closing tag, never unbalanced */
+const VOID_TAGS = { area:1, base:1, br:1, col:1, embed:1, hr:1, img:1, input:1, link:1, meta:1, source:1, track:1, wbr:1 };
 
 /** HTML entity escape map */
 const ESC_MAP = {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'};
 
+/** Reverse of ESC_MAP, for recovering plain text from escaped HTML */
+const UNESC_MAP = {'&amp;':'&','&lt;':'<','&gt;':'>','&quot;':'"','&#39;':"'"};
+
+/** Undo escapeHtml */
+const unescapeHtml = (text) => text.replace(/&(?:amp|lt|gt|quot|#39);/g, e => UNESC_MAP[e]);
+
 // ────────────────────────────────────────────────────────────────────
 //  Style definitions
 // ────────────────────────────────────────────────────────────────────
@@ -116,8 +187,33 @@ const QUIKDOWN_STYLES = {
     ul: 'margin:.5em 0;padding-left:2em',
     ol: 'margin:.5em 0;padding-left:2em',
     li: 'margin:.25em 0',
+    dl: 'margin:.5em 0',
+    dt: 'font-weight:600',
+    dd: 'margin:0 0 .5em 2em',
+    abbr: 'text-decoration:underline dotted;cursor:help',
+    mark: 'background:#fff8c5;color:inherit;padding:0 .15em',
+    ins: 'text-decoration:underline',
+    sup: 'font-size:.75em;vertical-align:super;line-height:0',
+    sub: 'font-size:.75em;vertical-align:sub;line-height:0',
+    emoji: 'font-style:normal;font-weight:normal',
+    mention: 'font-weight:600',
     'task-item': 'list-style:none',
-    'task-checkbox': 'margin-right:.5em'
+    'task-checkbox': 'margin-right:.5em',
+    'footnote-ref': 'font-size:.75em;line-height:0',
+    footnotes: 'font-size:.875em;margin-top:2em',
+    'footnote-backref': 'text-decoration:none',
+    toc: 'margin:1em 0',
+    callout: 'border-left:4px solid #ddd;border-radius:4px;padding:.5em 1em;margin:1em 0',
+    'callout-title': 'font-weight:600;margin:0 0 .5em',
+    'callout-note': 'border-left-color:#0969da;background:#ddf4ff',
+    'callout-tip': 'border-left-color:#1a7f37;background:#dafbe1',
+    'callout-important': 'border-left-color:#8250df;background:#fbefff',
+    'callout-warning': 'border-left-color:#9a6700;background:#fff8c5',
+    'callout-caution': 'border-left-color:#cf222e;background:#ffebe9',
+    'math-display': 'display:block;margin:1em 0;text-align:center;overflow-x:auto',
+    'align-left': 'text-align:left',
+    'align-center': 'text-align:center',
+    'align-right': 'text-align:right'
 };
 
 // ────────────────────────────────────────────────────────────────────
@@ -127,12 +223,15 @@ const QUIKDOWN_STYLES = {
 /**
  * Creates a `getAttr(tag, additionalStyle?)` helper that returns
  * either a class="…" or style="…" attribute string depending on mode.
+ * In csp mode the only additionalStyle, table-cell text-align, becomes
+ * a quikdown-align-* class so no style attribute is ever emitted.
  *
  * @param {boolean} inline_styles  True → emit style="…"; false → class="…"
  * @param {Object}  styles         The QUIKDOWN_STYLES map
+ * @param {boolean} csp            True → classes only
  * @returns {Function}
  */
-function createGetAttr(inline_styles, styles) {
+function createGetAttr(inline_styles, styles, csp) {
     return function(tag, additionalStyle = '') {
         if (inline_styles) {
             let style = styles[tag];
@@ -150,6 +249,10 @@ function createGetAttr(inline_styles, styles) {
             const fullStyle = additionalStyle ? (style ? `${style}${additionalStyle}` : additionalStyle) : style;
             return ` style="${fullStyle}"`;
         } else {
+            if (additionalStyle && csp) {
+                const align = additionalStyle.slice(additionalStyle.indexOf(':') + 1);
+                return ` class="${CLASS_PREFIX}${tag} ${CLASS_PREFIX}align-${align}"`;
+            }
             const classAttr = ` class="${CLASS_PREFIX}${tag}"`;
             if (additionalStyle) {
                 return `${classAttr} style="${additionalStyle}"`;
@@ -166,13 +269,44 @@ function createGetAttr(inline_styles, styles) {
 function quikdown(markdown, options = {}) {
     // ── Guard: only process non-empty strings ──
     if (!markdown || typeof markdown !== 'string') {
-        return '';
+        return toTrustedHtml('', options.trusted_types);
     }
 
+    // ── Resource limits (quikdown_limits.js) ──
+    // Input past maxInputLength is cut off.  A render that runs out of
+    // timeBudgetMs gives back the input as escaped paragraphs instead.
+    const guard = createGuard(options.limits, options.onLimit);
+    markdown = markdown.slice(0, guard.clamp('maxInputLength', markdown.length));
+    const html = guard.run(() => render(markdown, options, guard), () => markdown.split(/\n\s*\n/)
+        .filter(para => para.trim())
+        .map(para => `<p>${para.trim().replace(/[&<>"']/g, m => ESC_MAP[m])}</p>`)
+        .join('\n'));
+    return toTrustedHtml(html, options.trusted_types);
+}
+
+/**
+ * render — the parser proper, Phases 1-4 (see the overview above)
+ *
+ * @param {string} markdown  Non-empty markdown source
+ * @param {Object} options   quikdown options
+ * @param {Object} guard     Resource guard (quikdown_limits.js)
+ * @returns {string}         Rendered HTML
+ */
+function render(markdown, options, guard) {
     // ── Unpack options ──
-    const { fence_plugin, inline_styles = false, bidirectional = false, lazy_linefeeds = false, allow_unsafe_html = false } = options;
+    const { fence_plugin, bidirectional = false, lazy_linefeeds = false, allow_unsafe_html = false, heading_ids = false, source_map = false, extensions = [], renderers = {}, csp = false } = options;
+    // Opt-in syntax from PHP Markdown Extra, kramdown and Pandoc
+    const { definition_lists = false, abbreviations = false } = options;
+    // Opt-in inline formats (markdown-it plugin syntax) and a :shortcode:
+    // → character map for emoji (quikdown_emoji.js, or the caller's own)
+    const { highlight = false, superscript = false, subscript = false, insert = false, emoji } = options;
+    // strict: 'commonmark' follows the spec where the forgiving default
+    // doesn't: emphasis flanking, list interruption and HR precedence
+    const commonmark = options.strict === 'commonmark';
+    // csp mode never emits style attributes, so it overrides inline_styles
+    const inline_styles = !csp && !!options.inline_styles;
     const styles = QUIKDOWN_STYLES;
-    const getAttr = createGetAttr(inline_styles, styles);
+    const getAttr = createGetAttr(inline_styles, styles, csp);
 
     // ── Helpers (closed over options) ──
 
@@ -181,6 +315,10 @@ function quikdown(markdown, options = {}) {
         return text.replace(/[&<>"']/g, m => ESC_MAP[m]);
     }
 
+    // Text as written and back: escaped unless allow_unsafe_html is true
+    const toPlain = allow_unsafe_html === true ? (text) => text : unescapeHtml;
+    const escapeText = allow_unsafe_html === true ? (text) => text : escapeHtml;
+
     /**
      * Bidirectional marker helper.
      * When bidirectional mode is on, returns ` data-qd="…"`.
@@ -191,35 +329,64 @@ function quikdown(markdown, options = {}) {
     const dataQd = bidirectional ? (marker) => ` data-qd="${escapeHtml(marker)}"` : () => '';
 
     /**
-     * Sanitize a URL to block javascript:, vbscript:, and non-image data: URIs.
-     * Returns '#' for blocked URLs.
+     * Apply the URL policy (quikdown_url.js) to an escaped URL: '#' when
+     * its scheme isn't allowed, else the URL after url_transform, which
+     * sees it unescaped.
      */
-    function sanitizeUrl(url, allowUnsafe = false) {
-        /* istanbul ignore next - defensive programming, regex ensures url is never empty */
-        if (!url) return '';
-        if (allowUnsafe) return url;
-
-        const trimmedUrl = url.trim();
-        const lowerUrl = trimmedUrl.toLowerCase();
-        const dangerousProtocols = ['javascript:', 'vbscript:', 'data:'];
-
-        for (const protocol of dangerousProtocols) {
-            if (lowerUrl.startsWith(protocol)) {
-                if (protocol === 'data:' && lowerUrl.startsWith('data:image/')) {
-                    return trimmedUrl;
-                }
-                return '#';
+    function sanitizeUrl(url, kind) {
+        // Escaped and entity characters are checked as the browser will see them
+        const raw = unescapeHtml(url).replace(ESCAPE_RE, (match, i) => escapes[i]);
+        return escapeHtml(applyUrlPolicy(raw, options, kind));
+    }
+
+    /** rel/target attributes for a link to a sanitized URL. */
+    function relAttrs(url) {
+        return linkAttrs(unescapeHtml(url), options).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+    }
+
+    /**
+     * In bidirectional mode with a url_transform, links keep the URL as
+     * written so quikdown_bd can give it back.
+     */
+    /* istanbul ignore next - bd-only branch */
+    const hrefSource = bidirectional && options.url_transform ? (url) => ` data-qd-href="${escapeHtml(url)}"` : () => '';
+
+    /**
+     * Sanitize a srcset value: each candidate's URL goes through
+     * sanitizeUrl(), descriptors ("2x", "640w") are kept.
+     */
+    function sanitizeSrcset(value) {
+        const candidates = [];
+        let i = 0;
+        while (i < value.length) {
+            if (value[i] === ',' || value[i] <= ' ') { i++; continue; }
+            let end = i;
+            while (end < value.length && value[end] > ' ') end++;
+            let url = value.slice(i, end);
+            let descriptor = '';
+            if (url.endsWith(',')) {
+                url = url.replace(/,+$/, '');
+                i = end;
+            } else {
+                const comma = value.indexOf(',', end);
+                i = comma < 0 ? value.length : comma + 1;
+                descriptor = value.slice(end, i).replace(/,$/, '').trim();
             }
+            candidates.push(sanitizeUrl(url, 'image') + (descriptor ? ' ' + escapeHtml(descriptor) : ''));
         }
-        return trimmedUrl;
+        return candidates.join(', ');
     }
 
     /**
      * Sanitize attributes on an HTML tag string for limited mode.
-     * Strips on* event handlers (case-insensitive) and runs sanitizeUrl()
-     * on href/src/action/formaction values.
+     * Strips on* event handlers (case-insensitive) and attributes the
+     * tag's policy doesn't list (`allowed` is null when any attribute
+     * may stay), runs sanitizeUrl() on URL-valued attributes and srcset,
+     * filters style declarations (dropping style in csp mode), and adds
+     * rel="noopener noreferrer" to tags opening a new browsing context
+     * via target.
      */
-    function sanitizeHtmlTagAttrs(tagStr) {
+    function sanitizeHtmlTagAttrs(tagStr, allowed, styleProps) {
         // Self-closing or void tag without attributes — pass through
         if (!/\s/.test(tagStr.replace(/<\/?[a-zA-Z][a-zA-Z0-9]*/, '').replace(/\/?>$/, ''))) {
             return tagStr;
@@ -234,26 +401,153 @@ function quikdown(markdown, options = {}) {
         // eslint-disable-next-line security/detect-unsafe-regex -- linear: no nested quantifiers
         const attrRe = /([a-zA-Z_][\w\-.:]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?/g;
         const attrs = [];
+        let target = false;
         let am;
         while ((am = attrRe.exec(attrStr)) !== null) {
             const name = am[1];
+            const lower = name.toLowerCase();
             const value = am[2] !== undefined ? am[2] : am[3] !== undefined ? am[3] : am[4];
-            // Strip event handlers (on*)
-            if (/^on/i.test(name)) continue;
+            // Strip event handlers (on*), attributes outside the policy,
+            // and style in csp mode
+            if (/^on/i.test(name) || (allowed && !allowed(lower)) || (csp && lower === 'style')) continue;
             if (value === undefined) {
                 // Boolean attribute (e.g. disabled, checked)
-                attrs.push(name);
+                attrs.push([name]);
+                continue;
+            }
+            const urlKind = urlAttributeKind(lower);
+            let sanitized;
+            if (urlKind === 'srcset') {
+                sanitized = sanitizeSrcset(value);
+            } else if (urlKind) {
+                sanitized = sanitizeUrl(value, urlKind);
+            } else if (lower === 'style' && styleProps) {
+                sanitized = filterStyle(value, styleProps).replace(/"/g, '&quot;');
+                if (!sanitized) continue;
             } else {
-                let sanitized = value;
-                if (name.toLowerCase() in URL_ATTRIBUTES) {
-                    sanitized = sanitizeUrl(value);
-                }
-                attrs.push(`${name}="${sanitized}"`);
+                sanitized = value.replace(/"/g, '&quot;');
             }
+            if (lower === 'target' && !/^_(?:self|parent|top)$/i.test(value.trim())) target = true;
+            attrs.push([name, sanitized]);
+        }
+        // A target opening a new tab must not hand it window.opener
+        if (target) {
+            const rel = attrs.find(([name]) => name.toLowerCase() === 'rel');
+            if (!rel) attrs.push(['rel', 'noopener noreferrer']);
+            else if (!/(^|\s)noopener(\s|$)/i.test(rel[1] || '')) rel[1] = `${rel[1] || ''} noopener`.trim();
         }
-        return open + (attrs.length ? ' ' + attrs.join(' ') : '') + close;
+        const attrHtml = attrs.map(([name, value]) => value === undefined ? name : `${name}="${value}"`);
+        return open + (attrHtml.length ? ' ' + attrHtml.join(' ') : '') + close;
     }
 
+    /**
+     * Attributes from the inside of an attribute block ({#id .class
+     * key=val}, attributes plugin), sanitized like whitelisted HTML by
+     * sanitizeHtmlTagAttrs().  null when the text isn't an attribute
+     * block.  In bidirectional mode the block is kept in data-qd-attrs.
+     */
+    function attributeBlock(source) {
+        const attrs = attributeSyntax.parse(source);
+        if (!attrs) return null;
+        const tag = `<x${Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('')}>`;
+        /* istanbul ignore next - bd-only branch */
+        const sourceAttr = bidirectional ? ` data-qd-attrs="${escapeHtml(`{${source}}`)}"` : '';
+        return sanitizeHtmlTagAttrs(tag, null, htmlPolicy && htmlPolicy.styleProps).slice(2, -1) + sourceAttr;
+    }
+
+    /**
+     * A heading's text and attributes.  With attribute blocks on, a
+     * trailing one is taken off the text and joins the heading's own
+     * attributes.
+     */
+    function headingParts(content, tag) {
+        const block = attributeSyntax && attributeSyntax.split(content);
+        const attrs = block && attributeBlock(unescapeHtml(block[1]));
+        if (!block || attrs === null) return [content, getAttr(tag)];
+        return [block[0], attributeSyntax.merge(getAttr(tag), attrs)];
+    }
+
+    /**
+     * A link or image's attributes `base` with those of a {…} block
+     * straight after it, and the text to leave after the element (the
+     * block itself, when it isn't taken).
+     */
+    function inlineAttrs(base, block) {
+        const attrs = attributeSyntax && block ? attributeBlock(unescapeHtml(block.slice(1, -1))) : null;
+        return attrs === null ? [base, block || ''] : [attributeSyntax.merge(base, attrs), ''];
+    }
+
+    // ── Renderer overrides ──
+    // A `renderers` hook receives an element's parts (URLs already
+    // sanitized, content already rendered) and returns its HTML, or
+    // undefined to keep the default.  The default markup's data-qd*
+    // attributes move onto the hook's first element with the same tag,
+    // so source maps and quikdown_bd keep working.
+    function override(name, tag, html, args) {
+        const hook = renderers[name];
+        if (typeof hook !== 'function') return html;
+        const out = hook(...args);
+        if (out === undefined) return html;
+        const carried = html.slice(0, html.indexOf('>')).match(/ data-qd[\w-]*="[^"]*"/g);
+        if (!carried) return String(out);
+        let placed = false;
+        return String(out).replace(/<([A-Za-z][A-Za-z0-9]*)\b/g, (open, name) => {
+            if (placed || name.toLowerCase() !== tag) return open;
+            placed = true;
+            return open + carried.join('');
+        });
+    }
+
+    // ── Syntax extensions ──
+    // Globally registered rules (quikdown.use) run before per-call ones,
+    // each in order.  Rules without a trigger or renderer are ignored.
+    const registered = quikdown.extensions.concat(extensions);
+    const rules = registered.filter(ext => ext && ext.trigger instanceof RegExp && typeof ext.render === 'function');
+    const blockRules = rules.filter(ext => ext.level === 'block');
+    const rawRules = rules.filter(ext => ext.level !== 'block' && ext.raw);
+    const inlineRules = rules.filter(ext => ext.level !== 'block' && !ext.raw);
+    const extHelpers = { escapeHtml, getAttr, sanitizeUrl: (url) => sanitizeUrl(url, 'link') };
+
+    /**
+     * Run one extension rule over a String#replace match.  Returns the
+     * rendered HTML, or undefined when the tokenizer declines the match.
+     * In bidirectional mode the outer element is tagged with the rule's
+     * name and, for raw captures, the markdown it came from.
+     */
+    function renderExtension(ext, args, source) {
+        const match = args.slice(0, args.findIndex(a => typeof a === 'number'));
+        const token = ext.tokenize ? ext.tokenize(match) : { raw: match[0], text: match[1] };
+        if (!token) return undefined;
+        let out = String(ext.render(token, extHelpers));
+        /* istanbul ignore next - bd-only branch */
+        if (bidirectional) {
+            const sourceAttr = source !== undefined ? ` data-qd-source="${escapeHtml(source)}"` : '';
+            out = out.replace(/^<\w+/, open => `${open} data-qd-ext="${escapeHtml(String(ext.name))}"${sourceAttr}`);
+        }
+        return out;
+    }
+
+    // ── Feature plugins ──
+    // Registered the same way, a plugin with a setup function
+    // (quikdown_footnotes.js, quikdown_math.js, …) gets the helpers in
+    // `md` and returns hooks into the phases below (see quikdown.use).
+    // Each hook passes the text on to the next plugin's.
+    const md = {
+        options, bidirectional, inline_styles, styles, classPrefix: CLASS_PREFIX, guard,
+        getAttr, dataQd, escapeHtml, toPlain, sanitizeUrl, relAttrs, formatInline, lineAttrs, stripLinePrefix,
+        lineMarker: PLACEHOLDER_PL, skipRe: LINKIFY_SKIP_RE, midDocument: !!options[MID_DOCUMENT],
+        replaceTracked: (text, re, fn) => replaceTracked(text, re, lineMap, fn),
+        joinKeptLines: (kept, keptIndexes) => joinKeptLines(kept, keptIndexes, lineMap)
+    };
+    const hooks = registered.filter(ext => ext && typeof ext.setup === 'function').map(ext => ext.setup(md)).filter(Boolean);
+    const pipe = (name, text, ...args) => hooks.reduce((out, hook) => hook[name] ? hook[name](out, ...args) : out, text);
+    // Hooks only one plugin can answer: the first to have one does
+    const first = (name) => (hooks.find(hook => hook[name]) || {})[name];
+    const attributeSyntax = first('attributes');
+
+    // A front matter plugin takes its metadata block out here
+    markdown = pipe('source', markdown);
+
     // ────────────────────────────────────────────────────────────────
     //  Phase 1 — Code Extraction
     // ────────────────────────────────────────────────────────────────
@@ -263,16 +557,34 @@ function quikdown(markdown, options = {}) {
     // with unique placeholders, the rest of the pipeline never sees them.
 
     let html = markdown;
-    const codeBlocks = [];    // Array of {lang, code, custom, fence, hasReverse}
+    const codeBlocks = [];    // Array of {lang, code, custom, fence, hasReverse, span, attrs} or {html, span}
     const inlineCodes = [];   // Array of escaped-HTML strings
+    const escapes = [];       // Array of literal characters (see Backslash escapes)
+
+    // With source_map, lineMap.lines[i] is the 1-based source line of
+    // line i of the working text.  Every step that adds or removes
+    // newlines before paragraph wrapping keeps it in step.  The code
+    // block records let walkers see how many lines a placeholder stands for.
+    const lineMap = source_map ? { lines: markdown.split('\n').map((_, i) => i + 1), codeBlocks } : null;
 
     // ── Fenced code blocks ──
     // Matches paired fences: ``` with ``` and ~~~ with ~~~.
-    // The fence must start at column 0 of a line (^ with /m flag).
-    // Group 1 = fence marker, Group 2 = language hint, Group 3 = code body.
-    html = html.replace(/^(```|~~~)([^\n]*)\n([\s\S]*?)^\1$/gm, (match, fence, lang, code) => {
-        const placeholder = `${PLACEHOLDER_CB}${codeBlocks.length}§`;
-        const langTrimmed = lang ? lang.trim() : '';
+    // The fence starts a line (^ with /m flag), optionally indented when
+    // it sits inside a list item or prefixed with '>' inside a blockquote;
+    // the closing fence must carry the same prefix, and that prefix is
+    // removed from the code lines (as far as each line repeats it).
+    // Group 1 = prefix, Group 2 = fence marker, Group 3 = language hint,
+    // Group 4 = code body.
+    html = replaceTracked(html, /^([ \t>]*)(```|~~~)([^\n]*)\n([\s\S]*?)^\1\2$/gm, lineMap, (match, prefix, fence, lang, code) => {
+        guard.tick();
+        const placeholder = `${prefix}${PLACEHOLDER_CB}${codeBlocks.length}§`;
+        let langTrimmed = lang ? lang.trim() : '';
+        code = stripLinePrefix(code, prefix);
+        // With attribute blocks on, a trailing {…} block in the info
+        // string is for the <pre> (rendered in Phase 4)
+        const block = attributeSyntax && attributeSyntax.split(langTrimmed);
+        const attrs = block && attributeSyntax.parse(block[1]) ? block[1] : undefined;
+        if (attrs !== undefined) langTrimmed = block[0];
 
         if (fence_plugin && fence_plugin.render && typeof fence_plugin.render === 'function') {
             // Custom plugin — store raw code (un-escaped) so the plugin
@@ -282,7 +594,9 @@ function quikdown(markdown, options = {}) {
                 code: code.trimEnd(),
                 custom: true,
                 fence: fence,
-                hasReverse: !!fence_plugin.reverse
+                hasReverse: !!fence_plugin.reverse,
+                span: match.split('\n').length - 1,
+                attrs
             });
         } else {
             // Default — pre-escape the code for safe HTML output.
@@ -290,50 +604,111 @@ function quikdown(markdown, options = {}) {
                 lang: langTrimmed,
                 code: escapeHtml(code.trimEnd()),
                 custom: false,
-                fence: fence
+                fence: fence,
+                span: match.split('\n').length - 1,
+                attrs
             });
         }
         return placeholder;
     });
 
+    // ── Indented code blocks ──
+    // Lines indented four spaces (or a tab) after a blank line, outside
+    // lists, are code too.  They are stored like a fence without a
+    // language; the fence is the indent, so quikdown_bd can re-indent.
+    guard.tick();
+    html = extractIndentedCode(html, lineMap, (code, span) => {
+        guard.tick();
+        codeBlocks.push({ lang: '', code: escapeHtml(code), custom: false, fence: '    ', span });
+        return `${PLACEHOLDER_CB}${codeBlocks.length - 1}§`;
+    });
+
     // ── Inline code spans ──
     // Matches a single backtick pair: `content`.
-    // Content is captured and HTML-escaped immediately.
-    html = html.replace(/`([^`]+)`/g, (match, code) => {
+    // Content is captured and HTML-escaped immediately.  A backslash
+    // before the opening backtick escapes it instead (see below).
+    guard.tick();
+    html = replaceTracked(html, /(?<!\\)`([^`]+)`/g, lineMap, (match, code) => {
+        guard.tick();
         const placeholder = `${PLACEHOLDER_IC}${inlineCodes.length}§`;
         inlineCodes.push(escapeHtml(code));
         return placeholder;
     });
 
+    // ── Plugin extraction ──
+    // A plugin's own raw syntax (the math plugin's $…$ TeX) comes out
+    // here, behind placeholders of its own, before anything is escaped.
+    html = pipe('extract', html);
+
+    // ── Extension blocks and raw inline rules ──
+    // These capture source before escaping, like code.  Block output is
+    // stored as a pre-rendered code block so paragraph wrapping, lists
+    // and source lines treat it exactly like a fence; raw inline output
+    // gets its own placeholder.  A declined match is left in place.
+    blockRules.forEach(ext => {
+        html = replaceTracked(html, extensionPattern(ext.trigger, 'gm'), lineMap, (...args) => {
+            const out = renderExtension(ext, args, args[0]);
+            if (out === undefined) return args[0];
+            codeBlocks.push({ html: out, span: args[0].split('\n').length - 1 });
+            return `${PLACEHOLDER_CB}${codeBlocks.length - 1}§`;
+        });
+    });
+    const extSpans = [];      // Array of rendered HTML strings
+    rawRules.forEach(ext => {
+        html = replaceTracked(html, extensionPattern(ext.trigger, 'g'), lineMap, (...args) => {
+            const out = renderExtension(ext, args, args[0]);
+            if (out === undefined) return args[0];
+            return `${PLACEHOLDER_XT}${extSpans.push(out) - 1}§`;
+        });
+    });
+
+    // ── Backslash escapes ──
+    // A backslash before ASCII punctuation makes it a literal character:
+    // \* is no emphasis, \# no heading, \| no cell border.  Runs after
+    // code and plugin syntax (math), where backslashes are content.  Entity
+    // references (&#169;, &lt;, and &copy; with the entities plugin) are
+    // decoded into the same placeholders in Phase 2, so a decoded '*' is
+    // literal too.
+    const literal = (ch) => `${PLACEHOLDER_ES}${escapes.push(ch) - 1}§`;
+    html = html.replace(/\\([!-/:-@[-`{-~])/g, (match, ch) => literal(ch));
+
     // ────────────────────────────────────────────────────────────────
     //  Phase 1.5 — Safe HTML Extraction (whitelist mode)
     // ────────────────────────────────────────────────────────────────
     // When allow_unsafe_html is an object or array, extract whitelisted
     // HTML tags, sanitize their attributes, and replace with placeholders.
     // Non-whitelisted tags stay in text so Phase 2 will escape them.
+    // Whitelisted tags are kept balanced: a closing tag closes whatever
+    // opened inside it, a stray one is dropped, and tags left open are
+    // closed at the end of the output.
 
     const safeTags = [];
-    // Normalize: array → object for O(1) lookup; object used as-is
-    const htmlAllow = Array.isArray(allow_unsafe_html)
-        ? Object.fromEntries(allow_unsafe_html.map(t => [t, 1]))
-        : (allow_unsafe_html && typeof allow_unsafe_html === 'object') ? allow_unsafe_html : null;
+    const openTags = [];
+    const htmlPolicy = normalizeHtmlPolicy(allow_unsafe_html);
 
-    if (htmlAllow) {
+    if (htmlPolicy) {
+        const { tags, globalAttrs, styleProps } = htmlPolicy;
+        const keep = (value) => `${PLACEHOLDER_HT}${safeTags.push(value) - 1}§`;
         // Pass through HTML comments — browsers render them as nothing
-        html = html.replace(/<!--[\s\S]*?-->/g, (match) => {
-            const idx = safeTags.length;
-            safeTags.push(match);
-            return `${PLACEHOLDER_HT}${idx}§`;
-        });
+        html = html.replace(/<!--[\s\S]*?-->/g, keep);
         html = html.replace(/<\/?([a-zA-Z][a-zA-Z0-9]*)\b[^>]*\/?>/g, (match, tagName) => {
-            if (tagName.toLowerCase() in htmlAllow) {
-                const sanitized = sanitizeHtmlTagAttrs(match);
-                const idx = safeTags.length;
-                safeTags.push(sanitized);
-                return `${PLACEHOLDER_HT}${idx}§`;
-            }
+            const tag = tagName.toLowerCase();
             // Not whitelisted — leave in text for Phase 2 to escape
-            return match;
+            if (!(tag in tags)) return match;
+            if (match[1] === '/') {
+                const at = openTags.lastIndexOf(tag);
+                if (at < 0) return '';
+                return keep(openTags.splice(at).reverse().map(t => `</${t}>`).join(''));
+            }
+            const attrs = tags[tag];
+            const allowed = attrs && ((name) => attrAllowed(attrs, name) || attrAllowed(globalAttrs, name));
+            let sanitized = sanitizeHtmlTagAttrs(match, allowed, styleProps);
+            if (!(tag in VOID_TAGS)) {
+                // <div/> is an open tag to a browser; close it for the author
+                if (sanitized.endsWith('/>')) sanitized = `${sanitized.slice(0, -2).trimEnd()}></${tag}>`;
+                else openTags.push(tag);
+            }
+            return keep(sanitized);
         });
     }
 
@@ -345,15 +720,22 @@ function quikdown(markdown, options = {}) {
     // trusted pipelines that intentionally embed raw HTML.
     // For whitelist mode, escaping still runs (only `true` bypasses it).
 
+    guard.tick();
     if (allow_unsafe_html !== true) {
         html = escapeHtml(html);
+        // Entity references the escaping just broke up.  Names beyond
+        // XML's five are the entities plugin's; without it, or for a name
+        // it doesn't know, the reference stays text.
+        const entity = first('entity');
+        html = html.replace(/&amp;(#\d{1,7}|#[xX][\da-fA-F]{1,6}|[A-Za-z][A-Za-z\d]{1,31});/g, (match, ref) => {
+            const ch = ref[0] === '#' ? decodeNumeric(ref) : decodePredefined(ref) || entity && entity(ref);
+            return ch ? literal(ch) : match;
+        });
     }
 
     // Restore safe HTML tag placeholders after escaping
-    if (htmlAllow) {
-        safeTags.forEach((tag, i) => {
-            html = html.replace(`${PLACEHOLDER_HT}${i}§`, tag);
-        });
+    if (htmlPolicy) {
+        html = html.replace(new RegExp(`${PLACEHOLDER_HT}(\\d+)§`, 'g'), (match, i) => safeTags[i] || match);
     }
 
     // ────────────────────────────────────────────────────────────────
@@ -373,20 +755,115 @@ function quikdown(markdown, options = {}) {
     //
     // Total: 3 structured passes instead of 10+ regex passes.
 
-    // ── Step 1: Tables ──
-    // Tables need multi-line lookahead (header → separator → body rows)
-    // so they're handled by a dedicated line-walker first.
-    html = processTable(html, getAttr);
+    // ── Step 0: Link reference definitions ──
+    // `[ref]: url "title"` lines are document-wide, so they are collected
+    // (and removed) before any block or inline processing looks at them.
+    const linkDefs = {};
+    html = collectLinkDefinitions(html, linkDefs, lineMap);
+
+    // Plugins collect their own document-wide definitions here (the
+    // footnotes plugin's `[^label]: text`)
+    html = pipe('collect', html);
+
+    // Abbreviation definitions (`*[HTML]: Hyper Text Markup Language`,
+    // abbreviations option) apply document-wide as well.  One pattern
+    // finds every defined term, longest first; it steps over protected
+    // tags and placeholders so their contents are never matched.
+    const abbrDefs = {};
+    if (abbreviations) html = collectAbbreviations(html, abbrDefs, lineMap);
+    const abbrTerms = Object.keys(abbrDefs).sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    // eslint-disable-next-line security/detect-non-literal-regexp -- terms are escaped
+    const abbrPattern = abbrTerms.length && new RegExp(`(%%T\\d+%%|§[A-Z]+\\d*§)|(?<![\\p{L}\\p{N}_])(?:${abbrTerms.join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+
+    // Steps 1-3 run as a unit so blockquotes can apply them to their own
+    // content: a quote is a block container holding paragraphs, lists,
+    // tables, code and further quotes.
+    const lineBlocks = {
+        getAttr, dataQd, guard, commonmark, renderQuote, headingParts,
+        headingIds: heading_ids || !!renderers.heading,
+        definitionLists: definition_lists
+    };
+    function scanBlocks(text, map) {
+        // ── Step 1: Tables ──
+        // Tables need multi-line lookahead (header → separator → body rows)
+        // so they're handled by a dedicated line-walker first.
+        text = processTable(text, getAttr, map, override, guard);
+
+        // ── Step 2: Headings, HR, Blockquotes ──
+        // These are simple line-level constructs.  We scan each line once
+        // and replace matching lines with their HTML representation.
+        text = scanLineBlocks(text, map, lineBlocks);
+
+        // ── Step 3: Lists ──
+        // Lists need indent-level tracking across lines, so they get their
+        // own line-walker.
+        return processLists(text, inline_styles, map, lineBlocks);
+    }
+
+    // Render a blockquote from its content (its lines with the '>' markers
+    // removed) through Steps 1-3 and paragraph wrapping.  A quote holding
+    // a single paragraph keeps its text bare, as quotes always have.
+    //
+    // A plugin's quote hook may claim the quote by its content (the
+    // callouts plugin's "[!NOTE]" line): it returns the content left to
+    // render and the markup to render it into, in place of <blockquote>.
+    //
+    // A quote nested past limits.maxNestingDepth stays text.
+    //
+    // The rendered body waits behind a placeholder until the document's
+    // blocks are done (see restoreQuotes), so the passes of the quotes
+    // around it don't scan it again.
+    const quoteBodies = [];
+    const quoteHook = first('quote');
+    function renderQuote(inner, map, attrs) {
+        guard.tick();
+        if (!guard.fits('maxNestingDepth', guard.depth + 1)) return inner.replace(/^/gm, '&gt; ');
+        const claimed = quoteHook && quoteHook(inner, map);
+        if (claimed) inner = claimed.inner;
+
+        guard.depth++;
+        let body = scanBlocks(inner, map);
+        guard.depth--;
+        if (map) body = markSourceLines(body, map.lines, codeBlocks, inlineCodes);
+        body = wrapParagraphs(body);
+
+        if (!claimed && body.startsWith('<p>') && body.endsWith('</p>') && body.indexOf('<p>', 3) < 0) {
+            body = body.slice(3, -4);
+        }
+        const placeholder = `${PLACEHOLDER_QT}${quoteBodies.push(body) - 1}§`;
+        return claimed ? claimed.render(placeholder, attrs) : `<blockquote${getAttr('blockquote')}${attrs}>${placeholder}</blockquote>`;
+    }
 
-    // ── Step 2: Headings, HR, Blockquotes ──
-    // These are simple line-level constructs.  We scan each line once
-    // and replace matching lines with their HTML representation.
-    html = scanLineBlocks(html, getAttr, dataQd);
+    // Put the quote bodies back, nested ones included.  With source_map
+    // every line of a quote maps to the line holding its placeholder.
+    // The pieces are collected and joined once, so a deep nest isn't
+    // copied again for every level.
+    function restoreQuotes(text) {
+        const quoteRe = new RegExp(`${PLACEHOLDER_QT}(\\d+)§`, 'g');
+        const restore = (str, parts) => {
+            let from = 0;
+            for (const m of str.matchAll(quoteRe)) {
+                parts.push(str.slice(from, m.index));
+                restore(quoteBodies[m[1]], parts);
+                from = m.index + m[0].length;
+            }
+            parts.push(str.slice(from));
+            return parts;
+        };
+        if (!lineMap) return restore(text, []).join('');
+        const map = [];
+        const lines = text.split('\n').map((line, i) => {
+            const restored = restore(line, []).join('');
+            for (let n = restored.split('\n').length; n > 0; n--) map.push(lineMap.lines[i]);
+            return restored;
+        });
+        lineMap.lines = map;
+        return lines.join('\n');
+    }
 
-    // ── Step 3: Lists ──
-    // Lists need indent-level tracking across lines, so they get their
-    // own line-walker.
-    html = processLists(html, getAttr, inline_styles, bidirectional);
+    html = scanBlocks(html, lineMap);
+    if (quoteBodies.length) html = restoreQuotes(html);
 
     // ── Step 4: Inline formatting ──
     // Apply bold, italic, strikethrough, images, links, and autolinks
@@ -394,138 +871,345 @@ function quikdown(markdown, options = {}) {
     // it sees text inside headings, blockquotes, table cells, list
     // items, and paragraph text.
 
-    // Images (must come before links — ![alt](src) vs [text](url))
-    html = html.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, src) => {
-        const sanitizedSrc = sanitizeUrl(src, options.allow_unsafe_urls);
-        /* istanbul ignore next - bd-only branch */
-        const altAttr = bidirectional && alt ? ` data-qd-alt="${escapeHtml(alt)}"` : '';
-        /* istanbul ignore next - bd-only branch */
-        const srcAttr = bidirectional ? ` data-qd-src="${escapeHtml(src)}"` : '';
-        return `<img${getAttr('img')} src="${sanitizedSrc}" alt="${alt}"${altAttr}${srcAttr}${dataQd('!')}>`;
-    });
+    // The pass lives in a closure so generated blocks that skip the
+    // line walkers (the footnotes section) can be formatted the same way.
+    function formatInline(str) {
+        // Plugin syntax made of brackets goes first, before links take
+        // them (the footnotes plugin's [^label] references)
+        str = pipe('inlineStart', str);
+
+        // Images (must come before links — ![alt](src) vs [text](url)).
+        // A {…} attribute block may follow either (attributes option).
+        // eslint-disable-next-line security/detect-unsafe-regex -- linear: delimiter-bounded groups
+        str = str.replace(/!\[([^\]]*)\]\(([^)]+)\)(\{[^{}\n]*\})?/g, (match, alt, src, block) => {
+            guard.tick();
+            const sanitizedSrc = sanitizeUrl(src, 'image');
+            const [imgAttr, rest] = inlineAttrs(`${getAttr('img')} src="${sanitizedSrc}" alt="${alt}"`, block);
+            /* istanbul ignore next - bd-only branch */
+            const altAttr = bidirectional && alt ? ` data-qd-alt="${escapeHtml(alt)}"` : '';
+            /* istanbul ignore next - bd-only branch */
+            const srcAttr = bidirectional ? ` data-qd-src="${escapeHtml(src)}"` : '';
+            return override('image', 'img', `<img${imgAttr}${altAttr}${srcAttr}${dataQd('!')}>`,
+                [sanitizedSrc, alt, undefined]) + rest;
+        });
 
-    // Links
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, href) => {
-        const sanitizedHref = sanitizeUrl(href, options.allow_unsafe_urls);
-        const isExternal = /^https?:\/\//i.test(sanitizedHref);
-        const rel = isExternal ? ' rel="noopener noreferrer"' : '';
-        /* istanbul ignore next - bd-only branch */
-        const textAttr = bidirectional ? ` data-qd-text="${escapeHtml(text)}"` : '';
-        return `<a${getAttr('a')} href="${sanitizedHref}"${rel}${textAttr}${dataQd('[')}>${text}</a>`;
-    });
+        // Links
+        // eslint-disable-next-line security/detect-unsafe-regex -- linear: delimiter-bounded groups
+        str = str.replace(/\[([^\]]+)\]\(([^)]+)\)(\{[^{}\n]*\})?/g, (match, text, href, block) => {
+            guard.tick();
+            const sanitizedHref = sanitizeUrl(href, 'link');
+            // The block's rel and target combine with the link policy's
+            const [linkAttr, rest] = inlineAttrs(`${getAttr('a')} href="${sanitizedHref}"${relAttrs(sanitizedHref)}`, block);
+            /* istanbul ignore next - bd-only branch */
+            const textAttr = bidirectional ? ` data-qd-text="${escapeHtml(text)}"` : '';
+            return override('link', 'a', `<a${linkAttr}${textAttr}${hrefSource(href)}${dataQd('[')}>${text}</a>`,
+                [sanitizedHref, text, undefined]) + rest;
+        });
 
-    // Autolinks — bare https?:// URLs become clickable <a> tags
-    html = html.replace(/(^|\s)(https?:\/\/[^\s<]+)/g, (match, prefix, url) => {
-        const sanitizedUrl = sanitizeUrl(url, options.allow_unsafe_urls);
-        return `${prefix}<a${getAttr('a')} href="${sanitizedUrl}" rel="noopener noreferrer">${url}</a>`;
-    });
+        // Reference links and images — full [text][ref], collapsed [text][]
+        // and shortcut [text].  Only labels with a definition are resolved;
+        // anything else stays literal text.  In bidirectional mode the
+        // reference suffix ("[ref]", "[]" or "") is kept in data-qd-ref.
+        if (Object.keys(linkDefs).length) {
+            // eslint-disable-next-line security/detect-unsafe-regex -- linear: bracket-delimited groups
+            str = str.replace(/(!?)\[([^\]]+)\](?:\[([^\]]*)\])?(?![(:])/g, (match, bang, text, ref) => {
+                guard.tick();
+                const def = linkDefs[normalizeLabel(ref || text)];
+                if (!def) return match;
+                // The URL policy runs once per definition and kind, not per use
+                const kind = bang ? 'image' : 'link';
+                if (!(kind in def)) def[kind] = sanitizeUrl(def.url, kind);
+                const url = def[kind];
+                const titleAttr = def.title ? ` title="${def.title}"` : '';
+                /* istanbul ignore next - bd-only branch */
+                const refAttr = bidirectional ? ` data-qd-ref="${ref === undefined ? '' : `[${ref}]`}"` : '';
+                if (bang) {
+                    /* istanbul ignore next - bd-only branch */
+                    const altAttr = bidirectional ? ` data-qd-alt="${escapeHtml(text)}" data-qd-src="${escapeHtml(def.url)}"` : '';
+                    return override('image', 'img', `<img${getAttr('img')} src="${url}" alt="${text}"${titleAttr}${altAttr}${refAttr}${dataQd('!')}>`,
+                        [url, text, def.title]);
+                }
+                /* istanbul ignore next - bd-only branch */
+                const textAttr = bidirectional ? ` data-qd-text="${escapeHtml(text)}"` : '';
+                if (!('rel' in def)) def.rel = relAttrs(url);
+                return override('link', 'a', `<a${getAttr('a')} href="${url}"${titleAttr}${def.rel}${textAttr}${hrefSource(def.url)}${refAttr}${dataQd('[')}>${text}</a>`,
+                    [url, text, def.title]);
+            });
+        }
 
-    // Protect rendered tags so emphasis regexes don't see attribute
-    // values — fixes #3 (underscores in URLs interpreted as emphasis).
-    const savedTags = [];
-    html = html.replace(/<[^>]+>/g, m => { savedTags.push(m); return `%%T${savedTags.length - 1}%%`; });
-
-    // Bold, italic, strikethrough
-    const inlinePatterns = [
-        [/\*\*(.+?)\*\*/g, 'strong', '**'],
-        [/__(.+?)__/g, 'strong', '__'],
-        [/(?<!\*)\*(?!\*)(.+?)(?<!\*)\*(?!\*)/g, 'em', '*'],
-        [/(?<![A-Za-z0-9_])_(?![_\s])(.+?)(?<![\s_])_(?![A-Za-z0-9_])/g, 'em', '_'],
-        [/~~(.+?)~~/g, 'del', '~~']
-    ];
-    inlinePatterns.forEach(([pattern, tag, marker]) => {
-        html = html.replace(pattern, `<${tag}${getAttr(tag)}${dataQd(marker)}>$1</${tag}>`);
-    });
+        // Protect rendered tags so emphasis regexes don't see attribute
+        // values — fixes #3 (underscores in URLs interpreted as emphasis).
+        const savedTags = [];
+        const protect = (html) => {
+            guard.tick();
+            savedTags.push(html);
+            return `%%T${savedTags.length - 1}%%`;
+        };
+        const protectTags = (text) => text.replace(/<[^>]+>/g, protect);
+
+        // Autolinks — <scheme:…> and <email>, and (GFM autolink extension)
+        // bare http(s):// URLs, www. domains and email addresses, then the
+        // linkify option's matches.  Links and tags already made are
+        // passed over, and each autolink is protected whole: a URL's text
+        // is never formatted.  Bidirectional mode keeps the source text.
+        const autolink = (source, href, text, title) => {
+            const url = sanitizeUrl(href, 'autolink');
+            const titleAttr = title ? ` title="${escapeHtml(String(title))}"` : '';
+            /* istanbul ignore next - bd-only branch */
+            const autoAttr = bidirectional ? ` data-qd-auto="${escapeHtml(source)}"` : '';
+            return protect(override('link', 'a', `<a${getAttr('a')} href="${url}"${titleAttr}${relAttrs(url)}${hrefSource(href)}${autoAttr}>${text}</a>`,
+                [url, text, title ? escapeHtml(String(title)) : undefined]));
+        };
+        str = str.replace(AUTOLINK_RE, (match, skip, angle, bare, at) => {
+            guard.tick();
+            if (skip) return match;
+            if (angle) {
+                const href = angleAutolink(toPlain(angle));
+                return href ? autolink(toPlain(match), escapeText(href), angle) : match;
+            }
+            const found = matchAutolink(toPlain(bare));
+            const before = toPlain(str.slice(Math.max(0, at - 6), at)).slice(-1);
+            if (!found || (!found.href.startsWith('mailto:') && !canStartAutolink(before))) return match;
+            const text = escapeText(found.text);
+            return autolink(found.text, escapeText(found.href), text) + bare.slice(text.length);
+        });
+        if (typeof options.linkify === 'function') {
+            str = str.split(LINKIFY_SKIP_RE).map((run, i) => {
+                const matches = i % 2 ? [] : linkifyMatches(toPlain(run), options.linkify);
+                if (!matches.length) return run;
+                const plain = toPlain(run);
+                let out = '';
+                let from = 0;
+                for (const { index, text, href, title } of matches) {
+                    const source = String(text);
+                    out += escapeText(plain.slice(from, index)) + autolink(source, escapeText(String(href)), escapeText(source), title);
+                    from = index + source.length;
+                }
+                return out + escapeText(plain.slice(from));
+            }).join('');
+        }
+
+        // Plugin tokens that must not be found inside links, URLs or code
+        // (the mentions plugin's @name); what they make goes through protect
+        str = pipe('inlineTokens', str, protect);
+        str = protectTags(str);
 
-    // Restore protected tags
-    html = html.replace(/%%T(\d+)%%/g, (_, i) => savedTags[i]);
-
-    // ── Step 5: Line breaks + paragraph wrapping ──
-    if (lazy_linefeeds) {
-        // Lazy linefeeds mode: every single \n becomes <br> EXCEPT:
-        //   • Double newlines → paragraph break
-        //   • Newlines adjacent to block elements (h, blockquote, pre, hr, table, list)
-        //
-        // Strategy: protect block-adjacent newlines with §N§, convert
-        // the rest, then restore.
-
-        const blocks = [];
-        let bi = 0;
-
-        // Protect tables and lists from <br> injection
-        html = html.replace(/<(table|[uo]l)[^>]*>[\s\S]*?<\/\1>/g, m => {
-            blocks[bi] = m;
-            return `§B${bi++}§`;
+        // Abbreviations — whole-word uses of a defined term
+        if (abbrPattern) {
+            str = str.replace(abbrPattern, (match, skipped) => skipped ? match
+                : protectTags(`<abbr${getAttr('abbr')} title="${abbrDefs[match]}"${dataQd('*[')}>`) + match + protectTags('</abbr>'));
+        }
+
+        // Extension formatting rules see escaped text; the tags they emit
+        // are protected too, so the text between them is still formatted.
+        inlineRules.forEach(ext => {
+            str = str.replace(extensionPattern(ext.trigger, 'g'), (...args) => {
+                const out = renderExtension(ext, args);
+                return out === undefined ? args[0] : protectTags(out);
+            });
         });
 
-        html = html.replace(/\n\n+/g, '§P§')
-            // After block-level closing tags
-            .replace(/(<\/(?:h[1-6]|blockquote|pre)>)\n/g, '$1§N§')
-            .replace(/(<(?:h[1-6]|blockquote|pre|hr)[^>]*>)\n/g, '$1§N§')
-            // Before block-level opening tags
-            .replace(/\n(<(?:h[1-6]|blockquote|pre|hr)[^>]*>)/g, '§N§$1')
-            .replace(/\n(§B\d+§)/g, '§N§$1')
-            .replace(/(§B\d+§)\n/g, '$1§N§')
-            // Convert surviving newlines to <br>
-            .replace(/\n/g, `<br${getAttr('br')}>`)
-            // Restore
-            .replace(/§N§/g, '\n')
-            .replace(/§P§/g, '</p><p>');
-
-        // Restore protected blocks
-        blocks.forEach((b, i) => html = html.replace(`§B${i}§`, b));
-
-        html = '<p>' + html + '</p>';
-    } else {
-        // Standard mode: two trailing spaces → <br>, double newline → new paragraph
-        html = html.replace(/ {2}$/gm, `<br${getAttr('br')}>`);
-
-        html = html.replace(/\n\n+/g, (match, offset) => {
-            const before = html.substring(0, offset);
-            if (before.match(/<\/(h[1-6]|blockquote|ul|ol|table|pre|hr)>$/)) {
-                return '<p>';
+        // Emoji — :shortcode: with an entry in the emoji map; others stay text
+        if (emoji) {
+            str = str.replace(/:([\w+-]+):/g, (match, name) => Object.prototype.hasOwnProperty.call(emoji, name)
+                ? protectTags(`<span${getAttr('emoji')}${dataQd(match)}>${escapeHtml(String(emoji[name]))}</span>`)
+                : match);
+        }
+
+        // Plugin passes over the plain text between tags, code, URLs and
+        // escapes, all placeholders by now (the typographer plugin's quotes
+        // and dashes); savedTags holds the markup behind %%T…%%
+        str = pipe('inlineText', str, protect, savedTags);
+
+        // Bold, italic, strikethrough, then the opt-in formats
+        const inlinePatterns = [
+            ...(commonmark ? STRICT_EMPHASIS : [
+                [/\*\*(.+?)\*\*/g, 'strong', '**'],
+                [/__(.+?)__/g, 'strong', '__'],
+                [/(?<!\*)\*(?!\*)(.+?)(?<!\*)\*(?!\*)/g, 'em', '*'],
+                [/(?<![A-Za-z0-9_])_(?![_\s])(.+?)(?<![\s_])_(?![A-Za-z0-9_])/g, 'em', '_']
+            ]),
+            [/~~(.+?)~~/g, 'del', '~~'],
+            ...(highlight ? [[/==(?=\S)(.+?)(?<=\S)==/g, 'mark', '==']] : []),
+            ...(insert ? [[/\+\+(?=\S)(.+?)(?<=\S)\+\+/g, 'ins', '++']] : []),
+            ...(superscript ? [[/(?<!\[)\^([^\s^]+)\^/g, 'sup', '^']] : []),
+            ...(subscript ? [[/(?<!~)~([^\s~]+)~(?!~)/g, 'sub', '~']] : [])
+        ];
+        inlinePatterns.forEach(([pattern, tag, marker]) => {
+            guard.tick();
+            str = str.replace(pattern, `<${tag}${getAttr(tag)}${dataQd(marker)}>$1</${tag}>`);
+        });
+
+        // Restore protected tags
+        str = str.replace(/%%T(\d+)%%/g, (match, i) => savedTags[i] || match);
+        return str;
+    }
+    guard.tick();
+    html = formatInline(html);
+
+    // ── Source map: paragraphs and code blocks ──
+    // Inline formatting keeps lines intact, so the map still lines up.
+    // Paragraph starts get a marker that becomes attributes once the
+    // <p> tags exist; fenced code placeholders record their own line.
+    if (lineMap) {
+        html = markSourceLines(html, lineMap.lines, codeBlocks, inlineCodes);
+    }
+
+    // ── Steps 5-6: Paragraphs ──
+    // Wrapping is shared by the document and blockquote content.
+    function wrapParagraphs(html) {
+        // ── Step 5: Line breaks + paragraph wrapping ──
+        // Trailing newlines would leave the closing </p> on a line of its
+        // own, out of reach of the cleanup below ("# a\n" → "<h1>…</h1>\n</p>")
+        html = html.replace(/\n+$/, '');
+        if (lazy_linefeeds) {
+            // Lazy linefeeds mode: every single \n becomes <br> EXCEPT:
+            //   • Double newlines → paragraph break
+            //   • Newlines adjacent to block elements (h, blockquote, callout div, pre, hr, table, list)
+            //
+            // Strategy: protect block-adjacent newlines with §N§, convert
+            // the rest, then restore.
+
+            const blocks = [];
+            let bi = 0;
+
+            // Protect tables and lists (definition lists too) from <br>
+            // injection.  Lists nest, so tags are counted to find where
+            // each outermost one ends.
+            let depth = 0;
+            let blockStart = 0;
+            let protectedHtml = '';
+            let copied = 0;
+            for (const tag of html.matchAll(/<(\/?)(?:table|[uod]l)\b[^>]*>/g)) {
+                if (!tag[1]) {
+                    if (depth++ === 0) blockStart = tag.index;
+                } else if (depth && --depth === 0) {
+                    const blockEnd = tag.index + tag[0].length;
+                    protectedHtml += html.slice(copied, blockStart) + `§B${bi}§`;
+                    blocks[bi++] = html.slice(blockStart, blockEnd);
+                    copied = blockEnd;
+                }
+            }
+            html = protectedHtml + html.slice(copied);
+
+            html = html.replace(/\n\n+/g, '§P§')
+                // After block-level closing tags
+                .replace(/(<\/(?:h[1-6]|blockquote|div|pre)>)\n/g, '$1§N§')
+                .replace(/(<(?:h[1-6]|blockquote|div|pre|hr)[^>]*>)\n/g, '$1§N§')
+                // Before block-level opening tags
+                .replace(/\n(<(?:h[1-6]|blockquote|div|pre|hr)[^>]*>)/g, '§N§$1')
+                .replace(/\n(§B\d+§)/g, '§N§$1')
+                .replace(/(§B\d+§)\n/g, '$1§N§')
+                .replace(new RegExp(`(\\n?)(${CODE_LINE})(\\n?)`, 'g'), (match, before, code, after) =>
+                    `${before && '§N§'}${code}${after && '§N§'}`)
+                // Convert surviving newlines to <br>
+                .replace(/\n/g, `<br${getAttr('br')}>`)
+                // Restore
+                .replace(/§N§/g, '\n')
+                .replace(/§P§/g, '</p><p>');
+
+            // Restore protected blocks
+            html = html.replace(/§B(\d+)§/g, (match, i) => blocks[i] || match);
+
+            html = '<p>' + html + '</p>';
+        } else {
+            // Standard mode: two trailing spaces → <br>, double newline → new paragraph
+            html = html.replace(/ {2}$/gm, `<br${getAttr('br')}>`);
+
+            // A break right after a block element only opens the next paragraph
+            html = html.replace(/(<\/(?:h[1-6]|blockquote|div|[uod]l|table|pre|hr)>)?\n\n+/g,
+                (match, block) => block ? `${block}<p>` : '</p><p>');
+            html = '<p>' + html + '</p>';
+        }
+
+        // ── Step 6: Cleanup ──
+        // Remove <p> wrappers that accidentally enclose block elements.
+        // This is simpler than trying to prevent them during wrapping.
+        const cleanupPatterns = [
+            [/<p><\/p>/g, ''],
+            [/<p>(<h[1-6][^>]*>)/g, '$1'],
+            [/(<\/h[1-6]>)<\/p>/g, '$1'],
+            [/<p>(<(?:blockquote|div|dl)[^>]*>)/g, '$1'],
+            [/(<\/(?:blockquote|div|dl)>)<\/p>/g, '$1'],
+            [/<p>(<ul[^>]*>|<ol[^>]*>)/g, '$1'],
+            [/(<\/ul>|<\/ol>)<\/p>/g, '$1'],
+            [/<p>(<hr[^>]*>)/g, '$1'],
+            [/(<hr[^>]*>)<\/p>/g, '$1'],
+            [/<p>(<table[^>]*>)/g, '$1'],
+            [/(<\/table>)<\/p>/g, '$1'],
+            [/<p>(<pre[^>]*>)/g, '$1'],
+            [/(<\/pre>)<\/p>/g, '$1'],
+            // Code blocks leave and close paragraphs like <pre> does
+            [new RegExp(`<p>(${CODE_LINE})(?=\n|</p>)`, 'g'), '$1'],
+            [new RegExp(`(${CODE_LINE})</p>`, 'g'), '$1']
+        ];
+        cleanupPatterns.forEach(([pattern, replacement]) => {
+            html = html.replace(pattern, replacement);
+        });
+        // Plugins unwrap blocks of their own (the math plugin's display math)
+        html = pipe('paragraphs', html);
+
+        // When a block element is followed by a newline and then text, open
+        // a <p> (before the pass below, which closes it at the next block)
+        html = html.replace(new RegExp(`(</(?:h[1-6]|blockquote|div|[uod]l|table|pre)>|<hr\\b[^>]*>|${CODE_LINE})\\n(?!<|${CODE_LINE})`, 'g'), '$1\n<p>');
+
+        // Text running straight into a block element (no blank line) left
+        // its <p> open; close it before the block.  Containers are skipped
+        // whole, since their content was wrapped on its own terms.
+        let open = false;
+        let depth = 0;
+        html = html.replace(new RegExp(`(\\n?)(<(/?)(p|[uod]l|blockquote|div|table|h[1-6]|hr)\\b[^>]*>|${CODE_LINE})`, 'g'), (match, nl, tag, close, name) => {
+            const container = /^(?:[uod]l|blockquote|div|table)$/.test(name);
+            if (depth) {
+                if (container) depth += close ? -1 : 1;
+                return match;
             }
-            return '</p><p>';
+            if (name === 'p') {
+                open = !close;
+                return match;
+            }
+            if (container) depth++;
+            if (open && !close) {
+                open = false;
+                return `</p>${nl}${tag}`;
+            }
+            return match;
         });
-        html = '<p>' + html + '</p>';
-    }
-
-    // ── Step 6: Cleanup ──
-    // Remove <p> wrappers that accidentally enclose block elements.
-    // This is simpler than trying to prevent them during wrapping.
-    const cleanupPatterns = [
-        [/<p><\/p>/g, ''],
-        [/<p>(<h[1-6][^>]*>)/g, '$1'],
-        [/(<\/h[1-6]>)<\/p>/g, '$1'],
-        [/<p>(<blockquote[^>]*>)/g, '$1'],
-        [/(<\/blockquote>)<\/p>/g, '$1'],
-        [/<p>(<ul[^>]*>|<ol[^>]*>)/g, '$1'],
-        [/(<\/ul>|<\/ol>)<\/p>/g, '$1'],
-        [/<p>(<hr[^>]*>)<\/p>/g, '$1'],
-        [/<p>(<table[^>]*>)/g, '$1'],
-        [/(<\/table>)<\/p>/g, '$1'],
-        [/<p>(<pre[^>]*>)/g, '$1'],
-        [/(<\/pre>)<\/p>/g, '$1'],
-        [new RegExp(`<p>(${PLACEHOLDER_CB}\\d+§)</p>`, 'g'), '$1']
-    ];
-    cleanupPatterns.forEach(([pattern, replacement]) => {
-        html = html.replace(pattern, replacement);
-    });
 
-    // When a block element is followed by a newline and then text, open a <p>.
-    html = html.replace(/(<\/(?:h[1-6]|blockquote|ul|ol|table|pre|hr)>)\n([^<])/g, '$1\n<p>$2');
+        return html;
+    }
+    guard.tick();
+    html = wrapParagraphs(html);
+
+    if (lineMap) {
+        const markerRe = new RegExp(`(<p)>${PLACEHOLDER_PL}(\\d+)-(\\d+)§`, 'g');
+        html = html.replace(markerRe, (m, open, start, end) => `${open}${lineAttrs(+start, +end)}>`)
+            .replace(new RegExp(`${PLACEHOLDER_PL}\\d+-\\d+§`, 'g'), '');
+    }
+
+    // ── Step 7: Plugin sections ──
+    // Appended after paragraph wrapping (they are block HTML already) but
+    // before code restoration, so code spans in them still resolve (the
+    // footnotes plugin's footnotes section).
+    html = pipe('append', html);
 
     // ────────────────────────────────────────────────────────────────
     //  Phase 4 — Code Restoration
     // ────────────────────────────────────────────────────────────────
     // Replace placeholders with rendered HTML.  For fenced blocks this
     // means wrapping in <pre><code>…</code></pre> (or calling the
-    // fence_plugin).  For inline code it means <code>…</code>.
+    // fence_plugin).  For inline code it means <code>…</code>.  Everything
+    // is rendered first, in order, then swapped in with one pass over the
+    // document — replacing placeholder by placeholder is quadratic.
 
-    codeBlocks.forEach((block, i) => {
+    const renderCodeBlock = (block) => {
         let replacement;
+        const preAttr = block.attrs !== undefined ? attributeSyntax.merge(getAttr('pre'), attributeBlock(block.attrs)) : getAttr('pre');
 
-        if (block.custom && fence_plugin && fence_plugin.render) {
+        if (block.html !== undefined) {
+            // Block extension output, rendered in Phase 1
+            replacement = block.html;
+        } else if (block.custom && fence_plugin && fence_plugin.render) {
             // Delegate to the user-provided fence plugin.
             replacement = fence_plugin.render(block.code, block.lang);
 
@@ -537,7 +1221,7 @@ function quikdown(markdown, options = {}) {
                 const langAttr = bidirectional && block.lang ? ` data-qd-lang="${escapeHtml(block.lang)}"` : '';
                 /* istanbul ignore next - bd-only branch */
                 const fenceAttr = bidirectional ? ` data-qd-fence="${escapeHtml(block.fence)}"` : '';
-                replacement = `<pre${getAttr('pre')}${fenceAttr}${langAttr}><code${codeAttr}>${escapeHtml(block.code)}</code></pre>`;
+                replacement = `<pre${preAttr}${fenceAttr}${langAttr}><code${codeAttr}>${escapeHtml(block.code)}</code></pre>`;
             } else /* istanbul ignore next - bd-only branch */ if (bidirectional) {
                 // Plugin returned HTML — inject data attributes for roundtrip.
                 replacement = replacement.replace(/^<(\w+)/,
@@ -551,20 +1235,116 @@ function quikdown(markdown, options = {}) {
             const langAttr = bidirectional && block.lang ? ` data-qd-lang="${escapeHtml(block.lang)}"` : '';
             /* istanbul ignore next - bd-only branch */
             const fenceAttr = bidirectional ? ` data-qd-fence="${escapeHtml(block.fence)}"` : '';
-            replacement = `<pre${getAttr('pre')}${fenceAttr}${langAttr}><code${codeAttr}>${block.code}</code></pre>`;
+            replacement = `<pre${preAttr}${fenceAttr}${langAttr}><code${codeAttr}>${block.code}</code></pre>`;
         }
 
-        const placeholder = `${PLACEHOLDER_CB}${i}§`;
-        html = html.replace(placeholder, replacement);
-    });
+        // Source lines cover the whole fence, opening to closing marker.
+        if (block.line) {
+            replacement = replacement.replace(/^(<\w+[^>]*)>/, `$1${lineAttrs(block.line, block.line + block.span)}>`);
+        }
+        return replacement;
+    };
 
-    // Restore inline code spans
-    inlineCodes.forEach((code, i) => {
-        const placeholder = `${PLACEHOLDER_IC}${i}§`;
-        html = html.replace(placeholder, `<code${getAttr('code')}${dataQd('`')}>${code}</code>`);
+    // Plugins' placeholders (sigil → rendered HTML by number) go back in
+    // the same pass.
+    const rendered = Object.assign({
+        [PLACEHOLDER_CB]: codeBlocks.map(renderCodeBlock),
+        [PLACEHOLDER_IC]: inlineCodes.map(code =>
+            override('code_inline', 'code', `<code${getAttr('code')}${dataQd('`')}>${code}</code>`, [code])),
+        [PLACEHOLDER_XT]: extSpans,
+        [PLACEHOLDER_ES]: escapes.map(escapeHtml)
+    }, ...hooks.map(hook => hook.restore && hook.restore()));
+    // eslint-disable-next-line security/detect-non-literal-regexp -- sigils are fixed strings
+    const placeholderRe = new RegExp(`(${Object.keys(rendered).join('|')})(\\d+)§`, 'g');
+    html = html.replace(placeholderRe, (match, sigil, i) => {
+        const out = rendered[sigil][i];
+        return out === undefined ? match : out;
     });
 
-    return html.trim();
+    // ── Heading IDs, heading renderer and table of contents ──
+    // Slugs come from the finished heading text (code restored, tags
+    // stripped), so they match what readers see; a heading renderer sees
+    // the same finished content and id.  A paragraph holding only
+    // [[toc]] becomes a nested list of links to those headings.
+    const headings = options[TOC_HEADINGS] || [];
+    if (heading_ids || renderers.heading) {
+        const slugger = !heading_ids ? null : typeof heading_ids === 'function' ? heading_ids : slugify;
+        html = finishHeadings(html, slugger, headings, (level, inner, id, defaultHtml) =>
+            override('heading', `h${level}`, defaultHtml, [level, inner, id]), options[HEADING_SLUGS] || {});
+    }
+    if (heading_ids) {
+        html = html.replace(/<p[^>]*>\[\[toc\]\]<\/p>/gi, () =>
+            `<nav${getAttr('toc')}${dataQd('[[toc]]')}>${renderTocList(buildTocTree(headings, 6), getAttr)}</nav>`);
+    }
+
+    // Close whitelisted tags the source left open; plugins have the last
+    // word (the front matter plugin's metadata element for quikdown_bd)
+    return pipe('finish', html.trim() + openTags.reverse().map(t => `</${t}>`).join(''));
+}
+
+/**
+ * Remove a block's line prefix (list indentation, '>' quote markers)
+ * from each of its lines, as far as each line repeats it.
+ *
+ * @param {string} text    Block body
+ * @param {string} prefix  Prefix of the block's opening line
+ * @returns {string}       Body with the prefix removed
+ */
+function stripLinePrefix(text, prefix) {
+    if (!prefix) return text;
+    return text.split('\n').map(line => {
+        let k = 0;
+        while (k < prefix.length && line[k] === prefix[k]) k++;
+        return line.slice(k);
+    }).join('\n');
+}
+
+/**
+ * extractIndentedCode — line walker for indented code blocks
+ *
+ * A line indented four spaces (or a tab) right after a blank line opens
+ * a code block, which runs over the following indented and blank lines
+ * (trailing blank lines excluded).  Indented lines in list context,
+ * from a list item or footnote definition to the next unindented line,
+ * are item content and never open one.
+ *
+ * @param {string}   text     Working text (fences already extracted)
+ * @param {Object}   [lineMap] Source line map ({lines}), kept in step
+ * @param {Function} onBlock  (code, span) → placeholder for one block
+ * @returns {string}          Text with code blocks replaced
+ */
+function extractIndentedCode(text, lineMap, onBlock) {
+    const lines = text.split('\n');
+    const result = [];
+    const resultLines = [];
+    const indentRe = /^(?: {4}|\t)/;
+    const isBlank = (line) => line.trim() === '';
+    let inList = false;
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (lineMap) resultLines.push(lineMap.lines[i]);
+
+        if (!inList && indentRe.test(line) && !isBlank(line) && (i === 0 || isBlank(lines[i - 1]))) {
+            let last = i;
+            for (let j = i + 1; j < lines.length && (indentRe.test(lines[j]) || isBlank(lines[j])); j++) {
+                if (!isBlank(lines[j])) last = j;
+            }
+            const code = lines.slice(i, last + 1).map(l => l.replace(indentRe, '')).join('\n');
+            result.push(onBlock(code, last - i));
+            i = last + 1;
+            continue;
+        }
+
+        if (LIST_LINE_RE.test(line) || /^\[\^[^\]]+\]:/.test(line)) inList = true;
+        else if (/^\S/.test(line)) inList = false;
+        result.push(line);
+        i++;
+    }
+
+    if (lineMap) lineMap.lines = resultLines;
+    return result.join('\n');
 }
 
 // ════════════════════════════════════════════════════════════════════
@@ -575,9 +1355,21 @@ function quikdown(markdown, options = {}) {
  * scanLineBlocks — single-pass line scanner for headings, HR, blockquotes
  *
  * Walks the text line by line.  For each line it checks (in order):
- *   1. Heading   — starts with 1-6 '#' followed by a space
- *   2. HR        — line is entirely '---…' (3+ dashes, optional trailing space)
- *   3. Blockquote — starts with '&gt; ' (the > was already HTML-escaped)
+ *   1. Setext    — '===' or '--' under paragraph text (h1 / h2)
+ *   2. Heading   — starts with 1-6 '#' followed by a space
+ *   3. HR        — line is entirely '---…' (3+ dashes, optional trailing space)
+ *
+ * With strict: 'commonmark', any '-' underline makes a setext heading
+ * (ahead of the HR), and the HR is any CommonMark thematic break
+ * ('***', '_ _ _', …), which also beats a list item.
+ *   4. Blockquote — starts with '&gt; ' (the > was already HTML-escaped)
+ *   5. Definition — ': ' under paragraph text (definition_lists)
+ *
+ * A blockquote takes every following line that starts with '&gt;'.
+ * Their content, with one marker removed, is a block container of its
+ * own and is rendered by the `renderQuote` callback (which also turns
+ * GitHub-style "[!NOTE]" quotes into callouts), so quotes nest
+ * and hold paragraphs, lists, tables and code.
  *
  * Lines that don't match any block pattern are passed through unchanged.
  *
@@ -585,22 +1377,62 @@ function quikdown(markdown, options = {}) {
  * architecture with one structured scan.
  *
  * @param {string}   text    The document text (HTML-escaped, code extracted)
- * @param {Function} getAttr Attribute factory (class or style)
- * @param {Function} dataQd  Bidirectional marker factory
+ * @param {Object}   [lineMap] Source line map ({lines}), kept in step
+ * @param {Object}   blocks  Render settings, one object per render:
+ * @param {Function} blocks.getAttr      Attribute factory (class or style)
+ * @param {Function} blocks.dataQd       Bidirectional marker factory
+ * @param {boolean}  blocks.headingIds   Mark headings for Phase 4 (ids, renderer)
+ * @param {Function} blocks.renderQuote  (content, lineMap, attrs) → blockquote HTML
+ * @param {Object}   blocks.guard        Resource guard (quikdown_limits.js)
+ * @param {boolean}  [blocks.commonmark] strict: 'commonmark' setext and HR rules
+ * @param {Function} blocks.headingParts (content, tag) → [content, attributes]
+ * @param {boolean}  [blocks.definitionLists] Render definition lists
  * @returns {string}         Text with block-level elements rendered
  */
-function scanLineBlocks(text, getAttr, dataQd) {
+function scanLineBlocks(text, lineMap, blocks) {
+    const { getAttr, dataQd, headingIds, renderQuote, guard, commonmark, headingParts, definitionLists } = blocks;
     const lines = text.split('\n');
     const result = [];
+    const resultLines = [];
+    const idMarker = headingIds ? PLACEHOLDER_HID : '';
+    const nonTextRe = new RegExp(`^\\s*(?:<|${PLACEHOLDER_CB})`);
+    const setextRe = commonmark ? SETEXT_STRICT_RE : SETEXT_RE;
+    // Where the current paragraph's text starts in result (and its line);
+    // -1 outside a paragraph, -2 in list item text until a blank line
+    let para = -1;
+    let paraLine = 0;
     let i = 0;
 
     while (i < lines.length) {
+        guard.tick();
         const line = lines[i];
+        const srcAttr = lineMap ? lineAttrs(lineMap.lines[i], lineMap.lines[i]) : '';
+        if (lineMap) resultLines.push(lineMap.lines[i]);
 
         // ── Markdown comment (reference-link hack) ──
         // [//]: # (comment)  or  [//]: # "comment"  or  [//]: #
         // These produce no output — standard markdown comment convention.
+        // Well-formed ones are already gone with the link definitions;
+        // this catches free-form text after the '#'.
         if (/^\[\/\/\]: #/.test(line)) {
+            if (lineMap) resultLines.pop();
+            i++;
+            continue;
+        }
+
+        // ── Setext heading ──
+        // An underline of '=' (h1) or one or two '-' (h2) turns the
+        // paragraph text above it into a heading.  Three or more dashes
+        // are a horizontal rule, as they always have been here, except
+        // under strict: 'commonmark'.
+        const setext = para >= 0 && line.match(setextRe);
+        if (setext) {
+            const tag = setext[1][0] === '=' ? 'h1' : 'h2';
+            const [content, attrs] = headingParts(result.splice(para).join('\n').trim(), tag);
+            const headingAttr = lineMap ? lineAttrs(lineMap.lines[paraLine], lineMap.lines[i]) : '';
+            if (lineMap) resultLines.pop();
+            result.push(`<${tag}${attrs}${dataQd(setext[1])}${headingAttr}${idMarker}>${content}</${tag}>`);
+            para = -1;
             i++;
             continue;
         }
@@ -614,41 +1446,448 @@ function scanLineBlocks(text, getAttr, dataQd) {
         }
         if (hashCount >= 1 && hashCount <= 6 && line[hashCount] === ' ') {
             // Extract content after "# " and strip trailing hashes
-            const content = line.slice(hashCount + 1).replace(/\s*#+\s*$/, '');
             const tag = 'h' + hashCount;
-            result.push(`<${tag}${getAttr(tag)}${dataQd('#'.repeat(hashCount))}>${content}</${tag}>`);
+            const [content, attrs] = headingParts(line.slice(hashCount + 1).replace(/\s*#+\s*$/, ''), tag);
+            result.push(`<${tag}${attrs}${dataQd('#'.repeat(hashCount))}${srcAttr}${idMarker}>${content}</${tag}>`);
+            para = -1;
             i++;
             continue;
         }
 
         // ── Horizontal Rule ──
         // Three or more dashes, optional trailing whitespace, nothing else.
-        if (isDashHRLine(line)) {
-            result.push(`<hr${getAttr('hr')}>`);
+        if (commonmark ? line.search(/\S/) < 4 && isHRLine(line.trim()) : isDashHRLine(line)) {
+            result.push(`<hr${getAttr('hr')}${srcAttr}>`);
+            para = -1;
             i++;
             continue;
         }
 
         // ── Blockquote ──
         // After Phase 2, the '>' character has been escaped to '&gt;'.
-        // Pattern: "&gt; content" or merged consecutive blockquotes.
-        if (/^&gt;\s+/.test(line)) {
-            result.push(`<blockquote${getAttr('blockquote')}>${line.replace(/^&gt;\s+/, '')}</blockquote>`);
-            i++;
+        // Pattern: "&gt; content" (or "&gt;&gt; content"), then every
+        // consecutive line that starts with '&gt;'.
+        if (/^(?:&gt;)+\s/.test(line)) {
+            let end = i;
+            while (end + 1 < lines.length && lines[end + 1].startsWith('&gt;')) end++;
+            const inner = lines.slice(i, end + 1).map(l => l.replace(/^&gt;[ \t]?/, '')).join('\n');
+            const innerMap = lineMap ? { lines: lineMap.lines.slice(i, end + 1), codeBlocks: lineMap.codeBlocks } : null;
+            const lastCode = lineMap && lines[end].match(new RegExp(`${PLACEHOLDER_CB}(\\d+)§$`));
+            const quoteAttr = lineMap ? lineAttrs(lineMap.lines[i],
+                lineMap.lines[end] + (lastCode ? lineMap.codeBlocks[lastCode[1]].span : 0)) : '';
+            const quote = renderQuote(inner, innerMap, quoteAttr);
+            // Every output line maps to the line the quote starts on
+            if (lineMap) {
+                for (let n = quote.split('\n').length; n > 1; n--) resultLines.push(lineMap.lines[i]);
+            }
+            result.push(quote);
+            para = -1;
+            i = end + 1;
+            continue;
+        }
+
+        // ── Definition list ──
+        // A ': ' line under paragraph text makes each line of the text a
+        // term and each ': ' line a definition, continued by indented
+        // lines.  After a blank line, more terms (or definitions) carry
+        // the list on.
+        if (definitionLists && para >= 0 && DEFINITION_RE.test(line)) {
+            let terms = result.splice(para);
+            if (lineMap) resultLines.length -= terms.length + 1;
+            let items = '';
+            let j = i;
+            for (;;) {
+                items += terms.map(term => `<dt${getAttr('dt')}>${term.trim()}</dt>`).join('');
+                while (j < lines.length && DEFINITION_RE.test(lines[j])) {
+                    let definition = lines[j].replace(DEFINITION_RE, '');
+                    while (j + 1 < lines.length && /^(?: {2,}|\t)\S/.test(lines[j + 1])) definition += '\n' + lines[++j].trim();
+                    items += `<dd${getAttr('dd')}>${definition}</dd>`;
+                    j++;
+                }
+                // Terms after a blank line, up to the next ': ' line
+                if (j + 1 >= lines.length || lines[j].trim() !== '') break;
+                let next = j + 1;
+                while (next < lines.length && isTermLine(lines[next], nonTextRe)) next++;
+                if (next >= lines.length || !DEFINITION_RE.test(lines[next])) break;
+                terms = lines.slice(j + 1, next);
+                j = next;
+            }
+            const listAttr = lineMap ? lineAttrs(lineMap.lines[paraLine], lineMap.lines[j - 1]) : '';
+            const list = `<dl${getAttr('dl')}${dataQd(':')}${listAttr}>${items}</dl>`;
+            // Every output line maps to the line the list starts on
+            if (lineMap) {
+                for (let n = list.split('\n').length; n > 0; n--) resultLines.push(lineMap.lines[paraLine]);
+            }
+            result.push(list);
+            para = -1;
+            i = j;
             continue;
         }
 
         // ── Pass-through ──
+        if (line.trim() === '' || nonTextRe.test(line)) para = -1;
+        else if (LIST_LINE_RE.test(line)) para = -2;
+        else if (para === -1) {
+            para = result.length;
+            paraLine = i;
+        }
         result.push(line);
         i++;
     }
 
-    // Merge consecutive blockquotes into a single element.
-    // <blockquote>A</blockquote>\n<blockquote>B</blockquote>
-    //   → <blockquote>A\nB</blockquote>
-    let joined = result.join('\n');
-    joined = joined.replace(/<\/blockquote>\n<blockquote>/g, '\n');
-    return joined;
+    if (lineMap) lineMap.lines = resultLines;
+    return result.join('\n');
+}
+
+/**
+ * Whether a line can be a definition list term: paragraph text, not
+ * another block or a definition.
+ *
+ * @param {string} line       Working text line
+ * @param {RegExp} nonTextRe  Rendered blocks and code placeholders
+ * @returns {boolean}
+ */
+function isTermLine(line, nonTextRe) {
+    return line.trim() !== '' && !nonTextRe.test(line) && !LIST_LINE_RE.test(line)
+        && !DEFINITION_RE.test(line) && !/^(?:#{1,6} |&gt;)/.test(line) && !isDashHRLine(line);
+}
+
+// ════════════════════════════════════════════════════════════════════
+//  Source map
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * The attribute pair that records which source lines (1-based,
+ * inclusive) produced a block element.
+ *
+ * @param {number} start  First source line
+ * @param {number} end    Last source line
+ * @returns {string}      ` data-qd-line-start="…" data-qd-line-end="…"`
+ */
+function lineAttrs(start, end) {
+    return ` data-qd-line-start="${start}" data-qd-line-end="${end}"`;
+}
+
+/**
+ * replaceTracked — String#replace that keeps a source line map in step
+ *
+ * Lines a match spans collapse into the line the match starts on; a
+ * replacement that keeps newlines of its own (a declined extension
+ * match returned as is) maps them onto the lines the match spanned.
+ * Without a map this is a plain replace.
+ *
+ * @param {string}   text     Working text
+ * @param {RegExp}   re       Global pattern (no named groups)
+ * @param {Object}   lineMap  Source line map ({lines}) or null
+ * @param {Function} fn       Replacement callback, as for String#replace
+ * @returns {string}          Replaced text
+ */
+function replaceTracked(text, re, lineMap, fn) {
+    if (!lineMap) return text.replace(re, fn);
+
+    const src = lineMap.lines;
+    const lines = [src[0]];
+    let line = 0;
+    let last = 0;
+    const advance = (end) => {
+        for (let i = last; i < end; i++) {
+            if (text[i] === '\n') lines.push(src[++line]);
+        }
+    };
+    const result = text.replace(re, (...args) => {
+        const match = args[0];
+        const offset = args[args.length - 2];
+        advance(offset);
+        const first = line;
+        line += match.split('\n').length - 1;
+        last = offset + match.length;
+        const out = fn(...args);
+        for (let j = 1, n = out.split('\n').length; j < n; j++) lines.push(src[first + j]);
+        return out;
+    });
+    advance(text.length);
+    lineMap.lines = lines;
+    return result;
+}
+
+/**
+ * Copy an extension trigger with the flags a phase needs added (global,
+ * and multiline for block rules so ^ and $ anchor at lines).
+ *
+ * @param {RegExp} trigger  Extension trigger pattern
+ * @param {string} flags    Flags the phase requires
+ * @returns {RegExp}        Pattern to scan with
+ */
+function extensionPattern(trigger, flags) {
+    // eslint-disable-next-line security/detect-non-literal-regexp -- copies a caller-supplied RegExp
+    return new RegExp(trigger.source, trigger.flags.replace(/[gmy]/g, '') + flags);
+}
+
+/**
+ * Join the lines a collector kept, dropping leading and trailing empty
+ * lines, and narrow the source line map to the same lines.
+ *
+ * @param {string[]} kept          Lines to keep
+ * @param {number[]} keptIndexes   Their indexes in the collector's input
+ * @param {Object}   [lineMap]     Source line map ({lines})
+ * @returns {string}               Joined text
+ */
+function joinKeptLines(kept, keptIndexes, lineMap) {
+    let start = 0;
+    let end = kept.length;
+    while (start < end && kept[start] === '') start++;
+    while (end > start && kept[end - 1] === '') end--;
+    if (lineMap) {
+        lineMap.lines = keptIndexes.slice(start, end).map(i => lineMap.lines[i]);
+    }
+    return kept.slice(start, end).join('\n');
+}
+
+/**
+ * markSourceLines — record source lines for paragraphs and code blocks
+ *
+ * Runs on the inline-formatted text just before paragraph wrapping.
+ * The first line of every paragraph (a run of non-blank lines that are
+ * not rendered blocks) gets a PLACEHOLDER_PL marker carrying its line
+ * range; fenced code placeholders store their line on the code block.
+ *
+ * @param {string}   html        Working text
+ * @param {number[]} srcLines    Source line of each line of `html`
+ * @param {Array}    codeBlocks  Phase 1 code block records
+ * @param {string[]} inlineCodes Phase 1 inline code spans
+ * @returns {string}             Text with paragraph markers
+ */
+function markSourceLines(html, srcLines, codeBlocks, inlineCodes) {
+    const blockRe = new RegExp(`^(?:<\\/?(?:h[1-6]|hr|blockquote|div|table|thead|tbody|tr|th|td|ul|ol|li|dl|pre|p)\\b|${PLACEHOLDER_CB})`);
+    const codeRe = new RegExp(`^${PLACEHOLDER_CB}(\\d+)§`);
+    const spanRe = new RegExp(`${PLACEHOLDER_IC}(\\d+)§`, 'g');
+    const isText = (line) => line.trim() !== '' && !blockRe.test(line);
+    // Source lines folded into inline code spans on a working line
+    const foldedLines = (line) => [...line.matchAll(spanRe)]
+        .reduce((n, m) => n + inlineCodes[m[1]].split('\n').length - 1, 0);
+
+    const lines = html.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const code = lines[i].match(codeRe);
+        if (code) {
+            // Code inside a blockquote was placed by the quote's own pass
+            if (codeBlocks[code[1]].line === undefined) codeBlocks[code[1]].line = srcLines[i];
+        } else if (isText(lines[i])) {
+            let end = i;
+            while (end + 1 < lines.length && isText(lines[end + 1])) end++;
+            const last = srcLines[end] + foldedLines(lines[end]);
+            lines[i] = `${PLACEHOLDER_PL}${srcLines[i]}-${last}§${lines[i]}`;
+            i = end;
+        }
+    }
+    return lines.join('\n');
+}
+
+// ════════════════════════════════════════════════════════════════════
+//  Heading IDs and table of contents
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * finishHeadings — give every marked heading its id and final markup
+ *
+ * Replaces the PLACEHOLDER_HID marker left by scanLineBlocks with an
+ * id="…" attribute when there is a slugger.  Duplicate slugs get
+ * GitHub-style numeric suffixes (intro, intro-1, intro-2, …).  A heading
+ * with an id of its own ({#id} attribute block) keeps it.  The
+ * finished heading goes through `render`, which may replace it.
+ *
+ * @param {string}   html      Rendered HTML containing marked headings
+ * @param {Function} slugger   (text) → slug, or null for no ids
+ * @param {Array}    headings  Receives {level, text, id} for each heading
+ * @param {Function} render    (level, inner, id, defaultHtml) → HTML
+ * @param {Object}   used      Slugs already taken → last numeric suffix
+ * @returns {string}           HTML with headings finished
+ */
+function finishHeadings(html, slugger, headings, render, used) {
+    const markerRe = new RegExp(`<(h[1-6])([^>]*)${PLACEHOLDER_HID}>([\\s\\S]*?)<\\/\\1>`, 'g');
+    return html.replace(markerRe, (match, tag, attrs, inner) => {
+        const own = attrs.match(/ id="([^"]*)"/);
+        if (!slugger) return render(+tag[1], inner, own ? unescapeHtml(own[1]) : undefined, `<${tag}${attrs}>${inner}</${tag}>`);
+        const text = unescapeHtml(inner.replace(/<[^>]*>/g, '')).trim();
+        const id = own ? claimId(unescapeHtml(own[1]), used) : uniqueSlug(slugger(text), used);
+        headings.push({ level: +tag[1], text, id });
+        const idAttr = own ? '' : ` id="${id.replace(/[&<>"']/g, m => ESC_MAP[m])}"`;
+        return render(+tag[1], inner, id, `<${tag}${attrs}${idAttr}>${inner}</${tag}>`);
+    });
+}
+
+/**
+ * Nest a flat heading list into a tree.  Each heading becomes the child
+ * of the closest preceding heading with a smaller level.
+ *
+ * @param {Array}  headings  Flat {level, text, id} list in document order
+ * @param {number} maxLevel  Deepest heading level to include
+ * @returns {Array}          [{level, text, id, children: [...]}, ...]
+ */
+function buildTocTree(headings, maxLevel) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    for (const h of headings) {
+        if (h.level > maxLevel) continue;
+        const node = { level: h.level, text: h.text, id: h.id, children: [] };
+        while (stack[stack.length - 1].level >= h.level) stack.pop();
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    }
+    return root.children;
+}
+
+/**
+ * Render a heading tree as nested <ul> lists of in-page links.
+ *
+ * @param {Array}    nodes    Tree from buildTocTree
+ * @param {Function} getAttr  Attribute factory (class or style)
+ * @returns {string}          HTML list
+ */
+function renderTocList(nodes, getAttr) {
+    if (!nodes.length) return '';
+    const items = nodes.map(node => {
+        const text = node.text.replace(/[&<>"']/g, m => ESC_MAP[m]);
+        const href = node.id.replace(/[&<>"']/g, m => ESC_MAP[m]);
+        return `<li${getAttr('li')}><a${getAttr('a')} href="#${href}">${text}</a>${renderTocList(node.children, getAttr)}</li>`;
+    });
+    return `<ul${getAttr('ul')}>${items.join('')}</ul>`;
+}
+
+// ════════════════════════════════════════════════════════════════════
+//  HTML whitelist policy
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * normalizeHtmlPolicy — read allow_unsafe_html as a tag policy
+ *
+ * Accepts an array of tag names, an object keyed by tag name, or a
+ * policy object:
+ *
+ *   { tags: { img: ['src', 'alt'], b: [] }, globalAttrs: ['class'],
+ *     styleProps: ['color', 'text-align'] }
+ *
+ * Tag names and the tags of a policy object map to the attributes they
+ * may keep; for the two plain forms that is null (any attribute but
+ * on* handlers).  Returns null when allow_unsafe_html isn't a whitelist.
+ *
+ * @param {*} allow  The allow_unsafe_html option
+ * @returns {Object|null}  { tags, globalAttrs, styleProps }
+ */
+function normalizeHtmlPolicy(allow) {
+    if (!allow || typeof allow !== 'object') return null;
+    const lowerAll = (list) => list.map(name => String(name).toLowerCase());
+    if (Array.isArray(allow)) {
+        return { tags: Object.fromEntries(allow.map(t => [t, null])), globalAttrs: [] };
+    }
+    if (!allow.tags || typeof allow.tags !== 'object') {
+        return { tags: Object.fromEntries(Object.keys(allow).map(t => [t, null])), globalAttrs: [] };
+    }
+    const tags = Array.isArray(allow.tags)
+        ? Object.fromEntries(allow.tags.map(t => [String(t).toLowerCase(), []]))
+        : Object.fromEntries(Object.entries(allow.tags).map(([t, attrs]) =>
+            [t.toLowerCase(), Array.isArray(attrs) ? lowerAll(attrs) : []]));
+    return {
+        tags,
+        globalAttrs: lowerAll(allow.globalAttrs || []),
+        styleProps: Array.isArray(allow.styleProps) ? lowerAll(allow.styleProps) : undefined
+    };
+}
+
+/**
+ * Whether an attribute list names `name`; an entry ending in * matches
+ * as a prefix ('data-*', 'aria-*').
+ */
+function attrAllowed(list, name) {
+    return list.some(entry => entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : entry === name);
+}
+
+/**
+ * filterStyle — keep the style declarations whose property is listed
+ *
+ * Values that could load or run something (url(), expression(),
+ * javascript:, @import, CSS escapes) are dropped whatever the property.
+ *
+ * @param {string} style  style attribute value
+ * @param {Array}  props  Allowed lowercase property names
+ * @returns {string}      Remaining declarations, '' when none
+ */
+function filterStyle(style, props) {
+    return style.split(';')
+        .map(decl => decl.trim())
+        .filter(decl => {
+            const colon = decl.indexOf(':');
+            if (colon < 1) return false;
+            const value = decl.slice(colon + 1).toLowerCase();
+            return props.includes(decl.slice(0, colon).trim().toLowerCase())
+                && !/url\(|expression\(|javascript:|@import|\\/.test(value);
+        })
+        .join('; ');
+}
+
+// ════════════════════════════════════════════════════════════════════
+//  Link reference definitions
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * collectLinkDefinitions — strip `[label]: url "title"` lines
+ *
+ * Walks the (HTML-escaped) text and removes every link reference
+ * definition, recording it in `defs` keyed by normalized label.  The
+ * first definition of a label wins.  Titles may be wrapped in "…",
+ * '…' or (…) — in escaped text the quotes arrive as &quot; / &#39;.
+ *
+ * The `[//]: # (comment)` idiom is simply an unused definition, so
+ * well-formed markdown comments disappear here as well.
+ *
+ * @param {string} text  The document text (HTML-escaped, code extracted)
+ * @param {Object} defs  Map filled with { url, title } per label
+ * @param {Object} [lineMap] Source line map ({lines}), kept in step
+ * @returns {string}     Text with definition lines removed
+ */
+function collectLinkDefinitions(text, defs, lineMap) {
+    // Cheap bail-out: no "]:" means no definitions
+    if (!text.includes(']:')) return text;
+
+    const keptIndexes = [];
+    const kept = text.split('\n').filter((line, i) => {
+        const m = line.match(LINK_DEF_RE);
+        if (!m) return keptIndexes.push(i);
+        const key = normalizeLabel(m[1]);
+        if (!(key in defs)) {
+            const title = [m[3], m[4], m[5], m[6], m[7]].find(t => t !== undefined) || '';
+            defs[key] = { url: m[2], title };
+        }
+        return false;
+    });
+    // Definitions usually sit at the top or bottom of a document; don't
+    // leave the blank lines that separated them behind as stray newlines.
+    return joinKeptLines(kept, keptIndexes, lineMap);
+}
+
+/**
+ * collectAbbreviations — strip `*[term]: title` definition lines
+ *
+ * Like link reference definitions, abbreviation definitions may sit
+ * anywhere and apply to the whole document.  Terms match as written
+ * (case-sensitively); the first definition of a term wins.
+ *
+ * @param {string} text  The document text (HTML-escaped, code extracted)
+ * @param {Object} defs  Map filled with term → title (escaped)
+ * @param {Object} [lineMap] Source line map ({lines}), kept in step
+ * @returns {string}     Text with definition lines removed
+ */
+function collectAbbreviations(text, defs, lineMap) {
+    if (!text.includes('*[')) return text;
+
+    const keptIndexes = [];
+    const kept = text.split('\n').filter((line, i) => {
+        const m = line.match(ABBR_DEF_RE);
+        if (!m) return keptIndexes.push(i);
+        if (!(m[1] in defs)) defs[m[1]] = m[2].trim();
+        return false;
+    });
+    return joinKeptLines(kept, keptIndexes, lineMap);
 }
 
 // ════════════════════════════════════════════════════════════════════
@@ -685,48 +1924,55 @@ function processInlineMarkdown(text, getAttr) {
  *
  * @param {string}   text    Full document text
  * @param {Function} getAttr Attribute factory
+ * @param {Object}   [lineMap] Source line map ({lines}), kept in step
+ * @param {Function} override Renderer override hook (see quikdown)
+ * @param {Object}   guard   Resource guard (quikdown_limits.js)
  * @returns {string}         Text with tables rendered
  */
-function processTable(text, getAttr) {
+function processTable(text, getAttr, lineMap, override, guard) {
+    // Every table row has a pipe
+    if (!text.includes('|')) return text;
     const lines = text.split('\n');
     const result = [];
-    let inTable = false;
-    let tableLines = [];
+    const resultLines = [];
+    let tableStart = -1;
+
+    // Push output produced from line i (a rendered table spans several
+    // output lines; all of them map to the table's first line).
+    const emit = (str, i) => {
+        result.push(str);
+        if (lineMap) str.split('\n').forEach(() => resultLines.push(lineMap.lines[i]));
+    };
+
+    // Render lines[tableStart..end) as a table, or restore them as-is
+    const flushTable = (end) => {
+        const tableLines = lines.slice(tableStart, end).map(line => line.trim());
+        const srcAttr = lineMap ? lineAttrs(lineMap.lines[tableStart], lineMap.lines[end - 1]) : '';
+        const tableHtml = buildTable(tableLines, getAttr, srcAttr, override, guard);
+        if (tableHtml) {
+            emit(tableHtml, tableStart);
+        } else {
+            tableLines.forEach((line, k) => emit(line, tableStart + k));
+        }
+        tableStart = -1;
+    };
 
     for (let i = 0; i < lines.length; i++) {
+        guard.tick();
         const line = lines[i].trim();
 
         if (line.includes('|') && (line.startsWith('|') || /[^\\|]/.test(line))) {
-            if (!inTable) {
-                inTable = true;
-                tableLines = [];
-            }
-            tableLines.push(line);
+            if (tableStart < 0) tableStart = i;
         } else {
-            if (inTable) {
-                const tableHtml = buildTable(tableLines, getAttr);
-                if (tableHtml) {
-                    result.push(tableHtml);
-                } else {
-                    result.push(...tableLines);
-                }
-                inTable = false;
-                tableLines = [];
-            }
-            result.push(lines[i]);
+            if (tableStart >= 0) flushTable(i);
+            emit(lines[i], i);
         }
     }
 
     // Handle table at end of document
-    if (inTable && tableLines.length > 0) {
-        const tableHtml = buildTable(tableLines, getAttr);
-        if (tableHtml) {
-            result.push(tableHtml);
-        } else {
-            result.push(...tableLines);
-        }
-    }
+    if (tableStart >= 0) flushTable(lines.length);
 
+    if (lineMap) lineMap.lines = resultLines;
     return result.join('\n');
 }
 
@@ -735,9 +1981,15 @@ function processTable(text, getAttr) {
  *
  * @param {string[]} lines   Array of pipe-containing lines
  * @param {Function} getAttr Attribute factory
+ * @param {string}   srcAttr Extra attributes for <table> (source map), or ''
+ * @param {Function} override Renderer override hook, given the header
+ *                           cells, body rows and column alignments
+ * @param {Object}   guard   Resource guard: rows past maxTableCells are
+ *                           dropped, and a header past it leaves the
+ *                           lines as text
  * @returns {string|null}    HTML table string, or null if invalid
  */
-function buildTable(lines, getAttr) {
+function buildTable(lines, getAttr, srcAttr, override, guard) {
     if (lines.length < 2) return null;
 
     // Find the separator row (---|---|)
@@ -750,8 +2002,10 @@ function buildTable(lines, getAttr) {
     }
     if (separatorIndex === -1) return null;
 
+    const cellCount = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').length;
     const headerLines = lines.slice(0, separatorIndex);
-    const bodyLines = lines.slice(separatorIndex + 1);
+    if (!guard.take('maxTableCells', headerLines.reduce((n, line) => n + cellCount(line), 0))) return null;
+    const bodyLines = lines.slice(separatorIndex + 1).filter(line => guard.take('maxTableCells', cellCount(line)));
 
     // Parse alignment from separator cells (:--- = left, :---: = center, ---: = right)
     const separator = lines[separatorIndex];
@@ -763,16 +2017,20 @@ function buildTable(lines, getAttr) {
         return 'left';
     });
 
-    let html = `<table${getAttr('table')}>\n`;
+    let html = `<table${getAttr('table')}${srcAttr}>\n`;
 
     // Header
+    // Cell contents by row, for a table renderer override
+    const rows = [];
     html += `<thead${getAttr('thead')}>\n`;
     headerLines.forEach(line => {
         html += `<tr${getAttr('tr')}>\n`;
         const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
+        const row = rows[rows.push([]) - 1];
         cells.forEach((cell, i) => {
             const alignStyle = alignments[i] && alignments[i] !== 'left' ? `text-align:${alignments[i]}` : '';
             const processedCell = processInlineMarkdown(cell.trim(), getAttr);
+            row.push(processedCell);
             html += `<th${getAttr('th', alignStyle)}>${processedCell}</th>\n`;
         });
         html += '</tr>\n';
@@ -785,9 +2043,11 @@ function buildTable(lines, getAttr) {
         bodyLines.forEach(line => {
             html += `<tr${getAttr('tr')}>\n`;
             const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
+            const row = rows[rows.push([]) - 1];
             cells.forEach((cell, i) => {
                 const alignStyle = alignments[i] && alignments[i] !== 'left' ? `text-align:${alignments[i]}` : '';
                 const processedCell = processInlineMarkdown(cell.trim(), getAttr);
+                row.push(processedCell);
                 html += `<td${getAttr('td', alignStyle)}>${processedCell}</td>\n`;
             });
             html += '</tr>\n';
@@ -796,7 +2056,7 @@ function buildTable(lines, getAttr) {
     }
 
     html += '</table>';
-    return html;
+    return override('table', 'table', html, [rows[0], rows.slice(1), alignments]);
 }
 
 // ════════════════════════════════════════════════════════════════════
@@ -807,40 +2067,146 @@ function buildTable(lines, getAttr) {
  * processLists — line walker for ordered, unordered, and task lists
  *
  * Scans each line for list markers (-, *, +, 1., 2., etc.) with
- * optional leading indentation for nesting.  Non-list lines close
- * any open lists and pass through unchanged.
+ * optional leading indentation for nesting.  Lines that belong to an
+ * item — lazy continuation lines, lines indented under it, blank-line
+ * separated paragraphs and nested code fences or blockquotes — are
+ * collected into the item; anything else closes the open lists and
+ * passes through unchanged.
+ *
+ * Items are rendered when their list closes, since only then is it
+ * known whether the list is loose (blank lines between items or
+ * between an item's blocks), in which case text is wrapped in <p>.
  *
  * Task lists (- [ ] / - [x]) are detected and rendered with
  * checkbox inputs.
  *
+ * Items past limits.maxListItems stay text, and levels past
+ * limits.maxNestingDepth join the deepest allowed list.  With strict:
+ * 'commonmark', an ordered item not numbered 1 can't interrupt a paragraph.
+ *
+ * Quotes and definition lists in an item go through scanLineBlocks with
+ * the same settings (whose commonmark flag also rules list interruption).
+ *
  * @param {string}   text         Full document text
- * @param {Function} getAttr      Attribute factory
  * @param {boolean}  inline_styles Whether to use inline styles
- * @param {boolean}  bidirectional Whether to add data-qd markers
+ * @param {Object}   [lineMap]    Source line map ({lines}), kept in step
+ * @param {Object}   blocks       Render settings (see scanLineBlocks)
  * @returns {string}              Text with lists rendered
  */
-function processLists(text, getAttr, inline_styles, bidirectional) {
+function processLists(text, inline_styles, lineMap, blocks) {
+    const { getAttr, dataQd, guard, commonmark } = blocks;
     const lines = text.split('\n');
     const result = [];
-    const listStack = [];   // tracks nesting: [{type:'ul', level:0}, …]
-
-    // Helper to escape HTML for data-qd attributes. List markers (`-`, `*`,
-    // `+`, `1.`, etc.) never contain HTML-special chars, so the replace
-    // callback is defensive-only and never actually fires in practice.
-    /* istanbul ignore next - defensive: list markers never trigger escaping */
-    const escapeHtml = (text) => text.replace(/[&<>"']/g,
-        /* istanbul ignore next - defensive: list markers never contain HTML specials */
-        m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[m]);
-    /* istanbul ignore next - trivial no-op fallback; not exercised via bd bundle */
-    const dataQd = bidirectional ? (marker) => ` data-qd="${escapeHtml(marker)}"` : () => '';
+    const resultLines = [];   // source lines of each result entry
+    const listStack = [];     // tracks nesting: [{type, level, open, start, items, loose}, …]
+    let lastLine = 0;         // line index of the most recent list content
+    let gap = false;          // blank line(s) since the last list content
+    let baseDepth = 0;        // indent (in levels) of the outer list's first item
+
+    const listRe = /^(\s*)([*\-+]|\d+\.)\s+(.+)$/;
+    // Lines that start a block of their own and so never continue a paragraph
+    const blockRe = new RegExp(`^(?:<(?:h[1-6]|hr|blockquote|div|table|pre)\\b|${PLACEHOLDER_CB}\\d+§)`);
+    const codeRe = new RegExp(`^\\s*${PLACEHOLDER_CB}(\\d+)§$`);
+    const quoteRe = /^&gt;(?:\s|&gt;|$)/;
+
+    const emit = (str, i) => {
+        result.push(str);
+        if (lineMap) resultLines.push([lineMap.lines[i]]);
+    };
+    // Source line that content line i ends on (a code block spans its fences)
+    const endLine = (i) => {
+        const code = lines[i].match(codeRe);
+        return lineMap.lines[i] + (code ? lineMap.codeBlocks[code[1]].span : 0);
+    };
+    const openList = (type, level, i) => {
+        listStack.push({ type, level, open: result.length, start: i, items: [], loose: false });
+        emit(`<${type}${getAttr(type)}>`, i);
+    };
+    // A list's source range runs from its first to its last content
+    // line, so the opening tag is completed when the list closes.
+    const closeList = (i) => {
+        const list = listStack.pop();
+        list.items.forEach(item => renderItem(item, list.loose));
+        if (lineMap) {
+            result[list.open] = result[list.open].slice(0, -1) +
+                lineAttrs(lineMap.lines[list.start], endLine(lastLine)) + '>';
+        }
+        emit(`</${list.type}>`, i);
+    };
+
+    // Add a line of item content to the item's latest part.  Consecutive
+    // text lines (and quote lines) form one block unless a blank line
+    // separated them; code placeholders are always blocks of their own.
+    const addContent = (item, content, i) => {
+        const kind = codeRe.test(content) ? 'code' : quoteRe.test(content) ? 'quote' : 'text';
+        const blocks = item.parts[item.parts.length - 1].blocks;
+        const prev = blocks[blocks.length - 1];
+        if (prev && prev.kind === kind && kind !== 'code' && !gap) {
+            prev.lines.push(content);
+            prev.src.push(i);
+        } else {
+            blocks.push({ kind, lines: [content], src: [i] });
+        }
+        item.last = lastLine = i;
+    };
+
+    // Write an item's parts back into the result.  Part 0 holds the <li>
+    // line; later parts continue the item after a nested list closed.
+    const renderItem = (item, loose) => {
+        const srcAttr = lineMap ? lineAttrs(lineMap.lines[item.first], endLine(item.last)) : '';
+        item.parts.forEach((part, n) => {
+            const src = [];
+            const html = part.blocks.map((block, k) => {
+                const body = block.lines.join('\n');
+                if (block.kind === 'quote') {
+                    // The rendered quote is a placeholder line (or its text
+                    // past maxNestingDepth), so map its lines to the first
+                    const quote = scanLineBlocks(body, null, blocks);
+                    if (lineMap) quote.split('\n').forEach(() => src.push(lineMap.lines[block.src[0]]));
+                    return quote;
+                }
+                if (block.kind === 'text' && blocks.definitionLists && block.lines.some(line => DEFINITION_RE.test(line))) {
+                    // A definition list renders as at the top level; text
+                    // beside it is a paragraph of its own
+                    const html = scanLineBlocks(body, null, blocks).split(/(<dl\b[\s\S]*?<\/dl>)/)
+                        .map(piece => piece.trim()).filter(Boolean)
+                        .map(piece => piece.startsWith('<dl') ? piece : `<p>${piece}</p>`).join('\n');
+                    if (lineMap) html.split('\n').forEach(() => src.push(lineMap.lines[block.src[0]]));
+                    return html;
+                }
+                if (lineMap) block.src.forEach(i => src.push(lineMap.lines[i]));
+                if (block.kind === 'code') return body;
+                // Text after another block is wrapped so it can't run into it
+                return loose || k > 0 || n > 0 ? `<p>${body}</p>` : body;
+            }).join('\n') + (n === item.parts.length - 1 ? '</li>' : '');
+
+            if (n === 0) {
+                result[part.at] = `${item.open}${srcAttr}>${html}`;
+                if (lineMap) resultLines[part.at] = src;
+            } else {
+                result[part.at] += html;
+                if (lineMap) resultLines[part.at].push(...src.slice(1));
+            }
+        });
+    };
 
     for (let i = 0; i < lines.length; i++) {
+        guard.tick();
         const line = lines[i];
-        const match = line.match(/^(\s*)([*\-+]|\d+\.)\s+(.+)$/);
-
-        if (match) {
+        const match = line.match(listRe);
+        // Under strict: 'commonmark' only a bullet or an ordered list
+        // starting at 1 may interrupt a paragraph; otherwise the line
+        // continues the paragraph's text
+        const continues = commonmark && match && !listStack.length && i > 0 &&
+            /^\d/.test(match[2]) && parseInt(match[2], 10) !== 1 &&
+            lines[i - 1].trim() !== '' && !blockRe.test(lines[i - 1]);
+
+        if (match && !continues && guard.take('maxListItems')) {
             const [, indent, marker, content] = match;
-            const level = Math.floor(indent.length / 2);
+            // Levels count from the indent of the list's first item
+            const depth = Math.floor(indent.length / 2);
+            if (!listStack.length) baseDepth = depth;
+            const level = Math.max(0, guard.clamp('maxNestingDepth', depth - baseDepth + 1) - 1);
             const isOrdered = /^\d+\./.test(marker);
             const listType = isOrdered ? 'ol' : 'ul';
 
@@ -860,42 +2226,80 @@ function processLists(text, getAttr, inline_styles, bidirectional) {
 
             // Close deeper nesting levels
             while (listStack.length > level + 1) {
-                const list = listStack.pop();
-                result.push(`</${list.type}>`);
+                closeList(i);
             }
 
             // Open new list or switch type at current level
+            let opened = false;
             if (listStack.length === level) {
-                listStack.push({ type: listType, level });
-                result.push(`<${listType}${getAttr(listType)}>`);
+                openList(listType, level, i);
+                opened = true;
             } else if (listStack.length === level + 1) {
                 const currentList = listStack[listStack.length - 1];
                 if (currentList.type !== listType) {
-                    result.push(`</${currentList.type}>`);
-                    listStack.pop();
-                    listStack.push({ type: listType, level });
-                    result.push(`<${listType}${getAttr(listType)}>`);
+                    closeList(i);
+                    openList(listType, level, i);
+                    opened = true;
                 }
             }
 
+            // A blank line before this item loosens its list, or the
+            // parent list when the blank line opens a nested one
+            if (gap) {
+                const owner = listStack[opened ? level - 1 : level];
+                if (owner) owner.loose = true;
+            }
+
             const liAttr = taskListClass || getAttr('li');
-            result.push(`<li${liAttr}${dataQd(marker)}>${listItemContent}</li>`);
+            const item = { open: `<li${liAttr}${dataQd(marker)}`, first: i, last: i, parts: [{ at: result.length, blocks: [] }] };
+            listStack[listStack.length - 1].items.push(item);
+            emit('', i);
+            gap = false;
+            addContent(item, listItemContent, i);
+        } else if (listStack.length && line.trim() === '') {
+            // A blank line stays inside the list when more list content follows
+            let next = i + 1;
+            while (next < lines.length && lines[next].trim() === '') next++;
+            if (next < lines.length && (listRe.test(lines[next]) || /^\s{2}/.test(lines[next]))) {
+                gap = true;
+                continue;
+            }
+            while (listStack.length > 0) {
+                closeList(i);
+            }
+            emit(line, i);
+        } else if (listStack.length && !match && (/^\s{2}/.test(line) || !blockRe.test(line))) {
+            // Continuation.  Straight after content it continues the
+            // innermost item (lazily, if unindented); after a blank line it
+            // belongs to the deepest item it is indented under.
+            const depth = gap ? Math.min(listStack.length, Math.floor(line.search(/\S/) / 2)) : listStack.length;
+            const nestedClosed = listStack.length > depth;
+            while (listStack.length > depth) {
+                closeList(i);
+            }
+            const list = listStack[listStack.length - 1];
+            const item = list.items[list.items.length - 1];
+            // The item's nested list just closed; continue after it
+            if (nestedClosed) item.parts.push({ at: result.length - 1, blocks: [] });
+            if (gap) list.loose = true;
+            addContent(item, line.trim(), i);
+            gap = false;
         } else {
-            // Not a list item — close all open lists
+            // Not list content — close all open lists
             while (listStack.length > 0) {
-                const list = listStack.pop();
-                result.push(`</${list.type}>`);
+                closeList(i);
             }
-            result.push(line);
+            // An indented fence outside a list is an ordinary code block
+            emit(codeRe.test(line) ? line.trim() : line, i);
         }
     }
 
     // Close any remaining open lists
     while (listStack.length > 0) {
-        const list = listStack.pop();
-        result.push(`</${list.type}>`);
+        closeList(lines.length - 1);
     }
 
+    if (lineMap) lineMap.lines = resultLines.flat();
     return result.join('\n');
 }
 
@@ -920,6 +2324,11 @@ quikdown.emitStyles = function(prefix = 'quikdown-', theme = 'light') {
             '#f2f2f2': '#2a2a2a',   // th background
             '#ddd': '#3a3a3a',      // borders
             '#06c': '#6db3f2',      // links
+            '#ddf4ff': '#0c2d4a',   // callout backgrounds
+            '#dafbe1': '#0f2e1a',
+            '#fbefff': '#2a1a3d',
+            '#fff8c5': '#332b00',
+            '#ffebe9': '#3d1518',
             _textColor: '#e0e0e0'
         },
         light: {
@@ -937,12 +2346,12 @@ quikdown.emitStyles = function(prefix = 'quikdown-', theme = 'light') {
                     themedStyle = themedStyle.replaceAll(oldColor, newColor);
                 }
             }
-            const needsTextColor = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'td', 'li', 'blockquote'];
+            const needsTextColor = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'td', 'li', 'blockquote', 'callout'];
             if (needsTextColor.includes(tag)) {
                 themedStyle += `;color:${themeOverrides.dark._textColor}`;
             }
         } else if (theme === 'light' && themeOverrides.light) {
-            const needsTextColor = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'td', 'li', 'blockquote'];
+            const needsTextColor = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'td', 'li', 'blockquote', 'callout'];
             if (needsTextColor.includes(tag)) {
                 themedStyle += `;color:${themeOverrides.light._textColor}`;
             }
@@ -966,6 +2375,89 @@ quikdown.configure = function(options) {
     };
 };
 
+// The default heading_ids slugger (quikdown_slug.js)
+quikdown.slugify = slugify;
+
+/**
+ * Build a table of contents from a document's headings.
+ *
+ * Ids are the same ones `heading_ids` assigns, so links from the tree
+ * resolve against HTML rendered with the same options.
+ *
+ * @param {string} markdown  Markdown source
+ * @param {Object} options   quikdown options plus `maxLevel` (default 6);
+ *                           a function `heading_ids` is used as the slugger
+ * @returns {Array}          [{level, text, id, children: [...]}, ...]
+ */
+quikdown.toc = function(markdown, options = {}) {
+    const { maxLevel = 6, ...rest } = options;
+    const headings = [];
+    quikdown(markdown, { ...rest, heading_ids: rest.heading_ids || true, trusted_types: undefined, [TOC_HEADINGS]: headings });
+    return buildTocTree(headings, maxLevel);
+};
+
+/**
+ * Syntax extensions and plugins registered with quikdown.use().  They
+ * apply to every later call, before those passed in the `extensions`
+ * option.
+ */
+quikdown.extensions = [];
+
+/**
+ * Register syntax extensions for all later calls (and for quikdown_bd's
+ * toMarkdown).  Each extension is an object:
+ *
+ *   name      Identifies the rule; quikdown_bd tags its output with it
+ *   level     'inline' (default) or 'block' (trigger matches whole lines)
+ *   raw       Inline only: capture before HTML escaping; the output is
+ *             not formatted further
+ *   trigger   RegExp finding candidate source
+ *   tokenize  (match) → token, or a falsy value to leave the text alone;
+ *             defaults to { raw: match[0], text: match[1] }
+ *   render    (token, helpers) → HTML; helpers are escapeHtml, getAttr
+ *             and sanitizeUrl
+ *   reverse   Optional (element, content) → markdown for quikdown_bd
+ *
+ * Plugins register the same way.  The opt-in features that would
+ * otherwise weigh down the core are plugins of their own
+ * (quikdown_footnotes.js, quikdown_math.js, quikdown_callouts.js,
+ * quikdown_mentions.js, quikdown_typographer.js, quikdown_entities.js,
+ * quikdown_frontmatter.js, quikdown_attributes.js, quikdown_stream.js).
+ * A plugin is an object with a name and either or both of:
+ *
+ *   install   (parser) → adds static API to the parser use() was called
+ *             on (quikdown or quikdown_bd)
+ *   setup     (md) → hooks for one render, or null for none; `md` holds
+ *             the options and the render's helpers (getAttr, dataQd,
+ *             escapeHtml, sanitizeUrl, formatInline, replaceTracked, …)
+ *
+ * The hooks, each optional, in the order they run:
+ *
+ *   source       (markdown) → markdown, before anything else
+ *   extract      (text) → text, with code taken out but nothing escaped
+ *   entity       (name) → character for &name;, or undefined
+ *   collect      (text) → text, with link reference definitions gone
+ *   attributes   { split, parse, merge } for {…} attribute blocks
+ *   quote        (content, lineMap) → { inner, render(body, attrs) } to
+ *                render a blockquote as something else, or null
+ *   inlineStart  (text) → text, before links
+ *   inlineTokens (text, protect) → text, after links and autolinks
+ *   inlineText   (text, protect, savedTags) → text, before emphasis
+ *   paragraphs   (html) → html, after paragraph wrapping
+ *   append       (html) → html, with paragraphs done
+ *   restore      () → { sigil: [html, …] } for placeholders `sigil`N§
+ *   finish       (html) → html, the end result
+ *
+ * @param {...Object} extensions  Extension rules and plugins
+ * @returns {Function}            The parser, for chaining
+ */
+quikdown.use = function(...extensions) {
+    quikdown.extensions.push(...extensions);
+    const parser = typeof this === 'function' ? this : quikdown;
+    extensions.forEach(ext => ext && typeof ext.install === 'function' && ext.install(parser));
+    return this;
+};
+
 /** Semantic version (injected at build time) */
 quikdown.version = quikdownVersion;
 
@@ -6,11 +6,41 @@
  * @returns {Object} - The AST object
  */
 
+import { createGuard } from './quikdown_limits.js';
+import { matchCallout } from './quikdown_classify.js';
+import { decodeEntity } from './quikdown_charrefs.js';
+import { readFrontMatter, parseFrontMatter } from './quikdown_metadata.js';
+import { inspectAst } from './quikdown_inspect.js';
+import { splitAttributeBlock, parseAttributes } from './quikdown_attrs.js';
+import { canStartAutolink, angleAutolink, matchAutolink, linkifyMatches, MENTION_RE, canStartMention, resolveMention } from './quikdown_autolink.js';
+
 // Version will be injected at build time
 const quikdownVersion = '__QUIKDOWN_VERSION__';
 
-// Safety limit to prevent infinite loops in list parsing
-const MAX_LOOP_ITERATIONS = 1000;
+// Opening code fence: indent, fence marker, info string
+const FENCE_RE = /^([ \t]*)(```|~~~)(.*)$/;
+
+// List item: indent, marker, content
+const LIST_ITEM_RE = /^(\s*)([*\-+]|\d+\.)\s+(.*)$/;
+
+// Indentation that makes a line indented code
+const CODE_INDENT_RE = /^(?: {4}|\t)/;
+
+// Setext heading underline: '=' for level 1, one or two '-' for level 2
+const SETEXT_RE = /^ {0,3}(=+|-{1,2})[ \t]*$/;
+
+// Definition in a definition list: ': ' and the definition
+const DESCRIPTION_RE = /^:[ \t]+(?=\S)/;
+
+// Definition continuation line (indented by 2+ spaces or a tab)
+const DESCRIPTION_CONT_RE = /^(?: {2,}|\t)\S/;
+
+// Abbreviation definition: *[term]: title
+const ABBREVIATION_RE = /^ {0,3}\*\[([^\]]+)\]:[ \t]*(.*)$/;
+
+// Characters that can start inline markup, and the starts of bare
+// URLs, www. domains and email addresses, for parseInline's text runs
+const INLINE_MARKER = /[`*_~!<[\\&]|(?<![\w.+-])(?:https?:\/\/|www\.|mailto:|[\w.+-]+@)/i;
 
 /**
  * Parse markdown into an AST
@@ -23,26 +53,227 @@ function quikdown_ast(markdown, options = {}) {
         return { type: 'document', children: [] };
     }
 
+    // Resource limits (quikdown_limits.js): input past maxInputLength is
+    // cut off, and running out of timeBudgetMs leaves one text paragraph
+    const guard = createGuard(options.limits, options.onLimit);
+    markdown = markdown.slice(0, guard.clamp('maxInputLength', markdown.length));
+
     // Normalize line endings (handle CRLF, CR, LF uniformly)
     const text = markdown.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
-    const children = parseBlocks(text, options);
+    // Front matter (quikdown_metadata.js) becomes a node of its own.
+    // Its characters are blanked out, so offsets stay put and the
+    // blocks after it parse as usual.
+    const front = readFrontMatter(text);
+    const body = front ? front.block.replace(/[^\n]/g, ' ') + text.slice(front.block.length) : text;
+
+    // Link reference definitions are document-wide, so collect them up
+    // front and thread them to parseInline alongside the user options.
+    const definitions = {};
+    const footnotes = {};
+    const abbreviationDefs = {};
+    collectDefinitions(body, definitions, footnotes, options.abbreviations && abbreviationDefs);
+    const blockOptions = { ...options, definitions, footnotes, guard, abbreviationDefs };
+
+    // Abbreviations (abbreviations option) match as whole words, the
+    // longest term first
+    const terms = Object.keys(abbreviationDefs).sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (terms.length) {
+        // eslint-disable-next-line security/detect-non-literal-regexp -- terms are escaped
+        blockOptions.abbreviationPattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+    }
 
-    return {
+    // The opt-in inline formats add their own characters to those that
+    // can start inline markup
+    const markers = (options.highlight ? '=' : '') + (options.insert ? '+' : '') +
+        (options.superscript ? '^' : '') + (options.emoji ? ':' : '') +
+        (['mentions', 'hashtags', 'references'].some(name => typeof options[name] === 'function') ? '@#' : '');
+    if (markers) {
+        // eslint-disable-next-line security/detect-non-literal-regexp -- fixed characters
+        blockOptions.inlineMarker = new RegExp(INLINE_MARKER.source.replace('&]', `&${markers}]`), INLINE_MARKER.flags);
+    }
+
+    // With source_map, lineOffsets holds the source offset of each line
+    // of the text being parsed; nested parses get their own copy.
+    if (options.source_map) {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') lineStarts.push(i + 1);
+        }
+        blockOptions.lineStarts = lineStarts;
+        blockOptions.lineOffsets = lineStarts;
+    }
+    const children = guard.run(() => parseBlocks(body.split('\n'), blockOptions),
+        () => [textParagraph(front ? text.slice(front.block.length + 1) : text)]);
+    if (front) {
+        const node = { type: 'frontmatter', format: front.format, raw: front.raw, value: parseFrontMatter(front) };
+        if (options.source_map) setPosition(node, 0, front.block.length, blockOptions);
+        children.unshift(node);
+    }
+
+    const doc = {
         type: 'document',
         children
     };
+    if (options.source_map) setPosition(doc, 0, text.length, blockOptions);
+    return doc;
 }
 
+// Link reference definition: [label]: url "title" (title also '…' or (…))
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: anchored, delimiter-bounded groups
+const DEFINITION_RE = /^ {0,3}\[([^\]^][^\]]*)\]:[ \t]*(\S+)(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+
+// Footnote definition: [^label]: text
+const FOOTNOTE_RE = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+
+// Footnote continuation line (indented by 2+ spaces or a tab)
+const FOOTNOTE_CONT_RE = /^( {2,}|\t)\S/;
+
 /**
- * Parse block-level elements
+ * Convert a source offset into a {line, column, offset} point
+ * (line and column are 1-based)
  */
-function parseBlocks(text, options) {
+function toPoint(lineStarts, offset) {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= offset) lo = mid;
+        else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - lineStarts[lo] + 1, offset };
+}
+
+/**
+ * Attach a position spanning source offsets start..end (end exclusive)
+ */
+function setPosition(node, start, end, options) {
+    node.position = {
+        start: toPoint(options.lineStarts, start),
+        end: toPoint(options.lineStarts, end)
+    };
+    return node;
+}
+
+/**
+ * Map an index in lines[first..last].join('\n') to its source offset
+ */
+function lineSource(lines, offsets, first, last) {
+    return (index) => {
+        let k = first;
+        while (k < last && index > lines[k].length) {
+            index -= lines[k].length + 1;
+            k++;
+        }
+        return offsets[k] + index;
+    };
+}
+
+/**
+ * Options for parsing inline text whose index 0 sits `delta` characters
+ * into the text described by `options`
+ */
+function shiftSource(options, delta) {
+    if (!options.source_map) return options;
+    const sourceAt = options.sourceAt;
+    return { ...options, sourceAt: (index) => sourceAt(index + delta) };
+}
+
+/**
+ * Normalize a reference label (case- and whitespace-insensitive)
+ */
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Collect link reference definitions, footnote labels and (given a map
+ * for them) abbreviations outside fenced code blocks.  The first
+ * definition of a label wins.
+ */
+function collectDefinitions(text, definitions, footnotes, abbreviations) {
+    let inFence = false;
+    for (const line of text.split('\n')) {
+        if (/^(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) continue;
+        const m = line.match(DEFINITION_RE);
+        if (m && !(normalizeLabel(m[1]) in definitions)) {
+            definitions[normalizeLabel(m[1])] = {
+                url: m[2],
+                title: m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : m[5]
+            };
+        }
+        const fm = line.match(FOOTNOTE_RE);
+        if (fm) footnotes[normalizeLabel(fm[1])] = true;
+        const am = abbreviations && line.match(ABBREVIATION_RE);
+        if (am && !(am[1] in abbreviations)) abbreviations[am[1]] = am[2].trim();
+    }
+}
+
+/**
+ * Take a trailing attribute block ({#id .class key=val}, attributes
+ * option) off heading text or a fence info string
+ *
+ * @returns {Array} [text, attributes or null]
+ */
+function takeAttributes(text, options) {
+    const block = options.attributes ? splitAttributeBlock(text) : null;
+    const attributes = block && parseAttributes(block[1]);
+    return attributes ? [block[0], attributes] : [text, null];
+}
+
+/**
+ * An attribute block at the start of `text` (straight after a link or
+ * image), with the attributes option
+ *
+ * @returns {Object|null} { attributes, length }
+ */
+function matchAttributes(text, options) {
+    const m = options.attributes && text.match(/^\{([^{}\n]*)\}/);
+    const attributes = m && parseAttributes(m[1]);
+    return attributes ? { attributes, length: m[0].length } : null;
+}
+
+/**
+ * A paragraph holding `text` as it is
+ */
+function textParagraph(text) {
+    return { type: 'paragraph', children: [{ type: 'text', value: text }] };
+}
+
+/**
+ * Parse block-level elements from an array of lines.  Containers (list
+ * items, quotes, footnotes) pass their own lines down as arrays, so the
+ * content of a deep nest is never joined and split again per level.
+ * Content nested past limits.maxNestingDepth is kept as a text paragraph.
+ */
+function parseBlocks(lines, options) {
+    const guard = options.guard;
+    if (!guard.fits('maxNestingDepth', guard.depth)) return [textParagraph(lines.join('\n'))];
+    guard.depth++;
+
     const blocks = [];
-    const lines = text.split('\n');
+    const offsets = options.lineOffsets;
     let i = 0;
 
+    // Position a block spanning lines first..last
+    const place = (node, first, last) => {
+        if (options.source_map) {
+            setPosition(node, offsets[first], offsets[last] + lines[last].length, options);
+        }
+        return node;
+    };
+    // Inline options for text that starts `column` characters into lines[first]
+    const inlineAt = (first, last, column = 0) => options.source_map
+        ? shiftSource({ ...options, sourceAt: lineSource(lines, offsets, first, last) }, column)
+        : options;
+
     while (i < lines.length) {
+        guard.tick();
         const line = lines[i];
 
         // Empty line - skip
@@ -51,50 +282,125 @@ function parseBlocks(text, options) {
             continue;
         }
 
-        // Fenced code block (``` or ~~~)
-        const fenceMatch = line.match(/^(```|~~~)(.*)$/);
+        // Fenced code block (``` or ~~~), possibly indented
+        const fenceMatch = line.match(FENCE_RE);
         if (fenceMatch) {
-            const [, openFence, langPart] = fenceMatch;
-            const lang = langPart.trim();
+            const [, fenceIndent, openFence, langPart] = fenceMatch;
+            const [lang, attributes] = takeAttributes(langPart.trim(), options);
             const codeLines = [];
+            const start = i;
             i++;
 
             // Find closing fence (forgiving: accept mismatched fences or EOF)
             while (i < lines.length) {
-                const closingMatch = lines[i].match(/^(```|~~~)\s*$/);
+                const closingMatch = lines[i].match(/^\s*(```|~~~)\s*$/);
                 if (closingMatch) {
                     i++;
                     break;
                 }
-                codeLines.push(lines[i]);
+                // Drop the fence's own indentation from the code
+                codeLines.push(lines[i].slice(Math.min(fenceIndent.length, lines[i].search(/\S|$/))));
                 i++;
             }
 
-            blocks.push({
+            const node = {
                 type: 'code_block',
                 lang: lang || null,
                 content: codeLines.join('\n'),
                 fence: openFence
-            });
+            };
+            if (attributes) node.attributes = attributes;
+            blocks.push(place(node, start, i - 1));
+            continue;
+        }
+
+        // Indented code block - four spaces or a tab, running over the
+        // following indented and blank lines (a line indented straight
+        // after text continues the paragraph instead)
+        if (CODE_INDENT_RE.test(line)) {
+            const start = i;
+            let last = i;
+            for (let j = i + 1; j < lines.length && (CODE_INDENT_RE.test(lines[j]) || lines[j].trim() === ''); j++) {
+                if (lines[j].trim() !== '') last = j;
+            }
+            i = last + 1;
+            blocks.push(place({
+                type: 'code_block',
+                lang: null,
+                content: lines.slice(start, i).map(l => l.replace(CODE_INDENT_RE, '')).join('\n'),
+                fence: null
+            }, start, last));
+            continue;
+        }
+
+        // Link reference definition - kept as a node so the document can
+        // be serialized back in reference style
+        const defMatch = line.match(DEFINITION_RE);
+        if (defMatch) {
+            const node = { type: 'definition', label: defMatch[1], url: defMatch[2] };
+            const title = defMatch[3] !== undefined ? defMatch[3] : defMatch[4] !== undefined ? defMatch[4] : defMatch[5];
+            if (title !== undefined) node.title = title;
+            blocks.push(place(node, i, i));
+            i++;
+            continue;
+        }
+
+        // Abbreviation definition - kept like link definitions
+        const abbrMatch = options.abbreviations && line.match(ABBREVIATION_RE);
+        if (abbrMatch) {
+            blocks.push(place({ type: 'abbreviation_definition', label: abbrMatch[1], title: abbrMatch[2].trim() }, i, i));
+            i++;
+            continue;
+        }
+
+        // Footnote definition - the first line plus indented continuation
+        // lines (blank lines allowed between them) form its block content
+        const footnoteMatch = line.match(FOOTNOTE_RE);
+        if (footnoteMatch) {
+            const start = i;
+            const body = [footnoteMatch[2]];
+            const bodyOffsets = options.source_map ? [offsets[i] + line.length - footnoteMatch[2].length] : null;
+            i++;
+            while (i < lines.length) {
+                if (FOOTNOTE_CONT_RE.test(lines[i])) {
+                    body.push(lines[i].trim());
+                } else if (lines[i].trim() === '' && i + 1 < lines.length && FOOTNOTE_CONT_RE.test(lines[i + 1])) {
+                    body.push('');
+                } else {
+                    break;
+                }
+                if (bodyOffsets) bodyOffsets.push(offsets[i] + lines[i].length - lines[i].trimStart().length);
+                i++;
+            }
+            blocks.push(place({
+                type: 'footnote_definition',
+                label: footnoteMatch[1],
+                children: parseBlocks(body, { ...options, lineOffsets: bodyOffsets })
+            }, start, i - 1));
             continue;
         }
 
         // Horizontal rule
         if (/^---+\s*$/.test(line) || /^\*\*\*+\s*$/.test(line) || /^___+\s*$/.test(line)) {
-            blocks.push({ type: 'hr' });
+            blocks.push(place({ type: 'hr' }, i, i));
             i++;
             continue;
         }
 
-        // Heading (forgiving: accept #heading without space)
-        const headingMatch = line.match(/^(#{1,6})\s*(.+?)\s*#*$/);
+        // Heading (forgiving: accept #heading without space, unless a
+        // hashtags or references resolver reads #tag and #123 lines)
+        const headingMatch = line.match(options.hashtags || options.references ? /^(#{1,6})\s+(.+?)\s*#*$/ : /^(#{1,6})\s*(.+?)\s*#*$/);
         if (headingMatch) {
-            const [, hashes, content] = headingMatch;
-            blocks.push({
+            const [, hashes] = headingMatch;
+            const [content, attributes] = takeAttributes(headingMatch[2], options);
+            const column = line.length - line.slice(hashes.length).trimStart().length;
+            const node = {
                 type: 'heading',
                 level: hashes.length,
-                children: parseInline(content, options)
-            });
+                children: parseInline(content, inlineAt(i, i, column))
+            };
+            if (attributes) node.attributes = attributes;
+            blocks.push(place(node, i, i));
             i++;
             continue;
         }
@@ -103,70 +409,182 @@ function parseBlocks(text, options) {
         if (line.includes('|')) {
             const tableResult = tryParseTable(lines, i, options);
             if (tableResult) {
-                blocks.push(tableResult.node);
+                blocks.push(place(tableResult.node, i, tableResult.nextIndex - 1));
                 i = tableResult.nextIndex;
                 continue;
             }
         }
 
-        // Blockquote
-        if (line.match(/^>\s*/)) {
+        // Blockquote — its content, with one '>' (and one following space)
+        // removed, is parsed as blocks, so indentation inside survives
+        if (line.startsWith('>')) {
+            const start = i;
             const quoteLines = [];
-            while (i < lines.length && lines[i].match(/^>\s*/)) {
-                quoteLines.push(lines[i].replace(/^>\s*/, ''));
+            const quoteOffsets = [];
+            while (i < lines.length && lines[i].startsWith('>')) {
+                const quoteLine = lines[i].replace(/^>[ \t]?/, '');
+                quoteLines.push(quoteLine);
+                if (options.source_map) quoteOffsets.push(offsets[i] + lines[i].length - quoteLine.length);
                 i++;
             }
-            blocks.push({
+            // "[!TYPE]" on the first line (GitHub alert syntax) makes a
+            // callout; text after the marker is a custom title
+            const callout = matchCallout(quoteLines[0], options.callout_types);
+            if (callout) {
+                const node = { type: 'callout', kind: callout[1].toLowerCase() };
+                if (callout[2]) {
+                    const column = lines[start].length - callout[2].length;
+                    node.title = parseInline(callout[2], inlineAt(start, start, column));
+                }
+                node.children = parseBlocks(quoteLines.slice(1), { ...options, lineOffsets: quoteOffsets.slice(1) });
+                blocks.push(place(node, start, i - 1));
+                continue;
+            }
+            blocks.push(place({
                 type: 'blockquote',
-                children: parseBlocks(quoteLines.join('\n'), options)
-            });
+                children: parseBlocks(quoteLines, { ...options, lineOffsets: quoteOffsets })
+            }, start, i - 1));
             continue;
         }
 
         // List (ordered or unordered)
-        const listMatch = line.match(/^(\s*)([*\-+]|\d+\.)\s+(.*)$/);
-        if (listMatch) {
+        if (LIST_ITEM_RE.test(line)) {
             const listResult = parseList(lines, i, options);
-            blocks.push(listResult.node);
-            i = listResult.nextIndex;
-            continue;
+            if (listResult) {
+                blocks.push(place(listResult.node, i, listResult.nextIndex - 1));
+                i = listResult.nextIndex;
+                continue;
+            }
         }
 
-        // Paragraph - collect lines until empty line or block element
+        // Paragraph - collect lines until empty line or block element.
+        // The first line is always taken: it may look like a block no
+        // branch above accepted (a table without a valid separator, a
+        // list item past maxListItems).  A setext underline ('===' or
+        // '--') ends it and makes its text a heading; with
+        // definition_lists, a ': ' line makes its lines terms.
+        const start = i;
         const paragraphLines = [];
+        let setext = null;
         while (i < lines.length) {
             const pLine = lines[i];
 
-            // Stop on empty line
+            // Stop on empty line or block elements
             if (pLine.trim() === '') break;
-
-            // Stop on block elements
-            if (/^(```|~~~)/.test(pLine)) break;
-            if (/^#{1,6}\s/.test(pLine)) break;
-            if (/^---+\s*$/.test(pLine) || /^\*\*\*+\s*$/.test(pLine) || /^___+\s*$/.test(pLine)) break;
-            if (/^>\s*/.test(pLine)) break;
-            if (/^(\s*)([*\-+]|\d+\.)\s+/.test(pLine)) break;
-            if (pLine.includes('|') && i + 1 < lines.length && /^\|?[\s\-:|]+\|?$/.test(lines[i + 1])) break;
+            if (i > start && (setext = pLine.match(SETEXT_RE))) break;
+            if (i > start && options.definition_lists && DESCRIPTION_RE.test(pLine)) break;
+            if (i > start && startsBlock(lines, i, options)) break;
 
             paragraphLines.push(pLine);
             i++;
         }
 
-        if (paragraphLines.length > 0) {
-            blocks.push({
-                type: 'paragraph',
-                children: parseInline(paragraphLines.join('\n'), options)
-            });
+        if (i < lines.length && options.definition_lists && DESCRIPTION_RE.test(lines[i])) {
+            const listResult = parseDefinitionList(lines, start, i, options);
+            blocks.push(place(listResult.node, start, listResult.nextIndex - 1));
+            i = listResult.nextIndex;
+            continue;
+        }
+
+        if (setext) {
+            const [content, attributes] = takeAttributes(paragraphLines.join('\n'), options);
+            const node = { type: 'heading', level: setext[1][0] === '=' ? 1 : 2, children: parseInline(content, inlineAt(start, i - 1)) };
+            if (attributes) node.attributes = attributes;
+            blocks.push(place(node, start, i));
+            i++;
+            continue;
         }
+        const children = parseInline(paragraphLines.join('\n'), inlineAt(start, i - 1));
+        blocks.push(place({ type: 'paragraph', children }, start, i - 1));
     }
 
+    guard.depth--;
     return blocks;
 }
 
+/**
+ * Check whether lines[i] starts a block, ending any open paragraph
+ */
+function startsBlock(lines, i, options) {
+    const line = lines[i];
+    if (options.abbreviations && ABBREVIATION_RE.test(line)) return true;
+    if (FENCE_RE.test(line)) return true;
+    if (/^#{1,6}\s/.test(line)) return true;
+    if (/^---+\s*$/.test(line) || /^\*\*\*+\s*$/.test(line) || /^___+\s*$/.test(line)) return true;
+    if (line.startsWith('>')) return true;
+    if (LIST_ITEM_RE.test(line)) return true;
+    if (line.includes('|') && i + 1 < lines.length && /^\|?[\s\-:|]+\|?$/.test(lines[i + 1])) return true;
+    return DEFINITION_RE.test(line) || FOOTNOTE_RE.test(line);
+}
+
+/**
+ * Parse a definition list (definition_lists option): the paragraph lines
+ * start..descIndex-1 are terms, and each ': ' line after them is a
+ * definition, with indented continuation lines.  After a blank line,
+ * further terms followed by a ': ' line (or just ': ' lines) continue
+ * the list.
+ */
+function parseDefinitionList(lines, start, descIndex, options) {
+    const offsets = options.lineOffsets;
+    const children = [];
+
+    // A node of inline content from lines[first..last], each read from
+    // its first non-blank character (past the ': ' on a definition line)
+    const inlineNode = (type, first, last, column) => {
+        const starts = [];
+        let text = '';
+        for (let k = first; k <= last; k++) {
+            const from = k === first ? column : lines[k].length - lines[k].trimStart().length;
+            if (k > first) text += '\n';
+            if (options.source_map) starts.push([text.length, offsets[k] + from]);
+            text += lines[k].slice(from).trimEnd();
+        }
+        const inlineOptions = options.source_map ? {
+            ...options,
+            sourceAt: (index) => {
+                let p = starts.length - 1;
+                while (starts[p][0] > index) p--;
+                return starts[p][1] + index - starts[p][0];
+            }
+        } : options;
+        const node = { type, children: parseInline(text, inlineOptions) };
+        if (options.source_map) {
+            setPosition(node, offsets[first], offsets[last] + lines[last].length, options);
+        }
+        return node;
+    };
+
+    let termStart = start;
+    let i = descIndex;
+    for (;;) {
+        for (let k = termStart; k < i; k++) {
+            children.push(inlineNode('definition_term', k, k, lines[k].length - lines[k].trimStart().length));
+        }
+        while (i < lines.length && DESCRIPTION_RE.test(lines[i])) {
+            const first = i;
+            while (i + 1 < lines.length && DESCRIPTION_CONT_RE.test(lines[i + 1])) i++;
+            children.push(inlineNode('definition_description', first, i, lines[first].match(DESCRIPTION_RE)[0].length));
+            i++;
+        }
+        // Terms (or more definitions) after a blank line, up to the next
+        // ': ' line
+        if (i + 1 >= lines.length || lines[i].trim() !== '') break;
+        let next = i + 1;
+        while (next < lines.length && lines[next].trim() !== '' && !DESCRIPTION_RE.test(lines[next])
+            && !startsBlock(lines, next, options)) next++;
+        if (next >= lines.length || !DESCRIPTION_RE.test(lines[next])) break;
+        termStart = i + 1;
+        i = next;
+    }
+
+    return { node: { type: 'definition_list', children }, nextIndex: i };
+}
+
 /**
  * Try to parse a table starting at the given line
  */
 function tryParseTable(lines, startIndex, options) {
+    const guard = options.guard;
     // Need at least 2 lines (header + separator)
     if (startIndex + 1 >= lines.length) return null;
 
@@ -178,9 +596,9 @@ function tryParseTable(lines, startIndex, options) {
         return null;
     }
 
-    // Parse header
+    // Parse header; a header past limits.maxTableCells is no table
     const headerCells = parseTableRow(headerLine);
-    if (headerCells.length === 0) return null;
+    if (!guard.take('maxTableCells', headerCells.length)) return null;
 
     // Parse alignments from separator
     const separatorCells = parseTableRow(separatorLine);
@@ -191,18 +609,31 @@ function tryParseTable(lines, startIndex, options) {
         return 'left';
     });
 
+    // Parse the cells of a row with inline formatting
+    const parseCells = (index) => {
+        const row = lines[index];
+        let column = row.length - row.trimStart().length + (row.trim().startsWith('|') ? 1 : 0);
+        return parseTableRow(row).map(cell => {
+            const cellOptions = options.source_map
+                ? shiftSource({ ...options, sourceAt: lineSource(lines, options.lineOffsets, index, index) },
+                    column + cell.length - cell.trimStart().length)
+                : options;
+            column += cell.length + 1;
+            return parseInline(cell.trim(), cellOptions);
+        });
+    };
+
     // Parse headers with inline formatting
-    const headers = headerCells.map(cell => parseInline(cell.trim(), options));
+    const headers = parseCells(startIndex);
 
-    // Parse body rows
+    // Parse body rows, dropping those past limits.maxTableCells
     const rows = [];
     let i = startIndex + 2;
     while (i < lines.length) {
         const rowLine = lines[i];
         if (!rowLine.includes('|') || rowLine.trim() === '') break;
 
-        const cells = parseTableRow(rowLine);
-        rows.push(cells.map(cell => parseInline(cell.trim(), options)));
+        if (guard.take('maxTableCells', parseTableRow(rowLine).length)) rows.push(parseCells(i));
         i++;
     }
 
@@ -229,66 +660,46 @@ function parseTableRow(line) {
 }
 
 /**
- * Parse a list starting at the given line
+ * Parse a list starting at the given line.
+ *
+ * Each item takes its marker line plus every following line that
+ * belongs to it: lines indented past the list's marker column (nested
+ * lists, further paragraphs, code fences, blockquotes), lazy paragraph
+ * continuation lines, and blank lines followed by more indented
+ * content.  That body is parsed as blocks.  A tight item whose body is
+ * a paragraph plus nested lists keeps the paragraph's inline nodes as
+ * its children; otherwise the children are the blocks themselves.
+ * Blank lines between items or between an item's blocks mark the list
+ * `loose`.  Items past limits.maxListItems end the list; null when
+ * there is no room for its first item.
  */
 function parseList(lines, startIndex, options) {
+    const guard = options.guard;
     const items = [];
+    const offsets = options.lineOffsets;
     let i = startIndex;
-    let loopCount = 0;
+    let loose = false;
 
     // Determine initial list type
-    const firstMatch = lines[i].match(/^(\s*)([*\-+]|\d+\.)\s+(.*)$/);
+    const firstMatch = lines[i].match(LIST_ITEM_RE);
     const isOrdered = /^\d+\./.test(firstMatch[2]);
     const baseIndent = firstMatch[1].length;
+    const indentOf = (line) => line.search(/\S/);
 
-    while (i < lines.length && loopCount < MAX_LOOP_ITERATIONS) {
-        loopCount++;
+    while (i < lines.length) {
+        guard.tick();
         const line = lines[i];
-        const match = line.match(/^(\s*)([*\-+]|\d+\.)\s+(.*)$/);
+        const match = line.match(LIST_ITEM_RE);
 
         if (!match) break;
 
         const [, indent, marker, content] = match;
-        const indentLevel = indent.length;
-
-        // If less indented than base, stop
-        if (indentLevel < baseIndent) break;
-
-        // If same indentation but different list type, stop
-        const itemIsOrdered = /^\d+\./.test(marker);
-        if (indentLevel === baseIndent && itemIsOrdered !== isOrdered) break;
-
-        // If more indented, it's a nested list - handle by collecting sub-lines
-        if (indentLevel > baseIndent) {
-            // This is a nested list item, collect and parse as sublist
-            const subLines = [];
-            let subLoopCount = 0;
-            while (i < lines.length && subLoopCount < MAX_LOOP_ITERATIONS) {
-                subLoopCount++;
-                const subLine = lines[i];
-                const subMatch = subLine.match(/^(\s*)([*\-+]|\d+\.)\s+/);
-                if (!subMatch) break;
-                if (subMatch[1].length < baseIndent) break;
-                if (subMatch[1].length === baseIndent) break;
-                subLines.push(subLine);
-                i++;
-            }
 
-            if (subLines.length > 0 && items.length > 0) {
-                // Add nested list to last item
-                const nestedResult = parseList(subLines, 0, options);
-                const lastItem = items[items.length - 1];
-                if (!lastItem.children) {
-                    lastItem.children = [];
-                } else if (!Array.isArray(lastItem.children)) {
-                    lastItem.children = [{ type: 'paragraph', children: lastItem.children }];
-                }
-                lastItem.children.push(nestedResult.node);
-            }
-            continue;
-        }
+        // A different indentation or list type ends this list
+        if (indent.length !== baseIndent) break;
+        if (/^\d+\./.test(marker) !== isOrdered) break;
+        if (!guard.take('maxListItems')) break;
 
-        // Parse list item
         const itemNode = {
             type: 'list_item',
             checked: null,
@@ -297,27 +708,106 @@ function parseList(lines, startIndex, options) {
 
         // Check for task list syntax
         const taskMatch = content.match(/^\[([x ])\]\s*(.*)$/i);
+        const itemText = taskMatch && !isOrdered ? taskMatch[2] : content;
         if (taskMatch && !isOrdered) {
             itemNode.checked = taskMatch[1].toLowerCase() === 'x';
-            itemNode.children = parseInline(taskMatch[2], options);
-        } else {
-            itemNode.children = parseInline(content, options);
         }
 
-        items.push(itemNode);
+        // Collect the item's body, dropping up to the content column of
+        // indentation from continuation lines
+        const start = i;
+        const contentIndent = line.length - content.length;
+        const body = [itemText];
+        const bodyOffsets = options.source_map ? [offsets[i] + line.length - itemText.length] : null;
+        const addLine = (text, index) => {
+            body.push(text);
+            if (bodyOffsets) bodyOffsets.push(offsets[index] + lines[index].length - text.length);
+        };
+        let spread = false;
+        let inFence = false;
         i++;
+        while (i < lines.length) {
+            const next = lines[i];
+            const nextIndent = indentOf(next);
+            if (nextIndent === -1) {
+                // Blank lines stay in the item only if indented content follows
+                let j = i + 1;
+                while (j < lines.length && indentOf(lines[j]) === -1) j++;
+                if (j === lines.length || indentOf(lines[j]) <= baseIndent) break;
+                // Outside code, a blank before something other than a
+                // nested list item separates two of the item's blocks
+                if (!inFence && !LIST_ITEM_RE.test(lines[j])) spread = true;
+                for (; i < j; i++) addLine('', i);
+                continue;
+            }
+            if (nextIndent > baseIndent || inFence) {
+                addLine(next.slice(Math.min(nextIndent, contentIndent)), i);
+            } else if (body[body.length - 1] !== '' && !startsBlock(lines, i, options)) {
+                // Lazy continuation of the item's paragraph
+                addLine(next.slice(nextIndent), i);
+            } else {
+                break;
+            }
+            // Only a line whose text starts with ` or ~ can be a fence; testing
+            // just those keeps deep nests from rescanning every indent
+            if ('`~'.includes(next[nextIndent]) && FENCE_RE.test(body[body.length - 1])) inFence = !inFence;
+            i++;
+        }
+
+        // Blank lines between this item and the next make the list loose
+        let j = i;
+        while (j < lines.length && indentOf(lines[j]) === -1) j++;
+        if (j > i && j < lines.length) {
+            const nextMatch = lines[j].match(LIST_ITEM_RE);
+            if (nextMatch && nextMatch[1].length === baseIndent && /^\d+\./.test(nextMatch[2]) === isOrdered) {
+                loose = true;
+                i = j;
+            }
+        }
+        if (spread) loose = true;
+
+        const blocks = parseBlocks(body, { ...options, lineOffsets: bodyOffsets });
+        itemNode.children = blocks;
+        if (options.source_map) {
+            const last = start + body.length - 1;
+            setPosition(itemNode, offsets[start] + baseIndent, offsets[last] + lines[last].length, options);
+        }
+        items.push(itemNode);
     }
 
-    return {
-        node: {
-            type: 'list',
-            ordered: isOrdered,
-            items
-        },
-        nextIndex: i
+    if (!items.length) return null;
+
+    // Tight items that are just text (plus nested lists) hold the
+    // text's inline nodes directly
+    if (!loose) {
+        for (const item of items) {
+            const [first, ...rest] = item.children;
+            if (first && first.type === 'paragraph' && rest.every(block => block.type === 'list')) {
+                item.children = [...first.children, ...rest];
+            }
+        }
+    }
+
+    const node = {
+        type: 'list',
+        ordered: isOrdered,
+        items
     };
+    if (loose) node.loose = true;
+    return { node, nextIndex: i };
 }
 
+/**
+ * Opt-in inline formats, as in quikdown.js: [option, node type, pattern,
+ * a character that may not come just before]
+ */
+const INLINE_FORMATS = [
+    ['highlight', 'mark', /^==(?=\S)(.+?)(?<=\S)==/],
+    ['insert', 'ins', /^\+\+(?=\S)(.+?)(?<=\S)\+\+/],
+    ['superscript', 'sup', /^\^([^\s^]+)\^/, '['],
+    ['subscript', 'sub', /^~([^\s~]+)~(?!~)/, '~']
+];
+
 /**
  * Parse inline elements
  */
@@ -327,7 +817,63 @@ function parseInline(text, options) {
     const nodes = [];
     let remaining = text;
 
+    // Position a node spanning text[start..end) when source_map is on
+    const at = (node, start, end) => {
+        if (options.source_map) {
+            setPosition(node, options.sourceAt(start), options.sourceAt(end), options);
+        }
+        return node;
+    };
+
+    // Text nodes for text[start..end), with known abbreviations
+    // (abbreviations option) wrapped as they occur
+    const pushPlain = (start, end) => {
+        const pattern = options.abbreviationPattern;
+        let from = start;
+        if (pattern) {
+            pattern.lastIndex = start;
+            let m;
+            while ((m = pattern.exec(text)) && m.index + m[0].length <= end) {
+                const termEnd = m.index + m[0].length;
+                if (m.index > from) nodes.push(at({ type: 'text', value: text.slice(from, m.index) }, from, m.index));
+                nodes.push(at({
+                    type: 'abbreviation',
+                    title: options.abbreviationDefs[m[0]],
+                    children: [at({ type: 'text', value: m[0] }, m.index, termEnd)]
+                }, m.index, termEnd));
+                from = termEnd;
+            }
+        }
+        if (from < end) nodes.push(at({ type: 'text', value: text.slice(from, end) }, from, end));
+    };
+
+    // An autolink node for text[start..end) showing `value`
+    const pushAutolink = (start, end, url, value, title) => {
+        const width = (end - start - value.length) / 2;
+        const node = { type: 'link', url, autolink: true, children: [at({ type: 'text', value }, start + width, end - width)] };
+        if (title) node.title = String(title);
+        nodes.push(at(node, start, end));
+    };
+
+    // Plain text, with the linkify option's matches linked
+    const pushText = (start, end) => {
+        let from = start;
+        if (typeof options.linkify === 'function' && !options.inLink) {
+            for (const match of linkifyMatches(text.slice(start, end), options.linkify)) {
+                const matchStart = start + match.index;
+                const matchEnd = matchStart + String(match.text).length;
+                pushPlain(from, matchStart);
+                pushAutolink(matchStart, matchEnd, String(match.href), String(match.text), match.title);
+                from = matchEnd;
+            }
+        }
+        pushPlain(from, end);
+    };
+
     while (remaining.length > 0) {
+        options.guard.tick();
+        const pos = text.length - remaining.length;
+
         // Line break (1+ trailing spaces or explicit \n after processing)
         // Handle inline line breaks (two spaces at end of line or backslash before newline)
         const brMatch = remaining.match(/^(.+?)(?: {2}|\\\n|\n)/);
@@ -340,45 +886,87 @@ function parseInline(text, options) {
             if (beforeText.endsWith('  ') || beforeText.endsWith('\\')) {
                 const cleanText = beforeText.replace(/\\$/, '').replace(/  +$/, '');
                 if (cleanText) {
-                    nodes.push(...parseInlineContent(cleanText, options));
+                    nodes.push(...parseInlineContent(cleanText, shiftSource(options, pos)));
                 }
-                nodes.push({ type: 'br' });
+                nodes.push(at({ type: 'br' }, pos + cleanText.length, pos + beforeBr + 1));
                 remaining = afterText;
                 continue;
             }
         }
 
-        // Images: ![alt](url)
+        // Images: ![alt](url), then an attribute block with the
+        // attributes option
         const imgMatch = remaining.match(/^!\[([^\]]*)\]\(\s*([^)\s]+)\s*\)/);
         if (imgMatch) {
-            nodes.push({
+            const node = {
                 type: 'image',
                 alt: imgMatch[1],
                 url: imgMatch[2].trim()  // Forgiving: trim whitespace in URL
-            });
-            remaining = remaining.slice(imgMatch[0].length);
+            };
+            const attrs = matchAttributes(remaining.slice(imgMatch[0].length), options);
+            const length = imgMatch[0].length + (attrs ? attrs.length : 0);
+            if (attrs) node.attributes = attrs.attributes;
+            nodes.push(at(node, pos, pos + length));
+            remaining = remaining.slice(length);
             continue;
         }
 
-        // Links: [text](url)
+        // Links: [text](url), then an attribute block as for images
         const linkMatch = remaining.match(/^\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/);
         if (linkMatch) {
-            nodes.push({
+            const node = {
                 type: 'link',
                 url: linkMatch[2].trim(),  // Forgiving: trim whitespace in URL
-                children: parseInlineContent(linkMatch[1], options)
-            });
-            remaining = remaining.slice(linkMatch[0].length);
+                children: parseInlineContent(linkMatch[1], { ...shiftSource(options, pos + 1), inLink: true })
+            };
+            const attrs = matchAttributes(remaining.slice(linkMatch[0].length), options);
+            const length = linkMatch[0].length + (attrs ? attrs.length : 0);
+            if (attrs) node.attributes = attrs.attributes;
+            nodes.push(at(node, pos, pos + length));
+            remaining = remaining.slice(length);
+            continue;
+        }
+
+        // Footnote reference: [^label] (only when the label is defined)
+        const fnMatch = remaining.match(/^\[\^([^\]\s]+)\]/);
+        if (fnMatch && options.footnotes[normalizeLabel(fnMatch[1])]) {
+            nodes.push(at({ type: 'footnote_reference', label: fnMatch[1] }, pos, pos + fnMatch[0].length));
+            remaining = remaining.slice(fnMatch[0].length);
+            continue;
+        }
+
+        // Reference links and images: [text][ref], [text][] and [text]
+        const refNode = matchReference(remaining, shiftSource(options, pos));
+        if (refNode) {
+            nodes.push(at(refNode.node, pos, pos + refNode.length));
+            remaining = remaining.slice(refNode.length);
+            continue;
+        }
+
+        // Backslash escape: ASCII punctuation after '\\' is literal text
+        const escapeMatch = remaining.match(/^\\([!-/:-@[-`{-~])/);
+        if (escapeMatch) {
+            nodes.push(at({ type: 'text', value: escapeMatch[1] }, pos, pos + 2));
+            remaining = remaining.slice(2);
+            continue;
+        }
+
+        // Entity reference: &copy; &#169; &#xA9; (unknown names stay text)
+        const entityMatch = remaining.match(/^&(#\d{1,7}|#[xX][\da-fA-F]{1,6}|[A-Za-z][A-Za-z\d]{1,31});/);
+        const entity = entityMatch && decodeEntity(entityMatch[1]);
+        if (entity) {
+            nodes.push(at({ type: 'text', value: entity }, pos, pos + entityMatch[0].length));
+            remaining = remaining.slice(entityMatch[0].length);
             continue;
         }
 
         // Inline code: `code`
         const codeMatch = remaining.match(/^`([^`]+)`/);
         if (codeMatch) {
-            nodes.push({
+            nodes.push(at({
                 type: 'code',
                 value: codeMatch[1]
-            });
+            }, pos, pos + codeMatch[0].length));
             remaining = remaining.slice(codeMatch[0].length);
             continue;
         }
@@ -386,10 +974,10 @@ function parseInline(text, options) {
         // Bold: **text** or __text__
         const boldMatch = remaining.match(/^(\*\*|__)(.+?)\1/);
         if (boldMatch) {
-            nodes.push({
+            nodes.push(at({
                 type: 'strong',
-                children: parseInlineContent(boldMatch[2], options)
-            });
+                children: parseInlineContent(boldMatch[2], shiftSource(options, pos + 2))
+            }, pos, pos + boldMatch[0].length));
             remaining = remaining.slice(boldMatch[0].length);
             continue;
         }
@@ -397,55 +985,94 @@ function parseInline(text, options) {
         // Strikethrough: ~~text~~
         const strikeMatch = remaining.match(/^~~(.+?)~~/);
         if (strikeMatch) {
-            nodes.push({
+            nodes.push(at({
                 type: 'del',
-                children: parseInlineContent(strikeMatch[1], options)
-            });
+                children: parseInlineContent(strikeMatch[1], shiftSource(options, pos + 2))
+            }, pos, pos + strikeMatch[0].length));
             remaining = remaining.slice(strikeMatch[0].length);
             continue;
         }
 
+        // Highlight, insert, superscript and subscript (opt-in)
+        const previousChar = text[text.length - remaining.length - 1] || '';
+        let formatMatch = null;
+        const format = INLINE_FORMATS.find(([option, , pattern, notAfter]) =>
+            options[option] && previousChar !== notAfter && (formatMatch = remaining.match(pattern)));
+        if (format) {
+            const width = (formatMatch[0].length - formatMatch[1].length) / 2;
+            nodes.push(at({
+                type: format[1],
+                children: parseInlineContent(formatMatch[1], shiftSource(options, pos + width))
+            }, pos, pos + formatMatch[0].length));
+            remaining = remaining.slice(formatMatch[0].length);
+            continue;
+        }
+
+        // Emoji: :shortcode: with an entry in the emoji map
+        const emojiMatch = options.emoji && remaining.match(/^:([\w+-]+):/);
+        if (emojiMatch && Object.prototype.hasOwnProperty.call(options.emoji, emojiMatch[1])) {
+            nodes.push(at({ type: 'emoji', name: emojiMatch[1], value: String(options.emoji[emojiMatch[1]]) }, pos, pos + emojiMatch[0].length));
+            remaining = remaining.slice(emojiMatch[0].length);
+            continue;
+        }
+
         // Italic: *text* or _text_. Single underscores require word boundaries
         // so identifiers like snake_case_variable stay plain text.
-        const previousChar = text[text.length - remaining.length - 1] || '';
         const canOpenUnderscore = !/[A-Za-z0-9_]/.test(previousChar);
         const emMatch = remaining.match(/^\*(?!\*)(.+?)(?<!\*)\*(?!\*)/)
             || (canOpenUnderscore && remaining.match(/^_(?![_\s])(.+?)(?<![\s_])_(?![A-Za-z0-9_])/));
         if (emMatch) {
-            nodes.push({
+            nodes.push(at({
                 type: 'em',
-                children: parseInlineContent(emMatch[1], options)
-            });
+                children: parseInlineContent(emMatch[1], shiftSource(options, pos + 1))
+            }, pos, pos + emMatch[0].length));
             remaining = remaining.slice(emMatch[0].length);
             continue;
         }
 
-        // Autolinks: URLs starting with http:// or https://
-        const urlMatch = remaining.match(/^(https?:\/\/[^\s<>[\]]+)/);
-        if (urlMatch) {
-            nodes.push({
-                type: 'link',
-                url: urlMatch[1],
-                children: [{ type: 'text', value: urlMatch[1] }]
-            });
-            remaining = remaining.slice(urlMatch[0].length);
+        // Autolinks (quikdown_autolink.js), not inside a link's text:
+        // <scheme:…> and <email>, then (GFM autolink extension) bare
+        // http(s):// URLs, www. domains and email addresses
+        const angleMatch = !options.inLink && remaining.match(/^<([^\s<>]+)>/);
+        const angleUrl = angleMatch && angleAutolink(angleMatch[1]);
+        if (angleUrl) {
+            pushAutolink(pos, pos + angleMatch[0].length, angleUrl, angleMatch[1]);
+            remaining = remaining.slice(angleMatch[0].length);
+            continue;
+        }
+        const bare = !options.inLink && !/[\w.+-]/.test(previousChar) && matchAutolink(remaining);
+        if (bare && (bare.href.startsWith('mailto:') || canStartAutolink(previousChar))) {
+            pushAutolink(pos, pos + bare.text.length, bare.href, bare.text);
+            remaining = remaining.slice(bare.text.length);
+            continue;
+        }
+
+        // Mentions, hashtags and references the caller's resolvers know
+        const mentionMatch = !options.inLink && canStartMention(previousChar) && remaining.match(MENTION_RE);
+        const mention = mentionMatch && resolveMention(mentionMatch[0], options);
+        if (mention) {
+            const node = { type: 'mention', kind: mention.kind, token: mention.token, value: mention.label };
+            if (mention.href) node.href = mention.href;
+            if (mention.className) node.className = mention.className;
+            nodes.push(at(node, pos, pos + mention.token.length));
+            remaining = remaining.slice(mention.token.length);
             continue;
         }
 
         // Plain text - consume until next potential inline element or end
         // Find next potential inline marker
-        const nextMarker = remaining.search(/[`*_~![\\n]|https?:\/\//);
+        const nextMarker = remaining.search(options.inlineMarker || INLINE_MARKER);
         if (nextMarker === -1) {
             // No more markers, consume rest as text
-            nodes.push({ type: 'text', value: remaining });
+            pushText(pos, text.length);
             break;
         } else if (nextMarker === 0) {
             // Current char is a marker but didn't match - consume it as text
-            nodes.push({ type: 'text', value: remaining[0] });
+            nodes.push(at({ type: 'text', value: remaining[0] }, pos, pos + 1));
             remaining = remaining.slice(1);
         } else {
             // Consume text up to next marker
-            nodes.push({ type: 'text', value: remaining.slice(0, nextMarker) });
+            pushText(pos, pos + nextMarker);
             remaining = remaining.slice(nextMarker);
         }
     }
@@ -454,6 +1081,34 @@ function parseInline(text, options) {
     return mergeTextNodes(nodes);
 }
 
+/**
+ * Match a full, collapsed or shortcut reference link/image at the start
+ * of `text`.  Only labels that have a definition resolve; the node keeps
+ * the reference so serializers can restore the original syntax.
+ */
+function matchReference(text, options) {
+    if (text[0] !== '[' && text[0] !== '!') return null;
+
+    // eslint-disable-next-line security/detect-unsafe-regex -- linear: bracket-delimited groups
+    const m = text.match(/^(!?)\[([^\]]+)\](?:\[([^\]]*)\])?(?![(:])/);
+    if (!m) return null;
+
+    const [whole, bang, label, ref] = m;
+    const def = options.definitions[normalizeLabel(ref || label)];
+    if (!def) return null;
+
+    const reference = {
+        type: ref === undefined ? 'shortcut' : ref === '' ? 'collapsed' : 'full',
+        label: ref || label
+    };
+    const node = bang
+        ? { type: 'image', alt: label, url: def.url }
+        : { type: 'link', url: def.url, children: parseInlineContent(label, { ...shiftSource(options, 1), inLink: true }) };
+    if (def.title !== undefined) node.title = def.title;
+    node.reference = reference;
+    return { node, length: whole.length };
+}
+
 /**
  * Parse inline content (recursive helper for nested inline elements)
  */
@@ -471,7 +1126,9 @@ function mergeTextNodes(nodes) {
     const merged = [];
     for (const node of nodes) {
         if (node.type === 'text' && merged.length > 0 && merged[merged.length - 1].type === 'text') {
-            merged[merged.length - 1].value += node.value;
+            const previous = merged[merged.length - 1];
+            previous.value += node.value;
+            if (previous.position) previous.position.end = node.position.end;
         } else {
             merged.push(node);
         }
@@ -479,6 +1136,21 @@ function mergeTextNodes(nodes) {
     return merged;
 }
 
+/**
+ * Collect a document's facts (quikdown_inspect.js): headings with ids,
+ * links and images with sanitized and raw URLs, code blocks, task and
+ * table counts, and word/character counts with a reading time.
+ *
+ * @param {string|Object} markdown  Markdown source, or an AST from quikdown_ast
+ * @param {Object} options          quikdown_ast options, the URL policy
+ *                                  options, heading_ids and wordsPerMinute
+ * @returns {Object}                The facts
+ */
+quikdown_ast.inspect = function(markdown, options = {}) {
+    const ast = markdown && typeof markdown === 'object' ? markdown : quikdown_ast(markdown, options);
+    return inspectAst(ast, options);
+};
+
 // Attach version
 quikdown_ast.version = quikdownVersion;
 
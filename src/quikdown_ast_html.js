@@ -7,6 +7,9 @@
  */
 
 import quikdown_ast from './quikdown_ast.js';
+import { sanitizeUrl, linkAttrs } from './quikdown_url.js';
+import { parseYaml } from './quikdown_metadata.js';
+import { urlAttributeKind, mergeAttributes } from './quikdown_attrs.js';
 
 // Version will be injected at build time
 const quikdownVersion = '__QUIKDOWN_VERSION__';
@@ -40,8 +43,28 @@ const QUIKDOWN_STYLES = {
     ul: 'margin:.5em 0;padding-left:2em',
     ol: 'margin:.5em 0;padding-left:2em',
     li: 'margin:.25em 0',
+    dl: 'margin:.5em 0',
+    dt: 'font-weight:600',
+    dd: 'margin:0 0 .5em 2em',
+    abbr: 'text-decoration:underline dotted;cursor:help',
+    mark: 'background:#fff8c5;color:inherit;padding:0 .15em',
+    ins: 'text-decoration:underline',
+    sup: 'font-size:.75em;vertical-align:super;line-height:0',
+    sub: 'font-size:.75em;vertical-align:sub;line-height:0',
+    emoji: 'font-style:normal;font-weight:normal',
+    mention: 'font-weight:600',
     'task-item': 'list-style:none',
-    'task-checkbox': 'margin-right:.5em'
+    'task-checkbox': 'margin-right:.5em',
+    'footnote-ref': 'font-size:.75em;line-height:0',
+    footnotes: 'font-size:.875em;margin-top:2em',
+    'footnote-backref': 'text-decoration:none',
+    callout: 'border-left:4px solid #ddd;border-radius:4px;padding:.5em 1em;margin:1em 0',
+    'callout-title': 'font-weight:600;margin:0 0 .5em',
+    'callout-note': 'border-left-color:#0969da;background:#ddf4ff',
+    'callout-tip': 'border-left-color:#1a7f37;background:#dafbe1',
+    'callout-important': 'border-left-color:#8250df;background:#fbefff',
+    'callout-warning': 'border-left-color:#9a6700;background:#fff8c5',
+    'callout-caution': 'border-left-color:#cf222e;background:#ffebe9'
 };
 
 /**
@@ -79,24 +102,54 @@ function createGetAttr(inline_styles) {
 }
 
 /**
- * Sanitize URLs
+ * Attributes for a link: the policy's rel/target, escaped.
  */
-function sanitizeUrl(url) {
-    if (!url) return '';
-    const trimmedUrl = url.trim();
-    const lowerUrl = trimmedUrl.toLowerCase();
-
-    const dangerousProtocols = ['javascript:', 'vbscript:', 'data:'];
-    for (const protocol of dangerousProtocols) {
-        if (lowerUrl.startsWith(protocol)) {
-            if (protocol === 'data:' && lowerUrl.startsWith('data:image/')) {
-                return trimmedUrl;
-            }
-            return '#';
+function relAttrs(url, options) {
+    return linkAttrs(url, options).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+/**
+ * An element's attributes with those of its attribute block
+ * (node.attributes), sanitized as quikdown sanitizes them: event
+ * handlers are dropped, URLs go through the URL policy, and a target
+ * opening a new tab gets rel="noopener".
+ */
+function withAttributes(base, node, options) {
+    if (!node.attributes || typeof node.attributes !== 'object') return base;
+    const attrs = [];
+    let target = false;
+    Object.keys(node.attributes).forEach(name => {
+        const lower = name.toLowerCase();
+        if (!/^[a-z_][\w.:-]*$/.test(lower) || /^on/.test(lower)) return;
+        let value = String(node.attributes[name]);
+        const urlKind = urlAttributeKind(lower);
+        if (urlKind === 'srcset') {
+            value = value.split(',').map(candidate => {
+                const [url, ...descriptor] = candidate.trim().split(/\s+/);
+                return [sanitizeUrl(url, options, 'image'), ...descriptor].join(' ');
+            }).join(', ');
+        } else if (urlKind) {
+            value = sanitizeUrl(value, options, urlKind);
         }
+        if (lower === 'target' && !/^_(?:self|parent|top)$/i.test(value.trim())) target = true;
+        attrs.push([name, value]);
+    });
+    if (target) {
+        const rel = attrs.find(([name]) => name.toLowerCase() === 'rel');
+        if (!rel) attrs.push(['rel', 'noopener noreferrer']);
+        else if (!/(^|\s)noopener(\s|$)/i.test(rel[1])) rel[1] = `${rel[1]} noopener`.trim();
     }
+    return mergeAttributes(base, attrs.map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join(''));
+}
 
-    return trimmedUrl;
+/**
+ * Let a `renderers` hook replace an element's markup.  The hook gets the
+ * element's parts; returning undefined keeps the default markup.
+ */
+function override(options, name, args, fallback) {
+    const hook = options.renderers && options.renderers[name];
+    const html = typeof hook === 'function' ? hook(...args) : undefined;
+    return html === undefined ? fallback() : String(html);
 }
 
 /**
@@ -152,219 +205,6 @@ function toAst(input, options = {}) {
     return { type: 'document', children: [] };
 }
 
-/**
- * Simple YAML parser for AST format
- * Only handles the subset needed for quikdown AST
- */
-function parseYaml(yaml) {
-    const lines = yaml.split('\n');
-    return parseYamlNode(lines, 0, 0).value;
-}
-
-/**
- * Parse a YAML node starting at given line and indent
- */
-function parseYamlNode(lines, startLine, minIndent) {
-    if (startLine >= lines.length) {
-        return { value: null, nextLine: startLine };
-    }
-
-    const line = lines[startLine];
-    const trimmed = line.trim();
-
-    // Skip empty lines
-    if (trimmed === '') {
-        return parseYamlNode(lines, startLine + 1, minIndent);
-    }
-
-    // Get current indent
-    const indent = line.search(/\S/);
-    if (indent < minIndent && indent >= 0) {
-        return { value: null, nextLine: startLine };
-    }
-
-    // Array item
-    if (trimmed.startsWith('- ')) {
-        return parseYamlArray(lines, startLine, indent);
-    }
-
-    // Empty array
-    if (trimmed === '[]') {
-        return { value: [], nextLine: startLine + 1 };
-    }
-
-    // Empty object
-    if (trimmed === '{}') {
-        return { value: {}, nextLine: startLine + 1 };
-    }
-
-    // Key-value pair
-    const colonIndex = trimmed.indexOf(':');
-    if (colonIndex > 0) {
-        return parseYamlObject(lines, startLine, indent);
-    }
-
-    // Scalar value
-    return { value: parseYamlScalar(trimmed), nextLine: startLine + 1 };
-}
-
-/**
- * Parse YAML array
- */
-function parseYamlArray(lines, startLine, baseIndent) {
-    const items = [];
-    let i = startLine;
-
-    while (i < lines.length) {
-        const line = lines[i];
-        const trimmed = line.trim();
-
-        if (trimmed === '') {
-            i++;
-            continue;
-        }
-
-        const indent = line.search(/\S/);
-        if (indent < baseIndent && indent >= 0) break;
-        if (indent > baseIndent && items.length > 0) {
-            // Continuation of previous item
-            i++;
-            continue;
-        }
-
-        if (!trimmed.startsWith('- ')) break;
-
-        // Parse the item after "- "
-        const itemContent = trimmed.slice(2);
-
-        if (itemContent.includes(':')) {
-            // Object item - parse inline and following properties
-            const obj = {};
-            const colonIdx = itemContent.indexOf(':');
-            const key = itemContent.slice(0, colonIdx).trim();
-            const value = itemContent.slice(colonIdx + 1).trim();
-
-            if (value === '' || value.startsWith('\n')) {
-                // Value on next lines
-                const result = parseYamlNode(lines, i + 1, indent + 2);
-                obj[key] = result.value;
-                i = result.nextLine;
-            } else {
-                obj[key] = parseYamlScalar(value);
-                i++;
-            }
-
-            // Parse remaining properties at same indent
-            while (i < lines.length) {
-                const nextLine = lines[i];
-                const nextTrimmed = nextLine.trim();
-                if (nextTrimmed === '') {
-                    i++;
-                    continue;
-                }
-
-                const nextIndent = nextLine.search(/\S/);
-                if (nextIndent <= baseIndent) break;
-                if (nextTrimmed.startsWith('- ')) break;
-
-                const nextColonIdx = nextTrimmed.indexOf(':');
-                if (nextColonIdx > 0) {
-                    const nextKey = nextTrimmed.slice(0, nextColonIdx).trim();
-                    const nextValue = nextTrimmed.slice(nextColonIdx + 1).trim();
-
-                    if (nextValue === '' || nextValue.startsWith('\n')) {
-                        const result = parseYamlNode(lines, i + 1, nextIndent + 2);
-                        obj[nextKey] = result.value;
-                        i = result.nextLine;
-                    } else {
-                        obj[nextKey] = parseYamlScalar(nextValue);
-                        i++;
-                    }
-                } else {
-                    i++;
-                }
-            }
-
-            items.push(obj);
-        } else {
-            items.push(parseYamlScalar(itemContent));
-            i++;
-        }
-    }
-
-    return { value: items, nextLine: i };
-}
-
-/**
- * Parse YAML object
- */
-function parseYamlObject(lines, startLine, baseIndent) {
-    const obj = {};
-    let i = startLine;
-
-    while (i < lines.length) {
-        const line = lines[i];
-        const trimmed = line.trim();
-
-        if (trimmed === '') {
-            i++;
-            continue;
-        }
-
-        const indent = line.search(/\S/);
-        if (indent < baseIndent && indent >= 0) break;
-
-        const colonIdx = trimmed.indexOf(':');
-        if (colonIdx <= 0) {
-            i++;
-            continue;
-        }
-
-        const key = trimmed.slice(0, colonIdx).trim();
-        const value = trimmed.slice(colonIdx + 1).trim();
-
-        if (value === '' || value === '|' || value === '>') {
-            // Value on next lines
-            const result = parseYamlNode(lines, i + 1, indent + 2);
-            obj[key] = result.value;
-            i = result.nextLine;
-        } else {
-            obj[key] = parseYamlScalar(value);
-            i++;
-        }
-    }
-
-    return { value: obj, nextLine: i };
-}
-
-/**
- * Parse YAML scalar value
- */
-function parseYamlScalar(str) {
-    if (!str) return null;
-
-    const trimmed = str.trim();
-
-    if (trimmed === 'null' || trimmed === '~') return null;
-    if (trimmed === 'true') return true;
-    if (trimmed === 'false') return false;
-
-    // Quoted string
-    if ((trimmed.startsWith('"') && trimmed.endsWith('"')) ||
-        (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
-        return trimmed.slice(1, -1)
-            .replace(/\\n/g, '\n')
-            .replace(/\\"/g, '"')
-            .replace(/\\\\/g, '\\');
-    }
-
-    // Number
-    if (/^-?\d+$/.test(trimmed)) return parseInt(trimmed, 10);
-    if (/^-?\d+\.\d+$/.test(trimmed)) return parseFloat(trimmed);
-
-    return trimmed;
-}
-
 /**
  * Convert AST (or any valid input) to HTML
  * @param {string|Object} input - Markdown, AST, JSON, or YAML
@@ -396,29 +236,61 @@ function renderNode(node, getAttr, options) {
 
     switch (node.type) {
         case 'document':
-            return renderChildren(node.children, getAttr, options);
+            // Footnotes are numbered in order of first reference while the
+            // body renders, then emitted as a section at the end.
+            const footnotes = { defs: {}, order: [] };
+            (Array.isArray(node.children) ? node.children : []).forEach(child => {
+                if (child && child.type === 'footnote_definition') {
+                    const key = normalizeLabel(child.label);
+                    if (!footnotes.defs[key]) footnotes.defs[key] = { node: child, num: 0, refs: 0 };
+                }
+            });
+            const docOptions = { ...options, footnotes };
+            const body = renderChildren(node.children, getAttr, docOptions);
+            return body + renderFootnotes(footnotes, getAttr, docOptions);
 
         case 'paragraph':
             return `<p>${renderChildren(node.children, getAttr, options)}</p>`;
 
         case 'heading':
             const level = node.level || 1;
-            return `<h${level}${getAttr('h' + level)}>${renderChildren(node.children, getAttr, options)}</h${level}>`;
+            const headingHtml = renderChildren(node.children, getAttr, options);
+            const headingId = node.attributes && node.attributes.id !== undefined ? escapeHtml(node.attributes.id) : undefined;
+            return override(options, 'heading', [level, headingHtml, headingId],
+                () => `<h${level}${withAttributes(getAttr('h' + level), node, options)}>${headingHtml}</h${level}>`);
 
         case 'code_block':
             const langClass = !options.inline_styles && node.lang ? ` class="language-${node.lang}"` : '';
             const codeAttr = options.inline_styles ? getAttr('code') : langClass;
-            return `<pre${getAttr('pre')}><code${codeAttr}>${escapeHtml(node.content)}</code></pre>`;
+            return `<pre${withAttributes(getAttr('pre'), node, options)}><code${codeAttr}>${escapeHtml(node.content)}</code></pre>`;
 
         case 'blockquote':
             return `<blockquote${getAttr('blockquote')}>${renderChildren(node.children, getAttr, options)}</blockquote>`;
 
+        case 'callout': {
+            const kind = String(node.kind || 'note').toLowerCase();
+            const calloutAttr = options.inline_styles
+                ? ` style="${[QUIKDOWN_STYLES.callout, QUIKDOWN_STYLES[`callout-${kind}`]].filter(Boolean).join(';')}"`
+                : ` class="${CLASS_PREFIX}callout ${CLASS_PREFIX}callout-${escapeHtml(kind)}"`;
+            const title = node.title
+                ? renderChildren(node.title, getAttr, options)
+                : escapeHtml(kind[0].toUpperCase() + kind.slice(1));
+            return `<div${calloutAttr}><p${getAttr('callout-title')}>${title}</p>${renderChildren(node.children, getAttr, options)}</div>`;
+        }
+
         case 'list':
             const listTag = node.ordered ? 'ol' : 'ul';
-            const items = (node.items || []).map(item => renderNode(item, getAttr, options)).join('');
+            // Items of a tight list render their paragraphs without <p>
+            const itemOptions = { ...options, tight: !node.loose };
+            const items = (node.items || []).map(item => renderNode(item, getAttr, itemOptions)).join('');
             return `<${listTag}${getAttr(listTag)}>${items}</${listTag}>`;
 
-        case 'list_item':
+        case 'list_item': {
+            const content = Array.isArray(node.children)
+                ? node.children.map(child => options.tight && child.type === 'paragraph'
+                    ? renderChildren(child.children, getAttr, options)
+                    : renderNode(child, getAttr, options)).join('')
+                : renderChildren(node.children, getAttr, options);
             // Handle task list items
             if (node.checked !== null && node.checked !== undefined) {
                 const checkboxAttr = options.inline_styles
@@ -428,9 +300,20 @@ function renderNode(node, getAttr, options) {
                 const itemAttr = options.inline_styles
                     ? ' style="list-style:none"'
                     : ` class="${CLASS_PREFIX}task-item"`;
-                return `<li${itemAttr}><input type="checkbox"${checkboxAttr}${checked} disabled> ${renderChildren(node.children, getAttr, options)}</li>`;
+                return `<li${itemAttr}><input type="checkbox"${checkboxAttr}${checked} disabled> ${content}</li>`;
             }
-            return `<li${getAttr('li')}>${renderChildren(node.children, getAttr, options)}</li>`;
+            return `<li${getAttr('li')}>${content}</li>`;
+        }
+
+        case 'definition_list':
+        case 'definition_term':
+        case 'definition_description': {
+            const tag = { definition_list: 'dl', definition_term: 'dt', definition_description: 'dd' }[node.type];
+            return `<${tag}${getAttr(tag)}>${renderChildren(node.children, getAttr, options)}</${tag}>`;
+        }
+
+        case 'abbreviation':
+            return `<abbr${getAttr('abbr')} title="${escapeHtml(node.title)}">${renderChildren(node.children, getAttr, options)}</abbr>`;
 
         case 'table':
             return renderTable(node, getAttr, options);
@@ -450,18 +333,67 @@ function renderNode(node, getAttr, options) {
         case 'del':
             return `<del${getAttr('del')}>${renderChildren(node.children, getAttr, options)}</del>`;
 
+        case 'mark':
+        case 'ins':
+        case 'sup':
+        case 'sub':
+            return `<${node.type}${getAttr(node.type)}>${renderChildren(node.children, getAttr, options)}</${node.type}>`;
+
+        case 'emoji':
+            return `<span${getAttr('emoji')}>${escapeHtml(node.value)}</span>`;
+
+        case 'mention': {
+            const className = node.className ? escapeHtml(node.className) : '';
+            const mentionAttr = !className ? getAttr('mention')
+                : options.inline_styles ? `${getAttr('mention')} class="${className}"` : ` class="${CLASS_PREFIX}mention ${className}"`;
+            const label = escapeHtml(node.value || '');
+            if (!node.href) return `<span${mentionAttr}>${label}</span>`;
+            const mentionUrl = sanitizeUrl(node.href, options, 'link');
+            return `<a${mentionAttr} href="${escapeHtml(mentionUrl)}"${relAttrs(mentionUrl, options)}>${label}</a>`;
+        }
+
         case 'code':
-            return `<code${getAttr('code')}>${escapeHtml(node.value || '')}</code>`;
+            const code = escapeHtml(node.value || '');
+            return override(options, 'code_inline', [code], () => `<code${getAttr('code')}>${code}</code>`);
 
         case 'link':
-            const sanitizedHref = sanitizeUrl(node.url);
-            const isExternal = /^https?:\/\//i.test(sanitizedHref);
-            const rel = isExternal ? ' rel="noopener noreferrer"' : '';
-            return `<a${getAttr('a')} href="${sanitizedHref}"${rel}>${renderChildren(node.children, getAttr, options)}</a>`;
+            const isAutolink = node.autolink || (node.children.length === 1 && node.children[0].value === node.url);
+            const url = sanitizeUrl(node.url, options, isAutolink ? 'autolink' : 'link');
+            const sanitizedHref = escapeHtml(url);
+            const rel = relAttrs(url, options);
+            const linkTitle = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+            const linkHtml = renderChildren(node.children, getAttr, options);
+            return override(options, 'link', [sanitizedHref, linkHtml, node.title ? escapeHtml(node.title) : undefined],
+                () => `<a${withAttributes(`${getAttr('a')} href="${sanitizedHref}"${linkTitle}${rel}`, node, options)}>${linkHtml}</a>`);
 
         case 'image':
-            const sanitizedSrc = sanitizeUrl(node.url);
-            return `<img${getAttr('img')} src="${sanitizedSrc}" alt="${escapeHtml(node.alt || '')}">`;
+            const sanitizedSrc = escapeHtml(sanitizeUrl(node.url, options, 'image'));
+            const imgTitle = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+            const alt = escapeHtml(node.alt || '');
+            return override(options, 'image', [sanitizedSrc, alt, node.title ? escapeHtml(node.title) : undefined],
+                () => `<img${withAttributes(`${getAttr('img')} src="${sanitizedSrc}" alt="${alt}"${imgTitle}`, node, options)}>`);
+
+        case 'definition':
+        case 'abbreviation_definition':
+        case 'footnote_definition':
+        case 'frontmatter':
+            // Link and abbreviation definitions are resolved into their
+            // links and abbreviations; footnote definitions are rendered
+            // in the footnotes section; front matter is metadata, not
+            // content
+            return '';
+
+        case 'footnote_reference':
+            const fnKey = normalizeLabel(node.label || '');
+            const fn = options.footnotes && options.footnotes.defs[fnKey];
+            if (!fn) return escapeHtml(`[^${node.label}]`);
+            if (!fn.num) {
+                options.footnotes.order.push(fnKey);
+                fn.num = options.footnotes.order.length;
+            }
+            fn.refs++;
+            const refId = `fnref-${escapeHtml(fnKey)}${fn.refs > 1 ? `-${fn.refs}` : ''}`;
+            return `<sup${getAttr('footnote-ref')}><a href="#fn-${escapeHtml(fnKey)}" id="${refId}">${fn.num}</a></sup>`;
 
         case 'br':
             return '<br>';
@@ -489,46 +421,85 @@ function renderChildren(children, getAttr, options) {
     return children.map(child => renderNode(child, getAttr, options)).join('');
 }
 
+/**
+ * Normalize a footnote label (case- and whitespace-insensitive)
+ */
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Render the footnotes section for every referenced footnote.
+ * Footnotes referenced only from inside other footnotes are picked up
+ * as the list grows.
+ */
+function renderFootnotes(footnotes, getAttr, options) {
+    if (!footnotes.order.length) return '';
+
+    let items = '';
+    for (let n = 0; n < footnotes.order.length; n++) {
+        const key = footnotes.order[n];
+        const fn = footnotes.defs[key];
+        let content = renderChildren(fn.node.children, getAttr, options);
+        let backrefs = '';
+        for (let r = 1; r <= fn.refs; r++) {
+            backrefs += ` <a href="#fnref-${escapeHtml(key)}${r > 1 ? `-${r}` : ''}"${getAttr('footnote-backref')}>↩</a>`;
+        }
+        content = content.endsWith('</p>') ? content.slice(0, -4) + backrefs + '</p>' : content + backrefs;
+        items += `<li${getAttr('li')} id="fn-${escapeHtml(key)}">${content}</li>`;
+    }
+    return `<section${getAttr('footnotes')}><hr${getAttr('hr')}><ol${getAttr('ol')}>${items}</ol></section>`;
+}
+
 /**
  * Render a table node
  */
 function renderTable(node, getAttr, options) {
     const alignments = node.alignments || [];
+    const header = (node.headers || []).map(cell => renderChildren(cell, getAttr, options));
+    const rows = (node.rows || []).map(row => row.map(cell => renderChildren(cell, getAttr, options)));
 
-    let html = `<table${getAttr('table')}>\n`;
+    return override(options, 'table', [header, rows, alignments], () => {
+        let html = `<table${getAttr('table')}>\n`;
 
-    // Headers
-    if (node.headers && node.headers.length > 0) {
-        html += '<thead>\n<tr>\n';
-        node.headers.forEach((header, i) => {
-            const alignStyle = alignments[i] && alignments[i] !== 'left' ? `text-align:${alignments[i]}` : '';
-            html += `<th${getAttr('th', alignStyle)}>${renderChildren(header, getAttr, options)}</th>\n`;
-        });
-        html += '</tr>\n</thead>\n';
-    }
-
-    // Body
-    if (node.rows && node.rows.length > 0) {
-        html += '<tbody>\n';
-        node.rows.forEach(row => {
-            html += '<tr>\n';
-            row.forEach((cell, i) => {
+        // Headers
+        if (header.length > 0) {
+            html += '<thead>\n<tr>\n';
+            header.forEach((cell, i) => {
                 const alignStyle = alignments[i] && alignments[i] !== 'left' ? `text-align:${alignments[i]}` : '';
-                html += `<td${getAttr('td', alignStyle)}>${renderChildren(cell, getAttr, options)}</td>\n`;
+                html += `<th${getAttr('th', alignStyle)}>${cell}</th>\n`;
             });
-            html += '</tr>\n';
-        });
-        html += '</tbody>\n';
-    }
+            html += '</tr>\n</thead>\n';
+        }
+
+        // Body
+        if (rows.length > 0) {
+            html += '<tbody>\n';
+            rows.forEach(row => {
+                html += '<tr>\n';
+                row.forEach((cell, i) => {
+                    const alignStyle = alignments[i] && alignments[i] !== 'left' ? `text-align:${alignments[i]}` : '';
+                    html += `<td${getAttr('td', alignStyle)}>${cell}</td>\n`;
+                });
+                html += '</tr>\n';
+            });
+            html += '</tbody>\n';
+        }
 
-    html += '</table>';
-    return html;
+        html += '</table>';
+        return html;
+    });
 }
 
 // Expose helper functions
 quikdown_ast_html.toAst = toAst;
 quikdown_ast_html.renderAst = renderAst;
 
+// Facts about any input toAst accepts (quikdown_ast.inspect)
+quikdown_ast_html.inspect = function(input, options = {}) {
+    return quikdown_ast.inspect(toAst(input, options), options);
+};
+
 // Attach version
 quikdown_ast_html.version = quikdownVersion;
 
@@ -0,0 +1,26 @@
+/**
+ * quikdown_attributes — Attribute blocks
+ * ══════════════════════════════════════
+ *
+ * kramdown/Pandoc-style {#id .class key=val} blocks after headings,
+ * links, images and fence info strings, for the `attributes` option.
+ * The core parser sanitizes the attributes like whitelisted HTML; this
+ * plugin reads the blocks (quikdown_attrs.js).  A plugin of its own, so
+ * the core parser stays small for callers who don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_attributes from 'quikdown/attributes';
+ *   quikdown.use(quikdown_attributes);
+ *   quikdown('# Intro {#start .lead}', { attributes: true });
+ */
+
+import { splitAttributeBlock, parseAttributes, mergeAttributes } from './quikdown_attrs.js';
+
+const quikdown_attributes = {
+    name: 'attributes',
+    setup: ({ options }) => options.attributes
+        ? { attributes: { split: splitAttributeBlock, parse: parseAttributes, merge: mergeAttributes } }
+        : null
+};
+
+export default quikdown_attributes;
@@ -0,0 +1,113 @@
+/**
+ * quikdown_attrs — Attribute blocks
+ * ═════════════════════════════════
+ *
+ * kramdown/Pandoc-style attribute blocks give an element an id,
+ * classes and further attributes:
+ *
+ *   # Heading {#intro .lead}
+ *   ![Logo](logo.png){width=120 .right}
+ *   ```js {#example data-line="2"}
+ *
+ * The attributes plugin (quikdown_attributes.js) and quikdown_ast read
+ * them with the `attributes` option; quikdown.js runs the result through
+ * its HTML attribute sanitizer and quikdown_ast_html applies the same
+ * rules.
+ */
+
+/**
+ * Attributes whose values need URL sanitization, with the kind of URL
+ * they hold: 'srcset' values are lists of image candidates, each checked.
+ */
+export const URL_ATTRIBUTES = {
+    href: 'link', 'xlink:href': 'link', action: 'link', formaction: 'link', cite: 'link',
+    background: 'link', data: 'link', longdesc: 'link',
+    src: 'image', poster: 'image', srcset: 'srcset', imagesrcset: 'srcset'
+};
+
+/**
+ * The kind of URL an attribute holds (see URL_ATTRIBUTES).
+ *
+ * @param {string} name  Attribute name, lowercase
+ * @returns {string|undefined} 'link', 'image' or 'srcset'; undefined
+ *                             when the value isn't a URL
+ */
+export function urlAttributeKind(name) {
+    return Object.prototype.hasOwnProperty.call(URL_ATTRIBUTES, name) ? URL_ATTRIBUTES[name] : undefined;
+}
+
+/**
+ * Split a trailing `{…}` block off heading text or a fence info
+ * string.  Whitespace must separate it from the text before.
+ *
+ * @param {string} text  Heading text or fence info string
+ * @returns {Array|null} [text before, block inside], or null
+ */
+export function splitAttributeBlock(text) {
+    const trimmed = text.trimEnd();
+    if (!trimmed.endsWith('}')) return null;
+    const open = trimmed.lastIndexOf('{');
+    if (open < 0 || (open > 0 && !/\s/.test(trimmed[open - 1]))) return null;
+    return [trimmed.slice(0, open).trimEnd(), trimmed.slice(open + 1, -1)];
+}
+
+/**
+ * Read the inside of an attribute block — `#id`, `.class` and
+ * `key=value` entries (values may be "quoted" or 'quoted'), separated
+ * by whitespace.  Classes accumulate; otherwise the last entry wins.
+ *
+ * @param {string} text  Block inside, without the braces
+ * @returns {Object|null} { id, class, key: value, … }, or null when the
+ *                        text isn't an attribute block
+ */
+export function parseAttributes(text) {
+    const attrs = {};
+    const classes = [];
+    let i = 0;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+        const rest = text.slice(i);
+        const name = rest.match(/^[#.]([\w:-]+)/);
+        if (name) {
+            if (rest[0] === '#') attrs.id = name[1];
+            else classes.push(name[1]);
+            i += name[0].length;
+            continue;
+        }
+        const pair = rest.match(/^([a-zA-Z_][\w.:-]*)=(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/);
+        if (!pair) return null;
+        attrs[pair[1]] = pair[2] !== undefined ? pair[2] : pair[3] !== undefined ? pair[3] : pair[4];
+        i += pair[0].length;
+    }
+    if (classes.length) attrs.class = [attrs.class, ...classes].filter(Boolean).join(' ');
+    return Object.keys(attrs).length ? attrs : null;
+}
+
+/**
+ * Add attributes to an element's own attribute string.  An attribute
+ * the element already has is combined rather than repeated: class and
+ * rel tokens are joined, style declarations appended, and any other
+ * value is replaced.
+ *
+ * @param {string} base   The element's attributes (` class="…"`)
+ * @param {string} extra  Attributes to add, escaped (` id="…" class="…"`)
+ * @returns {string}      Combined attribute string
+ */
+export function mergeAttributes(base, extra) {
+    let merged = base;
+    extra = extra.replace(/ ([\w.:-]+)="([^"]*)"/g, (attr, name, value) => {
+        let found = false;
+        merged = merged.replace(/ ([\w.:-]+)="([^"]*)"/g, (own, ownName, ownValue) => {
+            if (ownName !== name) return own;
+            found = true;
+            if (name === 'style') return ` style="${ownValue};${value}"`;
+            if (name !== 'class' && name !== 'rel') return attr;
+            return ` ${name}="${[...new Set(`${ownValue} ${value}`.split(/\s+/))].join(' ')}"`;
+        });
+        return found ? '' : attr;
+    });
+    return merged + extra;
+}
@@ -0,0 +1,174 @@
+/**
+ * quikdown_autolink — Extended autolinks
+ * ═══════════════════════════════════════
+ *
+ * GitHub's autolink extension: where a bare http(s):// URL, www. domain
+ * or email address starts and ends and what it links to, plus <…>
+ * autolinks, the linkify option's matches and @mention, #hashtag and
+ * #123 tokens.  Used by the main parser (quikdown.js) and quikdown_ast
+ * on plain text, so both find the same links.
+ */
+
+/** Schemes for <scheme:…> autolinks: a letter, then 1-31 more */
+const SCHEME_RE = /^[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*$/;
+
+/** <email> autolinks: the address characters CommonMark allows */
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: '.'-separated labels
+const ANGLE_EMAIL_RE = /^[\w.!#$%&'*+/=?^`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+
+/** Bare email addresses, with an optional mailto: in front */
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: '.'-separated labels
+const EMAIL_RE = /^(mailto:)?[\w.+-]+@[\w-]+(?:\.[\w-]+)+/i;
+
+/** @name, #tag and #123 tokens: word characters, with '.' and '-' inside */
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: nothing follows the optional tail
+export const MENTION_RE = /^[@#]\w(?:[\w.-]*\w)?/;
+
+/** The option holding the resolver for each kind of token */
+const MENTION_OPTIONS = { mention: 'mentions', hashtag: 'hashtags', reference: 'references' };
+
+/**
+ * Whether a bare URL or www. domain may start after `before`, the
+ * character in front of it ('' at the start of the text): whitespace,
+ * an opening parenthesis, a quote or an emphasis marker.
+ *
+ * @param {string} before  Preceding character, or ''
+ * @returns {boolean}
+ */
+export function canStartAutolink(before) {
+    return before === '' || /[\s(*_~"']/.test(before);
+}
+
+/**
+ * The href for the inside of a <…> autolink: the URL itself for an
+ * absolute URI, mailto: for an email address, or null when it is
+ * neither (so the brackets stay text).
+ *
+ * @param {string} inner  Text between < and >
+ * @returns {string|null}
+ */
+export function angleAutolink(inner) {
+    if (SCHEME_RE.test(inner)) return inner;
+    return ANGLE_EMAIL_RE.test(inner) ? `mailto:${inner}` : null;
+}
+
+/**
+ * Trim what GitHub leaves out of the end of an extended autolink:
+ * trailing ? ! . , : * _ ~ and quotes, a ')' without a '(' to match,
+ * and an entity-like &name; suffix.
+ *
+ * @param {string} url  Candidate URL, up to whitespace or < >
+ * @returns {string}    The part that is linked
+ */
+export function trimAutolink(url) {
+    let end = url.length;
+    let unmatched = url.split(')').length - url.split('(').length;
+    while (end > 0) {
+        const last = url[end - 1];
+        if (/[?!.,:*_~'"]/.test(last)) {
+            end--;
+        } else if (last === ')' && unmatched > 0) {
+            end--;
+            unmatched--;
+        } else {
+            const entity = last === ';' && url.slice(0, end).match(/&#?[A-Za-z0-9]+;$/);
+            if (!entity) break;
+            end -= entity[0].length;
+        }
+    }
+    return url.slice(0, end);
+}
+
+/**
+ * Whether a www. link's host is a valid domain: '.'-separated labels
+ * of letters, digits, '_' and '-', no '_' in the last two.
+ */
+function validDomain(host) {
+    const labels = host.split('.');
+    return labels.length > 1 && labels.every(label => /^[\w-]+$/.test(label)) && !labels.slice(-2).join('').includes('_');
+}
+
+/**
+ * The bare autolink at the start of `text`: an http(s):// URL, a www.
+ * domain (linked as http://) or an email address (linked as mailto:).
+ * Whether one may start here at all is the caller's to check.
+ *
+ * @param {string} text  Plain text from where the link would start
+ * @returns {Object|null} { text, href } — the linked text and its URL
+ */
+export function matchAutolink(text) {
+    const email = text.match(EMAIL_RE);
+    if (email) {
+        // An address ending in '-' or '_' is no address at all
+        if (/[-_]$/.test(email[0])) return null;
+        return { text: email[0], href: email[1] ? email[0] : `mailto:${email[0]}` };
+    }
+    const candidate = text.match(/^(?:https?:\/\/|www\.)[^\s<>]*/i);
+    if (!candidate) return null;
+    const link = trimAutolink(candidate[0]);
+    const www = /^www\./i.test(candidate[0]);
+    const host = link.replace(/^https?:\/\//i, '').match(/^[^/?#:]*/)[0];
+    if (www ? !validDomain(host) : !host) return null;
+    return { text: link, href: www ? `http://${link}` : link };
+}
+
+/**
+ * The linkify option's links in a run of plain text.  The callback
+ * gets the text and returns matches — { index, text, href, title? } —
+ * for the patterns it knows (ticket ids, user names...).  Matches
+ * that don't fit the text, overlap an earlier one or have no href are
+ * dropped.
+ *
+ * @param {string}   text     Plain text
+ * @param {Function} linkify  (text) → [{ index, text, href, title? }]
+ * @returns {Array}           Matches in order
+ */
+export function linkifyMatches(text, linkify) {
+    const found = linkify(text);
+    if (!Array.isArray(found)) return [];
+    const matches = [];
+    let from = 0;
+    for (const match of [...found].sort((a, b) => (a && a.index) - (b && b.index))) {
+        if (!match || typeof match.text !== 'string' || !match.text || !match.href || !(match.index >= from) || !text.startsWith(match.text, match.index)) continue;
+        matches.push(match);
+        from = match.index + match.text.length;
+    }
+    return matches;
+}
+
+/**
+ * Whether an @mention, #hashtag or #123 reference may start after
+ * `before` ('' at the start of the text): not inside a word, an email
+ * address, a path or an entity.
+ *
+ * @param {string} before  Preceding character, or ''
+ * @returns {boolean}
+ */
+export function canStartMention(before) {
+    return !/[\w&@#/.+-]/.test(before);
+}
+
+/**
+ * An @mention, #hashtag or #123 reference token (one MENTION_RE
+ * matched) as the mentions, hashtags or references option resolves it.
+ * The resolver gets the name without its sigil and the kind, and
+ * returns { href, label, className } or null to leave the token as text.
+ *
+ * @param {string} token    The token, sigil included
+ * @param {Object} options  Parser options holding the resolvers
+ * @returns {Object|null}   { token, kind, href, label, className }
+ */
+export function resolveMention(token, options) {
+    const name = token.slice(1);
+    const kind = token[0] === '@' ? 'mention' : /^\d+$/.test(name) ? 'reference' : 'hashtag';
+    const resolve = options[MENTION_OPTIONS[kind]];
+    const found = typeof resolve === 'function' && resolve(name, kind);
+    if (!found || typeof found !== 'object') return null;
+    return {
+        token,
+        kind,
+        href: found.href ? String(found.href) : '',
+        label: found.label === undefined || found.label === null ? token : String(found.label),
+        className: found.className ? String(found.className) : ''
+    };
+}
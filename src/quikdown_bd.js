@@ -7,6 +7,8 @@
  */
 
 import quikdown from './quikdown.js';
+import { toTrustedHtml, isTrustedHtml } from './quikdown_trusted.js';
+import { createGuard } from './quikdown_limits.js';
 
 /**
  * Create bidirectional version by extending quikdown
@@ -27,38 +29,127 @@ Object.keys(quikdown).forEach(key => {
 
 // Add the toMarkdown method for HTML→Markdown conversion
 quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
-    // Accept either HTML string or DOM element
+    // Resource limits (quikdown_limits.js): an HTML string past
+    // maxInputLength is cut off (before any tag the cut would split), and
+    // HTML nested past maxNestingDepth or
+    // running out of timeBudgetMs gives back its text content
+    const guard = createGuard(options.limits, options.onLimit);
+
+    // Accept an HTML string, TrustedHTML or a DOM element.  Strings go
+    // through the trusted_types policy for pages enforcing Trusted Types.
     let container;
-    if (typeof htmlOrElement === 'string') {
+    if (typeof htmlOrElement === 'string' || isTrustedHtml(htmlOrElement)) {
         container = document.createElement('div');
-        container.innerHTML = htmlOrElement;
+        container.innerHTML = typeof htmlOrElement === 'string'
+            ? toTrustedHtml(htmlOrElement.slice(0, guard.clamp('maxInputLength', htmlOrElement.length))
+                .replace(/<[^>]*$/, ''), options.trusted_types)
+            : htmlOrElement;
     } else if (htmlOrElement instanceof Element) {
         /* istanbul ignore next - browser-only code path, not testable in jsdom */
         container = htmlOrElement;
     } else {
         return '';
     }
+
+    // Whether the elements below `node`, at `depth`, stay within
+    // maxNestingDepth (checked before the walk, which recurses)
+    const fitsDepth = (node, depth) => Array.from(node.children)
+        .every(child => guard.fits('maxNestingDepth', depth + 1) && fitsDepth(child, depth + 1));
+    if (!fitsDepth(container, 0)) return container.textContent.trim();
+    
+    // Reference-style links/images seen during the walk: label → definition
+    // line.  They are re-emitted after the body so the document keeps its
+    // reference style.
+    const linkDefs = {};
+    // Abbreviations seen during the walk: term → definition line, also
+    // re-emitted after the body
+    const abbrDefs = {};
+    // Front matter, kept verbatim in a hidden marker element
+    let frontMatter = '';
+    const extensions = quikdown.extensions.concat(options.extensions || []);
+    function addLinkDef(node, label, url) {
+        const key = label.trim().replace(/\s+/g, ' ').toLowerCase();
+        if (key in linkDefs) return;
+        const title = node.getAttribute('title');
+        const titleStr = !title ? '' : title.includes('"') ? ` (${title})` : ` "${title}"`;
+        linkDefs[key] = `[${label}]: ${url}${titleStr}`;
+    }
     
+    // Text as markdown: characters that would parse as syntax get a
+    // backslash, so the output renders back to the same text.  Code is
+    // literal already; line-start markers (#, >, -, 1., underlines) only
+    // count where the text starts its block or a new line.
+    function escapeText(node) {
+        // In a table cell '|' would end the cell, code or not (code
+        // keeps its backslashes, so an escaped pipe there stays as is)
+        const cell = node.parentNode.closest('td, th');
+        const pipes = (text, unescaped) => cell ? text.replace(unescaped ? /(?<!\\)\|/g : /\|/g, '\\|') : text;
+        const text = node.textContent;
+        if (node.parentNode.closest('code, pre')) return pipes(text, true);
+        // '_' opens emphasis before a non-space outside a word, and closes
+        // it after a non-space where no word goes on (snake_case is text)
+        const isEmphasis = (at) => {
+            const before = text[at - 1] || ' ';
+            const after = text[at + 1] || ' ';
+            return (!/[A-Za-z0-9]/.test(before) && /\S/.test(after)) || (/\S/.test(before) && !/[A-Za-z0-9]/.test(after));
+        };
+        return pipes(text
+            .replace(/\\(?=[!-/:-@[-`{-~])|[*`_]|\[(?=[^\]]*\][([])|~(?=~)|&(?=#?\w+;)/g,
+                (m, at) => m === '_' && !isEmphasis(at) ? m : `\\${m}`)
+            .split('\n')
+            .map((line, n) => n === 0 && node.previousSibling ? line : line
+                .replace(/^(\s*)(#{1,6}(?=\s|$)|>|[-=](?=[-=\s]*$)|[-+](?=\s))/, '$1\\$2')
+                .replace(/^(\s*\d+)\.(?=\s)/, '$1\\.'))
+            .join('\n'));
+    }
+
     // Walk the DOM tree and reconstruct markdown
     function walkNode(node, parentContext = {}) {
         if (node.nodeType === Node.TEXT_NODE) {
             // Return text content, preserving whitespace where needed
-            return node.textContent;
+            return escapeText(node);
         }
         
         if (node.nodeType !== Node.ELEMENT_NODE) {
             return '';
         }
         
+        guard.tick();
+        
         const tag = node.tagName.toLowerCase();
         const dataQd = node.getAttribute('data-qd');
         
+        const front = node.getAttribute('data-qd-frontmatter');
+        if (front !== null) {
+            frontMatter = front;
+            return '';
+        }
+        
+        // Math — the TeX source goes back between its dollar delimiters;
+        // rendered content (e.g. from a math_plugin) is not walked
+        const tex = node.getAttribute('data-qd-tex');
+        if (tex !== null) {
+            const mathMd = `${dataQd}${tex}${dataQd}`;
+            return tag === 'div' ? `${mathMd}\n\n` : mathMd;
+        }
+        
         // Process children with context
         let childContent = '';
         for (const child of node.childNodes) {
             childContent += walkNode(child, { parentTag: tag, ...parentContext });
         }
         
+        // Syntax extension output — the extension's reverse rebuilds the
+        // markdown; otherwise the captured source (raw and block rules) or
+        // the converted content (formatting rules) stands in
+        const extName = node.getAttribute('data-qd-ext');
+        const ext = extName !== null && extensions.find(e => e.name === extName);
+        if (ext) {
+            const source = node.getAttribute('data-qd-source');
+            const extMd = ext.reverse ? ext.reverse(node, childContent) : source !== null ? source : childContent;
+            return ext.level === 'block' ? `${extMd}\n\n` : extMd;
+        }
+        
         // Determine markdown based on element and attributes
         switch (tag) {
             case 'h1':
@@ -69,7 +160,11 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
             case 'h6':
                 const level = parseInt(tag[1]);
                 const prefix = dataQd || '#'.repeat(level);
-                return `${prefix} ${childContent.trim()}\n\n`;
+                // An attribute block goes back at the end of the text
+                const headingText = childContent.trim() + attrsSuffix(node, ' ');
+                // A setext heading keeps its underline
+                if (/^[=-]/.test(prefix)) return `${headingText}\n${prefix}\n\n`;
+                return `${prefix} ${headingText}\n\n`;
                 
             case 'strong':
             case 'b':
@@ -90,6 +185,13 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
                 const delMarker = dataQd || '~~';
                 return `${delMarker}${childContent}${delMarker}`;
                 
+            case 'mark':
+            case 'ins':
+            case 'sub':
+                // Highlight, insert and subscript are opt-in syntax: without
+                // a marker the element is plain HTML and keeps its content
+                return dataQd && childContent ? `${dataQd}${childContent}${dataQd}` : childContent;
+                
             case 'code':
                 // Note: code inside pre is handled directly by the pre case using querySelector
                 if (!childContent) return ''; // Don't add markers for empty content
@@ -107,7 +209,7 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
                         if (result && result.content) {
                             const fenceMarker = result.fence || fence;
                             const langStr = result.lang || lang;
-                            return `${fenceMarker}${langStr}\n${result.content}\n${fenceMarker}\n\n`;
+                            return `${fenceMarker}${langStr}${attrsSuffix(node, ' ')}\n${result.content}\n${fenceMarker}\n\n`;
                         }
                     } catch (err) {
                         console.warn('Fence reverse handler error:', err);
@@ -115,21 +217,24 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
                     }
                 }
                 
+                // The info string: language, then any attribute block
+                const info = lang + attrsSuffix(node, lang ? ' ' : '');
+                
                 // Fallback: use data-qd-source if available
                 const source = node.getAttribute('data-qd-source');
                 if (source) {
-                    return `${fence}${lang}\n${source}\n${fence}\n\n`;
+                    return `${fence}${info}\n${source}\n${fence}\n\n`;
                 }
                 
                 // Final fallback: extract text content
                 const codeEl = node.querySelector('code');
                 const codeContent = codeEl ? codeEl.textContent : childContent;
-                return `${fence}${lang}\n${codeContent.trimEnd()}\n${fence}\n\n`;
+                // Indented code (its "fence" is the indent) is indented again
+                if (!fence.trim()) return `${codeContent.trimEnd().replace(/^(?!$)/gm, fence)}\n\n`;
+                return `${fence}${info}\n${codeContent.trimEnd()}\n${fence}\n\n`;
                 
             case 'blockquote':
-                const quoteMarker = dataQd || '>';
-                const lines = childContent.trim().split('\n');
-                return lines.map(line => `${quoteMarker} ${line}`).join('\n') + '\n\n';
+                return quoteBlock(childContent, dataQd || '>');
                 
             case 'hr':
                 const hrMarker = dataQd || '---';
@@ -140,19 +245,32 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
                 return `${brMarker}\n`;
                 
             case 'a':
+                // Autolinks, linkify matches and mentions give back the text they came from
+                const autoSource = node.getAttribute('data-qd-auto');
+                if (autoSource !== null) return autoSource;
                 const linkText = node.getAttribute('data-qd-text') || childContent.trim();
-                const href = node.getAttribute('href') || '';
+                const href = node.getAttribute('data-qd-href') || node.getAttribute('href') || '';
+                const linkRef = node.getAttribute('data-qd-ref');
+                if (linkRef !== null) {
+                    addLinkDef(node, linkRef.slice(1, -1) || linkText, href);
+                    return `[${linkText}]${linkRef}`;
+                }
                 // Check for autolinks
                 if (linkText === href && !dataQd) {
                     return `<${href}>`;
                 }
-                return `[${linkText}](${href})`;
+                return `[${linkText}](${href})${attrsSuffix(node, '')}`;
                 
             case 'img':
                 const alt = node.getAttribute('data-qd-alt') || node.getAttribute('alt') || '';
                 const src = node.getAttribute('data-qd-src') || node.getAttribute('src') || '';
                 const imgMarker = dataQd || '!';
-                return `${imgMarker}[${alt}](${src})`;
+                const imgRef = node.getAttribute('data-qd-ref');
+                if (imgRef !== null) {
+                    addLinkDef(node, imgRef.slice(1, -1) || alt, src);
+                    return `${imgMarker}[${alt}]${imgRef}`;
+                }
+                return `${imgMarker}[${alt}](${src})${attrsSuffix(node, '')}`;
                 
             case 'ul':
             case 'ol':
@@ -165,6 +283,17 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
             case 'table':
                 return walkTable(node) + '\n\n';
                 
+            case 'dl':
+                return walkDefinitionList(node) + '\n\n';
+                
+            case 'abbr':
+                // Abbreviation → the term, its definition re-emitted at the end
+                if (dataQd === '*[') {
+                    const term = node.textContent;
+                    if (!(term in abbrDefs)) abbrDefs[term] = `*[${term}]: ${node.getAttribute('title') || ''}`.trimEnd();
+                }
+                return childContent;
+                
             case 'p':
                 // Check if it's actually a paragraph or just a wrapper
                 if (childContent.trim()) {
@@ -197,6 +326,11 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
                 return '';
                 
             case 'div':
+                // Callout → "> [!TYPE] title" followed by its quoted body
+                if (dataQd && dataQd.startsWith('[!')) {
+                    return walkCallout(node, dataQd);
+                }
+                
                 // Check if this was created by a fence plugin with reverse handler
                 const divLang = node.getAttribute('data-qd-lang');
                 const divFence = node.getAttribute('data-qd-fence');
@@ -274,7 +408,33 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
                 // Pass through other divs
                 return childContent;
             
+            case 'sup':
+                // Footnote reference
+                if (dataQd === '[^') {
+                    return `[^${node.getAttribute('data-qd-fn')}]`;
+                }
+                // Superscript (superscript option)
+                return dataQd === '^' && childContent ? `^${childContent}^` : childContent;
+                
+            case 'section':
+                // Generated footnotes section → footnote definitions
+                if (dataQd === '[^') {
+                    return '\n\n' + walkFootnotes(node) + '\n\n';
+                }
+                return childContent;
+                
+            case 'nav':
+                // Generated table of contents → [[toc]] marker
+                if (dataQd === '[[toc]]') {
+                    return '[[toc]]\n\n';
+                }
+                return childContent;
+                
             case 'span':
+                // Emoji (emoji option) → its :shortcode:
+                if (dataQd) return dataQd;
+                // Mentions without a link → their @name or #tag
+                if (node.hasAttribute('data-qd-auto')) return node.getAttribute('data-qd-auto');
                 // Pass through container elements
                 return childContent;
                 
@@ -283,13 +443,68 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
         }
     }
     
-    // Walk list elements
-    function walkList(listNode, isOrdered, depth = 0) {
-        let result = '';
+    // An element's attribute block ({#id .class}), after `separator`
+    function attrsSuffix(node, separator) {
+        const attrs = node.getAttribute('data-qd-attrs');
+        return attrs ? separator + attrs : '';
+    }
+    
+    // Walk a definition list: each term on a line of its own, each
+    // definition after ': ' with its further lines indented.  A blank
+    // line comes before each group of terms after the first.
+    function walkDefinitionList(list) {
+        let md = '';
+        let previous = '';
+        for (const child of list.children) {
+            const content = walkNode(child).trim();
+            if (child.tagName === 'DT') {
+                md += `${previous === 'DD' ? '\n' : ''}${content}\n`;
+            } else {
+                md += `: ${content.replace(/\n/g, '\n  ')}\n`;
+            }
+            previous = child.tagName;
+        }
+        return md.trimEnd();
+    }
+    
+    // Prefix every line of a quote's block content with the marker.  The
+    // children were walked as blocks (paragraphs, lists, code, nested
+    // quotes), so blank lines between blocks keep a bare marker.
+    function quoteBlock(content, marker) {
+        const lines = content.trim().replace(/\n{3,}/g, '\n\n').split('\n');
+        return lines.map(line => line ? `${marker} ${line}` : marker).join('\n') + '\n\n';
+    }
+    
+    // Walk a callout.  Its first child is the title row, which is only
+    // written out when it differs from the type's default title.
+    function walkCallout(node, marker) {
+        const [titleNode, ...bodyNodes] = node.childNodes;
+        const type = marker.slice(2, -1).toLowerCase();
+        const title = walkNode(titleNode).trim();
+        const defaultTitle = type[0].toUpperCase() + type.slice(1);
+        const header = title && title !== defaultTitle ? `${marker} ${title}` : marker;
+        const body = bodyNodes.map(child => walkNode(child, { parentTag: 'div' })).join('');
+        return quoteBlock(`${header}\n${body}`, '>');
+    }
+    
+    // Walk list elements.  Each item's lines after the first (more
+    // paragraphs, code blocks, nested lists) are indented under its
+    // marker, so nesting builds up through the recursion.
+    function walkList(listNode, isOrdered) {
+        const items = [];
         let index = 1;
-        const indent = '  '.repeat(depth);
+        // An item holding paragraphs means the list was loose
+        let loose = false;
+        // Indent all lines but the first under an item marker
+        const indentRest = (text) => text.replace(/\n(?=[^\n])/g, '\n  ');
         
         for (const child of listNode.children) {
+            // quikdown renders a nested list after its parent item
+            // rather than inside it
+            if ((child.tagName === 'UL' || child.tagName === 'OL') && items.length) {
+                items[items.length - 1] += '  ' + indentRest(walkList(child, child.tagName === 'OL'));
+                continue;
+            }
             if (child.tagName !== 'LI') continue;
             
             const dataQd = child.getAttribute('data-qd');
@@ -304,33 +519,69 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
                 let text = '';
                 for (const node of child.childNodes) {
                     if (node.nodeType === Node.TEXT_NODE) {
-                        text += node.textContent;
+                        text += escapeText(node);
                     } else if (node.tagName && node.tagName !== 'INPUT') {
                         text += walkNode(node);
                     }
                 }
-                result += `${indent}${marker} [${checked}] ${text.trim()}\n`;
+                items.push(`${marker} [${checked}] ${text.trim()}\n`);
             } else {
                 let itemContent = '';
+                let afterList = false;
                 
                 for (const node of child.childNodes) {
                     if (node.tagName === 'UL' || node.tagName === 'OL') {
-                        itemContent += walkList(node, node.tagName === 'OL', depth + 1);
+                        // Nested lists start on the line after the text
+                        itemContent = itemContent.trimEnd() + '\n' + walkList(node, node.tagName === 'OL');
+                        afterList = true;
                     } else {
-                        itemContent += walkNode(node);
+                        if (node.tagName === 'P') loose = true;
+                        const content = walkNode(node);
+                        // A blank line keeps later content out of the nested list
+                        if (afterList && content.trim()) {
+                            itemContent += '\n';
+                            afterList = false;
+                        }
+                        itemContent += content;
                     }
                 }
                 
-                result += `${indent}${marker} ${itemContent.trim()}\n`;
+                const body = itemContent.trim().replace(/\n{3,}/g, '\n\n');
+                items.push(`${marker} ${indentRest(body)}\n`);
             }
             
             index++;
         }
         
-        return result;
+        return items.join(loose ? '\n' : '');
+    }
+    
+    // Walk the footnotes section: one `[^label]: text` definition per item,
+    // later paragraphs indented so they stay inside the footnote
+    function walkFootnotes(section) {
+        const defs = [];
+        for (const li of section.querySelectorAll('li[data-qd-fn]')) {
+            const paras = [];
+            for (const p of li.querySelectorAll('p')) {
+                const clone = p.cloneNode(true);
+                for (const backref of clone.querySelectorAll('a[href^="#fnref-"]')) {
+                    backref.remove();
+                }
+                paras.push(walkNode(clone).trim().replace(/\n/g, '\n    '));
+            }
+            defs.push(`[^${li.getAttribute('data-qd-fn')}]: ${paras.join('\n\n    ')}`);
+        }
+        return defs.join('\n');
     }
     
     // Walk table elements
+    // A table cell's inline markdown, on one line
+    function walkCell(cell) {
+        let content = '';
+        for (const child of cell.childNodes) content += walkNode(child, { parentTag: cell.tagName.toLowerCase() });
+        return content.trim().replace(/\s*\n\s*/g, ' ');
+    }
+    
     function walkTable(table) {
         let result = '';
         const alignData = table.getAttribute('data-qd-align');
@@ -343,7 +594,7 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
             if (headerRow) {
                 const headers = [];
                 for (const th of headerRow.querySelectorAll('th')) {
-                    headers.push(th.textContent.trim());
+                    headers.push(walkCell(th));
                 }
                 result += '| ' + headers.join(' | ') + ' |\n';
                 
@@ -364,7 +615,7 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
             for (const row of tbody.querySelectorAll('tr')) {
                 const cells = [];
                 for (const td of row.querySelectorAll('td')) {
-                    cells.push(td.textContent.trim());
+                    cells.push(walkCell(td));
                 }
                 if (cells.length > 0) {
                     result += '| ' + cells.join(' | ') + ' |\n';
@@ -376,11 +627,23 @@ quikdown_bd.toMarkdown = function(htmlOrElement, options = {}) {
     }
     
     // Process the DOM tree
-    let markdown = walkNode(container);
+    let markdown = guard.run(() => walkNode(container), () => container.textContent);
+    
+    // Re-emit collected link reference and abbreviation definitions at the end
+    const defLines = Object.values(linkDefs).concat(Object.values(abbrDefs));
+    if (defLines.length) {
+        markdown = markdown.trimEnd() + '\n\n' + defLines.join('\n');
+    }
     
     // Clean up
     markdown = markdown.replace(/\n{3,}/g, '\n\n'); // Remove excessive newlines
-    markdown = markdown.trim();
+    // Blank lines only at the start: an indented code block keeps its indent
+    markdown = markdown.replace(/^[ \t\n]*\n|\s+$/g, '');
+    
+    // Front matter goes back on top, unchanged
+    if (frontMatter) {
+        markdown = markdown ? `${frontMatter}\n\n${markdown}` : frontMatter;
+    }
     
     return markdown;
 };
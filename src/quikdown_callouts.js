@@ -0,0 +1,44 @@
+/**
+ * quikdown_callouts — GitHub-style callouts
+ * ═════════════════════════════════════════
+ *
+ * A blockquote whose first line is "[!TYPE]" (GitHub alert syntax,
+ * optionally followed by a custom title) becomes a callout: a div with a
+ * title row, classed by its lower-cased type.  TYPE is one of GitHub's
+ * five or listed in the `callout_types` option.  A plugin of its own, so
+ * the core parser stays small for callers who don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_callouts from 'quikdown/callouts';
+ *   quikdown.use(quikdown_callouts);
+ *   quikdown('> [!WARNING]\n> Mind the gap.');
+ */
+
+import { matchCallout } from './quikdown_classify.js';
+
+const quikdown_callouts = {
+    name: 'callouts',
+    setup(md) {
+        const { options, inline_styles, styles, classPrefix, getAttr, dataQd } = md;
+        return {
+            quote(inner, map) {
+                const callout = matchCallout(inner, options.callout_types);
+                if (!callout) return null;
+                if (map) map.lines = map.lines.slice(1);
+
+                const [, marker, customTitle] = callout;
+                const type = marker.toLowerCase();
+                const title = customTitle || type[0].toUpperCase() + type.slice(1);
+                const typeAttr = inline_styles
+                    ? ` style="${[styles.callout, styles[`callout-${type}`]].filter(Boolean).join(';')}"`
+                    : ` class="${classPrefix}callout ${classPrefix}callout-${type}"`;
+                return {
+                    inner: inner.slice(callout[0].length + 1),
+                    render: (body, attrs) => `<div${typeAttr}${dataQd(`[!${marker}]`)}${attrs}><p${getAttr('callout-title')}>${title}</p>${body}</div>`
+                };
+            }
+        };
+    }
+};
+
+export default quikdown_callouts;
@@ -0,0 +1,81 @@
+/**
+ * quikdown_charrefs — Entity references
+ * ═════════════════════════════════════
+ *
+ * Decodes `&name;`, `&#123;` and `&#x7B;` references, as CommonMark does
+ * in text.  Numeric references cover all of Unicode; named ones cover
+ * the common HTML entities below rather than the full HTML5 table, to
+ * keep the bundles small.  A name not listed stays literal text.
+ *
+ * The core parser decodes numeric references and the five names XML
+ * predefines (&amp; &lt; &gt; &quot; &apos;); the entities plugin
+ * (quikdown_entities.js) brings the rest.  quikdown_ast decodes all.
+ */
+
+/** Named entities: name → code point */
+const NAMED = {
+    amp: 38, lt: 60, gt: 62, quot: 34, apos: 39, nbsp: 160,
+    copy: 169, reg: 174, trade: 8482, deg: 176, plusmn: 177, times: 215,
+    divide: 247, micro: 181, para: 182, sect: 167, middot: 183, bull: 8226,
+    hellip: 8230, ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217,
+    ldquo: 8220, rdquo: 8221, laquo: 171, raquo: 187, prime: 8242,
+    Prime: 8243, dagger: 8224, Dagger: 8225, permil: 8240, cent: 162,
+    pound: 163, yen: 165, euro: 8364, curren: 164, iexcl: 161, iquest: 191,
+    frac12: 189, frac14: 188, frac34: 190, sup1: 185, sup2: 178, sup3: 179,
+    larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596, lArr: 8656,
+    rArr: 8658, hArr: 8660, le: 8804, ge: 8805, ne: 8800, asymp: 8776,
+    equiv: 8801, infin: 8734, minus: 8722, sum: 8721, prod: 8719,
+    radic: 8730, part: 8706, nabla: 8711, isin: 8712, notin: 8713,
+    empty: 8709, cap: 8745, cup: 8746, sub: 8834, sup: 8835, and: 8743,
+    or: 8744, not: 172, forall: 8704, exist: 8707, alpha: 945, beta: 946,
+    gamma: 947, delta: 948, epsilon: 949, lambda: 955, mu: 956, pi: 960,
+    sigma: 963, tau: 964, phi: 966, omega: 969, Delta: 916, Sigma: 931,
+    Omega: 937, check: 10003, hearts: 9829, star: 9734, shy: 173,
+    ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205
+};
+
+/** The entities XML predefines: name → character */
+const PREDEFINED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * The character one of XML's predefined entity references stands for.
+ *
+ * @param {string} name  What sits between '&' and ';' ("lt")
+ * @returns {string|undefined}  The character, or undefined for another name
+ */
+export function decodePredefined(name) {
+    return Object.prototype.hasOwnProperty.call(PREDEFINED, name) ? PREDEFINED[name] : undefined;
+}
+
+/**
+ * The character a named entity reference stands for.
+ *
+ * @param {string} name  What sits between '&' and ';' ("copy")
+ * @returns {string|undefined}  The character, or undefined for an unknown name
+ */
+export function decodeNamed(name) {
+    return Object.prototype.hasOwnProperty.call(NAMED, name) ? String.fromCodePoint(NAMED[name]) : undefined;
+}
+
+/**
+ * The character a numeric reference stands for.
+ *
+ * @param {string} ref  What sits between '&' and ';' ("#169", "#xA9")
+ * @returns {string}    The character
+ */
+export function decodeNumeric(ref) {
+    const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    // NUL, surrogates and values past Unicode become the replacement character
+    const valid = code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+    return String.fromCodePoint(valid ? code : 0xFFFD);
+}
+
+/**
+ * The character an entity reference stands for.
+ *
+ * @param {string} ref  What sits between '&' and ';' ("copy", "#169", "#xA9")
+ * @returns {string|undefined}  The character, or undefined for an unknown name
+ */
+export function decodeEntity(ref) {
+    return ref[0] === '#' ? decodeNumeric(ref) : decodeNamed(ref);
+}
@@ -2,15 +2,40 @@
  * quikdown_classify — Shared line-classification utilities
  * ═════════════════════════════════════════════════════════
  *
- * Pure functions for classifying markdown lines.  Used by both the main
- * parser (quikdown.js) and the editor (quikdown_edit.js) so the logic
- * lives in one place.
+ * Pure functions for classifying markdown lines.  Used by the main
+ * parser (quikdown.js), its plugins (quikdown_stream.js, …) and the
+ * editor (quikdown_edit.js) so the logic lives in one place.
  *
- * All functions operate on a **trimmed** line (caller must trim).
- * None use regexes with nested quantifiers — every check is either a
- * simple regex or a linear scan, so there is zero ReDoS risk.
+ * The functions operate on a **trimmed** line (caller must trim); the
+ * patterns match lines as written.  None use regexes with nested
+ * quantifiers — every check is either a simple regex or a linear scan,
+ * so there is zero ReDoS risk.
  */
 
+/** A link reference definition line: [label]: url "title" */
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: anchored, delimiter-bounded groups
+export const LINK_DEF_RE = /^ {0,3}\[([^\]^][^\]]*)\]:[ \t]*(\S+)(?:[ \t]+(?:"([^"]*)"|&quot;(.*?)&quot;|'([^']*)'|&#39;(.*?)&#39;|\(([^)]*)\)))?[ \t]*$/;
+
+/** An abbreviation definition line: *[term]: title */
+export const ABBR_DEF_RE = /^ {0,3}\*\[([^\]]+)\]:[ \t]*(.*)$/;
+
+/** A definition line in a definition list: ': ' and the definition */
+export const DEFINITION_RE = /^:[ \t]+(?=\S)/;
+
+/** A list item line (any indentation) */
+export const LIST_LINE_RE = /^\s*(?:[*\-+]|\d+\.)\s+\S/;
+
+/**
+ * Normalize a reference label for case- and whitespace-insensitive
+ * matching, so [Foo  Bar] and [foo bar] resolve to the same definition.
+ *
+ * @param {string} label  The raw label text
+ * @returns {string}      Normalized lookup key
+ */
+export function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
 /**
  * Full CommonMark HR check: three or more identical characters from
  * {-, *, _} with optional interspersed whitespace.
@@ -146,3 +171,24 @@ export function classifyLine(trimmed) {
 export function looksLikeTableRow(line) {
     return line.includes('|');
 }
+
+/** The GitHub alert types a `> [!TYPE]` blockquote turns into a callout */
+export const CALLOUT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+
+/**
+ * Read a callout marker off a blockquote's first line (as written, not
+ * trimmed): `[!TYPE]` in any case, then an optional title.  TYPE must be
+ * one of CALLOUT_TYPES or of `extra`, so `> [!foo]` stays a quote.
+ *
+ * @param {string}   line     The quote's content, from its first line
+ * @param {string[]} [extra]  Further types (the callout_types option)
+ * @returns {Array|null} [marker and title, type as written, title], or null
+ */
+export function matchCallout(line, extra) {
+    const m = line.match(/^\[!([A-Za-z]+)\][ \t]*([^\n]*)/);
+    if (!m) return null;
+    const type = m[1].toLowerCase();
+    const known = CALLOUT_TYPES.includes(type) ||
+        (Array.isArray(extra) && extra.some(t => String(t).toLowerCase() === type));
+    return known ? m : null;
+}
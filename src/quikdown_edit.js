@@ -5,40 +5,583 @@
  */
 
 import quikdown_bd from './quikdown_bd.js';
+import quikdown_footnotes from './quikdown_footnotes.js';
+import quikdown_callouts from './quikdown_callouts.js';
+import quikdown_entities from './quikdown_entities.js';
+import quikdown_frontmatter from './quikdown_frontmatter.js';
+import quikdown_attributes from './quikdown_attributes.js';
+import quikdown_typographer from './quikdown_typographer.js';
+import quikdown_mentions from './quikdown_mentions.js';
 import { getRenderedContent } from './quikdown_edit_copy.js';
 import { isHRLine, fenceOpen, isFenceClose, classifyLine, looksLikeTableRow } from './quikdown_classify.js';
 
+// The editor's preview renders the plugin syntax out of the box; the
+// option-gated ones (attributes, typographer, mentions) follow its options
+const PLUGINS = [quikdown_footnotes, quikdown_callouts, quikdown_entities, quikdown_frontmatter,
+    quikdown_attributes, quikdown_typographer, quikdown_mentions];
+
 /**
- * Curated safe HTML tag whitelist.
- * Pass to quikdown's `allow_unsafe_html` option to allow these tags
- * through while escaping everything else.  Callers can use this as-is,
- * pass a subset, or build their own object — any object whose keys are
- * lowercase tag names works.
+ * Curated safe HTML policy.
+ * Pass to quikdown's `allow_unsafe_html` option to allow these tags,
+ * with the listed attributes, through while escaping everything else.
+ * `globalAttrs` apply to every tag; `style` keeps only the `styleProps`
+ * declarations, so content can't position itself over the page.  Margins
+ * (a negative one pulls content over its neighbours) and width/height
+ * (unbounded boxes) are left out; img and video size by attribute.
+ * Callers can use this as-is or build their own policy; the plain forms
+ * (an object keyed by tag name, or an array) still work and keep every
+ * attribute except on* handlers.
  *
  * @example
- *   // Use the curated list
+ *   // Use the curated policy
  *   quikdown(md, { allow_unsafe_html: QuikdownEditor.SAFE_HTML_TAGS });
  *
- *   // Or a minimal subset
- *   quikdown(md, { allow_unsafe_html: { img: 1, a: 1, br: 1 } });
+ *   // Or a minimal policy
+ *   quikdown(md, { allow_unsafe_html: { tags: { img: ['src', 'alt'], br: [] } } });
  *
- *   // Or an array (converted internally)
+ *   // Or plain tag names
  *   quikdown(md, { allow_unsafe_html: ['img', 'a', 'br'] });
  */
 const SAFE_HTML_TAGS = {
-    b:1, i:1, em:1, strong:1, del:1, s:1, u:1, mark:1, sup:1, sub:1,
-    kbd:1, abbr:1, var:1, samp:1, cite:1, small:1, ins:1, dfn:1,
-    ruby:1, rt:1, rp:1, time:1, wbr:1,
-    img:1, picture:1, source:1, video:1, audio:1, figure:1, figcaption:1,
-    a:1, br:1, hr:1,
-    div:1, span:1, p:1, details:1, summary:1,
-    section:1, article:1, aside:1, header:1, footer:1, nav:1, main:1,
-    table:1, thead:1, tbody:1, tfoot:1, tr:1, th:1, td:1, caption:1, col:1, colgroup:1,
-    ul:1, ol:1, li:1, dl:1, dt:1, dd:1,
-    h1:1, h2:1, h3:1, h4:1, h5:1, h6:1,
-    blockquote:1, pre:1, code:1
+    tags: {
+        b: [], i: [], em: [], strong: [], del: ['cite', 'datetime'], s: [], u: [], mark: [], sup: [], sub: [],
+        kbd: [], abbr: [], var: [], samp: [], cite: [], small: [], ins: ['cite', 'datetime'], dfn: [],
+        ruby: [], rt: [], rp: [], time: ['datetime'], wbr: [],
+        img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+        picture: [], source: ['src', 'srcset', 'sizes', 'type', 'media'],
+        video: ['src', 'poster', 'width', 'height', 'controls', 'loop', 'muted', 'playsinline', 'preload'],
+        audio: ['src', 'controls', 'loop', 'muted', 'preload'],
+        figure: [], figcaption: [],
+        a: ['href', 'target', 'rel', 'hreflang'], br: [], hr: [],
+        div: [], span: [], p: [], details: ['open'], summary: [],
+        section: [], article: [], aside: [], header: [], footer: [], nav: [], main: [],
+        table: [], thead: [], tbody: [], tfoot: [], tr: [],
+        th: ['colspan', 'rowspan', 'scope', 'align'], td: ['colspan', 'rowspan', 'align'],
+        caption: [], col: ['span'], colgroup: ['span'],
+        ul: [], ol: ['start', 'reversed', 'type'], li: ['value'], dl: [], dt: [], dd: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        blockquote: ['cite'], pre: [], code: []
+    },
+    globalAttrs: ['class', 'id', 'title', 'lang', 'dir', 'style', 'aria-*'],
+    styleProps: [
+        'color', 'background-color', 'font-weight', 'font-style', 'font-size', 'font-family',
+        'text-align', 'text-decoration', 'vertical-align', 'white-space',
+        'max-width', 'max-height',
+        'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+        'border', 'border-radius', 'border-color', 'border-style', 'border-width'
+    ]
 };
 
+/**
+ * The editor's stylesheet.  injectStyles() adds it as a <style>; pages
+ * that load styles from their own origin can serve
+ * QuikdownEditor.emitStyles() as a file and pass its URL as `stylesheet`.
+ */
+const EDITOR_STYLES = `
+    .qde-container {
+        display: flex;
+        flex-direction: column;
+        height: 100%;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        overflow: hidden;
+        background: white;
+        color: #1f2937;
+    }
+    
+    .qde-toolbar {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        padding: 8px;
+        background: #f5f5f5;
+        border-bottom: 1px solid #ddd;
+        gap: 4px;
+    }
+    
+    .qde-btn {
+        padding: 6px 12px;
+        border: 1px solid #ccc;
+        background: white;
+        border-radius: 3px;
+        cursor: pointer;
+        font-size: 14px;
+        transition: all 0.2s;
+    }
+    
+    .qde-btn:hover {
+        background: #e9e9e9;
+        border-color: #999;
+    }
+    
+    .qde-btn.active {
+        background: #007bff;
+        color: white;
+        border-color: #0056b3;
+    }
+
+    .qde-btn.disabled {
+        opacity: 0.4;
+        pointer-events: none;
+    }
+    .qde-btn[data-action="toggle-html-mode"] {
+        position: relative;
+    }
+    .qde-btn[data-action="toggle-html-mode"]:hover::after {
+        content: attr(title);
+        position: absolute;
+        bottom: calc(100% + 6px);
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 5px 10px;
+        background: #1f2937;
+        color: #fff;
+        font-size: 0.75rem;
+        font-weight: 400;
+        white-space: nowrap;
+        border-radius: 4px;
+        pointer-events: none;
+        z-index: 10;
+    }
+    
+    .qde-spacer {
+        flex: 1;
+    }
+    
+    .qde-editor {
+        display: flex;
+        flex: 1;
+        overflow: hidden;
+    }
+    
+    .qde-source, .qde-preview {
+        flex: 1 1 0;
+        min-width: 0;       /* allow flex shrinking below content size */
+        min-height: 0;
+        overflow: auto;
+        padding: 16px;
+        box-sizing: border-box;
+    }
+
+    .qde-source {
+        border-right: 1px solid #ddd;
+        /* Source pane is just a container for the textarea — make it
+           a positioning context so the textarea can fill it absolutely */
+        position: relative;
+        padding: 0;          /* textarea brings its own padding */
+    }
+
+    .qde-textarea {
+        display: block;
+        position: absolute;
+        inset: 0;
+        width: 100%;
+        height: 100%;
+        border: none;
+        outline: none;
+        resize: none;
+        padding: 16px;
+        box-sizing: border-box;
+        font-family: 'Monaco', 'Courier New', monospace;
+        font-size: 14px;
+        line-height: 1.5;
+        background: transparent;
+        color: inherit;
+        /* Wrap long lines so the textarea only scrolls VERTICALLY.
+           pre-wrap preserves intentional line breaks/whitespace
+           while soft-wrapping at the right edge. */
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        overflow-x: hidden;
+        overflow-y: auto;
+    }
+    
+    .qde-preview {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 16px;
+        line-height: 1.6;
+        outline: none;
+        cursor: text;  /* Standard text cursor */
+        overflow-x: hidden;  /* never scroll horizontally; clip wide content */
+    }
+
+    /* Code blocks and inline code — self-contained so the editor
+       does not depend on any external stylesheet for these. */
+    .qde-preview pre {
+        background: #f4f4f4;
+        color: #1f2937;
+        padding: 10px;
+        border-radius: 4px;
+        overflow-x: auto;
+        margin: 0.6em 0;
+        font-size: 0.9em;
+        line-height: 1.5;
+        font-family: ui-monospace, "SF Mono", Monaco, "Cascadia Code",
+                     "Roboto Mono", Consolas, "Courier New", monospace;
+    }
+    .qde-preview code {
+        padding: 2px 4px;
+        font-size: 0.9em;
+        border-radius: 3px;
+        background: #f0f0f0;
+        color: #1f2937;
+        font-family: ui-monospace, "SF Mono", Monaco, "Cascadia Code",
+                     "Roboto Mono", Consolas, "Courier New", monospace;
+    }
+    .qde-preview pre code {
+        padding: 0;
+        font-size: inherit;
+        border-radius: 0;
+        background: transparent;
+        color: inherit;
+    }
+
+    /* Wide fence content (Leaflet maps, large SVGs, STL canvases,
+       iframes, raw <img>) must never overflow the preview pane */
+    .qde-preview .geojson-container,
+    .qde-preview .qde-stl-container,
+    .qde-preview .qde-svg-container,
+    .qde-preview .leaflet-container,
+    .qde-preview iframe,
+    .qde-preview img,
+    .qde-preview > svg {
+        max-width: 100%;
+    }
+    .qde-preview img {
+        display: inline;
+    }
+    .qde-preview .leaflet-container { box-sizing: border-box; }
+
+    /* Standard markdown tables (the .quikdown-table class) need to
+       scroll horizontally inside their own wrapper rather than
+       making the whole preview pane scroll */
+    .qde-preview table.quikdown-table,
+    .qde-preview table.qde-csv-table {
+        display: block;
+        max-width: 100%;
+        overflow-x: auto;
+    }
+
+    /* Fence-specific styles */
+    .qde-svg-container {
+        max-width: 100%;
+        overflow: auto;
+    }
+
+    .qde-svg-container svg {
+        max-width: 100%;
+        height: auto;
+    }
+    
+    .qde-html-container {
+        /* HTML containers inherit background */
+        margin: 12px 0;
+    }
+    
+    .qde-math-container {
+        text-align: center;
+        margin: 16px 0;
+        overflow-x: auto;
+    }
+    
+    /* All tables in preview (both regular markdown and CSV) */
+    .qde-preview table {
+        width: 100%;
+        border-collapse: collapse;
+        margin: 12px 0;
+        font-size: 14px;
+    }
+    
+    .qde-preview table th,
+    .qde-preview table td {
+        border: 1px solid #ddd;
+        padding: 8px;
+    }
+    
+    /* Table cell alignment classes from quikdown's csp mode */
+    .qde-preview .quikdown-align-left { text-align: left; }
+    .qde-preview .quikdown-align-center { text-align: center; }
+    .qde-preview .quikdown-align-right { text-align: right; }
+    
+    .qde-preview table th {
+        background: #f5f5f5;
+        font-weight: bold;
+    }
+    
+    .qde-preview table tr:nth-child(even) {
+        background: #f9f9f9;
+    }
+    
+    /* Specific to CSV-generated tables */
+    .qde-data-table {
+        /* Can add specific CSV table styles here if needed */
+    }
+    
+    .qde-json {
+        /* Let highlight.js handle styling */
+        overflow-x: auto;
+    }
+    
+    .qde-placeholder {
+        color: #999;
+        font-style: italic;
+        padding: 16px;
+    }
+
+    /* Fence renderers (classes rather than inline styles, for strict CSP) */
+    .qde-preview .math-display {
+        text-align: center;
+        margin: 1em 0;
+    }
+
+    .qde-preview .geojson-container {
+        width: 100%;
+        height: 300px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        margin: 0.5em 0;
+        background: #f0f0f0;
+    }
+
+    .qde-geojson-map {
+        width: 100%;
+        height: 300px;
+    }
+
+    .qde-preview .qde-stl-container {
+        height: 400px;
+        background: #f0f0f0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+    }
+
+    .qde-fence-fallback {
+        padding: 20px;
+        text-align: center;
+        color: #666;
+    }
+
+    .qde-error {
+        background: #fee;
+        border: 1px solid #fcc;
+        color: #c00;
+        padding: 8px;
+        border-radius: 4px;
+        font-family: monospace;
+        font-size: 12px;
+    }
+    
+    /* Read-only complex fence blocks in preview */
+    .qde-preview [contenteditable="false"] {
+        cursor: auto;  /* Use automatic cursor (arrow for non-text) */
+        user-select: text;
+        position: relative;
+    }
+    
+    /* Reset headings inside the preview to plain browser defaults so
+       parent-page styles (site navs, marketing pages, design systems)
+       cannot bleed in. Business-casual: black text, decreasing sizes,
+       no decorative borders. See docs/quikdown-editor.md for how
+       embedders can override these with their own stylesheet. */
+    .qde-preview h1 { font-size: 2em; }
+    .qde-preview h2 { font-size: 1.5em; }
+    .qde-preview h3 { font-size: 1.25em; }
+    .qde-preview h4 { font-size: 1em; }
+    .qde-preview h5 { font-size: 0.875em; }
+    .qde-preview h6 { font-size: 0.85em; }
+    .qde-preview h1,
+    .qde-preview h2,
+    .qde-preview h3,
+    .qde-preview h4,
+    .qde-preview h5,
+    .qde-preview h6 {
+        font-weight: bold;
+        color: inherit;
+        border: none;
+        margin: 0.6em 0 0.3em 0;
+        line-height: 1.25;
+    }
+    .qde-preview p {
+        margin: 0.35em 0;
+    }
+    .qde-preview ul,
+    .qde-preview ol {
+        padding-left: 1.8em;
+        margin: 0.4em 0;
+    }
+    .qde-preview li {
+        margin: 0.15em 0;
+    }
+    .qde-preview blockquote {
+        margin: 0.5em 0;
+        padding-left: 1em;
+    }
+
+    /* Ensure proper cursor for editable text elements */
+    .qde-preview p,
+    .qde-preview h1,
+    .qde-preview h2,
+    .qde-preview h3,
+    .qde-preview h4,
+    .qde-preview h5,
+    .qde-preview h6,
+    .qde-preview li,
+    .qde-preview td,
+    .qde-preview th,
+    .qde-preview blockquote,
+    .qde-preview pre[contenteditable="true"],
+    .qde-preview code[contenteditable="true"] {
+        cursor: text;
+    }
+    
+    
+    /* Non-editable complex renderers */
+    .qde-preview .qde-svg-container[contenteditable="false"],
+    .qde-preview .qde-html-container[contenteditable="false"],
+    .qde-preview .qde-math-container[contenteditable="false"],
+    .qde-preview .mermaid[contenteditable="false"] {
+        opacity: 0.98;
+    }
+    
+    /* Subtle hover effect for read-only blocks */
+    .qde-preview [contenteditable="false"]:hover::after {
+        content: "Read-only";
+        position: absolute;
+        top: 2px;
+        right: 2px;
+        font-size: 10px;
+        color: #999;
+        background: rgba(255, 255, 255, 0.9);
+        padding: 2px 4px;
+        border-radius: 2px;
+        pointer-events: none;
+    }
+    
+    /* Fix list padding in preview */
+    .qde-preview ul,
+    .qde-preview ol {
+        padding-left: 2em;
+        margin: 0.5em 0;
+    }
+    
+    .qde-preview li {
+        margin: 0.25em 0;
+    }
+    
+    /* Mode-specific visibility */
+    .qde-mode-source .qde-preview { display: none; }
+    .qde-mode-source .qde-source { border-right: none; }
+    .qde-mode-preview .qde-source { display: none; }
+    .qde-mode-split .qde-source,
+    .qde-mode-split .qde-preview { display: block; }
+    
+    /* Dark theme */
+    .qde-dark {
+        background: #1e1e1e;
+        color: #e0e0e0;
+        border-color: #444;
+    }
+    
+    .qde-dark .qde-toolbar {
+        background: #2d2d2d;
+        border-color: #444;
+    }
+    
+    .qde-dark .qde-btn {
+        background: #3a3a3a;
+        color: #e0e0e0;
+        border-color: #555;
+    }
+    
+    .qde-dark .qde-btn:hover {
+        background: #4a4a4a;
+    }
+    
+    .qde-dark .qde-source {
+        border-color: #444;
+    }
+    
+    .qde-dark .qde-textarea {
+        background: #1e1e1e;
+        color: #e0e0e0;
+    }
+    
+    .qde-dark .qde-preview {
+        background: #1e1e1e;
+        color: #e0e0e0;
+    }
+    
+    /* Dark mode code blocks */
+    .qde-dark .qde-preview pre {
+        background: #2d2d3a;
+        color: #e6e6f0;
+    }
+    .qde-dark .qde-preview code {
+        background: #2a2a3a;
+        color: #e6e6f0;
+    }
+    .qde-dark .qde-preview pre code {
+        background: transparent;
+        color: inherit;
+    }
+
+    /* Dark mode table styles */
+    .qde-dark .qde-preview table th,
+    .qde-dark .qde-preview table td {
+        border-color: #3a3a3a;
+    }
+    
+    .qde-dark .qde-preview table th {
+        background: #2d2d2d;
+    }
+    
+    .qde-dark .qde-preview table tr:nth-child(even) {
+        background: #252525;
+    }
+    
+    /* Mobile split toggle — hidden by default */
+    .qde-split-toggle { display: none; }
+
+    /* Mobile responsive — compact toolbar for all small screens */
+    @media (max-width: 720px) {
+        .qde-toolbar {
+            padding: 6px;
+            gap: 3px;
+        }
+        .qde-btn {
+            padding: 5px 8px;
+            font-size: 12px;
+        }
+        .qde-source, .qde-preview {
+            padding: 10px;
+        }
+        .qde-textarea {
+            padding: 10px;
+        }
+        /* Undo/Redo: show circular arrows instead of text */
+        .qde-btn[data-action="undo"] { font-size: 0; }
+        .qde-btn[data-action="undo"]::after { content: "\\21B6"; font-size: 14px; }
+        .qde-btn[data-action="redo"] { font-size: 0; }
+        .qde-btn[data-action="redo"]::after { content: "\\21B7"; font-size: 14px; }
+        /* Hide secondary utility buttons to reduce clutter */
+        .qde-btn[data-action="remove-hr"],
+        .qde-btn[data-action="lazy-linefeeds"],
+        .qde-btn[data-action="copy-rendered"] { display: none; }
+    }
+
+    /* Portrait mobile: drop split mode entirely */
+    @media (max-width: 720px) and (orientation: portrait) {
+        .qde-btn[data-mode="split"] { display: none; }
+        .qde-split-toggle { display: none !important; }
+        /* Fallback: if still in split mode, show source only */
+        .qde-mode-split .qde-source { border-right: none; }
+        .qde-mode-split .qde-preview { display: none; }
+        .qde-mode-split.qde-split-preview .qde-source { display: none; }
+        .qde-mode-split.qde-split-preview .qde-preview { display: block; }
+    }
+`;
+
 // Default options
 const DEFAULT_OPTIONS = {
     mode: 'split',          // 'source' | 'preview' | 'split'
@@ -48,6 +591,23 @@ const DEFAULT_OPTIONS = {
     theme: 'auto',          // 'light' | 'dark' | 'auto'
     lazy_linefeeds: false,
     inline_styles: false,   // Use CSS classes (false) or inline styles (true)
+    csp: false,             // Classes only, no style attributes (overrides inline_styles)
+    styleNonce: null,       // nonce for the injected <style>, for a CSP without 'unsafe-inline'
+    stylesheet: null,       // URL of the editor stylesheet to <link> instead, or false for none
+    extensions: [],         // quikdown syntax extensions (see docs/plugin-guide.md)
+    definition_lists: false, // Term / ': definition' lists
+    abbreviations: false,   // *[HTML]: … abbreviations
+    attributes: false,      // {#id .class key=val} attribute blocks
+    highlight: false,       // ==marked== text
+    superscript: false,     // ^sup^
+    subscript: false,       // ~sub~
+    insert: false,          // ++inserted++ text
+    emoji: null,            // :shortcode: → emoji map, e.g. quikdown/emoji
+    typographer: false,     // Curly quotes, dashes and ellipses
+    linkify: null,          // (text) → [{ index, text, href }] custom links
+    mentions: null,         // (name, kind) → { href, label, className } for @name
+    hashtags: null,         // ... for #tag
+    references: null,       // ... for #123
     debounceDelay: 20,      // Reduced from 100ms for better responsiveness
     placeholder: 'Start typing markdown...',
     plugins: {
@@ -340,478 +900,27 @@ class QuikdownEditor {
     }
     
     /**
-     * Inject built-in styles
+     * Inject built-in styles: a <style> element (carrying styleNonce for
+     * a CSP without 'unsafe-inline'), a <link> to the `stylesheet` URL,
+     * or nothing when `stylesheet` is false.
      */
     injectStyles() {
-        if (document.getElementById('qde-styles')) return;
-        
-        const style = document.createElement('style');
-        style.id = 'qde-styles';
-        style.textContent = `
-            .qde-container {
-                display: flex;
-                flex-direction: column;
-                height: 100%;
-                border: 1px solid #ddd;
-                border-radius: 4px;
-                overflow: hidden;
-                background: white;
-                color: #1f2937;
-            }
-            
-            .qde-toolbar {
-                display: flex;
-                align-items: center;
-                flex-wrap: wrap;
-                padding: 8px;
-                background: #f5f5f5;
-                border-bottom: 1px solid #ddd;
-                gap: 4px;
-            }
-            
-            .qde-btn {
-                padding: 6px 12px;
-                border: 1px solid #ccc;
-                background: white;
-                border-radius: 3px;
-                cursor: pointer;
-                font-size: 14px;
-                transition: all 0.2s;
-            }
-            
-            .qde-btn:hover {
-                background: #e9e9e9;
-                border-color: #999;
-            }
-            
-            .qde-btn.active {
-                background: #007bff;
-                color: white;
-                border-color: #0056b3;
-            }
-
-            .qde-btn.disabled {
-                opacity: 0.4;
-                pointer-events: none;
-            }
-            .qde-btn[data-action="toggle-html-mode"] {
-                position: relative;
-            }
-            .qde-btn[data-action="toggle-html-mode"]:hover::after {
-                content: attr(title);
-                position: absolute;
-                bottom: calc(100% + 6px);
-                left: 50%;
-                transform: translateX(-50%);
-                padding: 5px 10px;
-                background: #1f2937;
-                color: #fff;
-                font-size: 0.75rem;
-                font-weight: 400;
-                white-space: nowrap;
-                border-radius: 4px;
-                pointer-events: none;
-                z-index: 10;
-            }
-            
-            .qde-spacer {
-                flex: 1;
-            }
-            
-            .qde-editor {
-                display: flex;
-                flex: 1;
-                overflow: hidden;
-            }
-            
-            .qde-source, .qde-preview {
-                flex: 1 1 0;
-                min-width: 0;       /* allow flex shrinking below content size */
-                min-height: 0;
-                overflow: auto;
-                padding: 16px;
-                box-sizing: border-box;
-            }
-
-            .qde-source {
-                border-right: 1px solid #ddd;
-                /* Source pane is just a container for the textarea — make it
-                   a positioning context so the textarea can fill it absolutely */
-                position: relative;
-                padding: 0;          /* textarea brings its own padding */
-            }
-
-            .qde-textarea {
-                display: block;
-                position: absolute;
-                inset: 0;
-                width: 100%;
-                height: 100%;
-                border: none;
-                outline: none;
-                resize: none;
-                padding: 16px;
-                box-sizing: border-box;
-                font-family: 'Monaco', 'Courier New', monospace;
-                font-size: 14px;
-                line-height: 1.5;
-                background: transparent;
-                color: inherit;
-                /* Wrap long lines so the textarea only scrolls VERTICALLY.
-                   pre-wrap preserves intentional line breaks/whitespace
-                   while soft-wrapping at the right edge. */
-                white-space: pre-wrap;
-                word-wrap: break-word;
-                overflow-x: hidden;
-                overflow-y: auto;
-            }
-            
-            .qde-preview {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                font-size: 16px;
-                line-height: 1.6;
-                outline: none;
-                cursor: text;  /* Standard text cursor */
-                overflow-x: hidden;  /* never scroll horizontally; clip wide content */
-            }
-
-            /* Code blocks and inline code — self-contained so the editor
-               does not depend on any external stylesheet for these. */
-            .qde-preview pre {
-                background: #f4f4f4;
-                color: #1f2937;
-                padding: 10px;
-                border-radius: 4px;
-                overflow-x: auto;
-                margin: 0.6em 0;
-                font-size: 0.9em;
-                line-height: 1.5;
-                font-family: ui-monospace, "SF Mono", Monaco, "Cascadia Code",
-                             "Roboto Mono", Consolas, "Courier New", monospace;
-            }
-            .qde-preview code {
-                padding: 2px 4px;
-                font-size: 0.9em;
-                border-radius: 3px;
-                background: #f0f0f0;
-                color: #1f2937;
-                font-family: ui-monospace, "SF Mono", Monaco, "Cascadia Code",
-                             "Roboto Mono", Consolas, "Courier New", monospace;
-            }
-            .qde-preview pre code {
-                padding: 0;
-                font-size: inherit;
-                border-radius: 0;
-                background: transparent;
-                color: inherit;
-            }
-
-            /* Wide fence content (Leaflet maps, large SVGs, STL canvases,
-               iframes, raw <img>) must never overflow the preview pane */
-            .qde-preview .geojson-container,
-            .qde-preview .qde-stl-container,
-            .qde-preview .qde-svg-container,
-            .qde-preview .leaflet-container,
-            .qde-preview iframe,
-            .qde-preview img,
-            .qde-preview > svg {
-                max-width: 100%;
-            }
-            .qde-preview img {
-                display: inline;
-            }
-            .qde-preview .leaflet-container { box-sizing: border-box; }
-
-            /* Standard markdown tables (the .quikdown-table class) need to
-               scroll horizontally inside their own wrapper rather than
-               making the whole preview pane scroll */
-            .qde-preview table.quikdown-table,
-            .qde-preview table.qde-csv-table {
-                display: block;
-                max-width: 100%;
-                overflow-x: auto;
-            }
-
-            /* Fence-specific styles */
-            .qde-svg-container {
-                max-width: 100%;
-                overflow: auto;
-            }
+        const { stylesheet, styleNonce } = this.options;
+        if (stylesheet === false || document.getElementById('qde-styles')) return;
 
-            .qde-svg-container svg {
-                max-width: 100%;
-                height: auto;
-            }
-            
-            .qde-html-container {
-                /* HTML containers inherit background */
-                margin: 12px 0;
-            }
-            
-            .qde-math-container {
-                text-align: center;
-                margin: 16px 0;
-                overflow-x: auto;
-            }
-            
-            /* All tables in preview (both regular markdown and CSV) */
-            .qde-preview table {
-                width: 100%;
-                border-collapse: collapse;
-                margin: 12px 0;
-                font-size: 14px;
-            }
-            
-            .qde-preview table th,
-            .qde-preview table td {
-                border: 1px solid #ddd;
-                padding: 8px;
-            }
-            
-            /* Support for alignment classes from quikdown */
-            .qde-preview .quikdown-left { text-align: left; }
-            .qde-preview .quikdown-center { text-align: center; }
-            .qde-preview .quikdown-right { text-align: right; }
-            
-            .qde-preview table th {
-                background: #f5f5f5;
-                font-weight: bold;
-            }
-            
-            .qde-preview table tr:nth-child(even) {
-                background: #f9f9f9;
-            }
-            
-            /* Specific to CSV-generated tables */
-            .qde-data-table {
-                /* Can add specific CSV table styles here if needed */
-            }
-            
-            .qde-json {
-                /* Let highlight.js handle styling */
-                overflow-x: auto;
-            }
-            
-            .qde-error {
-                background: #fee;
-                border: 1px solid #fcc;
-                color: #c00;
-                padding: 8px;
-                border-radius: 4px;
-                font-family: monospace;
-                font-size: 12px;
-            }
-            
-            /* Read-only complex fence blocks in preview */
-            .qde-preview [contenteditable="false"] {
-                cursor: auto;  /* Use automatic cursor (arrow for non-text) */
-                user-select: text;
-                position: relative;
-            }
-            
-            /* Reset headings inside the preview to plain browser defaults so
-               parent-page styles (site navs, marketing pages, design systems)
-               cannot bleed in. Business-casual: black text, decreasing sizes,
-               no decorative borders. See docs/quikdown-editor.md for how
-               embedders can override these with their own stylesheet. */
-            .qde-preview h1 { font-size: 2em; }
-            .qde-preview h2 { font-size: 1.5em; }
-            .qde-preview h3 { font-size: 1.25em; }
-            .qde-preview h4 { font-size: 1em; }
-            .qde-preview h5 { font-size: 0.875em; }
-            .qde-preview h6 { font-size: 0.85em; }
-            .qde-preview h1,
-            .qde-preview h2,
-            .qde-preview h3,
-            .qde-preview h4,
-            .qde-preview h5,
-            .qde-preview h6 {
-                font-weight: bold;
-                color: inherit;
-                border: none;
-                margin: 0.6em 0 0.3em 0;
-                line-height: 1.25;
-            }
-            .qde-preview p {
-                margin: 0.35em 0;
-            }
-            .qde-preview ul,
-            .qde-preview ol {
-                padding-left: 1.8em;
-                margin: 0.4em 0;
-            }
-            .qde-preview li {
-                margin: 0.15em 0;
-            }
-            .qde-preview blockquote {
-                margin: 0.5em 0;
-                padding-left: 1em;
-            }
-
-            /* Ensure proper cursor for editable text elements */
-            .qde-preview p,
-            .qde-preview h1,
-            .qde-preview h2,
-            .qde-preview h3,
-            .qde-preview h4,
-            .qde-preview h5,
-            .qde-preview h6,
-            .qde-preview li,
-            .qde-preview td,
-            .qde-preview th,
-            .qde-preview blockquote,
-            .qde-preview pre[contenteditable="true"],
-            .qde-preview code[contenteditable="true"] {
-                cursor: text;
-            }
-            
-            
-            /* Non-editable complex renderers */
-            .qde-preview .qde-svg-container[contenteditable="false"],
-            .qde-preview .qde-html-container[contenteditable="false"],
-            .qde-preview .qde-math-container[contenteditable="false"],
-            .qde-preview .mermaid[contenteditable="false"] {
-                opacity: 0.98;
-            }
-            
-            /* Subtle hover effect for read-only blocks */
-            .qde-preview [contenteditable="false"]:hover::after {
-                content: "Read-only";
-                position: absolute;
-                top: 2px;
-                right: 2px;
-                font-size: 10px;
-                color: #999;
-                background: rgba(255, 255, 255, 0.9);
-                padding: 2px 4px;
-                border-radius: 2px;
-                pointer-events: none;
-            }
-            
-            /* Fix list padding in preview */
-            .qde-preview ul,
-            .qde-preview ol {
-                padding-left: 2em;
-                margin: 0.5em 0;
-            }
-            
-            .qde-preview li {
-                margin: 0.25em 0;
-            }
-            
-            /* Mode-specific visibility */
-            .qde-mode-source .qde-preview { display: none; }
-            .qde-mode-source .qde-source { border-right: none; }
-            .qde-mode-preview .qde-source { display: none; }
-            .qde-mode-split .qde-source,
-            .qde-mode-split .qde-preview { display: block; }
-            
-            /* Dark theme */
-            .qde-dark {
-                background: #1e1e1e;
-                color: #e0e0e0;
-                border-color: #444;
-            }
-            
-            .qde-dark .qde-toolbar {
-                background: #2d2d2d;
-                border-color: #444;
-            }
-            
-            .qde-dark .qde-btn {
-                background: #3a3a3a;
-                color: #e0e0e0;
-                border-color: #555;
-            }
-            
-            .qde-dark .qde-btn:hover {
-                background: #4a4a4a;
-            }
-            
-            .qde-dark .qde-source {
-                border-color: #444;
-            }
-            
-            .qde-dark .qde-textarea {
-                background: #1e1e1e;
-                color: #e0e0e0;
-            }
-            
-            .qde-dark .qde-preview {
-                background: #1e1e1e;
-                color: #e0e0e0;
-            }
-            
-            /* Dark mode code blocks */
-            .qde-dark .qde-preview pre {
-                background: #2d2d3a;
-                color: #e6e6f0;
-            }
-            .qde-dark .qde-preview code {
-                background: #2a2a3a;
-                color: #e6e6f0;
-            }
-            .qde-dark .qde-preview pre code {
-                background: transparent;
-                color: inherit;
-            }
-
-            /* Dark mode table styles */
-            .qde-dark .qde-preview table th,
-            .qde-dark .qde-preview table td {
-                border-color: #3a3a3a;
-            }
-            
-            .qde-dark .qde-preview table th {
-                background: #2d2d2d;
-            }
-            
-            .qde-dark .qde-preview table tr:nth-child(even) {
-                background: #252525;
-            }
-            
-            /* Mobile split toggle — hidden by default */
-            .qde-split-toggle { display: none; }
-
-            /* Mobile responsive — compact toolbar for all small screens */
-            @media (max-width: 720px) {
-                .qde-toolbar {
-                    padding: 6px;
-                    gap: 3px;
-                }
-                .qde-btn {
-                    padding: 5px 8px;
-                    font-size: 12px;
-                }
-                .qde-source, .qde-preview {
-                    padding: 10px;
-                }
-                .qde-textarea {
-                    padding: 10px;
-                }
-                /* Undo/Redo: show circular arrows instead of text */
-                .qde-btn[data-action="undo"] { font-size: 0; }
-                .qde-btn[data-action="undo"]::after { content: "\\21B6"; font-size: 14px; }
-                .qde-btn[data-action="redo"] { font-size: 0; }
-                .qde-btn[data-action="redo"]::after { content: "\\21B7"; font-size: 14px; }
-                /* Hide secondary utility buttons to reduce clutter */
-                .qde-btn[data-action="remove-hr"],
-                .qde-btn[data-action="lazy-linefeeds"],
-                .qde-btn[data-action="copy-rendered"] { display: none; }
-            }
+        if (typeof stylesheet === 'string') {
+            const link = document.createElement('link');
+            link.id = 'qde-styles';
+            link.rel = 'stylesheet';
+            link.href = stylesheet;
+            document.head.appendChild(link);
+            return;
+        }
 
-            /* Portrait mobile: drop split mode entirely */
-            @media (max-width: 720px) and (orientation: portrait) {
-                .qde-btn[data-mode="split"] { display: none; }
-                .qde-split-toggle { display: none !important; }
-                /* Fallback: if still in split mode, show source only */
-                .qde-mode-split .qde-source { border-right: none; }
-                .qde-mode-split .qde-preview { display: none; }
-                .qde-mode-split.qde-split-preview .qde-source { display: none; }
-                .qde-mode-split.qde-split-preview .qde-preview { display: block; }
-            }
-        `;
-        
+        const style = document.createElement('style');
+        style.id = 'qde-styles';
+        if (styleNonce) style.setAttribute('nonce', styleNonce);
+        style.textContent = EDITOR_STYLES;
         document.head.appendChild(style);
     }
     
@@ -937,11 +1046,11 @@ class QuikdownEditor {
         if (!this._markdown.trim()) {
             this._html = '';
             if (this.currentMode !== 'source') {
-                this.previewPanel.innerHTML = '<div style="color: #999; font-style: italic; padding: 16px;">Start typing markdown in the source panel...</div>';
+                this.previewPanel.innerHTML = '<div class="qde-placeholder">Start typing markdown in the source panel...</div>';
             }
         } else {
             // Translate editor's allowUnsafeHTML to parser's allow_unsafe_html:
-            //   false → false,  true → true,  'limited' → quikdown_bd.SAFE_HTML_TAGS
+            //   false → false,  true → true,  'limited' → SAFE_HTML_TAGS
             const htmlMode = this.options.allowUnsafeHTML;
             const allowHtml = htmlMode === 'limited' ? SAFE_HTML_TAGS : htmlMode;
 
@@ -949,7 +1058,22 @@ class QuikdownEditor {
                 fence_plugin: this.createFencePlugin(),
                 lazy_linefeeds: this.options.lazy_linefeeds,
                 inline_styles: this.options.inline_styles,
-                allow_unsafe_html: allowHtml
+                csp: this.options.csp,
+                allow_unsafe_html: allowHtml,
+                extensions: PLUGINS.concat(this.options.extensions),
+                definition_lists: this.options.definition_lists,
+                abbreviations: this.options.abbreviations,
+                attributes: this.options.attributes,
+                highlight: this.options.highlight,
+                superscript: this.options.superscript,
+                subscript: this.options.subscript,
+                insert: this.options.insert,
+                emoji: this.options.emoji,
+                typographer: this.options.typographer,
+                linkify: this.options.linkify,
+                mentions: this.options.mentions,
+                hashtags: this.options.hashtags,
+                references: this.options.references
             });
             
             // Update preview if visible
@@ -989,7 +1113,8 @@ class QuikdownEditor {
 
         this._html = this.previewPanel.innerHTML;
         const newMarkdown = quikdown_bd.toMarkdown(clonedPanel, {
-            fence_plugin: this.createFencePlugin()
+            fence_plugin: this.createFencePlugin(),
+            extensions: this.options.extensions
         });
 
         // Push previous state to undo stack (now that we know the new markdown)
@@ -1315,10 +1440,6 @@ class QuikdownEditor {
         const singleLineContent = code.replace(/\r?\n/g, ' ').replace(/\s+/g, ' ').trim();
         container.textContent = `$$${singleLineContent}$$`;
         
-        // Add centering style
-        container.style.textAlign = 'center';
-        container.style.margin = '1em 0';
-        
         
         // Ensure MathJax will be loaded (if not already)
         if (!window.MathJax || !window.MathJax.typesetPromise) {
@@ -1505,7 +1626,7 @@ class QuikdownEditor {
                 // Clear container and set deterministic size for rasterization
                 const mapDiv = document.createElement('div');
                 mapDiv.id = mapId;
-                mapDiv.style.cssText = 'width: 100%; height: 300px;';
+                mapDiv.className = 'qde-geojson-map';
                 container.innerHTML = '';
                 container.appendChild(mapDiv);
                 
@@ -1573,7 +1694,7 @@ class QuikdownEditor {
                 } else {
                     const element = document.getElementById(mapId + '-container');
                     if (element) {
-                        element.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Failed to load map library</div>';
+                        element.innerHTML = '<div class="qde-fence-fallback">Failed to load map library</div>';
                     }
                 }
             }).catch(() => {
@@ -1585,7 +1706,6 @@ class QuikdownEditor {
         const container = document.createElement('div');
         container.className = 'geojson-container';
         container.id = mapId + '-container';
-        container.style.cssText = 'width: 100%; height: 300px; border: 1px solid #ddd; border-radius: 4px; margin: 0.5em 0; background: #f0f0f0;';
         container.contentEditable = 'false';
         
         // Preserve source for copy-time identification (per Gem's guide)
@@ -1692,14 +1812,14 @@ class QuikdownEditor {
                 } else {
                     const element = document.getElementById(id);
                     if (element) {
-                        element.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Failed to load Three.js for STL rendering</div>';
+                        element.innerHTML = '<div class="qde-fence-fallback">Failed to load Three.js for STL rendering</div>';
                     }
                 }
             });
         }
 
         // Return placeholder with data-stl-id for copy functionality
-        return `<div id="${id}" class="qde-stl-container" data-stl-id="${id}" data-qd-fence="\`\`\`" data-qd-lang="stl" data-qd-source="${this.escapeHtml(code)}" contenteditable="false" style="height: 400px; background: #f0f0f0; display: flex; align-items: center; justify-content: center;">Loading 3D model...</div>`;
+        return `<div id="${id}" class="qde-stl-container" data-stl-id="${id}" data-qd-fence="\`\`\`" data-qd-lang="stl" data-qd-source="${this.escapeHtml(code)}" contenteditable="false">Loading 3D model...</div>`;
     }
     
     /**
@@ -2621,6 +2741,9 @@ class QuikdownEditor {
 /** Static: curated safe HTML tag whitelist for allow_unsafe_html */
 QuikdownEditor.SAFE_HTML_TAGS = SAFE_HTML_TAGS;
 
+/** Static: the editor's stylesheet, for serving as a file (see `stylesheet`) */
+QuikdownEditor.emitStyles = () => EDITOR_STYLES;
+
 // Export
 export default QuikdownEditor;
 
@@ -0,0 +1,333 @@
+/**
+ * quikdown_emoji — Emoji shortcodes
+ * ═════════════════════════════════
+ *
+ * A table of common GitHub/Slack-style :shortcode: names for the
+ * `emoji` option.  It is a bundle of its own, so the core parser stays
+ * small for callers who don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import emoji from 'quikdown/emoji';
+ *   quikdown('Ship it :rocket:', { emoji });
+ *
+ * Any { name: character } object works the same way, so callers can
+ * extend this one ({ ...emoji, party_parrot: '🦜' }) or bring their own.
+ */
+
+const quikdown_emoji = {
+    // Faces
+    smile: '😄',
+    smiley: '😃',
+    grinning: '😀',
+    grin: '😁',
+    laughing: '😆',
+    satisfied: '😆',
+    sweat_smile: '😅',
+    joy: '😂',
+    rofl: '🤣',
+    slightly_smiling_face: '🙂',
+    upside_down_face: '🙃',
+    wink: '😉',
+    blush: '😊',
+    innocent: '😇',
+    heart_eyes: '😍',
+    star_struck: '🤩',
+    kissing_heart: '😘',
+    yum: '😋',
+    stuck_out_tongue: '😛',
+    stuck_out_tongue_winking_eye: '😜',
+    hugs: '🤗',
+    thinking: '🤔',
+    shushing_face: '🤫',
+    zipper_mouth_face: '🤐',
+    raised_eyebrow: '🤨',
+    neutral_face: '😐',
+    expressionless: '😑',
+    no_mouth: '😶',
+    smirk: '😏',
+    unamused: '😒',
+    roll_eyes: '🙄',
+    grimacing: '😬',
+    relieved: '😌',
+    pensive: '😔',
+    sleepy: '😪',
+    sleeping: '😴',
+    mask: '😷',
+    nerd_face: '🤓',
+    sunglasses: '😎',
+    confused: '😕',
+    worried: '😟',
+    slightly_frowning_face: '🙁',
+    open_mouth: '😮',
+    astonished: '😲',
+    flushed: '😳',
+    pleading_face: '🥺',
+    cry: '😢',
+    sob: '😭',
+    scream: '😱',
+    confounded: '😖',
+    disappointed: '😞',
+    sweat: '😓',
+    weary: '😩',
+    tired_face: '😫',
+    yawning_face: '🥱',
+    triumph: '😤',
+    rage: '😡',
+    angry: '😠',
+    exploding_head: '🤯',
+    partying_face: '🥳',
+    face_with_spiral_eyes: '😵‍💫',
+    skull: '💀',
+    poop: '💩',
+    clown_face: '🤡',
+    ghost: '👻',
+    alien: '👽',
+    robot: '🤖',
+    see_no_evil: '🙈',
+    hear_no_evil: '🙉',
+    speak_no_evil: '🙊',
+
+    // Hands and people
+    wave: '👋',
+    ok_hand: '👌',
+    v: '✌️',
+    crossed_fingers: '🤞',
+    metal: '🤘',
+    call_me_hand: '🤙',
+    point_left: '👈',
+    point_right: '👉',
+    point_up: '☝️',
+    point_down: '👇',
+    '+1': '👍',
+    thumbsup: '👍',
+    '-1': '👎',
+    thumbsdown: '👎',
+    fist: '✊',
+    facepunch: '👊',
+    clap: '👏',
+    raised_hands: '🙌',
+    open_hands: '👐',
+    handshake: '🤝',
+    pray: '🙏',
+    muscle: '💪',
+    writing_hand: '✍️',
+    eyes: '👀',
+    brain: '🧠',
+    bow: '🙇',
+    facepalm: '🤦',
+    shrug: '🤷',
+    raising_hand: '🙋',
+    man_technologist: '👨‍💻',
+    woman_technologist: '👩‍💻',
+
+    // Hearts and symbols
+    heart: '❤️',
+    orange_heart: '🧡',
+    yellow_heart: '💛',
+    green_heart: '💚',
+    blue_heart: '💙',
+    purple_heart: '💜',
+    black_heart: '🖤',
+    broken_heart: '💔',
+    sparkling_heart: '💖',
+    '100': '💯',
+    boom: '💥',
+    collision: '💥',
+    fire: '🔥',
+    sparkles: '✨',
+    star: '⭐',
+    star2: '🌟',
+    dizzy: '💫',
+    zap: '⚡',
+    zzz: '💤',
+    speech_balloon: '💬',
+    thought_balloon: '💭',
+    white_check_mark: '✅',
+    heavy_check_mark: '✔️',
+    ballot_box_with_check: '☑️',
+    x: '❌',
+    negative_squared_cross_mark: '❎',
+    heavy_plus_sign: '➕',
+    heavy_minus_sign: '➖',
+    question: '❓',
+    grey_question: '❔',
+    exclamation: '❗',
+    bangbang: '‼️',
+    warning: '⚠️',
+    no_entry: '⛔',
+    no_entry_sign: '🚫',
+    stop_sign: '🛑',
+    red_circle: '🔴',
+    orange_circle: '🟠',
+    yellow_circle: '🟡',
+    green_circle: '🟢',
+    large_blue_circle: '🔵',
+    white_circle: '⚪',
+    black_circle: '⚫',
+    arrow_up: '⬆️',
+    arrow_down: '⬇️',
+    arrow_left: '⬅️',
+    arrow_right: '➡️',
+    arrows_counterclockwise: '🔄',
+    information_source: 'ℹ️',
+    new: '🆕',
+    free: '🆓',
+    up: '🆙',
+    cool: '🆒',
+    ok: '🆗',
+    sos: '🆘',
+    copyright: '©️',
+    registered: '®️',
+    tm: '™️',
+
+    // Nature, food and activities
+    sunny: '☀️',
+    cloud: '☁️',
+    umbrella: '☔',
+    snowflake: '❄️',
+    rainbow: '🌈',
+    ocean: '🌊',
+    earth_americas: '🌎',
+    earth_africa: '🌍',
+    earth_asia: '🌏',
+    crescent_moon: '🌙',
+    seedling: '🌱',
+    evergreen_tree: '🌲',
+    deciduous_tree: '🌳',
+    cactus: '🌵',
+    four_leaf_clover: '🍀',
+    rose: '🌹',
+    sunflower: '🌻',
+    tulip: '🌷',
+    cat: '🐱',
+    dog: '🐶',
+    mouse: '🐭',
+    fox_face: '🦊',
+    bear: '🐻',
+    panda_face: '🐼',
+    unicorn: '🦄',
+    bee: '🐝',
+    bug: '🐛',
+    butterfly: '🦋',
+    snail: '🐌',
+    turtle: '🐢',
+    snake: '🐍',
+    octopus: '🐙',
+    whale: '🐳',
+    penguin: '🐧',
+    bird: '🐦',
+    apple: '🍎',
+    banana: '🍌',
+    lemon: '🍋',
+    watermelon: '🍉',
+    pizza: '🍕',
+    hamburger: '🍔',
+    taco: '🌮',
+    cake: '🍰',
+    birthday: '🎂',
+    cookie: '🍪',
+    doughnut: '🍩',
+    coffee: '☕',
+    tea: '🍵',
+    beer: '🍺',
+    beers: '🍻',
+    wine_glass: '🍷',
+    champagne: '🍾',
+    tada: '🎉',
+    confetti_ball: '🎊',
+    balloon: '🎈',
+    gift: '🎁',
+    trophy: '🏆',
+    medal_sports: '🏅',
+    '1st_place_medal': '🥇',
+    soccer: '⚽',
+    basketball: '🏀',
+    dart: '🎯',
+    video_game: '🎮',
+    game_die: '🎲',
+    art: '🎨',
+    musical_note: '🎵',
+    notes: '🎶',
+    microphone: '🎤',
+    headphones: '🎧',
+
+    // Travel and objects
+    rocket: '🚀',
+    airplane: '✈️',
+    car: '🚗',
+    bike: '🚲',
+    ship: '🚢',
+    construction: '🚧',
+    house: '🏠',
+    office: '🏢',
+    hourglass: '⌛',
+    stopwatch: '⏱️',
+    alarm_clock: '⏰',
+    calendar: '📆',
+    date: '📅',
+    computer: '💻',
+    desktop_computer: '🖥️',
+    keyboard: '⌨️',
+    iphone: '📱',
+    phone: '☎️',
+    email: '📧',
+    envelope: '✉️',
+    inbox_tray: '📥',
+    outbox_tray: '📤',
+    package: '📦',
+    mailbox: '📫',
+    memo: '📝',
+    pencil2: '✏️',
+    page_facing_up: '📄',
+    bookmark_tabs: '📑',
+    clipboard: '📋',
+    pushpin: '📌',
+    paperclip: '📎',
+    link: '🔗',
+    file_folder: '📁',
+    open_file_folder: '📂',
+    books: '📚',
+    book: '📖',
+    newspaper: '📰',
+    chart_with_upwards_trend: '📈',
+    chart_with_downwards_trend: '📉',
+    bar_chart: '📊',
+    mag: '🔍',
+    bulb: '💡',
+    flashlight: '🔦',
+    lock: '🔒',
+    unlock: '🔓',
+    key: '🔑',
+    hammer: '🔨',
+    wrench: '🔧',
+    gear: '⚙️',
+    nut_and_bolt: '🔩',
+    toolbox: '🧰',
+    test_tube: '🧪',
+    microscope: '🔬',
+    telescope: '🔭',
+    satellite: '📡',
+    battery: '🔋',
+    electric_plug: '🔌',
+    moneybag: '💰',
+    dollar: '💵',
+    credit_card: '💳',
+    gem: '💎',
+    bell: '🔔',
+    no_bell: '🔕',
+    loudspeaker: '📢',
+    mega: '📣',
+    label: '🏷️',
+    recycle: '♻️',
+    triangular_flag_on_post: '🚩',
+    checkered_flag: '🏁',
+    white_flag: '🏳️',
+    crystal_ball: '🔮',
+    magic_wand: '🪄',
+    bomb: '💣',
+    pill: '💊',
+    hourglass_flowing_sand: '⏳',
+    shipit: '🐿️'
+};
+
+export default quikdown_emoji;
@@ -0,0 +1,24 @@
+/**
+ * quikdown_entities — Named entity references
+ * ═══════════════════════════════════════════
+ *
+ * The core parser decodes numeric references (&#169;, &#xA9;) and the
+ * five names XML predefines (&lt;, &amp;, …); this plugin adds the rest
+ * of the names in quikdown_charrefs.js (&copy;, &mdash;, …).
+ * A plugin of its own, so the core parser stays small for callers who
+ * don't need the table:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_entities from 'quikdown/entities';
+ *   quikdown.use(quikdown_entities);
+ *   quikdown('&copy; 2025');
+ */
+
+import { decodeNamed } from './quikdown_charrefs.js';
+
+const quikdown_entities = {
+    name: 'entities',
+    setup: () => ({ entity: decodeNamed })
+};
+
+export default quikdown_entities;
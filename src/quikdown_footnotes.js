@@ -0,0 +1,130 @@
+/**
+ * quikdown_footnotes — Footnotes
+ * ══════════════════════════════
+ *
+ * [^label] references and `[^label]: text` definitions, rendered as a
+ * numbered footnotes section at the end of the document.  A plugin of
+ * its own, so the core parser stays small for callers who don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_footnotes from 'quikdown/footnotes';
+ *   quikdown.use(quikdown_footnotes);
+ *   quikdown('Claim.[^1]\n\n[^1]: Source.');
+ */
+
+import { normalizeLabel } from './quikdown_classify.js';
+
+/** A footnote reference: [^label] */
+const REF_RE = /\[\^([^\]\s]+)\]/g;
+
+/**
+ * collectFootnotes — strip `[^label]: text` footnote definitions
+ *
+ * A definition runs on over following lines indented by two or more
+ * spaces (or a tab); a blank line followed by such an indented line
+ * starts a new paragraph inside the same footnote.  Each definition is
+ * recorded in `defs` keyed by normalized label as
+ * { label, text, num: 0, refs: 0 } — `num` and `refs` are filled in
+ * while references are rendered.
+ *
+ * @param {string}   text  The document text (HTML-escaped, code extracted)
+ * @param {Object}   defs  Map filled with footnote records
+ * @param {Function} join  (kept, keptIndexes) → text, keeping the source
+ *                         line map in step
+ * @returns {string}       Text with footnote definitions removed
+ */
+function collectFootnotes(text, defs, join) {
+    const lines = text.split('\n');
+    const kept = [];
+    const keptIndexes = [];
+    for (let i = 0; i < lines.length; i++) {
+        const m = lines[i].match(/^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/);
+        if (!m) {
+            kept.push(lines[i]);
+            keptIndexes.push(i);
+            continue;
+        }
+        const body = [m[2]];
+        while (i + 1 < lines.length) {
+            const next = lines[i + 1];
+            if (/^( {2,}|\t)\S/.test(next)) {
+                body.push(next.trim());
+            } else if (next.trim() === '' && i + 2 < lines.length && /^( {2,}|\t)\S/.test(lines[i + 2])) {
+                body.push('');
+            } else {
+                break;
+            }
+            i++;
+        }
+        const key = normalizeLabel(m[1]);
+        if (!(key in defs)) {
+            defs[key] = { label: m[1], text: body.join('\n').replace(/\n\n+/g, '\n\n'), num: 0, refs: 0 };
+        }
+    }
+    return join(kept, keptIndexes);
+}
+
+const quikdown_footnotes = {
+    name: 'footnotes',
+    setup(md) {
+        const { bidirectional, getAttr, dataQd } = md;
+        const defs = {};
+        // Numbers follow the order of first reference, so re-rendering a
+        // growing (streamed) document never reshuffles existing footnotes
+        const order = [];
+        const fnAttr = (label) => bidirectional ? ` data-qd-fn="${label}"` : '';
+
+        return {
+            // Definitions are pulled out like link reference definitions.
+            // Footnotes are numbered by first reference in the body, then
+            // in the notes themselves (a note may only be referenced from
+            // another note).
+            collect(text) {
+                if (!text.includes('[^')) return text;
+                text = collectFootnotes(text, defs, md.joinKeptLines);
+                const numberRefs = (str) => {
+                    for (const m of str.matchAll(REF_RE)) {
+                        const fn = defs[normalizeLabel(m[1])];
+                        if (fn && !fn.num) fn.num = order.push(fn);
+                    }
+                };
+                numberRefs(text);
+                for (let n = 0; n < order.length; n++) numberRefs(order[n].text);
+                return text;
+            },
+
+            // [^label] with a definition becomes a numbered superscript
+            // link; each reference gets its own id so the footnote can link
+            // back to every occurrence.
+            inlineStart(str) {
+                if (!order.length) return str;
+                return str.replace(REF_RE, (match, label) => {
+                    const key = normalizeLabel(label);
+                    const fn = defs[key];
+                    if (!fn) return match;
+                    fn.refs++;
+                    const refId = `fnref-${key}${fn.refs > 1 ? `-${fn.refs}` : ''}`;
+                    return `<sup${getAttr('footnote-ref')}${fnAttr(label)}${dataQd('[^')}><a href="#fn-${key}" id="${refId}">${fn.num}</a></sup>`;
+                });
+            },
+
+            // The footnotes section closes the document
+            append(html) {
+                if (!order.length) return html;
+                const items = order.map(fn => {
+                    const key = normalizeLabel(fn.label);
+                    let backrefs = '';
+                    for (let r = 1; r <= fn.refs; r++) {
+                        backrefs += ` <a href="#fnref-${key}${r > 1 ? `-${r}` : ''}"${getAttr('footnote-backref')}>↩</a>`;
+                    }
+                    const paras = fn.text.split(/\n{2,}/).map(md.formatInline);
+                    paras[paras.length - 1] += backrefs;
+                    return `<li${getAttr('li')} id="fn-${key}"${fnAttr(fn.label)}><p>${paras.join('</p><p>')}</p></li>`;
+                });
+                return `${html}\n<section${getAttr('footnotes')}${dataQd('[^')}><hr${getAttr('hr')}><ol${getAttr('ol')}>${items.join('')}</ol></section>`;
+            }
+        };
+    }
+};
+
+export default quikdown_footnotes;
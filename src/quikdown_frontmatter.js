@@ -0,0 +1,57 @@
+/**
+ * quikdown_frontmatter — Front matter
+ * ═══════════════════════════════════
+ *
+ * A leading `---` (YAML) or `+++` (TOML) metadata block is not content:
+ * this plugin leaves it out of the HTML and gives the parser it is
+ * registered with parseWithMeta, which returns the metadata too.  A
+ * plugin of its own, so the core parser stays small for callers who
+ * don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_frontmatter from 'quikdown/frontmatter';
+ *   quikdown.use(quikdown_frontmatter);
+ *   const { html, meta } = quikdown.parseWithMeta(markdown);
+ */
+
+import { readFrontMatter, parseFrontMatter } from './quikdown_metadata.js';
+
+const quikdown_frontmatter = {
+    name: 'frontmatter',
+
+    /**
+     * Give `parser` (quikdown or quikdown_bd) parseWithMeta(markdown,
+     * options) → { html, meta, metaRaw }, with the metadata parsed by
+     * the minimal readers in quikdown_metadata.js.  Without front
+     * matter, meta is {} and metaRaw ''.  Registered with quikdown_bd,
+     * the HTML is bidirectional.
+     */
+    install(parser) {
+        parser.parseWithMeta = (markdown, options = {}) => {
+            const front = typeof markdown === 'string' && readFrontMatter(markdown);
+            return {
+                html: parser(markdown, options),
+                meta: front ? parseFrontMatter(front) : {},
+                metaRaw: front ? front.raw : ''
+            };
+        };
+    },
+
+    // The block's lines are blanked so source lines stay put.  quikdown_bd
+    // carries it in a hidden element for toMarkdown to re-emit.  A
+    // streamed document's later pieces have none.
+    setup(md) {
+        let front = null;
+        return {
+            source(markdown) {
+                front = !md.midDocument && readFrontMatter(markdown);
+                return front ? front.block.replace(/[^\n]+/g, '') + markdown.slice(front.block.length) : markdown;
+            },
+            finish(html) {
+                return front && md.bidirectional ? `<div hidden data-qd-frontmatter="${md.escapeHtml(front.block)}"></div>${html}` : html;
+            }
+        };
+    }
+};
+
+export default quikdown_frontmatter;
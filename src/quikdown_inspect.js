@@ -0,0 +1,137 @@
+/**
+ * quikdown_inspect — Document facts from the AST
+ * ═══════════════════════════════════════════════
+ *
+ * Walks a quikdown_ast tree and collects what search indexing and link
+ * checking need — headings, links, images, code blocks, task lists,
+ * tables and text statistics — without rendering HTML or a DOM.
+ * Exposed as quikdown_ast.inspect and quikdown_ast_html.inspect.
+ *
+ * URLs go through the same policy (quikdown_url.js) as rendering and
+ * heading ids through the same slugger (quikdown_slug.js) as
+ * heading_ids, so the facts match what quikdown renders with the same
+ * options.
+ */
+
+import { sanitizeUrl } from './quikdown_url.js';
+import { slugify, uniqueSlug, claimId } from './quikdown_slug.js';
+
+/** Reading speed behind readingTime, in words per minute */
+const WORDS_PER_MINUTE = 200;
+
+/** Nodes whose text isn't part of the document's content */
+const SKIPPED = { frontmatter: 1, definition: 1, abbreviation_definition: 1 };
+
+/** Inline nodes with children, whose text runs on with its neighbours' */
+const INLINE = { strong: 1, em: 1, del: 1, mark: 1, ins: 1, sup: 1, sub: 1, link: 1, abbreviation: 1 };
+
+/**
+ * The plain text of inline nodes, as it reads once rendered
+ *
+ * @param {Array} nodes  Inline nodes
+ * @returns {string}
+ */
+function plainText(nodes) {
+    return nodes.map(node => node.type === 'text' || node.type === 'code' || node.type === 'emoji' || node.type === 'mention' ? node.value
+        : node.type === 'br' ? ' '
+            : node.children ? plainText(node.children) : '').join('');
+}
+
+/**
+ * Collect a document's facts.
+ *
+ * @param {Object} ast      quikdown_ast document
+ * @param {Object} options  quikdown options: the URL policy options,
+ *                          heading_ids as a slugger function, and
+ *                          wordsPerMinute (default 200)
+ * @returns {Object} {
+ *     headings:   [{ level, text, id }],
+ *     links:      [{ url, raw, text, title?, autolink }],
+ *     images:     [{ url, raw, alt, title? }],
+ *     codeBlocks: [{ lang, lines, fenced }],
+ *     tasks:      { total, done },
+ *     tables:     [{ rows, columns }],
+ *     words, characters, readingTime
+ * }
+ */
+export function inspectAst(ast, options = {}) {
+    const slugger = typeof options.heading_ids === 'function' ? options.heading_ids : slugify;
+    const wordsPerMinute = options.wordsPerMinute || WORDS_PER_MINUTE;
+    const used = {};
+    const facts = { headings: [], links: [], images: [], codeBlocks: [], tasks: { total: 0, done: 0 }, tables: [] };
+    const text = [];
+
+    const visitAll = (nodes) => nodes.forEach(visit);
+
+    function visit(node) {
+        if (SKIPPED[node.type]) return;
+        switch (node.type) {
+            case 'text':
+            case 'code':
+            case 'emoji':
+            case 'mention':
+                text.push(node.value);
+                return;
+            case 'br':
+                text.push(' ');
+                return;
+            case 'heading': {
+                // An {#id} attribute block gives the heading its own id
+                const headingText = plainText(node.children).trim();
+                const own = node.attributes && node.attributes.id;
+                facts.headings.push({ level: node.level, text: headingText, id: own ? claimId(own, used) : uniqueSlug(slugger(headingText), used) });
+                break;
+            }
+            case 'link': {
+                const linkText = plainText(node.children);
+                const autolink = !!node.autolink || (node.children.length === 1 && linkText === node.url);
+                const link = { url: sanitizeUrl(node.url, options, autolink ? 'autolink' : 'link'), raw: node.url, text: linkText };
+                if (node.title !== undefined) link.title = node.title;
+                link.autolink = autolink;
+                facts.links.push(link);
+                break;
+            }
+            case 'image': {
+                const image = { url: sanitizeUrl(node.url, options, 'image'), raw: node.url, alt: node.alt };
+                if (node.title !== undefined) image.title = node.title;
+                facts.images.push(image);
+                return;
+            }
+            case 'code_block':
+                facts.codeBlocks.push({ lang: node.lang, lines: node.content ? node.content.split('\n').length : 0, fenced: node.fence !== null });
+                text.push(' ', node.content, ' ');
+                return;
+            case 'list_item':
+                if (node.checked === true || node.checked === false) {
+                    facts.tasks.total++;
+                    if (node.checked) facts.tasks.done++;
+                }
+                break;
+            case 'table':
+                facts.tables.push({ rows: node.rows.length, columns: node.headers.length });
+                [node.headers, ...node.rows].forEach(row => row.forEach(cell => {
+                    visitAll(cell);
+                    text.push(' ');
+                }));
+                return;
+        }
+
+        // Blocks are separated by whitespace; inline nodes run together
+        const gap = INLINE[node.type] ? '' : ' ';
+        text.push(gap);
+        if (Array.isArray(node.title)) visitAll(node.title);  // a callout's
+        visitAll(node.children || node.items || []);
+        text.push(gap);
+    }
+
+    visitAll(ast.children);
+
+    const content = text.join('').replace(/\s+/g, ' ').trim();
+    const words = content ? content.split(' ').length : 0;
+    return {
+        ...facts,
+        words,
+        characters: [...content].length,
+        readingTime: Math.ceil(words / wordsPerMinute)
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * quikdown_limits — Resource limits for untrusted input
+ * ══════════════════════════════════════════════════════
+ *
+ * Caps the work one render may do on crafted input.  Used by the main
+ * parser (quikdown.js), quikdown_ast and quikdown_bd.toMarkdown.
+ *
+ * limits option (all optional; unset means unlimited, except as noted):
+ *   maxInputLength   Characters of input; the rest is cut off
+ *   maxNestingDepth  Nested blockquotes and list levels; 100 by default,
+ *                    since deeper nests recurse past the call stack
+ *   maxTableCells    Table cells in the document; later rows are dropped
+ *   maxListItems     List items in the document; later items stay text
+ *   timeBudgetMs     Milliseconds before the render gives up and returns
+ *                    the input as plain, escaped text
+ *
+ * Set maxNestingDepth to Infinity to lift its default.
+ *
+ * The first time a render hits a limit, onLimit({ limit, max, value })
+ * is called with the limit's name, its setting and the value that
+ * exceeded it.  There is no onError: a render past a limit still
+ * returns safe output, so nothing failed, and errors thrown by plugins,
+ * renderers and extensions reach the caller as they always have.
+ */
+
+/** Limits that apply when the limits option doesn't set them */
+const DEFAULT_LIMITS = { maxNestingDepth: 100 };
+
+/** Thrown out of a render that ran past timeBudgetMs; see run() */
+const OUT_OF_TIME = new Error('quikdown: timeBudgetMs exceeded');
+
+/**
+ * Create the guard for one render.
+ *
+ * @param {Object}   [limits]   The limits option
+ * @param {Function} [onLimit]  Called once per limit reached
+ * @returns {Object}            { depth, fits, take, clamp, tick, run }
+ */
+export function createGuard(limits = {}, onLimit) {
+    limits = { ...DEFAULT_LIMITS, ...limits };
+    const start = Date.now();
+    // Reading the clock is the costly part of a tick, so skip it unless timed
+    const timed = limits.timeBudgetMs !== undefined;
+    const counts = {};
+    const reported = {};
+
+    const guard = {
+        /** Current container depth, kept by the parser */
+        depth: 0,
+
+        /** Whether `value` is within `limit`; reports it if not */
+        fits(limit, value) {
+            const max = limits[limit];
+            if (max === undefined || value <= max) return true;
+            if (!reported[limit]) {
+                reported[limit] = true;
+                if (onLimit) onLimit({ limit, max, value });
+            }
+            return false;
+        },
+
+        /** Count n more of a document-wide limit; false once past it */
+        take(limit, n = 1) {
+            counts[limit] = (counts[limit] || 0) + n;
+            return guard.fits(limit, counts[limit]);
+        },
+
+        /** `value`, or the limit's maximum if it is past it */
+        clamp(limit, value) {
+            return guard.fits(limit, value) ? value : limits[limit];
+        },
+
+        /** Throw OUT_OF_TIME once timeBudgetMs has passed */
+        tick() {
+            if (timed && !guard.fits('timeBudgetMs', Date.now() - start)) throw OUT_OF_TIME;
+        },
+
+        /** fn(), or fallback() if the time budget ran out during it */
+        run(fn, fallback) {
+            try {
+                return fn();
+            } catch (err) {
+                if (err !== OUT_OF_TIME) throw err;
+                return fallback();
+            }
+        }
+    };
+    return guard;
+}
@@ -0,0 +1,87 @@
+/**
+ * quikdown_math — TeX math
+ * ════════════════════════
+ *
+ * $inline$ and $$display$$ TeX for the `math` option, rendered by the
+ * `math_plugin` or left in spans for a client-side renderer such as
+ * KaTeX or MathJax.  A plugin of its own, so the core parser stays small
+ * for callers who don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_math from 'quikdown/math';
+ *   quikdown.use(quikdown_math);
+ *   quikdown('Euler: $e^{i\\pi} + 1 = 0$', { math: true });
+ */
+
+/** Placeholder sigil for math spans */
+const PLACEHOLDER_MT = '§MT';
+
+const quikdown_math = {
+    name: 'math',
+    setup(md) {
+        const { options, bidirectional, getAttr, dataQd, escapeHtml, lineAttrs } = md;
+        if (!options.math) return null;
+        const { math_plugin } = options;
+        const spans = [];     // Array of {tex, src, display, span}
+
+        return {
+            // TeX is pulled out with the code, so '*', '_' and '|' inside
+            // formulas never reach the inline or table passes.  Inline math
+            // must hug its dollars ($x$, not "$ x $") and not run into a
+            // digit, so "$5 and $10" stays text.  Display math on lines of
+            // its own may sit in a list item or quote, whose prefix is
+            // handled as for fences.
+            extract(text) {
+                text = md.replaceTracked(text, /^([ \t>]*)\$\$\n([\s\S]+?)\n\1\$\$$/gm, (match, prefix, tex) => {
+                    const placeholder = `${prefix}${PLACEHOLDER_MT}${spans.length}§`;
+                    const src = `\n${md.stripLinePrefix(tex, prefix)}\n`;
+                    spans.push({ tex: src.trim(), src, display: true, span: match.split('\n').length - 1 });
+                    return placeholder;
+                });
+                return md.replaceTracked(text, /\$\$([\s\S]+?)\$\$|(?<!\\)\$(?=\S)([^$\n]+?)(?<=\S)\$(?!\d)/g, (match, display, inline) => {
+                    const placeholder = `${PLACEHOLDER_MT}${spans.length}§`;
+                    const src = display !== undefined ? display : inline;
+                    spans.push({ tex: src.trim(), src, display: display !== undefined, span: match.split('\n').length - 1 });
+                    return placeholder;
+                });
+            },
+
+            // Display math alone in its paragraph becomes a block
+            paragraphs(html) {
+                // eslint-disable-next-line security/detect-non-literal-regexp -- built from fixed sigils
+                return html.replace(new RegExp(`<p>(?:${md.lineMarker}(\\d+)-\\d+§)?${PLACEHOLDER_MT}(\\d+)§</p>`, 'g'), (match, line, n) => {
+                    const span = spans[n];
+                    if (!span.display) return match;
+                    span.block = true;
+                    span.line = line && +line;
+                    return `${PLACEHOLDER_MT}${n}§`;
+                });
+            },
+
+            // The math_plugin renders the TeX (returning undefined falls
+            // back); by default it is escaped into a span.  Display math
+            // standing alone is a div, wrapped around the plugin's HTML if
+            // there is one.
+            restore() {
+                return { [PLACEHOLDER_MT]: spans.map(span => {
+                    let html = math_plugin && math_plugin.render ? math_plugin.render(span.tex, span.display) : undefined;
+                    if (html === undefined) {
+                        const tag = span.block ? 'div' : 'span';
+                        html = `<${tag}${getAttr(span.display ? 'math-display' : 'math')}>${escapeHtml(span.tex)}</${tag}>`;
+                    } else if (span.block) {
+                        html = `<div${getAttr('math-display')}>${html}</div>`;
+                    }
+                    if (bidirectional) {
+                        html = html.replace(/^<\w+/, open => `${open}${dataQd(span.display ? '$$' : '$')} data-qd-tex="${escapeHtml(span.src)}"`);
+                    }
+                    if (span.line) {
+                        html = html.replace(/^(<\w+[^>]*)>/, `$1${lineAttrs(span.line, span.line + span.span)}>`);
+                    }
+                    return html;
+                }) };
+            }
+        };
+    }
+};
+
+export default quikdown_math;
@@ -0,0 +1,48 @@
+/**
+ * quikdown_mentions — Mentions, hashtags and references
+ * ═════════════════════════════════════════════════════
+ *
+ * @mention, #hashtag and #123 tokens the `mentions`, `hashtags` and
+ * `references` resolvers know become links (with an href) or spans,
+ * labelled as the resolver says.  A plugin of its own, so the core
+ * parser stays small for callers who don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_mentions from 'quikdown/mentions';
+ *   quikdown.use(quikdown_mentions);
+ *   quikdown('Thanks @ana', { mentions: (name) => ({ href: `/u/${name}` }) });
+ */
+
+import { canStartMention, resolveMention } from './quikdown_autolink.js';
+
+/** @mention, #hashtag and #123 candidates in runs of inline text */
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: nothing follows the optional tail
+const MENTION_TOKEN_RE = /[@#]\w(?:[\w.-]*\w)?/g;
+
+const quikdown_mentions = {
+    name: 'mentions',
+    setup(md) {
+        const { options, bidirectional, inline_styles, classPrefix, getAttr, escapeHtml, toPlain } = md;
+        if (!['mentions', 'hashtags', 'references'].some(name => typeof options[name] === 'function')) return null;
+        return {
+            // Never inside code, links, URLs or email addresses: those are
+            // placeholders or links by now.
+            inlineTokens(str, protect) {
+                return str.split(md.skipRe).map((run, i) => i % 2 ? run : run.replace(MENTION_TOKEN_RE, (token, at) => {
+                    const found = canStartMention(toPlain(run.slice(Math.max(0, at - 6), at)).slice(-1)) && resolveMention(token, options);
+                    if (!found) return token;
+                    const className = escapeHtml(found.className);
+                    const classAttr = !className ? getAttr('mention')
+                        : inline_styles ? `${getAttr('mention')} class="${className}"` : ` class="${classPrefix}mention ${className}"`;
+                    const autoAttr = bidirectional ? ` data-qd-auto="${token}"` : '';
+                    const label = escapeHtml(found.label);
+                    if (!found.href) return protect(`<span${classAttr}${autoAttr}>${label}</span>`);
+                    const url = md.sanitizeUrl(escapeHtml(found.href), 'link');
+                    return protect(`<a${classAttr} href="${url}"${md.relAttrs(url)}${autoAttr}>${label}</a>`);
+                })).join('');
+            }
+        };
+    }
+};
+
+export default quikdown_mentions;
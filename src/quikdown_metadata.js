@@ -0,0 +1,390 @@
+/**
+ * quikdown_metadata — Front matter and the minimal YAML/TOML readers
+ * ══════════════════════════════════════════════════════════════════
+ *
+ * A document may open with a metadata block:
+ *
+ *   ---                 +++
+ *   title: Hello        title = "Hello"
+ *   tags: [a, b]        tags = ["a", "b"]
+ *   ---                 +++
+ *
+ * The front matter plugin (quikdown_frontmatter.js) leaves it out of the
+ * rendered HTML and adds parseWithMeta to return it; quikdown_ast makes
+ * it a `frontmatter` node.  quikdown_ast_html also reads YAML-encoded
+ * ASTs with the YAML reader here.
+ *
+ * The readers cover what front matter and quikdown's own YAML output
+ * use — nested maps and lists, scalars, flow lists, block scalars,
+ * comments; TOML tables, dotted keys and one-line arrays — not the full
+ * languages.  There are no dependencies.
+ */
+
+/**
+ * Find a front matter block at the very start of a document.  Its first
+ * line must look like a key, so a document opening with a rule isn't
+ * taken for metadata; without a closing fence there is no block.
+ *
+ * @param {string} text  Markdown source
+ * @returns {Object|null} { format: 'yaml'|'toml', raw, block } — raw is
+ *                        the metadata text, block the fences included
+ */
+export function readFrontMatter(text) {
+    const open = text.match(/^(---|\+\+\+)[ \t]*\r?\n/);
+    if (!open) return null;
+    const format = open[1] === '---' ? 'yaml' : 'toml';
+    const lines = text.slice(open[0].length).split('\n');
+    if (!(format === 'yaml' ? /^[\w-]+[ \t]*:/ : /^(?:[\w.-]+[ \t]*=|\[)/).test(lines[0])) return null;
+
+    let length = open[0].length;
+    for (let i = 0; i < lines.length; i++) {
+        const close = lines[i].trimEnd();
+        if (i && (close === open[1] || (format === 'yaml' && close === '...'))) {
+            return { format, raw: lines.slice(0, i).join('\n'), block: text.slice(0, length + lines[i].length) };
+        }
+        length += lines[i].length + 1;
+    }
+    return null;
+}
+
+/**
+ * The metadata of a front matter block as an object
+ *
+ * @param {Object} front  readFrontMatter result
+ * @returns {Object}      Parsed metadata
+ */
+export function parseFrontMatter(front) {
+    // The first line is a key, so YAML reads as a map too
+    return front.format === 'yaml' ? parseYaml(front.raw) : parseToml(front.raw);
+}
+
+// ════════════════════════════════════════════════════════════════════
+//  YAML
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * Simple YAML parser for front matter and the AST format
+ */
+export function parseYaml(yaml) {
+    const lines = yaml.split('\n').filter(line => !/^\s*#/.test(line));
+    return parseYamlNode(lines, 0, 0).value;
+}
+
+/**
+ * Parse a YAML node starting at given line and indent
+ */
+function parseYamlNode(lines, startLine, minIndent) {
+    if (startLine >= lines.length) {
+        return { value: null, nextLine: startLine };
+    }
+
+    const line = lines[startLine];
+    const trimmed = line.trim();
+
+    // Skip empty lines
+    if (trimmed === '') {
+        return parseYamlNode(lines, startLine + 1, minIndent);
+    }
+
+    // Get current indent
+    const indent = line.search(/\S/);
+    if (indent < minIndent) {
+        return { value: null, nextLine: startLine };
+    }
+
+    // Array item
+    if (trimmed.startsWith('- ')) {
+        return parseYamlArray(lines, startLine, indent);
+    }
+
+    // Empty object
+    if (trimmed === '{}') {
+        return { value: {}, nextLine: startLine + 1 };
+    }
+
+    // Key-value pair
+    const colonIndex = trimmed.indexOf(':');
+    if (colonIndex > 0) {
+        return parseYamlObject(lines, startLine, indent);
+    }
+
+    // Scalar value (including flow lists such as [] or [a, b])
+    return { value: parseYamlScalar(trimmed), nextLine: startLine + 1 };
+}
+
+/**
+ * Parse the value of `key:` — inline, a block scalar (| or >) or the
+ * indented node on the following lines
+ */
+function parseYamlValue(lines, i, value, indent) {
+    if (value === '') return parseYamlNode(lines, i + 1, indent + 2);
+    if (/^[|>][+-]?$/.test(value)) return parseBlockScalar(lines, i + 1, indent, value);
+    return { value: parseYamlScalar(value), nextLine: i + 1 };
+}
+
+/**
+ * Parse YAML array
+ */
+function parseYamlArray(lines, startLine, baseIndent) {
+    const items = [];
+    let i = startLine;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        if (trimmed === '') {
+            i++;
+            continue;
+        }
+
+        const indent = line.search(/\S/);
+        if (indent < baseIndent) break;
+        if (indent > baseIndent) {
+            // Continuation of previous item
+            i++;
+            continue;
+        }
+
+        if (!trimmed.startsWith('- ')) break;
+
+        // Parse the item after "- "
+        const itemContent = trimmed.slice(2);
+
+        if (itemContent.includes(':') && !/^["'[]/.test(itemContent)) {
+            // Object item - parse inline and following properties
+            const obj = {};
+            const colonIdx = itemContent.indexOf(':');
+            const key = itemContent.slice(0, colonIdx).trim();
+            const result = parseYamlValue(lines, i, itemContent.slice(colonIdx + 1).trim(), indent);
+            obj[key] = result.value;
+            i = result.nextLine;
+
+            // Parse remaining properties at same indent
+            while (i < lines.length) {
+                const nextLine = lines[i];
+                const nextTrimmed = nextLine.trim();
+                if (nextTrimmed === '') {
+                    i++;
+                    continue;
+                }
+
+                const nextIndent = nextLine.search(/\S/);
+                if (nextIndent <= baseIndent) break;
+                if (nextTrimmed.startsWith('- ')) break;
+
+                const nextColonIdx = nextTrimmed.indexOf(':');
+                if (nextColonIdx > 0) {
+                    const nextKey = nextTrimmed.slice(0, nextColonIdx).trim();
+                    const next = parseYamlValue(lines, i, nextTrimmed.slice(nextColonIdx + 1).trim(), nextIndent);
+                    obj[nextKey] = next.value;
+                    i = next.nextLine;
+                } else {
+                    i++;
+                }
+            }
+
+            items.push(obj);
+        } else {
+            items.push(parseYamlScalar(itemContent));
+            i++;
+        }
+    }
+
+    return { value: items, nextLine: i };
+}
+
+/**
+ * Parse YAML object
+ */
+function parseYamlObject(lines, startLine, baseIndent) {
+    const obj = {};
+    let i = startLine;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        if (trimmed === '') {
+            i++;
+            continue;
+        }
+
+        const indent = line.search(/\S/);
+        if (indent < baseIndent) break;
+
+        const colonIdx = trimmed.indexOf(':');
+        if (colonIdx <= 0) {
+            i++;
+            continue;
+        }
+
+        const key = trimmed.slice(0, colonIdx).trim();
+        const result = parseYamlValue(lines, i, trimmed.slice(colonIdx + 1).trim(), indent);
+        obj[key] = result.value;
+        i = result.nextLine;
+    }
+
+    return { value: obj, nextLine: i };
+}
+
+/**
+ * Parse a block scalar: the lines indented past the key, kept as they
+ * are ('|') or folded into one line ('>').  A trailing '-' drops the
+ * final newline, '+' keeps the trailing blank lines.
+ */
+function parseBlockScalar(lines, startLine, baseIndent, header) {
+    const body = [];
+    let i = startLine;
+    let indent = -1;
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() === '') {
+            body.push('');
+            continue;
+        }
+        const lineIndent = line.search(/\S/);
+        if (lineIndent <= baseIndent) break;
+        if (indent < 0) indent = lineIndent;
+        body.push(line.slice(Math.min(indent, lineIndent)));
+    }
+
+    // Trailing blank lines belong to the value only with '+'
+    let end = body.length;
+    while (end && body[end - 1] === '') end--;
+    const text = header[0] === '|'
+        ? body.slice(0, end).join('\n')
+        : body.slice(0, end).join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+    const chomp = header[1];
+    const value = chomp === '-' ? text : chomp === '+' ? text + '\n'.repeat(body.length - end + 1) : text + '\n';
+    return { value, nextLine: i };
+}
+
+/**
+ * Parse YAML scalar value
+ */
+function parseYamlScalar(str) {
+    let trimmed = str.trim();
+
+    // Flow list: [a, "b", 3]
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+        return splitList(trimmed.slice(1, -1)).map(parseYamlScalar);
+    }
+
+    // Quoted string
+    if ((trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length > 1) ||
+        (trimmed.startsWith("'") && trimmed.endsWith("'") && trimmed.length > 1)) {
+        return trimmed.slice(1, -1)
+            .replace(/\\n/g, '\n')
+            .replace(/\\"/g, '"')
+            .replace(/\\\\/g, '\\');
+    }
+
+    // A comment after a plain value
+    trimmed = trimmed.replace(/\s+#.*$/, '');
+
+    if (trimmed === '' || trimmed === 'null' || trimmed === '~') return null;
+    if (trimmed === 'true') return true;
+    if (trimmed === 'false') return false;
+
+    // Number
+    if (/^-?\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+    if (/^-?\d+\.\d+$/.test(trimmed)) return parseFloat(trimmed);
+
+    return trimmed;
+}
+
+// ════════════════════════════════════════════════════════════════════
+//  TOML
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * Simple TOML parser: `key = value` lines, [table] headers and dotted
+ * keys, with strings, numbers, booleans and one-line arrays as values
+ * (dates stay strings)
+ */
+export function parseToml(toml) {
+    const root = {};
+    let table = root;
+    toml.split('\n').forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed[0] === '#') return;
+
+        const header = trimmed.match(/^\[([^\]]+)\]/);
+        if (header) {
+            table = tomlPath(root, header[1].split('.'));
+            return;
+        }
+
+        const eq = trimmed.indexOf('=');
+        if (eq <= 0) return;
+        const keys = trimmed.slice(0, eq).split('.').map(key => key.trim().replace(/^"(.*)"$/, '$1'));
+        const last = keys.pop();
+        tomlPath(table, keys)[last] = parseTomlValue(trimmed.slice(eq + 1));
+    });
+    return root;
+}
+
+/**
+ * The table at `keys` below `table`, created as needed
+ */
+function tomlPath(table, keys) {
+    return keys.reduce((node, key) => {
+        key = key.trim();
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+    }, table);
+}
+
+/**
+ * Parse a TOML value
+ */
+function parseTomlValue(str) {
+    let trimmed = str.trim();
+    if (trimmed[0] === '[') {
+        const end = trimmed.lastIndexOf(']');
+        return splitList(trimmed.slice(1, end < 0 ? undefined : end)).map(parseTomlValue);
+    }
+    if (trimmed[0] === '"') {
+        const end = trimmed.indexOf('"', 1);
+        return trimmed.slice(1, end < 0 ? undefined : end)
+            .replace(/\\n/g, '\n')
+            .replace(/\\t/g, '\t')
+            .replace(/\\"/g, '"')
+            .replace(/\\\\/g, '\\');
+    }
+    if (trimmed[0] === "'") {
+        const end = trimmed.indexOf("'", 1);
+        return trimmed.slice(1, end < 0 ? undefined : end);
+    }
+
+    trimmed = trimmed.replace(/\s*#.*$/, '');
+    if (trimmed === 'true') return true;
+    if (trimmed === 'false') return false;
+    // Numbers may use _ between digits
+    const number = Number(trimmed.replace(/_/g, ''));
+    if (/^[+-]?\d/.test(trimmed) && !isNaN(number)) return number;
+    return trimmed;
+}
+
+/**
+ * Split the inside of a one-line list at commas outside quotes
+ */
+function splitList(inner) {
+    const items = [];
+    let quote = '';
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        const ch = inner[i];
+        if (quote) {
+            if (ch === quote) quote = '';
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === ',') {
+            items.push(inner.slice(start, i));
+            start = i + 1;
+        }
+    }
+    items.push(inner.slice(start));
+    return items.filter(item => item.trim() !== '');
+}
@@ -0,0 +1,58 @@
+/**
+ * quikdown_slug — Heading anchor slugs
+ * ═════════════════════════════════════
+ *
+ * GitHub-compatible slugs for heading ids.  Used by the main parser
+ * (quikdown.js) for heading_ids and quikdown.toc, and by
+ * quikdown_inspect, so ids agree however a document is read.
+ */
+
+/**
+ * Turn heading text into a GitHub-compatible anchor slug: lowercased,
+ * punctuation removed (letters, digits, '_' and '-' are kept) and
+ * spaces replaced by hyphens.
+ *
+ * @param {string} text  Plain heading text
+ * @returns {string}     Slug (may be empty)
+ */
+export function slugify(text) {
+    return String(text).toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+        .replace(/ /g, '-');
+}
+
+/**
+ * Claim an id for a heading in a document: an empty slug becomes
+ * 'section', and one already taken gets the next free -1, -2, ...
+ * suffix, as GitHub numbers repeated headings.
+ *
+ * @param {string} slug  Slug from the slugger
+ * @param {Object} used  Ids taken so far (updated)
+ * @returns {string}     Unique id
+ */
+export function uniqueSlug(slug, used) {
+    const base = String(slug || '') || 'section';
+    let id = base;
+    if (used[id] !== undefined) {
+        let n = used[base];
+        do {
+            id = `${base}-${++n}`;
+        } while (used[id] !== undefined);
+        used[base] = n;
+    }
+    used[id] = 0;
+    return id;
+}
+
+/**
+ * Claim an id the author gave a heading ({#id} attribute blocks): it is
+ * kept as it is, and later slugs step around it.
+ *
+ * @param {string} id    Author's id
+ * @param {Object} used  Ids taken so far (updated)
+ * @returns {string}     The id
+ */
+export function claimId(id, used) {
+    if (used[id] === undefined) used[id] = 0;
+    return id;
+}
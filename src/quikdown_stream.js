@@ -0,0 +1,381 @@
+/**
+ * quikdown_stream — Incremental rendering
+ * ═══════════════════════════════════════
+ *
+ * Adds createStream to the parser it is registered with, for markdown
+ * that arrives in pieces (e.g. LLM tokens).  A plugin of its own, so the
+ * core parser stays small for callers who don't stream:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_stream from 'quikdown/stream';
+ *   quikdown.use(quikdown_stream);
+ *   const stream = quikdown.createStream(options, { target });
+ *
+ * Registered with quikdown_bd.use, the stream renders bidirectional HTML.
+ */
+
+import { toTrustedHtml } from './quikdown_trusted.js';
+import { LINK_DEF_RE, ABBR_DEF_RE, DEFINITION_RE, LIST_LINE_RE, normalizeLabel } from './quikdown_classify.js';
+
+// Private options keys shared with quikdown.js (Symbol.for, as each
+// bundle has its own copy of this module and the parser)
+
+/** Heading ids finished blocks took, for later blocks to avoid */
+const TOC_HEADINGS = Symbol.for('quikdown.headings');
+
+/** Heading slugs taken so far → last numeric suffix */
+const HEADING_SLUGS = Symbol.for('quikdown.slugs');
+
+/** Set on text past the document's start */
+const MID_DOCUMENT = Symbol.for('quikdown.mid-document');
+
+/** A top-level list item line, not a thematic break (captures its bullet or the number's '.') */
+// eslint-disable-next-line security/detect-unsafe-regex -- linear: each repeat starts with a marker character
+const STREAM_ITEM_RE = /^(?![*\-+][ \t]*(?:[*\-+][ \t]*){2,}$)(?:([*\-+])|\d+(\.))[ \t]+\S/;
+
+/**
+ * scanStream — find where top-level blocks start in streamed text
+ *
+ * A block starts at the first line after a run of blank lines, unless
+ * that line is indented, is a list item while the block so far holds
+ * one (it may carry that list on), or the blank lines sit inside a
+ * fence.  With definition lists, a block doesn't start after a
+ * definition either (more terms may carry the list on).  Only complete
+ * lines are read: the last one may still be growing.  Link reference
+ * and abbreviation definitions on those lines are collected on the
+ * way.  Front matter opening the document is held together like a
+ * fence.
+ *
+ * A block opening with a tight list can also be cut before each later
+ * item with the same marker, until a blank line inside it loosens the
+ * list: `items` holds those offsets.  `loose` is set when the first
+ * block has a blank line inside it.
+ *
+ * @param {string}  text     Unfinished stream text
+ * @param {boolean} atStart  Whether text starts the document
+ * @param {boolean} [definitionLists]  definition_lists option
+ * @returns {Object}     { starts: [offset, …], items: [offset, …], loose,
+ *                       defs: [[line, label], …], abbrs: [[line, term], …] }
+ */
+function scanStream(text, atStart, definitionLists) {
+    const lines = text.split('\n');
+    lines.pop();
+    const starts = [];
+    const items = [];
+    const defs = [];
+    const abbrs = [];
+    const front = atStart && /^(?:---|\+\+\+)\n[\w.[-]/.test(text) ? text.slice(0, 3) : null;
+    let fence = null;    // closing line of the open fence
+    let blank = false;
+    let definition = false;  // in a definition list's definition
+    let started = false; // past the leading blank lines
+    let listed = false;  // the block holds a list item
+    let list = null;     // marker of the tight list opening the block
+    let blockItems = 0;  // items before the block's own
+    let loose = false;
+    let offset = 0;
+    for (const line of lines) {
+        if (fence) {
+            if (line === fence) fence = null;
+        } else if (!line.trim()) {
+            blank = true;
+        } else {
+            const item = line.match(STREAM_ITEM_RE);
+            const isItem = LIST_LINE_RE.test(line);
+            if (!started || (blank && !definition && !/^\s/.test(line) && !(isItem && listed))) {
+                if (started) starts.push(offset);
+                started = true;
+                listed = false;
+                list = item && item[1] || item && item[2];
+                blockItems = items.length;
+            } else if (blank) {
+                // A blank line inside the list loosens all its items
+                list = null;
+                items.length = blockItems;
+                if (!starts.length) loose = true;
+            } else if (item && (item[1] || item[2]) === list) {
+                items.push(offset);
+            }
+            listed = listed || isItem;
+            if (definitionLists) definition = DEFINITION_RE.test(line) || (definition && /^\s/.test(line));
+            blank = false;
+            const open = line.match(/^([ \t>]*)(```|~~~)/);
+            if (open) fence = open[1] + open[2];
+            const def = line.match(LINK_DEF_RE);
+            if (def) defs.push([line, def[1]]);
+            const abbr = line.match(ABBR_DEF_RE);
+            if (abbr) abbrs.push([line, abbr[1]]);
+        }
+        if (!offset && front) fence = front;
+        offset += line.length + 1;
+    }
+    return { starts, items, loose, defs, abbrs };
+}
+
+/**
+ * Whether a run of complete blocks renders the same on its own as it
+ * will inside the whole document.  It doesn't while a code span, $$
+ * span or bracket is left open, when it touches footnotes or [[toc]]
+ * (both read the whole document), or while it uses a reference label
+ * that `known` turns down.
+ *
+ * @param {string}   text   Source of the blocks
+ * @param {Function} known  (normalized label) → whether it is defined
+ * @returns {boolean}
+ */
+function isSettled(text, known) {
+    const body = text.replace(/^([ \t>]*)(```|~~~)[^\n]*\n[\s\S]*?^\1\2$/gm, '')
+        .replace(/`[^`]+`/g, '');
+    if (body.includes('`') || body.split('$$').length % 2 === 0 || body.includes('[^') || /\[\[toc\]\]/i.test(body)) return false;
+    if (body.split('[').length !== body.split(']').length) return false;
+    // eslint-disable-next-line security/detect-unsafe-regex -- linear: bracket-delimited groups
+    for (const [, , label, ref] of body.matchAll(/(!?)\[([^\]]+)\](?:\[([^\]]*)\])?(?![(:])/g)) {
+        if (!known(normalizeLabel(ref || label)) && !/^[ xX]$/.test(label)) return false;
+    }
+    return true;
+}
+
+/**
+ * Index of the tag closing a list left open before `html`, or -1 while
+ * the list carries on past it.
+ *
+ * @param {string} html  HTML continuing the list
+ * @returns {number}
+ */
+function listCloseIndex(html) {
+    let depth = 1;
+    for (const m of html.matchAll(/<(\/?)[uo]l\b/g)) {
+        depth += m[1] ? -1 : 1;
+        if (!depth) return m.index;
+    }
+    return -1;
+}
+
+/**
+ * Render markdown that arrives in pieces (e.g. LLM tokens).
+ *
+ * Each finished top-level block is rendered once; only the text after
+ * the last finished block (the tail) is re-rendered on each push.  A
+ * tight list finishes item by item, leaving the list open in the
+ * finished HTML.  Blocks that may still change meaning — a reference
+ * label whose definition hasn't arrived, footnotes, [[toc]], terms the
+ * abbreviations option may define later, an unclosed code span — are
+ * finished as they stand, and end() renders the document again from
+ * the first of them the rest of it changed.  The final HTML is
+ * quikdown(fullText, options).
+ *
+ * handlers:
+ *   onUpdate  ({ html, committed, tail, done, rewind }) after each push
+ *             and on end(): drop the last `rewind` characters of the
+ *             finished HTML (only end() does this), then append
+ *             `committed`; `tail` replaces the previous tail and `html`
+ *             is everything
+ *   target    Element to render into: finished blocks are appended
+ *             once and only the tail's nodes are replaced, until end()
+ *             replaces the blocks it renders again
+ *
+ * With a trusted_types option, the target is written and end() returns
+ * through that policy; updates stay strings.
+ *
+ * @param {Function} parse     quikdown or quikdown_bd
+ * @param {Object}   options   quikdown options
+ * @param {Object}   handlers  onUpdate and/or target (optional)
+ * @returns {Object}           { push(chunk) → update, end() → html, html }
+ */
+function createStream(parse, options = {}, handlers = {}) {
+    const { onUpdate, target } = handlers;
+    const defs = {};        // labels defined so far → order of definition
+    const labels = [];
+    const abbrs = [];       // abbreviation terms, in order of definition
+    const defLines = [];    // their definition lines, appended to every render
+    const headings = [];    // heading ids taken by finished blocks
+    let used = {};
+    let slugs = null;       // copy of `used` since the last heading
+    const blocks = [];      // finished blocks, as end() may render them again
+    let text = '';          // source after the last finished block
+    let line = 0;           // lines before `text`, for source_map
+    let html = '';          // finished blocks
+    let list = null;        // { tag, block, node } of a list finished up to an item
+    let tail = '';
+    let tailNodes = [];
+    let done = false;
+
+    // Render with the definitions seen so far; finished blocks keep
+    // their heading slugs, the tail works on copies.
+    const render = (src, finished) => {
+        const source = defLines.length ? `${src}\n\n${defLines.join('\n')}` : src;
+        const out = parse(source, { ...options, trusted_types: undefined,
+            [TOC_HEADINGS]: finished ? headings : headings.slice(),
+            [HEADING_SLUGS]: finished ? used : { ...used }, [MID_DOCUMENT]: line > 0 });
+        return options.source_map && line
+            ? out.replace(/( data-qd-line-(?:start|end)=")(\d+)/g, (m, attr, n) => attr + (+n + line))
+            : out;
+    };
+
+    // HTML continuing the open list drops the list's opening tag; HTML
+    // that doesn't continue it has the list rendered again at end()
+    const continueList = (out) => {
+        const open = out.match(/^<([uo]l)\b[^>]*>\n?/);
+        if (!list) return out;
+        if (open && open[1] === list.tag) return out.slice(open[0].length);
+        blocks[list.block].revise = true;
+        return out;
+    };
+
+    // Append HTML to the target: while a list is open, the part before
+    // its closing tag goes into the list
+    const write = (out) => {
+        const append = (parent, part) => {
+            const kept = parent.childNodes.length;
+            parent.insertAdjacentHTML('beforeend', toTrustedHtml(part, options.trusted_types));
+            return Array.from(parent.childNodes).slice(kept);
+        };
+        const close = list ? listCloseIndex(out) : -1;
+        if (!list) return append(target, out);
+        if (close < 0) return append(list.node, out);
+        return [...append(list.node, out.slice(0, close)), ...append(target, out.slice(close + 5))];
+    };
+
+    const removeTail = () => {
+        tailNodes.forEach(node => node.remove());
+        tailNodes = [];
+    };
+
+    // Finish a block, or a tight list up to the item starting after
+    // `src`: gives its HTML, or null when the list can't be cut there
+    const finish = (src, item) => {
+        const block = { src, line, at: html.length, start: list ? list.block : blocks.length,
+            headings: headings.length, used: slugs = slugs || { ...used },
+            labels: labels.length, abbrs: abbrs.length,
+            settled: isSettled(src, label => defs[label]) };
+        let out = continueList(render(src, true));
+        const tag = list ? list.tag : (out.match(/^<([uo]l)\b/) || [])[1];
+        if (item) {
+            const body = list ? out : out.slice(out.indexOf('>') + 1);
+            if (!tag || !out.endsWith(`</${tag}>`) || listCloseIndex(body) !== body.length - 5) {
+                headings.length = block.headings;
+                used = { ...block.used };
+                return null;
+            }
+            out = out.slice(0, -5);
+        }
+        if (block.headings !== headings.length) slugs = null;
+        blocks.push(block);
+        if (target) {
+            removeTail();
+            block.nodes = target.childNodes.length;
+            write(out);
+        }
+        if (item && !list) list = { tag, block: blocks.length - 1, node: target && target.lastElementChild };
+        if (!item) list = null;
+        html += out;
+        return out;
+    };
+
+    // Render again from the first finished block whose HTML the rest of
+    // the document changed: gives how much finished HTML that drops
+    const revise = () => {
+        const changed = blocks.findIndex(block => block.revise
+            || (!block.settled && !isSettled(block.src, label => !(defs[label] > block.labels)))
+            || abbrs.slice(block.abbrs).some(term => block.src.includes(term)));
+        if (changed < 0) return 0;
+        const from = blocks[blocks[changed].start];
+        const rewind = html.length - from.at;
+        text = blocks.splice(blocks[changed].start).map(block => block.src).join('') + text;
+        html = html.slice(0, from.at);
+        ({ line } = from);
+        headings.length = from.headings;
+        used = { ...from.used };
+        slugs = null;
+        list = null;
+        if (target) {
+            removeTail();
+            Array.from(target.childNodes).slice(from.nodes).forEach(node => node.remove());
+        }
+        return rewind;
+    };
+
+    const update = () => {
+        // At the end, the last line is complete
+        const scan = scanStream(done ? `${text}\n` : text, !line, options.definition_lists);
+        for (const [def, label] of scan.defs) {
+            if (defLines.includes(def)) continue;
+            defLines.push(def);
+            const key = normalizeLabel(label);
+            if (!defs[key]) defs[key] = labels.push(key);
+        }
+        // Abbreviations may be defined anywhere, so they reach back into
+        // finished blocks
+        for (const [def, term] of options.abbreviations ? scan.abbrs : []) {
+            if (defLines.includes(def)) continue;
+            defLines.push(def);
+            abbrs.push(term);
+        }
+        if (list && scan.loose) blocks[list.block].revise = true;
+        let committed = '';
+        const rewind = done ? revise() : 0;
+        let cut = 0;
+        // Source maps give a list its last line, so lists finish whole
+        const cuts = scan.starts.map(start => [start, false])
+            .concat(options.source_map ? [] : scan.items.map(start => [start, true]))
+            .sort((a, b) => a[0] - b[0]);
+        for (const [start, item] of done ? [] : cuts) {
+            const block = text.slice(cut, start);
+            const out = finish(block, item);
+            if (out === null) continue;
+            committed += out;
+            line += block.split('\n').length - 1;
+            cut = start;
+        }
+        text = text.slice(cut);
+        const previous = tail;
+        tail = text ? continueList(render(text, done)) : '';
+        if (done) {
+            if (target) {
+                removeTail();
+                write(tail);
+            }
+            committed += tail;
+            html += tail;
+            tail = '';
+            list = null;
+        } else if (target && (committed || tail !== previous)) {
+            removeTail();
+            tailNodes = write(tail);
+        }
+        const result = { html: html + tail, committed, tail, done, rewind };
+        if (onUpdate) onUpdate(result);
+        return result;
+    };
+
+    return {
+        push(chunk) {
+            if (done) throw new Error('quikdown stream: push() after end()');
+            text += chunk;
+            return update();
+        },
+        end() {
+            if (!done) {
+                done = true;
+                update();
+            }
+            return toTrustedHtml(html, options.trusted_types);
+        },
+        get html() {
+            return html + tail;
+        }
+    };
+}
+
+/**
+ * The plugin: registered with quikdown.use (or quikdown_bd.use), it
+ * gives that parser createStream(options, handlers).
+ */
+const quikdown_stream = {
+    name: 'stream',
+    install(parser) {
+        parser.createStream = (options, handlers) => createStream(parser, options, handlers);
+    }
+};
+
+export default quikdown_stream;
@@ -0,0 +1,46 @@
+/**
+ * quikdown_trusted — Trusted Types support
+ * ═════════════════════════════════════════
+ *
+ * Pages sending `require-trusted-types-for 'script'` only accept
+ * TrustedHTML in innerHTML and similar sinks.  The trusted_types option
+ * names the policy quikdown's output goes through; quikdown creates it
+ * once, with a createHTML that passes the already-sanitized output
+ * through.  A TrustedTypePolicy object of the caller's works too.
+ */
+
+/** Policies created here, by name */
+const POLICIES = {};
+
+/**
+ * Wrap HTML through the trusted_types policy.  Without a policy, or
+ * where the browser has no Trusted Types, the string comes back
+ * unchanged.
+ *
+ * @param {string}        html    HTML to wrap
+ * @param {string|Object} policy  Policy name or policy object
+ * @returns {string|TrustedHTML}
+ */
+export function toTrustedHtml(html, policy) {
+    if (!policy) return html;
+    if (typeof policy === 'object') return policy.createHTML(html);
+    /* istanbul ignore next - non-browser branch */
+    const factory = typeof window !== 'undefined' ? window.trustedTypes : undefined;
+    if (!factory) return html;
+    if (!POLICIES[policy]) {
+        POLICIES[policy] = factory.createPolicy(policy, { createHTML: (text) => text });
+    }
+    return POLICIES[policy].createHTML(html);
+}
+
+/**
+ * Whether `value` is a TrustedHTML object.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isTrustedHtml(value) {
+    /* istanbul ignore next - non-browser branch */
+    const factory = typeof window !== 'undefined' ? window.trustedTypes : undefined;
+    return !!factory && factory.isHTML(value);
+}
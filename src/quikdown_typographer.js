@@ -0,0 +1,61 @@
+/**
+ * quikdown_typographer — SmartyPants-style punctuation
+ * ════════════════════════════════════════════════════
+ *
+ * Curly quotes, dashes, ellipses and ©/®/™ for the `typographer`
+ * option.  A plugin of its own, so the core parser stays small for
+ * callers who don't use it:
+ *
+ *   import quikdown from 'quikdown';
+ *   import quikdown_typographer from 'quikdown/typographer';
+ *   quikdown.use(quikdown_typographer);
+ *   quikdown('"Wait..." -- she said', { typographer: true });
+ */
+
+/** Typographer replacements other than quotes: source → character */
+const TYPOGRAPHER_SYMBOLS = { '---': '—', '--': '–', '...': '…', '(c)': '©', '(r)': '®', '(tm)': '™' };
+
+/**
+ * typographize — make the replacements in a run of inline text
+ *
+ * Runs on text whose tags, code and escapes are placeholders (%%T…%%
+ * and §…§), which it leaves alone; quotes may be escaped or, with
+ * allow_unsafe_html, not.  A straight quote opens at the start, after
+ * whitespace, an opening bracket, a dash, an emphasis marker, an
+ * opening tag or an opening quote; anywhere else it closes (or is an
+ * apostrophe).
+ *
+ * @param {string}   text       Escaped text with placeholders
+ * @param {Array}    savedTags  Markup behind the %%T…%% placeholders
+ * @param {Function} mark       (source, character) → output
+ * @returns {string}            Text with the replacements made
+ */
+function typographize(text, savedTags, mark) {
+    let openedTo = -1;  // where the last opening quote ended
+    return text.replace(/(%%T\d+%%|§[A-Z]+\d*§)|---?|\.\.\.|\((?:[cCrR]|[tT][mM])\)|&quot;|&#39;|["']/g, (match, placeholder, at) => {
+        if (placeholder) return match;
+        const double = match === '&quot;' || match === '"';
+        if (!double && match !== '&#39;' && match !== "'") return mark(match, TYPOGRAPHER_SYMBOLS[match.toLowerCase()]);
+        const tag = text.slice(Math.max(0, at - 12), at).match(/%%T(\d+)%%$/);
+        const opens = at === openedTo || (tag ? !savedTags[tag[1]].includes('</')
+            : at === 0 || /[\s([{\-*_~=+^]/.test(text[at - 1]));
+        if (opens) openedTo = at + match.length;
+        return mark(double ? '"' : "'", double ? (opens ? '“' : '”') : (opens ? '‘' : '’'));
+    });
+}
+
+const quikdown_typographer = {
+    name: 'typographer',
+    setup({ options, bidirectional, dataQd }) {
+        if (!options.typographer) return null;
+        return {
+            // Bidirectional mode keeps the source in a marked span
+            inlineText(str, protect, savedTags) {
+                const mark = bidirectional ? (source, out) => protect(`<span${dataQd(source)}>${out}</span>`) : (source, out) => out;
+                return typographize(str, savedTags, mark);
+            }
+        };
+    }
+};
+
+export default quikdown_typographer;
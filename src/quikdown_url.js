@@ -0,0 +1,116 @@
+/**
+ * quikdown_url — Shared URL policy
+ * ═════════════════════════════════
+ *
+ * Decides which URLs may appear in href/src attributes and which
+ * attributes a link gets.  Used by the main parser (quikdown.js) and
+ * quikdown_ast_html so both apply the same policy.
+ *
+ * Policy options (all optional):
+ *   allow_unsafe_urls  Skip the scheme check
+ *   url_schemes        Allowlist of schemes, e.g. ['https', 'mailto', 'tel'].
+ *                      Relative URLs always pass.  An entry holding ':'
+ *                      matches as a prefix ('data:image/').  Without it,
+ *                      everything but javascript:, vbscript: and non-image
+ *                      data: passes.
+ *   url_transform      (url, { kind }) → url for every URL that passes;
+ *                      kind is 'link', 'image' or 'autolink'.  Returning
+ *                      undefined keeps the URL.
+ *   link_target        target for external links (e.g. '_blank')
+ *   link_rel           rel for external links (default 'noopener noreferrer')
+ *   internal_hosts     Hosts whose absolute links are not external
+ *
+ * URLs are taken and returned as the caller holds them; callers escape
+ * the result for the attribute.
+ */
+
+/** Schemes blocked when there is no allowlist */
+const BLOCKED_SCHEMES = ['javascript', 'vbscript', 'data'];
+
+/** Named character references browsers decode inside a scheme */
+const NAMED_REFS = { colon: ':', tab: '\t', newline: '\n' };
+
+/**
+ * The URL's scheme as a browser would read it, lowercased, or '' for a
+ * relative URL.  Character references are decoded and whitespace and
+ * control characters dropped first, so "java&#9;script:" and
+ * "&#106;avascript:" are still javascript.
+ *
+ * @param {string} url  URL as written
+ * @returns {string}    Scheme without the colon
+ */
+export function urlScheme(url) {
+    const decoded = url.replace(/&(?:#(x?)([0-9a-f]+)|(colon|tab|newline));?/gi, (match, hex, code, name) =>
+        name ? NAMED_REFS[name.toLowerCase()] : String.fromCodePoint(Math.min(parseInt(code, hex ? 16 : 10), 0x10ffff)));
+    // Drop whitespace and control characters via linear scan
+    let plain = '';
+    for (const ch of decoded) {
+        if (ch > ' ' && ch !== '\u007f') plain += ch;
+    }
+    const m = plain.match(/^([a-z][a-z0-9+.-]*):/i);
+    return m ? m[1].toLowerCase() : '';
+}
+
+/**
+ * Whether a URL passes the scheme policy.
+ *
+ * @param {string} url      Trimmed URL
+ * @param {Array}  schemes  Allowlist, or undefined for the default blocklist
+ * @returns {boolean}
+ */
+function isAllowed(url, schemes) {
+    const scheme = urlScheme(url);
+    if (!scheme) return true;
+    const lower = url.toLowerCase();
+    if (!Array.isArray(schemes)) {
+        return !BLOCKED_SCHEMES.includes(scheme) || lower.startsWith('data:image/');
+    }
+    return schemes.some(entry => {
+        const allowed = String(entry).toLowerCase();
+        return allowed.includes(':') ? lower.startsWith(allowed) : allowed === scheme;
+    });
+}
+
+/**
+ * Apply the URL policy: '#' for a URL whose scheme isn't allowed,
+ * otherwise the trimmed URL after url_transform.  allow_unsafe_urls
+ * passes URLs through as written.
+ *
+ * @param {string} url      URL as written
+ * @param {Object} options  Policy options (see above)
+ * @param {string} kind     'link', 'image' or 'autolink'
+ * @returns {string}        URL to use
+ */
+export function sanitizeUrl(url, options, kind) {
+    if (!url) return '';
+    let checked = url;
+    if (!options.allow_unsafe_urls) {
+        checked = url.trim();
+        if (!isAllowed(checked, options.url_schemes)) return '#';
+    }
+    if (typeof options.url_transform !== 'function') return checked;
+    const transformed = options.url_transform(checked, { kind });
+    return transformed === undefined || transformed === null ? checked : String(transformed);
+}
+
+/**
+ * Attributes for a link to `url`: external links — absolute http(s)
+ * or protocol-relative URLs outside internal_hosts — get rel and
+ * link_target.  Values are returned unescaped.
+ *
+ * @param {string} url      Sanitized URL
+ * @param {Object} options  Policy options (see above)
+ * @returns {Array}         [[name, value], …]
+ */
+export function linkAttrs(url, options) {
+    // eslint-disable-next-line security/detect-unsafe-regex -- linear: anchored, single optional group
+    const host = url.match(/^(?:https?:)?\/\/([^/?#:]+)/i);
+    if (!host) return [];
+    const internal = options.internal_hosts || [];
+    if (internal.some(h => String(h).toLowerCase() === host[1].toLowerCase())) return [];
+    const attrs = [];
+    const rel = options.link_rel === undefined ? 'noopener noreferrer' : options.link_rel;
+    if (rel) attrs.push(['rel', rel]);
+    if (options.link_target) attrs.push(['target', options.link_target]);
+    return attrs;
+}
@@ -278,6 +278,96 @@ export const samples = {
                 }
             ]
         }
+    },
+
+    // Reference-style links, images and definitions
+    referenceLinks: {
+        markdown: '[Docs][ref], [ref][] and ![logo][img]\n\n```\n[ref]: /in-code\n```\n\n[ref]: https://example.com "Docs"\n[img]: /logo.png \'Logo\'\n[REF]: /duplicate (ignored)',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        {
+                            type: 'link',
+                            url: 'https://example.com',
+                            children: [{ type: 'text', value: 'Docs' }],
+                            title: 'Docs',
+                            reference: { type: 'full', label: 'ref' }
+                        },
+                        { type: 'text', value: ', ' },
+                        {
+                            type: 'link',
+                            url: 'https://example.com',
+                            children: [{ type: 'text', value: 'ref' }],
+                            title: 'Docs',
+                            reference: { type: 'collapsed', label: 'ref' }
+                        },
+                        { type: 'text', value: ' and ' },
+                        {
+                            type: 'image',
+                            alt: 'logo',
+                            url: '/logo.png',
+                            title: 'Logo',
+                            reference: { type: 'full', label: 'img' }
+                        }
+                    ]
+                },
+                { type: 'code_block', lang: null, content: '[ref]: /in-code', fence: '```' },
+                { type: 'definition', label: 'ref', url: 'https://example.com', title: 'Docs' },
+                { type: 'definition', label: 'img', url: '/logo.png', title: 'Logo' },
+                { type: 'definition', label: 'REF', url: '/duplicate', title: 'ignored' }
+            ]
+        }
+    },
+
+    footnotes: {
+        markdown: 'Text[^1] and [^missing].\n\n[^1]: The note\n    continues\n\n    Second paragraph.',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'text', value: 'Text' },
+                        { type: 'footnote_reference', label: '1' },
+                        { type: 'text', value: ' and [^missing].' }
+                    ]
+                },
+                {
+                    type: 'footnote_definition',
+                    label: '1',
+                    children: [
+                        { type: 'paragraph', children: [{ type: 'text', value: 'The note\ncontinues' }] },
+                        { type: 'paragraph', children: [{ type: 'text', value: 'Second paragraph.' }] }
+                    ]
+                }
+            ]
+        }
+    },
+
+    callouts: {
+        markdown: '> [!NOTE]\n> Body\n\n> [!Warning] Mind *this*',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'callout',
+                    kind: 'note',
+                    children: [{ type: 'paragraph', children: [{ type: 'text', value: 'Body' }] }]
+                },
+                {
+                    type: 'callout',
+                    kind: 'warning',
+                    title: [
+                        { type: 'text', value: 'Mind ' },
+                        { type: 'em', children: [{ type: 'text', value: 'this' }] }
+                    ],
+                    children: []
+                }
+            ]
+        }
     }
 };
 
@@ -326,4 +416,9 @@ export const forgivingSamples = {
     }
 };
 
-export default { samples, forgivingSamples };
+// Markdown touching every node type, for source_map position tests
+export const sourceMapSample = '# Hi *there*\n\n> quote **b**\n> more\n\n- item `c`\n  - [x] sub [l](u)\n\n' +
+    '| a | *b* |\n|---|---|\n| c | d |\n\nPara  \nline [r] ![i](p) ~~s~~ https://x.io a[^1]\n\n' +
+    '[r]: /r\n[^1]: note\n    more\n\n---\n\n```\ncode\n```\n\n> [!TIP] Use *it*\n> now';
+
+export default { samples, forgivingSamples, sourceMapSample };
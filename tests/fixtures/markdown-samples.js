@@ -852,13 +852,16 @@ Final paragraph.`,
         {
             name: 'backslash escapes',
             markdown: '\\*not italic\\* \\**not bold\\**',
+            shouldContain: ['*not italic* *<em'],
+            shouldNotContain: ['\\'],
             notes: 'Backslash escapes for literal characters'
         },
         {
             name: 'HTML entities in text',
             markdown: '&amp; &lt; &gt; already escaped',
-            shouldContain: ['&amp;amp;'],
-            notes: 'Already-escaped entities get double-escaped'
+            shouldContain: ['&amp; &lt; &gt;'],
+            shouldNotContain: ['&amp;amp;'],
+            notes: 'Entity references are decoded, then escaped once'
         },
         {
             name: 'multiple blank lines',
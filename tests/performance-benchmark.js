@@ -3,16 +3,85 @@
 /**
  * Performance benchmark comparing regex and lexer implementations
  * Tests both small and large markdown documents
+ *
+ * --large  Throughput on 1–10 MB inputs with thousands of fences and
+ *          code spans (regex implementation only); exits 1 if a target
+ *          is missed
  */
 
 import quikdownRegex from '../dist/quikdown.esm.js';
-import quikdownLex from '../dist/quikdown-lex.esm.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Large-input targets: every size must parse at MIN_MB_PER_SEC or better,
+// and the cost per MB of the largest input may be at most MAX_SLOWDOWN
+// times that of the smallest (a quadratic pass shows up as ~10x).
+const LARGE_SIZES_MB = [1, 2, 5, 10];
+const MIN_MB_PER_SEC = 1;
+const MAX_SLOWDOWN = 2;
+
+// One section: a heading, a paragraph with code spans, a fence and a list
+const largeSection = (i) => `## Section ${i}\n\n` +
+  `Paragraph ${i} with \`inline code\`, **bold**, \`more code\` and a [link](https://example.com/${i}).\n\n` +
+  '```js\n' + `const value${i} = compute(${i});\n` + '```\n\n' +
+  `- item with \`code ${i}\`\n- item two\n\n`;
+
+const generateSizedDoc = (mb) => {
+  const parts = [];
+  let length = 0;
+  for (let i = 0; length < mb * 1024 * 1024; i++) {
+    parts.push(largeSection(i));
+    length += parts[i].length;
+  }
+  return { doc: parts.join(''), sections: parts.length };
+};
+
+const runLargeBenchmark = () => {
+  console.log('='.repeat(80));
+  console.log(' QuikDown Large Input Benchmark');
+  console.log('='.repeat(80));
+  console.log(`\nTargets: >= ${MIN_MB_PER_SEC} MB/s at every size; ms/MB at ${LARGE_SIZES_MB[LARGE_SIZES_MB.length - 1]} MB ` +
+    `<= ${MAX_SLOWDOWN}x ms/MB at ${LARGE_SIZES_MB[0]} MB\n`);
+
+  let failed = false;
+  for (const extra of [{}, { lazy_linefeeds: true }]) {
+    console.log(`Options: ${JSON.stringify(extra)}`);
+    // No input cap, so every size is parsed to the end
+    const options = { ...extra, limits: { maxInputLength: Infinity } };
+    const msPerMb = [];
+    for (const mb of LARGE_SIZES_MB) {
+      const { doc, sections } = generateSizedDoc(mb);
+      quikdownRegex(doc.slice(0, 100000), options);   // warm up
+      const start = process.hrtime.bigint();
+      const html = quikdownRegex(doc, options);
+      const ms = Number(process.hrtime.bigint() - start) / 1000000;
+      const rate = mb / (ms / 1000);
+      msPerMb.push(ms / mb);
+      const complete = html.includes(`>Section ${sections - 1}</h2>`);
+      const ok = rate >= MIN_MB_PER_SEC && complete;
+      failed = failed || !ok;
+      console.log(`  ${String(mb).padStart(3)} MB  ${sections} fences, ${sections * 3} code spans  ` +
+        `${ms.toFixed(0).padStart(7)} ms  ${rate.toFixed(2).padStart(6)} MB/s  ` +
+        `${!complete ? 'INCOMPLETE' : ok ? 'ok' : 'TOO SLOW'}`);
+    }
+    const slowdown = msPerMb[msPerMb.length - 1] / msPerMb[0];
+    const linear = slowdown <= MAX_SLOWDOWN;
+    failed = failed || !linear;
+    console.log(`  Scaling: ${slowdown.toFixed(2)}x ms/MB  ${linear ? 'ok' : 'NOT LINEAR'}\n`);
+  }
+  console.log(failed ? 'FAILED' : 'All targets met');
+  process.exit(failed ? 1 : 0);
+};
+
+if (process.argv.includes('--large')) {
+  runLargeBenchmark();
+}
+
+const { default: quikdownLex } = await import('../dist/quikdown-lex.esm.js');
+
 // Generate test documents
 const generateSmallDoc = () => `
 # Small Document
@@ -564,7 +564,7 @@ test.describe('HTML Whitelist — Editor E2E', () => {
                 'mark', 'kbd', 'table', 'tr', 'td', 'th', 'ul', 'ol', 'li',
                 'h1', 'h2', 'h3', 'blockquote', 'pre', 'code', 'br', 'hr'];
             for (const tag of expected) {
-                expect(tags).toHaveProperty(tag);
+                expect(tags.tags).toHaveProperty(tag);
             }
         });
 
@@ -573,9 +573,18 @@ test.describe('HTML Whitelist — Editor E2E', () => {
             const dangerous = ['script', 'iframe', 'style', 'form', 'input',
                 'object', 'embed', 'svg', 'link', 'meta', 'base', 'textarea'];
             for (const tag of dangerous) {
-                expect(tags).not.toHaveProperty(tag);
+                expect(tags.tags).not.toHaveProperty(tag);
             }
         });
+
+        test('should list attributes per tag and limit style properties', async () => {
+            const tags = await page.evaluate(() => window.SAFE_HTML_TAGS);
+            expect(tags.tags.img).toContain('src');
+            expect(tags.tags.a).toContain('href');
+            expect(tags.globalAttrs).toContain('class');
+            expect(tags.styleProps).toContain('color');
+            expect(tags.styleProps).not.toContain('position');
+        });
     });
 });
 
@@ -332,6 +332,18 @@ describe('quikdown_ast parser', () => {
         });
     });
 
+    describe('Reference links fixture', () => {
+        test('should match the expected AST exactly', () => {
+            const { markdown, ast } = samples.referenceLinks;
+            expect(quikdown_ast(markdown)).toEqual(ast);
+        });
+
+        test('should parse footnotes', () => {
+            const { markdown, ast } = samples.footnotes;
+            expect(quikdown_ast(markdown)).toEqual(ast);
+        });
+    });
+
     describe('Complex documents', () => {
         test('should parse combined content', () => {
             const markdown = `# Title
@@ -3,7 +3,7 @@
  */
 import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
 import quikdown from '../dist/quikdown.esm.js';
-import { samples } from './fixtures/ast-samples.js';
+import { samples, sourceMapSample } from './fixtures/ast-samples.js';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 
@@ -403,5 +403,10 @@ children:
             expect(result).toContain('<em');
             expect(result).toContain('deep');
         });
+
+        test('should render the same HTML when the AST carries positions', () => {
+            expect(quikdown_ast_html(sourceMapSample, { source_map: true }))
+                .toBe(quikdown_ast_html(sourceMapSample));
+        });
     });
 });
@@ -0,0 +1,215 @@
+/**
+ * Extended autolinks (GFM autolink extension): www. domains, bare email
+ * addresses, <…> autolinks, trailing punctuation and parenthesis
+ * trimming, and the linkify option.  Covers core quikdown, quikdown_bd
+ * round-trips, quikdown_ast and its bundles, quikdown_ast_html and
+ * inspect.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+
+const a = (href, text = href, rel = true) =>
+    `<a class="quikdown-a" href="${href}"${rel ? ' rel="noopener noreferrer"' : ''}>${text}</a>`;
+
+// Ticket ids such as JIRA-123 link to the tracker
+const linkify = (text) => [...text.matchAll(/\b[A-Z]+-\d+\b/g)].map(m =>
+    ({ index: m.index, text: m[0], href: `https://jira.example/browse/${m[0]}` }));
+
+describe('extended autolinks', () => {
+
+    describe('quikdown core', () => {
+        test('should link www. domains, emails and <…> autolinks', () => {
+            expect(quikdown('Visit www.commonmark.org/help or mail foo.bar+baz@example.co.uk')).toBe(
+                `<p>Visit ${a('http://www.commonmark.org/help', 'www.commonmark.org/help')} or mail ` +
+                `${a('mailto:foo.bar+baz@example.co.uk', 'foo.bar+baz@example.co.uk', false)}</p>`);
+            expect(quikdown('mailto:a@b.io <https://x.com/a_b_> <foo@bar.example> <made-up:x>')).toBe(
+                `<p>${a('mailto:a@b.io', 'mailto:a@b.io', false)} ${a('https://x.com/a_b_')} ` +
+                `${a('mailto:foo@bar.example', 'foo@bar.example', false)} ${a('made-up:x', 'made-up:x', false)}</p>`);
+        });
+
+        test('should trim trailing punctuation, unmatched parentheses and entities', () => {
+            expect(quikdown('See https://x.com/a?b=1&c=2. Or (https://en.wikipedia.org/wiki/Foo_(bar)).')).toBe(
+                `<p>See ${a('https://x.com/a?b=1&amp;c=2')}. Or (${a('https://en.wikipedia.org/wiki/Foo_(bar)')}).</p>`);
+            expect(quikdown('www.a.com/x)y)), https://x.com/&hl; "www.q.com"!')).toBe(
+                `<p>${a('http://www.a.com/x)y', 'www.a.com/x)y')})), ${a('https://x.com/')}&amp;hl; ` +
+                `&quot;${a('http://www.q.com', 'www.q.com')}&quot;!</p>`);
+        });
+
+        test('should start only after whitespace, brackets, quotes and emphasis markers', () => {
+            expect(quikdown('*https://x.com/a* **www.a.com** ~~https://d.com~~')).toBe(
+                `<p><em class="quikdown-em">${a('https://x.com/a')}</em> <strong class="quikdown-strong">` +
+                `${a('http://www.a.com', 'www.a.com')}</strong> <del class="quikdown-del">${a('https://d.com')}</del></p>`);
+            expect(quikdown('foohttps://n.com a.www.b.com x=www.c.com')).toBe('<p>foohttps://n.com a.www.b.com x=www.c.com</p>');
+        });
+
+        test('should need a domain and a real address', () => {
+            expect(quikdown('www.ex_ample.com www. a@b x@y.z_ https://. <not a link> <b>')).toBe(
+                '<p>www.ex_ample.com www. a@b x@y.z_ https://. &lt;not a link&gt; &lt;b&gt;</p>');
+            expect(quikdown('www.my_site.example.com')).toBe(`<p>${a('http://www.my_site.example.com', 'www.my_site.example.com')}</p>`);
+        });
+
+        test('should leave code, link text, images and attributes alone', () => {
+            expect(quikdown('`www.a.com` [www.b.com](/u) ![c@d.com](/i.png) [](https://e.com)')).toBe(
+                '<p><code class="quikdown-code">www.a.com</code> <a class="quikdown-a" href="/u">www.b.com</a> ' +
+                `<img class="quikdown-img" src="/i.png" alt="c@d.com"> [](${a('https://e.com')})</p>`);
+            expect(quikdown('<span title="www.a.com">b@c.com</span>', { allow_unsafe_html: { span: ['title'] } })).toBe(
+                `<p><span title="www.a.com">${a('mailto:b@c.com', 'b@c.com', false)}</span></p>`);
+        });
+
+        test('should apply the URL policy as for autolinks', () => {
+            const kinds = [];
+            const url_transform = (url, { kind }) => { kinds.push(kind); };
+            quikdown('www.a.com b@c.com <https://d.com> JIRA-1', { url_transform, linkify });
+            expect(kinds).toEqual(['autolink', 'autolink', 'autolink', 'autolink']);
+            expect(quikdown('b@c.com', { url_schemes: ['https'] })).toBe('<p><a class="quikdown-a" href="#">b@c.com</a></p>');
+        });
+
+        describe('linkify', () => {
+            test('should link the callback\'s matches in text', () => {
+                expect(quikdown('Fixes JIRA-123 & ABC-9 in **W-4**', { linkify })).toBe(
+                    `<p>Fixes ${a('https://jira.example/browse/JIRA-123', 'JIRA-123')} &amp; ` +
+                    `${a('https://jira.example/browse/ABC-9', 'ABC-9')} in <strong class="quikdown-strong">` +
+                    `${a('https://jira.example/browse/W-4', 'W-4')}</strong></p>`);
+            });
+
+            test('should pass over code, links and URLs', () => {
+                expect(quikdown('`X-1` [Y-2](/y) https://x.com/Z-3 #V-5', { linkify })).toBe(
+                    `<p><code class="quikdown-code">X-1</code> <a class="quikdown-a" href="/y">Y-2</a> ` +
+                    `${a('https://x.com/Z-3')} #${a('https://jira.example/browse/V-5', 'V-5')}</p>`);
+            });
+
+            test('should take titles and drop matches that don\'t fit', () => {
+                const matches = [
+                    { index: 4, text: 'b', href: '/b', title: 'The "b"' },
+                    { index: 0, text: 'a', href: '/a' },
+                    { index: 0, text: 'a', href: '/overlap' },
+                    { index: 2, text: 'x', href: '/wrong-text' },
+                    { index: 6, text: 'c' },
+                    null
+                ];
+                expect(quikdown('a & b c', { linkify: () => matches })).toBe(
+                    '<p><a class="quikdown-a" href="/a">a</a> &amp; <a class="quikdown-a" href="/b" title="The &quot;b&quot;">b</a> c</p>');
+                expect(quikdown('a', { linkify: () => undefined })).toBe('<p>a</p>');
+            });
+
+            test('should see text as written with allow_unsafe_html', () => {
+                expect(quikdown('<i>JIRA-1</i> & JIRA-2', { linkify, allow_unsafe_html: true })).toBe(
+                    `<p><i>${a('https://jira.example/browse/JIRA-1', 'JIRA-1')}</i> & ${a('https://jira.example/browse/JIRA-2', 'JIRA-2')}</p>`);
+            });
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should keep the source text in data-qd-auto', () => {
+            expect(quikdown_bd('<www.a.com> www.a.com')).toBe('<p>&lt;www.a.com&gt; <a class="quikdown-a" href="http://www.a.com" ' +
+                'rel="noopener noreferrer" data-qd-auto="www.a.com">www.a.com</a></p>');
+            expect(quikdown_bd('https://x.com/&hl;')).toContain('data-qd-auto="https://x.com/">');
+        });
+
+        test('should leave what doesn\'t link as text', () => {
+            expect(quikdown_bd('x@y.z_ a@b www. a', { linkify: () => [{ index: 0, text: 'b', href: '/b' }] })).toBe('<p>x@y.z_ a@b www. a</p>');
+            expect(quikdown_bd('a', { linkify: () => null })).toBe('<p>a</p>');
+        });
+
+        test('should round-trip text as written with allow_unsafe_html', () => {
+            const md = '<b>JIRA-1</b> & www.a.com';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { linkify, allow_unsafe_html: true }))).toBe('**JIRA-1** & www.a.com');
+        });
+
+        test.each([
+            ['URLs', 'See https://x.com/a?b=1&c=2. Or (https://en.wikipedia.org/wiki/Foo_(bar)).'],
+            ['www. domains and emails', 'www.a.com/x and foo.bar+baz@example.co.uk or mailto:a@b.io'],
+            ['<…> autolinks', '<https://x.com/a_b_> and <foo@bar.example>'],
+            ['linkify matches', 'Fixes JIRA-123 in **W-4**']
+        ])('should round-trip %s', (name, md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { linkify }))).toBe(md);
+        });
+    });
+
+    // Every bundle carrying quikdown_ast parses autolinks
+    const parsers = {
+        quikdown_ast: (md, options) => quikdown_ast(md, options),
+        quikdown_json: (md, options) => quikdown_json.parse(md, options),
+        quikdown_yaml: (md, options) => quikdown_yaml.parse(md, options),
+        quikdown_ast_html: (md, options) => quikdown_ast_html.toAst(md, options)
+    };
+
+    describe.each(Object.keys(parsers))('AST (%s)', (bundle) => {
+        const parse = parsers[bundle];
+        const text = (value) => ({ type: 'text', value });
+        const link = (url, value) => ({ type: 'link', url, autolink: true, children: [text(value)] });
+
+        test('should parse each kind of autolink', () => {
+            expect(parse('(www.a.com/x)y)). b@c.com <https://d.com> JIRA-1', { linkify }).children[0].children).toEqual([
+                text('('),
+                link('http://www.a.com/x)y', 'www.a.com/x)y'),
+                text(')). '),
+                link('mailto:b@c.com', 'b@c.com'),
+                text(' '),
+                link('https://d.com', 'https://d.com'),
+                text(' '),
+                link('https://jira.example/browse/JIRA-1', 'JIRA-1')
+            ]);
+        });
+
+        test('should leave link text and unlinkable text alone', () => {
+            expect(parse('[www.a.com JIRA-1](/u)', { linkify }).children[0].children).toEqual([
+                { type: 'link', url: '/u', children: [text('www.a.com JIRA-1')] }
+            ]);
+            const md = 'foohttps://n.com www. a@b x@y.z_ <not a link>';
+            expect(parse(md).children[0].children).toEqual([text(md)]);
+        });
+
+        test('should trim and check addresses as quikdown does', () => {
+            const md = 'https://x.com/&hl; <foo@bar.example> a-b@c.d_ X-1 Y-2';
+            expect(parse(md, { linkify }).children[0].children.filter(node => node.type === 'link').map(node => node.url)).toEqual([
+                'https://x.com/', 'mailto:foo@bar.example', 'https://jira.example/browse/X-1', 'https://jira.example/browse/Y-2'
+            ]);
+            expect(parse('X-1', { linkify: () => null }).children[0].children).toEqual([text('X-1')]);
+        });
+
+        test('should keep linkify titles', () => {
+            const [node] = parse('a', { linkify: () => [{ index: 0, text: 'a', href: '/a', title: 'A' }] }).children[0].children;
+            expect(node).toEqual({ type: 'link', url: '/a', autolink: true, title: 'A', children: [text('a')] });
+        });
+
+        test('should position autolinks and their text', () => {
+            const [, angle, , www] = parse('see <https://a.b> www.c.d', { source_map: true }).children[0].children;
+            expect(angle.position).toEqual({ start: { line: 1, column: 5, offset: 4 }, end: { line: 1, column: 18, offset: 17 } });
+            expect(angle.children[0].position.start.offset).toBe(5);
+            expect(www.position.start.offset).toBe(18);
+            expect(www.children[0].position.end.offset).toBe(25);
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test.each([
+            ['URLs', 'See https://x.com/a?b=1&c=2. Or (https://en.wikipedia.org/wiki/Foo_(bar)).'],
+            ['www. domains and emails', 'Visit www.commonmark.org/help, mail foo.bar+baz@example.co.uk or mailto:a@b.io'],
+            ['<…> autolinks', '<https://x.com/a_b_> <foo@bar.example> <not a link>'],
+            ['text that doesn\'t link', 'foohttps://n.com www.ex_ample.com a@b [www.b.com](/u)'],
+            ['emphasis around links', '*https://x.com/a* **www.a.com** ~~b@c.com~~'],
+            ['linkify matches', 'Fixes JIRA-123 & ABC-9 in **W-4**, not `X-1`']
+        ])('should render %s as quikdown does', (name, md) => {
+            expect(quikdown_ast_html(md, { linkify })).toBe(quikdown(md, { linkify }));
+        });
+    });
+
+    describe('inspect', () => {
+        test('should report extended autolinks as autolinks', () => {
+            const md = 'www.a.com b@c.com JIRA-1 [d](/d)';
+            for (const inspect of [quikdown_ast.inspect, quikdown_json.parse.inspect, quikdown_yaml.parse.inspect, quikdown_ast_html.inspect]) {
+                expect(inspect(md, { linkify }).links.map(link => [link.raw, link.text, link.autolink])).toEqual([
+                    ['http://www.a.com', 'www.a.com', true],
+                    ['mailto:b@c.com', 'b@c.com', true],
+                    ['https://jira.example/browse/JIRA-1', 'JIRA-1', true],
+                    ['/d', 'd', false]
+                ]);
+            }
+        });
+    });
+});
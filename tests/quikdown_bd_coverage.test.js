@@ -652,6 +652,11 @@ describe('quikdown_bd edge cases and full coverage', () => {
       expect(result).not.toContain('BEGIN SIZE TABLE');
       expect(result).toContain('Title');
     });
+
+    test('should strip free-form [//]: # comment lines', () => {
+      const result = quikdown_bd('[//]: # not a definition title\nvisible');
+      expect(result).toBe('<p>visible</p>');
+    });
   });
 
   describe('Error Handling', () => {
@@ -681,8 +686,8 @@ describe('quikdown_bd edge cases and full coverage', () => {
     test('should handle HTML entities in markdown', () => {
       const md = 'Text with &lt;html&gt; and &amp;';
       const html = quikdown_bd(md);
-      expect(html).toContain('&amp;lt;');
-      expect(html).toContain('&amp;amp;');
+      expect(html).toContain('Text with &lt;html&gt; and &amp;');
+      expect(html).not.toContain('&amp;lt;');
     });
     
     test('should handle special markdown characters', () => {
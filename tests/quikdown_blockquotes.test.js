@@ -0,0 +1,176 @@
+/**
+ * Nested blockquotes and block content inside blockquotes
+ * Covers core quikdown, quikdown_bd round-trips, quikdown_ast and quikdown_ast_html.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+
+const bq = (content) => `<blockquote class="quikdown-blockquote">${content}</blockquote>`;
+const li = (content) => `<li class="quikdown-li">${content}</li>`;
+const ul = (...items) => `<ul class="quikdown-ul">\n${items.join('\n')}\n</ul>`;
+
+describe('blockquotes', () => {
+
+    describe('quikdown core', () => {
+        test('should keep a single paragraph bare', () => {
+            expect(quikdown('> Quote')).toBe(bq('Quote'));
+            expect(quikdown('> a\n> b')).toBe(bq('a\nb'));
+        });
+
+        test('should split paragraphs on bare > lines', () => {
+            expect(quikdown('> a\n>\n> b')).toBe(bq('<p>a</p><p>b</p>'));
+        });
+
+        test('should nest quotes', () => {
+            expect(quikdown('> a\n> > b\n> > c\n> d')).toBe(
+                bq(`<p>a</p>\n${bq('b\nc')}\n<p>d</p>`));
+            expect(quikdown('>> deep')).toBe(bq(bq('deep')));
+            expect(quikdown('> > > deep')).toBe(bq(bq(bq('deep'))));
+        });
+
+        test('should hold headings, lists and text', () => {
+            expect(quikdown('> # H\n> - x\n> - y\n>\n> **text**')).toBe(bq(
+                '<h1 class="quikdown-h1">H</h1>\n' + ul(li('x'), li('y')) +
+                '<p><strong class="quikdown-strong">text</strong></p>'));
+        });
+
+        test('should hold fenced code with blank lines', () => {
+            expect(quikdown('> ```js\n> let a = 1;\n>\n> b\n> ```')).toBe(
+                bq('<pre class="quikdown-pre"><code class="language-js">let a = 1;\n\nb</code></pre>'));
+            expect(quikdown('> ```\n>x\n> ```')).toBe(
+                bq('<pre class="quikdown-pre"><code>x</code></pre>'));
+        });
+
+        test('should keep fences after headings, lists and text out of paragraphs', () => {
+            const pre = '<pre class="quikdown-pre"><code>code</code></pre>';
+            expect(quikdown('> # H\n> ```\n> code\n> ```')).toBe(bq(`<h1 class="quikdown-h1">H</h1>\n${pre}`));
+            expect(quikdown('> - x\n> ```\n> code\n> ```')).toBe(bq(`${ul(li('x'))}\n${pre}`));
+            expect(quikdown('> a\n> ```\n> code\n> ```\n> b')).toBe(bq(`<p>a</p>\n${pre}\n<p>b</p>`));
+            expect(quikdown('> a\n> ```\n> code\n> ```\n> b', { lazy_linefeeds: true })).toBe(bq(`<p>a</p>\n${pre}\n<p>b</p>`));
+            expect(quikdown('# H\n```\ncode\n```\ntext')).toBe(`<h1 class="quikdown-h1">H</h1>\n${pre}\n<p>text</p>`);
+        });
+
+        test('should wrap text around a fence in a nested quote', () => {
+            const pre = '<pre class="quikdown-pre"><code>code</code></pre>';
+            expect(quikdown('> > a\n> > ```\n> > code\n> > ```\n> > b')).toBe(bq(bq(`<p>a</p>\n${pre}\n<p>b</p>`)));
+            expect(quikdown('> > # H\n> > ```\n> > code\n> > ```')).toBe(bq(bq(`<h1 class="quikdown-h1">H</h1>\n${pre}`)));
+        });
+
+        test('should hold tables', () => {
+            const html = quikdown('> | a | b |\n> |---|---|\n> | 1 | 2 |');
+            expect(html).toMatch(/^<blockquote class="quikdown-blockquote"><table class="quikdown-table">/);
+            expect(html).toContain('<td class="quikdown-td">2</td>');
+            expect(html).toMatch(/<\/table><\/blockquote>$/);
+        });
+
+        test('should not take unmarked lines into the quote', () => {
+            expect(quikdown('> a\nafter')).toBe(`${bq('a')}\n<p>after</p>`);
+        });
+
+        test('should keep separate quotes apart', () => {
+            expect(quikdown('> a\n\n> b')).toBe(bq('a') + bq('b'));
+        });
+
+        test('should close a paragraph that runs into a block', () => {
+            expect(quikdown('text\n# H')).toBe('<p>text</p>\n<h1 class="quikdown-h1">H</h1>');
+            expect(quikdown('text\n> q')).toBe(`<p>text</p>\n${bq('q')}`);
+        });
+
+        test('should nest quotes inside list items', () => {
+            expect(quikdown('- a\n  > q1\n  >\n  > > q2\n- b')).toBe(
+                ul(li(`a\n${bq(`<p>q1</p>${bq('q2')}`)}`), li('b')));
+        });
+
+        test('should apply line breaks inside quotes', () => {
+            expect(quikdown('> a  \n> b')).toBe(bq('a<br class="quikdown-br">\nb'));
+            expect(quikdown('> a\n> b', { lazy_linefeeds: true })).toBe(bq('a<br class="quikdown-br">b'));
+            expect(quikdown('> a\n> > b\n> c', { lazy_linefeeds: true })).toBe(
+                bq(`<p>a</p>\n${bq('b')}\n<p>c</p>`));
+        });
+
+        test('should give headings in quotes ids', () => {
+            expect(quikdown('> ## Note', { heading_ids: true })).toBe(
+                bq('<h2 class="quikdown-h2" id="note">Note</h2>'));
+        });
+
+        test('should map quote content to source lines', () => {
+            const html = quikdown('> a\n>\n> > b\n>\n> ```\n> x\n> ```\n\nafter', { source_map: true });
+            expect(html).toContain('<blockquote class="quikdown-blockquote" data-qd-line-start="1" data-qd-line-end="7">');
+            expect(html).toContain('<p data-qd-line-start="1" data-qd-line-end="1">a</p>');
+            expect(html).toContain('<blockquote class="quikdown-blockquote" data-qd-line-start="3" data-qd-line-end="3">b</blockquote>');
+            expect(html).toContain('<pre class="quikdown-pre" data-qd-line-start="5" data-qd-line-end="7">');
+            expect(html).toContain('<p data-qd-line-start="9" data-qd-line-end="9">after</p>');
+            expect(quikdown('> a\n> b\n> ```\n> x\n> ```', { source_map: true })).toContain(
+                'b</p>\n<pre class="quikdown-pre" data-qd-line-start="3" data-qd-line-end="5">');
+        });
+    });
+
+    describe('quikdown_bd round-trip', () => {
+        const roundTrip = [
+            '> Quote',
+            '> a\n> b',
+            '> a\n>\n> b',
+            '> a\n>\n> > b\n> > c\n>\n> d',
+            '> > > deep',
+            '> # H\n>\n> - x\n> - y\n>\n> text',
+            '> ```js\n> let a = 1;\n>\n> b\n> ```',
+            '> **bold** and `code`\n>\n> 1. one\n> 2. two',
+            '- item\n  > q1\n  > q2\n- b'
+        ];
+        test.each(roundTrip)('should round-trip %j', (md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe(md);
+        });
+
+        test('should keep text around a fence in a quote apart', () => {
+            const md = '> a\n> ```\n> code\n> ```\n> b';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe('> a\n>\n> ```\n> code\n> ```\n>\n> b');
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { lazy_linefeeds: true }))).toBe('> a\n>\n> ```\n> code\n> ```\n>\n> b');
+        });
+
+        test('should separate a nested quote from the text before it', () => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd('> a\n> > b'))).toBe('> a\n>\n> > b');
+        });
+
+        test('should keep source-mapped quotes round-tripping', () => {
+            const md = '> a\n> b\n>\n> > c';
+            const html = quikdown_bd(md, { source_map: true });
+            expect(html).toContain('data-qd-line-start="1" data-qd-line-end="4"');
+            expect(quikdown_bd.toMarkdown(html)).toBe(md);
+        });
+
+        test('should convert nested quote HTML', () => {
+            expect(quikdown_bd.toMarkdown('<blockquote><p>a</p><blockquote><p>b</p></blockquote></blockquote>'))
+                .toBe('> a\n>\n> > b');
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        const types = (node) => node.children.map(c => c.type);
+
+        test('should parse nested quotes and blocks', () => {
+            const quote = quikdown_ast('> a\n> > b\n>\n> - x\n>   - y').children[0];
+            expect(types(quote)).toEqual(['paragraph', 'blockquote', 'list']);
+            expect(types(quote.children[1])).toEqual(['paragraph']);
+            expect(quote.children[2].items[0].children[1].type).toBe('list');
+        });
+
+        test('should keep indentation inside quoted code', () => {
+            expect(quikdown_ast('> ```\n>     x\n> ```').children[0].children[0]).toEqual(
+                { type: 'code_block', lang: null, content: '    x', fence: '```' });
+        });
+
+        test('should position nested quotes with source_map', () => {
+            const md = '> a\n> > b';
+            const inner = quikdown_ast(md, { source_map: true }).children[0].children[1];
+            expect(md.slice(inner.position.start.offset, inner.position.end.offset)).toBe('> b');
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test('should render nested quotes', () => {
+            expect(quikdown_ast_html('> a\n> > b')).toBe(bq(`<p>a</p>${bq('<p>b</p>')}`));
+        });
+    });
+});
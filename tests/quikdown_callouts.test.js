@@ -0,0 +1,164 @@
+/**
+ * GitHub-style callouts (`> [!NOTE]`)
+ * Covers core quikdown, quikdown_bd round-trips, quikdown_ast (and its JSON and
+ * YAML forms) and quikdown_ast_html.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import quikdown_callouts from '../dist/quikdown_callouts.esm.js';
+
+quikdown.use(quikdown_callouts);
+quikdown_bd.use(quikdown_callouts);
+
+const callout = (type, title, body) =>
+    `<div class="quikdown-callout quikdown-callout-${type}"><p class="quikdown-callout-title">${title}</p>${body}</div>`;
+
+describe('callouts', () => {
+
+    describe('quikdown core', () => {
+        test('should render the default title', () => {
+            expect(quikdown('> [!NOTE]\n> Useful info.')).toBe(callout('note', 'Note', '<p>Useful info.</p>'));
+        });
+
+        test('should accept any case, and further types from callout_types', () => {
+            expect(quikdown('> [!tip]')).toBe(callout('tip', 'Tip', ''));
+            expect(quikdown('> [!FOO]\n> x', { callout_types: ['foo'] })).toBe(callout('foo', 'Foo', '<p>x</p>'));
+            expect(quikdown('> [!question] Why?', { callout_types: ['QUESTION'] })).toBe(callout('question', 'Why?', ''));
+        });
+
+        test('should leave quotes with other types as blockquotes', () => {
+            expect(quikdown('> [!foo] bar')).toBe('<blockquote class="quikdown-blockquote">[!foo] bar</blockquote>');
+            expect(quikdown('> [!FOO]\n> x', { callout_types: ['bar'] })).toMatch(/^<blockquote/);
+            expect(quikdown('> [!NOTES]\n> x', { callout_types: 'notes' })).toMatch(/^<blockquote/);
+        });
+
+        test('should render a custom title with inline formatting', () => {
+            expect(quikdown('> [!Warning] Mind **this**\n> body')).toBe(
+                callout('warning', 'Mind <strong class="quikdown-strong">this</strong>', '<p>body</p>'));
+        });
+
+        test('should leave other bracketed quotes as blockquotes', () => {
+            expect(quikdown('> [x] not a callout')).toMatch(/^<blockquote/);
+            expect(quikdown('> text [!NOTE]')).toMatch(/^<blockquote/);
+        });
+
+        test('should hold nested quotes and sit inside list items', () => {
+            expect(quikdown('> [!NOTE]\n> a\n> > b')).toBe(callout('note', 'Note',
+                '<p>a</p>\n<blockquote class="quikdown-blockquote">b</blockquote>'));
+            expect(quikdown('- a\n  > [!NOTE]\n  > in list')).toBe(
+                '<ul class="quikdown-ul">\n<li class="quikdown-li">a\n' +
+                callout('note', 'Note', '<p>in list</p>') + '</li>\n</ul>');
+        });
+
+        test('should apply lazy linefeeds to the body', () => {
+            expect(quikdown('> [!NOTE]\n> a\n> b', { lazy_linefeeds: true })).toBe(
+                callout('note', 'Note', '<p>a<br class="quikdown-br">b</p>'));
+        });
+
+        test('should inline type styles', () => {
+            const html = quikdown('> [!NOTE]\n> a', { inline_styles: true });
+            expect(html).toMatch(/^<div style="border-left:4px solid #ddd;[^"]*;border-left-color:#0969da;background:#ddf4ff">/);
+            expect(html).toContain('<p style="font-weight:600;margin:0 0 .5em">Note</p>');
+            expect(quikdown('> [!FOO]\n> a', { inline_styles: true, callout_types: ['foo'] })).toMatch(/^<div style="[^";]*(;[^";]+)*;margin:1em 0">/);
+        });
+
+        test('should map the callout and its body to source lines', () => {
+            expect(quikdown('> [!NOTE]\n> a\n>\n> b\n\nafter', { source_map: true })).toBe(
+                '<div class="quikdown-callout quikdown-callout-note" data-qd-line-start="1" data-qd-line-end="4">' +
+                '<p class="quikdown-callout-title">Note</p>' +
+                '<p data-qd-line-start="2" data-qd-line-end="2">a</p>' +
+                '<p data-qd-line-start="4" data-qd-line-end="4">b</p></div>' +
+                '<p data-qd-line-start="6" data-qd-line-end="6">after</p>');
+        });
+
+        test('should emit light and dark styles', () => {
+            const light = quikdown.emitStyles();
+            expect(light).toContain('.quikdown-callout-note { border-left-color:#0969da;background:#ddf4ff }');
+            expect(light).toContain('.quikdown-callout-title {');
+            const dark = quikdown.emitStyles('quikdown-', 'dark');
+            expect(dark).toContain('.quikdown-callout-caution { border-left-color:#cf222e;background:#3d1518 }');
+            expect(dark).toMatch(/\.quikdown-callout \{[^}]*color:#e0e0e0/);
+        });
+    });
+
+    describe('quikdown_bd round-trip', () => {
+        const roundTrip = [
+            '> [!NOTE]\n> Useful info.',
+            '> [!WARNING] Mind **this**\n> body',
+            '> [!tip]',
+            '> [!NOTE]\n> a\n>\n> b',
+            '> [!CAUTION]\n> a\n>\n> > b',
+            '- item\n  > [!NOTE]\n  > in list'
+        ];
+        test.each(roundTrip)('should round-trip %j', (md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe(md);
+        });
+
+        test('should round-trip other types as blockquotes, or as callouts when listed', () => {
+            expect(quikdown_bd('> [!foo] bar')).toMatch(/^<blockquote/);
+            expect(quikdown_bd.toMarkdown(quikdown_bd('> [!foo] bar'))).toBe('> [!foo] bar');
+            const md = '> [!Question] Why?\n> Because.';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { callout_types: ['question'] }))).toBe(md);
+        });
+
+        test('should tag the callout with its marker', () => {
+            expect(quikdown_bd('> [!tip]\n> x')).toContain('data-qd="[!tip]"');
+        });
+
+        test('should keep source-mapped callouts round-tripping', () => {
+            const md = '> [!NOTE]\n> a\n>\n> b';
+            const html = quikdown_bd(md, { source_map: true });
+            expect(html).toContain('data-qd-line-start="1" data-qd-line-end="4"');
+            expect(quikdown_bd.toMarkdown(html)).toBe(md);
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        test('should parse kind, title and body', () => {
+            expect(quikdown_ast('> [!TIP] Try *this*\n> Body').children[0]).toEqual({
+                type: 'callout',
+                kind: 'tip',
+                title: [
+                    { type: 'text', value: 'Try ' },
+                    { type: 'em', children: [{ type: 'text', value: 'this' }] }
+                ],
+                children: [{ type: 'paragraph', children: [{ type: 'text', value: 'Body' }] }]
+            });
+            expect(quikdown_ast('> [!NOTE]').children[0]).toEqual({ type: 'callout', kind: 'note', children: [] });
+        });
+
+        test('should read other types as blockquotes unless listed in callout_types', () => {
+            expect(quikdown_ast('> [!foo] bar').children[0].type).toBe('blockquote');
+            expect(quikdown_ast('> [!foo] bar', { callout_types: ['foo'] }).children[0]).toMatchObject({ type: 'callout', kind: 'foo' });
+            expect(JSON.parse(quikdown_json('> [!foo] bar', { callout_types: ['foo'] })).children[0].type).toBe('callout');
+            expect(quikdown_yaml('> [!foo] bar', { callout_types: ['foo'] })).toContain('type: callout');
+        });
+
+        test('should position the title and body with source_map', () => {
+            const md = '> [!TIP] Try *this*\n> Body';
+            const node = quikdown_ast(md, { source_map: true }).children[0];
+            const slice = (n) => md.slice(n.position.start.offset, n.position.end.offset);
+            expect(slice(node)).toBe(md);
+            expect(slice(node.title[1])).toBe('*this*');
+            expect(slice(node.children[0])).toBe('Body');
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test('should render callouts with classes', () => {
+            expect(quikdown_ast_html('> [!TIP] Try *this*\n> Body')).toBe(
+                callout('tip', 'Try <em class="quikdown-em">this</em>', '<p>Body</p>'));
+            expect(quikdown_ast_html('> [!NOTE]\n> Body')).toBe(callout('note', 'Note', '<p>Body</p>'));
+        });
+
+        test('should render callouts with inline styles', () => {
+            expect(quikdown_ast_html('> [!NOTE]\n> Body', { inline_styles: true })).toMatch(
+                /^<div style="[^"]*border-left-color:#0969da;background:#ddf4ff"><p style="font-weight:600;margin:0 0 \.5em">Note<\/p>/);
+            expect(quikdown_ast_html('> [!FOO]\n> Body', { inline_styles: true, callout_types: ['foo'] })).toMatch(/^<div style="[^"]*margin:1em 0"><p/);
+        });
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * CommonMark core syntax: setext headings, indented code blocks,
+ * backslash escapes and entity references — in quikdown, quikdown_bd
+ * (both directions) and quikdown_ast
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import quikdown_entities from '../dist/quikdown_entities.esm.js';
+import quikdown_math from '../dist/quikdown_math.esm.js';
+
+quikdown.use(quikdown_entities, quikdown_math);
+quikdown_bd.use(quikdown_entities, quikdown_math);
+
+const text = (value) => ({ type: 'text', value });
+const roundTrip = (md) => quikdown_bd.toMarkdown(quikdown_bd(md));
+
+describe('CommonMark core syntax', () => {
+
+    describe('setext headings', () => {
+        test('should make "=" underlines h1 and one or two "-" h2', () => {
+            expect(quikdown('Title\n=====')).toBe('<h1 class="quikdown-h1">Title</h1>');
+            expect(quikdown('Sub\n--')).toBe('<h2 class="quikdown-h2">Sub</h2>');
+            expect(quikdown('Sub\n- ')).toBe('<h2 class="quikdown-h2">Sub</h2>');
+        });
+
+        test('should take every line of the paragraph above', () => {
+            expect(quikdown('a\n\nb *c*\nd\n  ===\ne')).toBe(
+                '<p>a</p><h1 class="quikdown-h1">b <em class="quikdown-em">c</em>\nd</h1>\n<p>e</p>');
+        });
+
+        test('should keep three or more dashes a horizontal rule', () => {
+            expect(quikdown('Text\n---')).toContain('<hr class="quikdown-hr">');
+        });
+
+        test('should leave underlines without paragraph text alone', () => {
+            expect(quikdown('===')).toBe('<p>===</p>');
+            expect(quikdown('# H\n===')).toBe('<h1 class="quikdown-h1">H</h1>\n<p>===</p>');
+            expect(quikdown('- a\n===')).toContain('<li class="quikdown-li">a\n===</li>');
+            expect(quikdown('| a |\n|---|\n===')).toContain('</table>\n<p>===</p>');
+        });
+
+        test('should get ids, source lines and a table of contents entry', () => {
+            expect(quikdown('Hello World\n===', { heading_ids: true })).toBe(
+                '<h1 class="quikdown-h1" id="hello-world">Hello World</h1>');
+            expect(quikdown('x\n\nTitle\n--', { source_map: true })).toContain(
+                '<h2 class="quikdown-h2" data-qd-line-start="3" data-qd-line-end="4">Title</h2>');
+            expect(quikdown_bd('T\n==', { source_map: true })).toContain('data-qd-line-start="1" data-qd-line-end="2"');
+            expect(quikdown.toc('A\n===\n\nB\n--')).toEqual([
+                { level: 1, text: 'A', id: 'a', children: [{ level: 2, text: 'B', id: 'b', children: [] }] }
+            ]);
+        });
+
+        test('should round-trip through quikdown_bd with the underline kept', () => {
+            expect(quikdown_bd('Title\n===')).toBe('<h1 class="quikdown-h1" data-qd="===">Title</h1>');
+            expect(roundTrip('Title\n===\n\nSub\n--\n\ntext')).toBe('Title\n===\n\nSub\n--\n\ntext');
+        });
+
+        test('should parse to heading nodes in quikdown_ast', () => {
+            expect(quikdown_ast('a\nb\n===').children).toEqual([
+                { type: 'heading', level: 1, children: [text('a\nb')] }
+            ]);
+            expect(quikdown_ast('a\n-\n\nb\n---').children.map(node => node.type)).toEqual(['heading', 'paragraph', 'hr']);
+            const { position } = quikdown_ast('T\n==', { source_map: true }).children[0];
+            expect([position.start.offset, position.end.offset]).toEqual([0, 4]);
+        });
+    });
+
+    describe('indented code blocks', () => {
+        test('should render lines indented four spaces or a tab as code', () => {
+            expect(quikdown('Para\n\n    code *x*\n\n\tmore <b>\n\nafter')).toBe(
+                '<p>Para</p><pre class="quikdown-pre"><code>code *x*\n\nmore &lt;b&gt;</code></pre><p>after</p>');
+            expect(quikdown('    first\n    second')).toBe('<pre class="quikdown-pre"><code>first\nsecond</code></pre>');
+        });
+
+        test('should not start inside a paragraph or a list', () => {
+            expect(quikdown('line\n    lazy')).toBe('<p>line\n    lazy</p>');
+            expect(quikdown('- a\n\n    more')).toBe(
+                '<ul class="quikdown-ul">\n<li class="quikdown-li"><p>a</p>\n<p>more</p></li>\n</ul>');
+            expect(quikdown('[^1]: a\n\n    more\n\nx[^1]')).not.toContain('<pre');
+        });
+
+        test('should start again after the list ends', () => {
+            expect(quikdown('- a\n\nb\n\n    code')).toContain('<pre class="quikdown-pre"><code>code</code></pre>');
+        });
+
+        test('should map source lines', () => {
+            expect(quikdown('p\n\n    a\n\n    b\n\nq', { source_map: true })).toBe(
+                '<p data-qd-line-start="1" data-qd-line-end="1">p</p>' +
+                '<pre class="quikdown-pre" data-qd-line-start="3" data-qd-line-end="5"><code>a\n\nb</code></pre>' +
+                '<p data-qd-line-start="7" data-qd-line-end="7">q</p>');
+        });
+
+        test('should round-trip through quikdown_bd as indented code', () => {
+            expect(roundTrip('p\n\n    a *b*\n\n      c')).toBe('p\n\n    a *b*\n\n      c');
+            // A document starting with indented code keeps the first indent
+            expect(roundTrip('    code\n    more')).toBe('    code\n    more');
+            expect(quikdown_bd(roundTrip('    code\n    more\n\ntext'))).toBe(quikdown_bd('    code\n    more\n\ntext'));
+        });
+
+        test('should parse to code_block nodes without a fence in quikdown_ast', () => {
+            expect(quikdown_ast('p\n\n    a\n\n\tb\n\nq').children[1]).toEqual(
+                { type: 'code_block', lang: null, content: 'a\n\nb', fence: null });
+            expect(quikdown_ast('p\n    lazy').children).toHaveLength(1);
+            expect(JSON.parse(quikdown_json('    x')).children[0].type).toBe('code_block');
+            expect(quikdown_yaml('    x')).toContain('type: code_block');
+            expect(quikdown_ast_html('    <x>')).toBe('<pre class="quikdown-pre"><code>&lt;x&gt;</code></pre>');
+        });
+    });
+
+    describe('backslash escapes', () => {
+        test('should make escaped punctuation literal', () => {
+            expect(quikdown('\\*not em\\* \\_no\\_ \\`no code\\` \\~~no~~')).toBe('<p>*not em* _no_ `no code` ~~no~~</p>');
+            expect(quikdown('\\# not a heading')).toBe('<p># not a heading</p>');
+            expect(quikdown('\\- not a list\n\n1\\. not either')).toBe('<p>- not a list</p><p>1. not either</p>');
+            expect(quikdown('\\> not a quote')).toBe('<p>&gt; not a quote</p>');
+            expect(quikdown('\\[not](a link) \\<b\\> \\\\*em*')).toBe(
+                '<p>[not](a link) &lt;b&gt; \\<em class="quikdown-em">em</em></p>');
+        });
+
+        test('should keep backslashes before other characters and in code', () => {
+            expect(quikdown('C:\\dir\\n `\\*`')).toBe('<p>C:\\dir\\n <code class="quikdown-code">\\*</code></p>');
+            expect(quikdown('```\n\\*\n```')).toContain('<code>\\*</code>');
+            expect(quikdown('$\\{x\\}$', { math: true })).toContain('\\{x\\}');
+        });
+
+        test('should escape table pipes and link brackets', () => {
+            const html = quikdown('| a | b |\n|---|---|\n| 1 \\| 2 | [x\\]y](/u) |');
+            expect(html).toContain('<td class="quikdown-td">1 | 2</td>');
+            expect(html).toContain('<a class="quikdown-a" href="/u">x]y</a>');
+        });
+
+        test('should check URLs with escapes applied', () => {
+            expect(quikdown('[a](/x\\_y) [b](java\\script:x)')).toContain('href="/x_y"');
+            expect(quikdown('[a](javascript\\:alert(1\\))')).toContain('href="#"');
+        });
+
+        test('should keep escaped tags escaped with allow_unsafe_html', () => {
+            expect(quikdown('\\<b>x</b>', { allow_unsafe_html: true })).toBe('<p>&lt;b>x</b></p>');
+            expect(quikdown('\\<b>x', { allow_unsafe_html: ['b'] })).toBe('<p>&lt;b&gt;x</p>');
+        });
+
+        test('should parse to text in quikdown_ast', () => {
+            expect(quikdown_ast('\\*a\\* \\[b](c) `\\*`').children[0].children).toEqual([
+                text('*a* [b](c) '), { type: 'code', value: '\\*' }
+            ]);
+            expect(quikdown_ast('\\# x').children[0].children).toEqual([text('# x')]);
+        });
+    });
+
+    describe('entity references', () => {
+        test('should decode named and numeric references', () => {
+            expect(quikdown('&copy; &mdash; &#169; &#xA9; &#X41;')).toBe('<p>© — © © A</p>');
+            expect(quikdown('&lt;b&gt; &amp; &quot;')).toBe('<p>&lt;b&gt; &amp; &quot;</p>');
+        });
+
+        test('should leave unknown names as text', () => {
+            expect(quikdown('&bogus; &copy &#; &#xZZ;')).toBe('<p>&amp;bogus; &amp;copy &amp;#; &amp;#xZZ;</p>');
+        });
+
+        test('should replace invalid code points', () => {
+            expect(quikdown('&#0; &#xD800; &#1114112;')).toBe('<p>\uFFFD \uFFFD \uFFFD</p>');
+        });
+
+        test('should make decoded characters literal', () => {
+            expect(quikdown('&#42;a&#42; &#35; b')).toBe('<p>*a* # b</p>');
+            expect(quikdown('&#35; not a heading')).toBe('<p># not a heading</p>');
+        });
+
+        test('should decode URLs before checking them', () => {
+            expect(quikdown('[x](java&#9;script:alert(1)) [y](&#106;avascript:x)')).not.toContain('script:');
+            expect(quikdown('[x](/a&amp;b)')).toContain('href="/a&amp;b"');
+            // Whitelisted HTML attributes are checked the same way as before
+            expect(quikdown_bd('<a href="&#106;avascript:x">x</a>', { allow_unsafe_html: ['a'] })).toContain('href="#"');
+        });
+
+        test('should leave entities to the browser with allow_unsafe_html', () => {
+            expect(quikdown('&copy;', { allow_unsafe_html: true })).toBe('<p>&copy;</p>');
+        });
+
+        test('should decode in quikdown_ast and its serializers', () => {
+            expect(quikdown_ast('&copy; &bogus; &#42;').children[0].children).toEqual([text('© &bogus; *')]);
+            expect(JSON.parse(quikdown_json('&amp; &#42;')).children[0].children).toEqual([text('& *')]);
+            expect(quikdown_yaml('&mdash; &#x41;')).toContain('value: — A');
+            expect(quikdown_ast_html('&lt;b&gt; &#35;')).toBe('<p>&lt;b&gt; #</p>');
+        });
+    });
+
+    describe('quikdown_bd.toMarkdown escaping', () => {
+        test('should escape text that would parse as markdown', () => {
+            const md = quikdown_bd.toMarkdown('<p>2 * 3, `x`, [a](b), ~~c~~, \\* and &amp;copy;</p>');
+            expect(md).toBe('2 \\* 3, \\`x\\`, \\[a](b), \\~~c\\~~, \\\\\\* and \\&copy;');
+            expect(quikdown_bd(md)).toBe('<p>2 * 3, `x`, [a](b), ~~c~~, \\* and &amp;copy;</p>');
+        });
+
+        test('should escape underscores only where they could be emphasis', () => {
+            expect(quikdown_bd.toMarkdown('<p>snake_case a _ b _x_ __init__</p>')).toBe(
+                'snake_case a _ b \\_x\\_ \\_\\_init\\_\\_');
+        });
+
+        test('should escape block markers at the start of a line', () => {
+            const html = '<p># a</p><p>&gt; b</p><p>- c\n+ d\n1. e</p><p>f\n===</p><p>g\n--</p>';
+            const md = quikdown_bd.toMarkdown(html);
+            expect(md).toBe('\\# a\n\n\\> b\n\n\\- c\n\\+ d\n1\\. e\n\nf\n\\===\n\ng\n\\--');
+            expect(quikdown_bd(md).match(/<p>/g)).toHaveLength(5);
+        });
+
+        test('should leave markers mid-line and code alone', () => {
+            expect(quikdown_bd.toMarkdown('<p><b>a</b> # b - c</p><p><code>*x*</code></p><pre><code>_y_</code></pre>')).toBe(
+                '**a** # b - c\n\n`*x*`\n\n```\n_y_\n```');
+        });
+
+        test('should escape pipes in table cells and text in task items', () => {
+            const md = roundTrip('| a\\|b |\n|---|\n| c\\|d |\n\n- [x] *1*\\*');
+            expect(md).toBe('| a\\|b |\n| --- |\n| c\\|d |\n\n- [x] *1*\\*');
+        });
+
+        test('should round-trip literal text written with escapes and entities', () => {
+            const md = 'Not \\*em\\*, \\# or \\[a](b): &copy; &#42;';
+            const html = quikdown_bd(md);
+            expect(quikdown_bd(roundTrip(md))).toBe(html);
+        });
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Strict-CSP output (csp option), Trusted Types (trusted_types option)
+ * and the editor's style nonce / external stylesheet options
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import QuikdownEditor from '../dist/quikdown_edit.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+import quikdown_callouts from '../dist/quikdown_callouts.esm.js';
+import quikdown_math from '../dist/quikdown_math.esm.js';
+
+quikdown.use(quikdown_stream, quikdown_callouts, quikdown_math);
+quikdown_bd.use(quikdown_stream, quikdown_callouts, quikdown_math);
+
+// Minimal Trusted Types stand-in: TrustedHTML objects stringify to their HTML
+class FakeTrustedHTML {
+    constructor(html) { this.html = html; }
+    toString() { return this.html; }
+}
+
+function installTrustedTypes() {
+    const created = [];
+    window.trustedTypes = {
+        createPolicy: jest.fn((name, rules) => {
+            created.push(name);
+            return { name, createHTML: (s) => new FakeTrustedHTML(rules.createHTML(s)) };
+        }),
+        isHTML: (value) => value instanceof FakeTrustedHTML
+    };
+    return created;
+}
+
+const doc = [
+    '# Title', '',
+    '| a | b | c |', '|:--|:-:|--:|', '| 1 | 2 | 3 |', '',
+    '- [x] done', '- [ ] todo', '',
+    '> [!NOTE]', '> callout', '',
+    '```js', 'x', '```', '',
+    '$$x^2$$'
+].join('\n');
+
+describe('csp option', () => {
+    test('should render table alignment as classes', () => {
+        const html = quikdown('| a | b | c |\n|:--|:-:|--:|\n| 1 | 2 | 3 |', { csp: true });
+        expect(html).toContain('<th class="quikdown-th quikdown-align-center">b</th>');
+        expect(html).toContain('<td class="quikdown-td quikdown-align-right">3</td>');
+        expect(html).toContain('<td class="quikdown-td">1</td>');
+    });
+
+    test('should emit no style attributes, even with inline_styles', () => {
+        for (const options of [{ csp: true }, { csp: true, inline_styles: true, math: true }]) {
+            const html = quikdown(doc, options);
+            expect(html).not.toContain('style=');
+            expect(html).toContain('class="quikdown-h1"');
+        }
+        expect(quikdown_bd(doc, { csp: true, inline_styles: true })).not.toContain('style=');
+    });
+
+    test('should drop style from whitelisted HTML', () => {
+        expect(quikdown('<b style="color:red" class="x">b</b>', { csp: true, allow_unsafe_html: ['b'] })).toBe(
+            '<p><b class="x">b</b></p>');
+    });
+
+    test('should keep the default output unchanged', () => {
+        expect(quikdown('| a |\n|:-:|\n| 1 |')).toContain('<th class="quikdown-th" style="text-align:center">');
+    });
+
+    test('should emit the alignment classes', () => {
+        const css = quikdown.emitStyles();
+        expect(css).toContain('.quikdown-align-center { text-align:center }');
+        expect(css).toContain('.quikdown-align-right { text-align:right }');
+        // After the cell rules, so the alignment wins
+        expect(css.indexOf('.quikdown-align-right')).toBeGreaterThan(css.indexOf('.quikdown-td'));
+    });
+});
+
+describe('trusted_types option', () => {
+    afterEach(() => {
+        delete window.trustedTypes;
+    });
+
+    test('should return strings where Trusted Types are unavailable', () => {
+        expect(quikdown('*a*', { trusted_types: 'quikdown' })).toBe('<p><em class="quikdown-em">a</em></p>');
+        expect(quikdown_bd('a', { trusted_types: 'quikdown' })).toBe('<p>a</p>');
+    });
+
+    test('should return TrustedHTML from a named policy created once', () => {
+        const created = installTrustedTypes();
+        const first = quikdown('*a*', { trusted_types: 'qd-test' });
+        const second = quikdown('', { trusted_types: 'qd-test' });
+        expect(first).toBeInstanceOf(FakeTrustedHTML);
+        expect(String(first)).toBe('<p><em class="quikdown-em">a</em></p>');
+        expect(second).toBeInstanceOf(FakeTrustedHTML);
+        expect(String(second)).toBe('');
+        expect(created).toEqual(['qd-test']);
+        const el = document.createElement('div');
+        el.innerHTML = first;
+        expect(el.innerHTML).toBe('<p><em class="quikdown-em">a</em></p>');
+    });
+
+    test('should use a policy object as given', () => {
+        const policy = { createHTML: jest.fn((s) => `[${s}]`) };
+        expect(quikdown('a', { trusted_types: policy })).toBe('[<p>a</p>]');
+        expect(policy.createHTML).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave toc alone', () => {
+        installTrustedTypes();
+        expect(quikdown.toc('# A', { trusted_types: 'qd-toc' })).toEqual([{ level: 1, text: 'A', id: 'a', children: [] }]);
+    });
+
+    test('should write a stream target through the policy', () => {
+        installTrustedTypes();
+        const target = document.createElement('div');
+        const onUpdate = jest.fn();
+        const stream = quikdown.createStream({ trusted_types: 'qd-stream' }, { target, onUpdate });
+        const writes = jest.spyOn(target, 'insertAdjacentHTML');
+        stream.push('# A\n\nb');
+        const html = stream.end();
+        expect(writes.mock.calls.every(([, value]) => value instanceof FakeTrustedHTML)).toBe(true);
+        expect(html).toBeInstanceOf(FakeTrustedHTML);
+        expect(String(html)).toBe(quikdown('# A\n\nb'));
+        expect(target.innerHTML).toBe(String(html));
+        expect(typeof onUpdate.mock.calls[0][0].html).toBe('string');
+    });
+
+    test('should let quikdown_bd convert TrustedHTML back', () => {
+        installTrustedTypes();
+        const html = quikdown_bd('**a** and `b`', { trusted_types: 'qd-bd' });
+        expect(html).toBeInstanceOf(FakeTrustedHTML);
+        expect(quikdown_bd.toMarkdown(html)).toBe('**a** and `b`');
+        const policy = { createHTML: jest.fn((s) => s) };
+        expect(quikdown_bd.toMarkdown(String(html), { trusted_types: policy })).toBe('**a** and `b`');
+        expect(policy.createHTML).toHaveBeenCalledWith(String(html));
+    });
+});
+
+describe('QuikdownEditor styles', () => {
+    let container;
+    let editor;
+
+    beforeAll(() => {
+        Object.defineProperty(window, 'matchMedia', {
+            writable: true,
+            value: jest.fn().mockImplementation(query => ({
+                matches: false,
+                media: query,
+                addEventListener: jest.fn(),
+                removeEventListener: jest.fn()
+            }))
+        });
+    });
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        container.id = 'csp-editor';
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        editor.destroy();
+        container.remove();
+        expect(document.getElementById('qde-styles')).toBeNull();
+    });
+
+    test('should put styleNonce on the injected <style>', async () => {
+        editor = new QuikdownEditor('#csp-editor', { styleNonce: 'r4nd0m' });
+        await editor.initPromise;
+        const style = document.getElementById('qde-styles');
+        expect(style.tagName).toBe('STYLE');
+        expect(style.getAttribute('nonce')).toBe('r4nd0m');
+        expect(style.textContent).toBe(QuikdownEditor.emitStyles());
+    });
+
+    test('should link an external stylesheet instead', async () => {
+        editor = new QuikdownEditor('#csp-editor', { stylesheet: '/css/quikdown-edit.css' });
+        await editor.initPromise;
+        const link = document.getElementById('qde-styles');
+        expect(link.tagName).toBe('LINK');
+        expect(link.getAttribute('href')).toBe('/css/quikdown-edit.css');
+        expect(document.querySelector('style#qde-styles')).toBeNull();
+    });
+
+    test('should add no styles when stylesheet is false', async () => {
+        editor = new QuikdownEditor('#csp-editor', { stylesheet: false });
+        await editor.initPromise;
+        expect(document.getElementById('qde-styles')).toBeNull();
+    });
+
+    test('should render class-only HTML in csp mode', async () => {
+        editor = new QuikdownEditor('#csp-editor', { csp: true, inline_styles: true });
+        await editor.initPromise;
+        await editor.setMarkdown('| a |\n|:-:|\n| 1 |');
+        expect(editor.getHTML()).toContain('quikdown-align-center');
+        expect(editor.getHTML()).not.toContain('style=');
+        await editor.setMarkdown('');
+        expect(editor.previewPanel.innerHTML).toBe('<div class="qde-placeholder">Start typing markdown in the source panel...</div>');
+    });
+
+    test('should style fence containers and alignment from the stylesheet', () => {
+        const css = QuikdownEditor.emitStyles();
+        for (const selector of ['.quikdown-align-center', '.geojson-container', '.qde-stl-container', '.math-display', '.qde-fence-fallback']) {
+            expect(css).toContain(selector);
+        }
+    });
+});
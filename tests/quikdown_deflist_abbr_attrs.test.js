@@ -0,0 +1,381 @@
+/**
+ * Opt-in syntax from PHP Markdown Extra, kramdown and Pandoc: definition
+ * lists (definition_lists), abbreviations (abbreviations) and {#id
+ * .class key=val} attribute blocks (attributes).  Covers core quikdown,
+ * quikdown_bd round-trips, quikdown_ast, quikdown_ast_html and inspect.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+import quikdown_attributes from '../dist/quikdown_attributes.esm.js';
+import quikdown_footnotes from '../dist/quikdown_footnotes.esm.js';
+
+quikdown.use(quikdown_stream, quikdown_attributes, quikdown_footnotes);
+quikdown_bd.use(quikdown_stream, quikdown_attributes, quikdown_footnotes);
+
+const all = { definition_lists: true, abbreviations: true, attributes: true };
+
+const deflist = 'Term\n: Definition\n: Second\n  continued\n\nTerm 2\nTerm 3\n: Def 3\n\nAfter';
+const deflistHtml = '<dl class="quikdown-dl"><dt class="quikdown-dt">Term</dt><dd class="quikdown-dd">Definition</dd>' +
+    '<dd class="quikdown-dd">Second\ncontinued</dd><dt class="quikdown-dt">Term 2</dt><dt class="quikdown-dt">Term 3</dt>' +
+    '<dd class="quikdown-dd">Def 3</dd></dl><p>After</p>';
+
+const abbr = (term, title) => `<abbr class="quikdown-abbr" title="${title}">${term}</abbr>`;
+
+const attrDoc = '# Intro {#start .lead}\n\nText ![Logo](l.png){width=120 .right} and [a](http://b){target=_blank onclick=x}' +
+    '\n\n```js {#ex .demo}\nx\n```';
+const attrHtml = '<h1 class="quikdown-h1 lead" id="start">Intro</h1><p>Text <img class="quikdown-img right" src="l.png" alt="Logo" width="120">' +
+    ' and <a class="quikdown-a" href="http://b" rel="noopener noreferrer" target="_blank">a</a></p>' +
+    '<pre class="quikdown-pre demo" id="ex"><code class="language-js">x</code></pre>';
+
+describe('definition lists, abbreviations and attribute blocks', () => {
+
+    describe('quikdown core', () => {
+        test('should leave the syntax alone without the options', () => {
+            expect(quikdown(deflist)).toContain('<p>Term\n: Definition');
+            expect(quikdown('HTML\n\n*[HTML]: Markup')).toBe('<p>HTML</p><p>*[HTML]: Markup</p>');
+            expect(quikdown('# A {#a}')).toBe('<h1 class="quikdown-h1">A {#a}</h1>');
+        });
+
+        describe('definition lists', () => {
+            test('should render terms and definitions', () => {
+                expect(quikdown(deflist, all)).toBe(deflistHtml);
+            });
+
+            test('should end the list at anything but further terms', () => {
+                expect(quikdown('A\n: a\n\n- item', all)).toBe(
+                    '<dl class="quikdown-dl"><dt class="quikdown-dt">A</dt><dd class="quikdown-dd">a</dd></dl><ul class="quikdown-ul">\n<li class="quikdown-li">item</li>\n</ul>');
+                expect(quikdown('A\n: a\n\nB\n\nC', all)).toContain('</dl><p>B</p><p>C</p>');
+                expect(quikdown('A\n: a\n\n', all)).toBe('<dl class="quikdown-dl"><dt class="quikdown-dt">A</dt><dd class="quikdown-dd">a</dd></dl>');
+                expect(quikdown('A\n: a\nB', all)).toContain('</dl>\n<p>B</p>');
+            });
+
+            test('should need a term and text after the colon', () => {
+                expect(quikdown(': a', all)).toBe('<p>: a</p>');
+                expect(quikdown('A\n:a', all)).toBe('<p>A\n:a</p>');
+                expect(quikdown('# A\n: a', all)).toBe('<h1 class="quikdown-h1">A</h1>\n<p>: a</p>');
+            });
+
+            test('should format inline content and support inline styles', () => {
+                expect(quikdown('**A**\n: *a*', { ...all, inline_styles: true })).toBe(
+                    '<dl style="margin:.5em 0"><dt style="font-weight:600"><strong style="font-weight:bold">A</strong></dt>' +
+                    '<dd style="margin:0 0 .5em 2em"><em style="font-style:italic">a</em></dd></dl>');
+            });
+
+            test('should map the list to its source lines', () => {
+                expect(quikdown(deflist, { ...all, source_map: true })).toContain(
+                    '<dl class="quikdown-dl" data-qd-line-start="1" data-qd-line-end="8">');
+                expect(quikdown(`Intro\n\n${deflist}`, { ...all, source_map: true })).toContain(
+                    '<p>After</p>'.replace('<p>', '<p data-qd-line-start="12" data-qd-line-end="12">'));
+            });
+
+            test('should render inside list items', () => {
+                const dl = '<dl class="quikdown-dl"><dt class="quikdown-dt">Term</dt><dd class="quikdown-dd">Def</dd></dl>';
+                expect(quikdown('- Term\n  : Def\n- b', all)).toBe(
+                    `<ul class="quikdown-ul">\n<li class="quikdown-li">${dl}</li>\n<li class="quikdown-li">b</li>\n</ul>`);
+                expect(quikdown('- item\n\n  Term\n  : Def', all)).toBe(
+                    `<ul class="quikdown-ul">\n<li class="quikdown-li"><p>item</p>\n${dl}</li>\n</ul>`);
+                expect(quikdown('- item\n\n  > Term\n  > : Def\n  >\n  > ## Head {.c}', all)).toBe(
+                    `<ul class="quikdown-ul">\n<li class="quikdown-li"><p>item</p>\n<blockquote class="quikdown-blockquote">${dl}` +
+                    '<h2 class="quikdown-h2 c">Head</h2></blockquote></li>\n</ul>');
+                expect(quikdown('- Term\n  : Def\n  more', all)).toBe(
+                    `<ul class="quikdown-ul">\n<li class="quikdown-li">${dl}\n<p>more</p></li>\n</ul>`);
+                expect(quikdown('- Term\n  : Def', { ...all, source_map: true })).toContain('<li class="quikdown-li" data-qd-line-start="1" data-qd-line-end="2">');
+                expect(quikdown('- Term\n  : Def')).toContain('Term\n: Def');
+            });
+
+            test('should render with lazy linefeeds', () => {
+                expect(quikdown('A\n: a\n\nText\nmore', { ...all, lazy_linefeeds: true })).toBe(
+                    '<dl class="quikdown-dl"><dt class="quikdown-dt">A</dt><dd class="quikdown-dd">a</dd></dl><p>Text<br class="quikdown-br">more</p>');
+            });
+        });
+
+        describe('abbreviations', () => {
+            test('should wrap whole-word uses and drop the definition', () => {
+                expect(quikdown('The HTML spec, HTML5 and xHTML.\n\n*[HTML]: Hyper Text Markup Language', all)).toBe(
+                    `<p>The ${abbr('HTML', 'Hyper Text Markup Language')} spec, HTML5 and xHTML.</p>`);
+            });
+
+            test('should match the longest term and escape special characters', () => {
+                const md = 'W3C HTML and C++ code `HTML`\n\n*[HTML]: Markup\n*[W3C HTML]: The W3C spec\n*[C++]: A language\n*[HTML]: Ignored';
+                expect(quikdown(md, all)).toBe(
+                    `<p>${abbr('W3C HTML', 'The W3C spec')} and ${abbr('C++', 'A language')} code <code class="quikdown-code">HTML</code></p>`);
+            });
+
+            test('should leave definitions in code blocks alone', () => {
+                expect(quikdown('```\n*[X]: y\n```\n\nX', all)).toBe('<pre class="quikdown-pre"><code>*[X]: y</code></pre><p>X</p>');
+            });
+
+            test('should escape titles and wrap links and headings', () => {
+                expect(quikdown('# API\n\n[API docs](/api)\n\n*[API]: "A" & <b>', all)).toBe(
+                    `<h1 class="quikdown-h1">${abbr('API', '&quot;A&quot; &amp; &lt;b&gt;')}</h1>` +
+                    `<p><a class="quikdown-a" href="/api">${abbr('API', '&quot;A&quot; &amp; &lt;b&gt;')} docs</a></p>`);
+            });
+        });
+
+        describe('attribute blocks', () => {
+            test('should add ids, classes and attributes to headings, images, links and code', () => {
+                expect(quikdown(attrDoc, all)).toBe(attrHtml);
+            });
+
+            test('should read quoted values and setext headings', () => {
+                expect(quikdown('Title {.a .b data-x="one two" title=\'q\'}\n===', all)).toBe(
+                    '<h1 class="quikdown-h1 a b" data-x="one two" title="q">Title</h1>');
+                expect(quikdown('## T {class=x .y}', all)).toBe('<h2 class="quikdown-h2 x y">T</h2>');
+            });
+
+            test('should keep text that is not an attribute block', () => {
+                expect(quikdown('# A {}', all)).toBe('<h1 class="quikdown-h1">A {}</h1>');
+                expect(quikdown('# A{#x}', all)).toBe('<h1 class="quikdown-h1">A{#x}</h1>');
+                expect(quikdown('# A {not valid}', all)).toBe('<h1 class="quikdown-h1">A {not valid}</h1>');
+                expect(quikdown('# A #x}', all)).toBe('<h1 class="quikdown-h1">A #x}</h1>');
+                expect(quikdown('[x](y){=z}', all)).toBe('<p><a class="quikdown-a" href="y">x</a>{=z}</p>');
+                expect(quikdown('```js {=}\nx\n```', all)).toContain('class="language-js {=}"');
+            });
+
+            test('should sanitize attributes like HTML', () => {
+                expect(quikdown('![i](a.png){srcset="a.png 1x, javascript:x 2x" onerror=alert(1) src=javascript:x}', all)).toBe(
+                    '<p><img class="quikdown-img" src="#" alt="i" srcset="a.png 1x, # 2x"></p>');
+                expect(quikdown('[a](/x){rel=me target=_new}', all)).toBe(
+                    '<p><a class="quikdown-a" href="/x" rel="me noopener" target="_new">a</a></p>');
+                expect(quikdown('# A {title="<b>&"}', all)).toBe('<h1 class="quikdown-h1" title="&lt;b&gt;&amp;">A</h1>');
+                expect(quikdown('[a](/x){xlink:href="javascript:x" data=javascript:y imagesrcset="b.png 1x, javascript:z 2x"}', all)).toBe(
+                    '<p><a class="quikdown-a" href="/x" xlink:href="#" data="#" imagesrcset="b.png 1x, # 2x">a</a></p>');
+            });
+
+            test('should merge styles with inline styles and drop them in csp mode', () => {
+                expect(quikdown('![i](a.png){style="float:right"}', { ...all, inline_styles: true })).toBe(
+                    '<p><img style="max-width:100%;height:auto;float:right" src="a.png" alt="i"></p>');
+                expect(quikdown('# A {style="color:red" .x}', { ...all, csp: true })).toBe('<h1 class="quikdown-h1 x">A</h1>');
+            });
+
+            test('should give headings their own id under heading_ids and toc', () => {
+                const md = '# Intro {#start}\n\n# Intro\n\n# Start\n\n[[toc]]';
+                const html = quikdown(md, { ...all, heading_ids: true });
+                expect([...html.matchAll(/<h1[^>]* id="([^"]*)"/g)].map(m => m[1])).toEqual(['start', 'intro', 'start-1']);
+                expect(html).toContain('href="#start">Intro</a>');
+                expect(quikdown.toc(md, all).map(h => h.id)).toEqual(['start', 'intro', 'start-1']);
+            });
+
+            test('should keep an own id that a slug already took', () => {
+                expect(quikdown('# A\n\n# B {#a}', { ...all, heading_ids: true })).toBe(
+                    '<h1 class="quikdown-h1" id="a">A</h1><h1 class="quikdown-h1" id="a">B</h1>');
+            });
+
+            test('should filter styles through the HTML policy', () => {
+                const allow_unsafe_html = { tags: {}, styleProps: ['color'] };
+                expect(quikdown('# A {style="color:red;position:fixed"}', { ...all, allow_unsafe_html })).toBe(
+                    '<h1 class="quikdown-h1" style="color:red">A</h1>');
+            });
+
+            test('should pass a heading its own id in renderers.heading', () => {
+                const heading = jest.fn(() => undefined);
+                quikdown('# A {#own}\n\n# B', { ...all, renderers: { heading } });
+                expect(heading.mock.calls.map(call => call[2])).toEqual(['own', undefined]);
+            });
+
+            test('should keep attributes on fences a fence plugin declines', () => {
+                const fence_plugin = { render: () => undefined };
+                expect(quikdown('```js {.x}\ncode\n```', { ...all, fence_plugin })).toBe(
+                    '<pre class="quikdown-pre x"><code class="language-js">code</code></pre>');
+                expect(quikdown('```js {.x}\ncode\n```', { ...all, fence_plugin: { render: (code, lang) => `<div>${lang}</div>` } }))
+                    .toBe('<div>js</div>');
+            });
+        });
+
+        test('should stream the same HTML as a one-shot render', () => {
+            const md = `${deflist}\n\n${attrDoc}\n\nHTML again\n\n*[HTML]: Markup\n\nX\n: y\n\n  z`;
+            for (const parse of [quikdown, quikdown_bd]) {
+                const stream = parse.createStream(all);
+                for (const ch of md) stream.push(ch);
+                expect(stream.end()).toBe(parse(md, all));
+                const plain = parse.createStream({ definition_lists: true });
+                for (const ch of deflist) plain.push(ch);
+                expect(plain.end()).toBe(parse(deflist, { definition_lists: true }));
+            }
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test.each([
+            ['definition list', deflist],
+            ['abbreviations', 'The HTML spec.\n\n*[HTML]: Hyper Text Markup Language'],
+            ['attribute blocks', attrDoc],
+            ['setext heading', 'Title {.big}\n===\n\n[x](y){not attrs}'],
+            ['own heading id', '# A {#a}\n\n# A'],
+            ['unlabelled fence', '```{.z}\ny\n```'],
+            ['block without a space', '# A{#x}'],
+            ['replaced image attribute', '![i](a.png){alt=b}'],
+            ['pair of abbreviations', 'HTML and CSS\n\n*[HTML]: Markup\n*[CSS]: Styles'],
+            ['definition list in a list item', '- item\n\n  Term\n  : Def'],
+            ['definition list before text in a list item', '- Term\n  : Def\n\n  more\n\n- b']
+        ])('should round-trip a %s', (name, md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, all))).toBe(md);
+        });
+
+        test('should map a definition list in a list item to its source lines', () => {
+            expect(quikdown_bd('- Term\n  : Def\n  more', { ...all, source_map: true })).toContain(
+                '<li class="quikdown-li" data-qd="-" data-qd-line-start="1" data-qd-line-end="3">');
+        });
+
+        test('should round-trip a style merged with inline styles', () => {
+            const md = '![i](a.png){style="float:right"}';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { ...all, inline_styles: true }))).toBe(md);
+        });
+
+        test('should keep own ids and source lines', () => {
+            const html = quikdown_bd('# A\n\n# B {#a}\n\n# C {#own}', { ...all, heading_ids: true });
+            expect(html).toContain('id="a" data-qd-attrs="{#a}"');
+            expect(quikdown_bd.toMarkdown(html)).toBe('# A\n\n# B {#a}\n\n# C {#own}');
+            expect(quikdown_bd(deflist, { ...all, source_map: true })).toContain('data-qd=":" data-qd-line-start="1" data-qd-line-end="8"');
+        });
+
+        test('should keep the definitions after the link definitions', () => {
+            const md = '[a][r] HTML\n\n[r]: /x\n*[HTML]: Markup';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, all))).toBe(md);
+        });
+    });
+
+    // Every bundle carrying quikdown_ast parses the syntax
+    const parsers = {
+        quikdown_ast: (md, options) => quikdown_ast(md, options),
+        quikdown_json: (md, options) => quikdown_json.parse(md, options),
+        quikdown_yaml: (md, options) => quikdown_yaml.parse(md, options),
+        quikdown_ast_html: (md, options) => quikdown_ast_html.toAst(md, options)
+    };
+
+    describe.each(Object.keys(parsers))('AST (%s)', (bundle) => {
+        const parse = parsers[bundle];
+        const text = (value) => ({ type: 'text', value });
+
+        test('should parse definition lists', () => {
+            expect(parse(deflist, all).children).toEqual([
+                {
+                    type: 'definition_list',
+                    children: [
+                        { type: 'definition_term', children: [text('Term')] },
+                        { type: 'definition_description', children: [text('Definition')] },
+                        { type: 'definition_description', children: [text('Second\ncontinued')] },
+                        { type: 'definition_term', children: [text('Term 2')] },
+                        { type: 'definition_term', children: [text('Term 3')] },
+                        { type: 'definition_description', children: [text('Def 3')] }
+                    ]
+                },
+                { type: 'paragraph', children: [text('After')] }
+            ]);
+            expect(parse('A\n: a\n\nB\n\n- x', all).children.map(node => node.type)).toEqual(['definition_list', 'paragraph', 'list']);
+            expect(parse('A\n: a\n\n- x', all).children.map(node => node.type)).toEqual(['definition_list', 'list']);
+            expect(parse('A\n: a\n', all).children.map(node => node.type)).toEqual(['definition_list']);
+            expect(parse('A\n: a\n\n: b', all).children[0].children).toHaveLength(3);
+            expect(quikdown_ast_html('A\n: a\n\n: b', all)).toBe(quikdown('A\n: a\n\n: b', all));
+            expect(parse(deflist).children[0].type).toBe('paragraph');
+        });
+
+        test('should position terms and definitions', () => {
+            const list = parse(deflist, { ...all, source_map: true }).children[0];
+            expect(list.position.start.line).toBe(1);
+            expect(list.position.end.line).toBe(8);
+            const second = list.children[2];
+            expect(second.position.start).toEqual({ line: 3, column: 1, offset: 18 });
+            expect(second.children[0].position).toEqual({
+                start: { line: 3, column: 3, offset: 20 },
+                end: { line: 4, column: 12, offset: 38 }
+            });
+        });
+
+        test('should parse abbreviations and their definitions', () => {
+            const md = 'The HTML spec, HTML5, C++ and HTML.\n*[HTML]: Hyper Text\n*[C++]: A language\n*[HTML]: Ignored';
+            const [para, ...defs] = parse(md, all).children;
+            expect(para.children).toEqual([
+                text('The '),
+                { type: 'abbreviation', title: 'Hyper Text', children: [text('HTML')] },
+                text(' spec, HTML5, '),
+                { type: 'abbreviation', title: 'A language', children: [text('C++')] },
+                text(' and '),
+                { type: 'abbreviation', title: 'Hyper Text', children: [text('HTML')] },
+                text('.')
+            ]);
+            expect(defs).toEqual([
+                { type: 'abbreviation_definition', label: 'HTML', title: 'Hyper Text' },
+                { type: 'abbreviation_definition', label: 'C++', title: 'A language' },
+                { type: 'abbreviation_definition', label: 'HTML', title: 'Ignored' }
+            ]);
+            expect(parse(md).children).toEqual([{ type: 'paragraph', children: [text(md)] }]);
+        });
+
+        test('should position abbreviations', () => {
+            const para = parse('An HTML page\n\n*[HTML]: Markup', { ...all, source_map: true }).children[0];
+            expect(para.children[1].position).toEqual({
+                start: { line: 1, column: 4, offset: 3 },
+                end: { line: 1, column: 8, offset: 7 }
+            });
+        });
+
+        test('should parse attribute blocks', () => {
+            const [heading, para, code] = parse(attrDoc, all).children;
+            expect(heading.attributes).toEqual({ id: 'start', class: 'lead' });
+            expect(heading.children).toEqual([text('Intro')]);
+            expect(para.children[1]).toEqual({ type: 'image', alt: 'Logo', url: 'l.png', attributes: { width: '120', class: 'right' } });
+            expect(para.children[3].attributes).toEqual({ target: '_blank', onclick: 'x' });
+            expect(code).toMatchObject({ lang: 'js', attributes: { id: 'ex', class: 'demo' } });
+
+            const setext = parse('Title {.big}\n===\n\n[x](y){not attrs}', all).children;
+            expect(setext[0]).toEqual({ type: 'heading', level: 1, children: [text('Title')], attributes: { class: 'big' } });
+            expect(setext[1].children[1]).toEqual(text('{not attrs}'));
+            expect(parse(attrDoc).children[0].attributes).toBeUndefined();
+        });
+
+        test('should cover the attribute block in the node position', () => {
+            const image = parse('![i](a){.x} z', { ...all, source_map: true }).children[0].children[0];
+            expect(image.position.end.offset).toBe(11);
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test.each([
+            ['definition lists', deflist],
+            ['abbreviations', 'The HTML spec, HTML5 and C++.\n\n*[HTML]: "Hyper" Text\n*[C++]: A language'],
+            ['attribute blocks', attrDoc],
+            ['sanitized attributes', '![i](a.png){srcset="a.png 1x, javascript:x 2x" onerror=alert(1) poster=javascript:y}\n\n' +
+                '[a](/x){rel=me target=_new} [b](/y){rel="noopener" target=_blank} [c](/z){target=_self}\n\n' +
+                '[d](/w){xlink:href="javascript:x" data=javascript:y imagesrcset="b.png 1x, javascript:z 2x"}'],
+            ['setext headings', 'Title {.big}\n===\n\n[x](y){not attrs}']
+        ])('should render %s as quikdown does', (name, md) => {
+            expect(quikdown_ast_html(md, all)).toBe(quikdown(md, all));
+            expect(quikdown_ast_html(md, { ...all, inline_styles: true })).toBe(quikdown(md, { ...all, inline_styles: true }));
+        });
+
+        test('should render from JSON and YAML', () => {
+            expect(quikdown_ast_html(quikdown_json(attrDoc, all))).toBe(attrHtml);
+            expect(quikdown_ast_html(quikdown_yaml(attrDoc, all))).toBe(attrHtml);
+            expect(quikdown_ast_html(quikdown_yaml(deflist, all))).toBe(deflistHtml);
+        });
+
+        test('should drop invalid attribute names and pass the own id to renderers.heading', () => {
+            const ast = { type: 'document', children: [
+                { type: 'heading', level: 2, attributes: { id: 'a"b', 'bad name': 'x' }, children: [{ type: 'text', value: 'H' }] },
+                { type: 'code_block', lang: null, content: 'x', attributes: null }
+            ] };
+            expect(quikdown_ast_html(ast)).toBe(
+                '<h2 class="quikdown-h2" id="a&quot;b">H</h2><pre class="quikdown-pre"><code>x</code></pre>');
+            const heading = jest.fn(() => undefined);
+            quikdown_ast_html(ast, { renderers: { heading } });
+            expect(heading.mock.calls[0][2]).toBe('a&quot;b');
+        });
+    });
+
+    describe('inspect', () => {
+        test('should use a heading\'s own id and read abbreviations as text', () => {
+            const md = '# Intro {#start}\n\n# Start\n\nThe HTML spec.\n\n*[HTML]: Markup';
+            for (const inspect of [quikdown_ast.inspect, quikdown_json.parse.inspect, quikdown_yaml.parse.inspect, quikdown_ast_html.inspect]) {
+                const facts = inspect(md, all);
+                expect(facts.headings.map(h => h.id)).toEqual(['start', 'start-1']);
+                expect(facts.words).toBe(5);
+            }
+        });
+    });
+});
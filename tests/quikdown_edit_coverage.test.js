@@ -1125,6 +1125,93 @@ describe('QuikdownEditor Coverage', () => {
             // Should be able to undo
             expect(editor.canUndo()).toBe(true);
         });
+
+        test('preview edit round-trips tables, lists and footnotes', async () => {
+            await editor.setMarkdown('| a | b |\n|---|---|\n| 1 | 2 |\n\n- one\n- two\n\nText[^1]\n\n[^1]: Note');
+            editor.updateFromHTML();
+            const md = editor.getMarkdown();
+            expect(md).toContain('| 1 | 2 |');
+            expect(md).toContain('- two');
+            expect(md).toContain('[^1]: Note');
+        });
+
+        test('renders definition lists, abbreviations and attribute blocks when enabled', async () => {
+            editor.destroy();
+            editor = new QuikdownEditor('#test-editor', { definition_lists: true, abbreviations: true, attributes: true });
+            await editor.initPromise;
+            const md = 'Term\n: Def\n\n# H {#h}\n\n[a](b){.x} HTML\n\n*[HTML]: Markup';
+            await editor.setMarkdown(md);
+            expect(editor.getHTML()).toContain('<dt class="quikdown-dt">Term</dt>');
+            expect(editor.getHTML()).toContain('title="Markup"');
+            expect(editor.getHTML()).toContain('id="h"');
+            editor.updateFromHTML();
+            expect(editor.getMarkdown()).toBe(md);
+        });
+
+        test('preview edit round-trips definition lists, abbreviations and attribute blocks', () => {
+            editor.previewPanel.innerHTML = '<dl data-qd=":"><dt>Term</dt><dd>Def\nmore</dd><dt>T2</dt><dd>D2</dd></dl>' +
+                '<p>The <abbr title="Hyper" data-qd="*[">HTML</abbr>.</p>' +
+                '<h1 id="h" data-qd-attrs="{#h}" data-qd="#">H</h1>' +
+                '<p><a href="b" data-qd-attrs="{.x}" data-qd-text="a" data-qd="[">a</a> ' +
+                '<img data-qd-attrs="{.y}" src="c" alt="i" data-qd-alt="i" data-qd-src="c" data-qd="!"></p>' +
+                '<pre data-qd-attrs="{.z}" data-qd-fence="```" data-qd-lang="js"><code>x</code></pre>';
+            editor.updateFromHTML();
+            expect(editor.getMarkdown()).toBe('Term\n: Def\n  more\n\nT2\n: D2\n\nThe HTML.\n\n# H {#h}\n\n' +
+                '[a](b){.x} ![i](c){.y}\n\n```js {.z}\nx\n```\n\n*[HTML]: Hyper');
+        });
+
+        test('renders highlight, superscript, subscript, insert and emoji when enabled', async () => {
+            editor.destroy();
+            editor = new QuikdownEditor('#test-editor', {
+                highlight: true, superscript: true, subscript: true, insert: true, emoji: { rocket: '🚀' }
+            });
+            await editor.initPromise;
+            const md = '==a== x^2^ H~2~O ++b++ :rocket:';
+            await editor.setMarkdown(md);
+            expect(editor.getHTML()).toContain('<mark class="quikdown-mark" data-qd="==">a</mark>');
+            expect(editor.getHTML()).toContain('<span class="quikdown-emoji" data-qd=":rocket:">🚀</span>');
+            editor.updateFromHTML();
+            expect(editor.getMarkdown()).toBe(md);
+        });
+
+        test('renders typographer, linkify and mentions when enabled', async () => {
+            editor.destroy();
+            editor = new QuikdownEditor('#test-editor', {
+                typographer: true, linkify: true, mentions: (name) => ({ href: `/u/${name}` })
+            });
+            await editor.initPromise;
+            const md = '"Hi" -- see www.example.com, @alice';
+            await editor.setMarkdown(md);
+            expect(editor.getHTML()).toContain('<span data-qd="--">–</span>');
+            expect(editor.getHTML()).toContain('href="http://www.example.com"');
+            expect(editor.getHTML()).toContain('href="/u/alice"');
+            editor.updateFromHTML();
+            expect(editor.getMarkdown()).toBe(md);
+        });
+
+        test('preview edit round-trips syntax extensions', async () => {
+            editor.destroy();
+            const highlight = {
+                name: 'highlight',
+                trigger: /==([^=\n]+)==/,
+                render: (token) => `<mark>${token.text}</mark>`,
+                reverse: (element, content) => `==${content}==`
+            };
+            editor = new QuikdownEditor('#test-editor', { extensions: [highlight] });
+            await editor.initPromise;
+            await editor.setMarkdown('a ==b== c');
+            expect(editor.getHTML()).toContain('<mark data-qd-ext="highlight">b</mark>');
+            editor.updateFromHTML();
+            expect(editor.getMarkdown()).toBe('a ==b== c');
+        });
+
+        test('preview edit round-trips callouts and nested quotes', async () => {
+            const md = '> [!WARNING] Careful\n> a\n>\n> > b';
+            await editor.setMarkdown(md);
+            expect(editor.getHTML()).toContain('quikdown-callout-warning');
+            editor.updateFromHTML();
+            expect(editor.getMarkdown()).toBe(md);
+        });
     });
 
     // ================================================================
@@ -1742,6 +1829,42 @@ describe('QuikdownEditor Coverage', () => {
         });
     });
 
+    // ──────────────────────────────────────────────────────────────
+    //  allowUnsafeHTML: 'limited' uses the SAFE_HTML_TAGS policy
+    // ──────────────────────────────────────────────────────────────
+
+    describe('Limited HTML Policy', () => {
+        test('keeps per-tag attributes and allowed style properties', async () => {
+            editor = new QuikdownEditor('#test-editor', { allowUnsafeHTML: 'limited' });
+            await editor.initPromise;
+            await editor.setMarkdown(
+                '<img src="a.png" srcset="b.png 2x, javascript:x 3x" alt="A" ismap> ' +
+                '<span style="color:red;position:fixed" aria-label="s" onclick="x()">x</span> ' +
+                '<a href="/p" target="_blank" download>y</a> <b>open');
+            const html = editor.getHTML();
+            expect(html).toContain('<img src="a.png" srcset="b.png 2x, # 3x" alt="A">');
+            expect(html).toContain('<span style="color:red" aria-label="s">x</span>');
+            expect(html).toContain('<a href="/p" target="_blank" rel="noopener noreferrer">y</a>');
+            expect(html).toMatch(/<\/b>$/);
+        });
+
+        test('is exposed as a policy object', () => {
+            const { tags, globalAttrs, styleProps } = QuikdownEditor.SAFE_HTML_TAGS;
+            expect(tags.img).toContain('src');
+            expect(tags).not.toHaveProperty('script');
+            expect(globalAttrs).toContain('class');
+            expect(styleProps).not.toContain('position');
+        });
+
+        test('drops margins and box sizes that could cover the page', async () => {
+            editor = new QuikdownEditor('#test-editor', { allowUnsafeHTML: 'limited' });
+            await editor.initPromise;
+            await editor.setMarkdown(
+                '<div style="margin-top:-500px;margin:-9em 0;width:10000px;height:10000px;max-width:100%;color:red">x</div>');
+            expect(editor.getHTML()).toContain('<div style="max-width:100%; color:red">x</div>');
+        });
+    });
+
     // ──────────────────────────────────────────────────────────────
     //  Plugin loading edge cases
     // ──────────────────────────────────────────────────────────────
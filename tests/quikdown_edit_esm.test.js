@@ -86,6 +86,31 @@ describe('QuikdownEditor ESM', () => {
             expect(html).toContain('Bold text');
         });
 
+        test('should render reference-style links', async () => {
+            editor = new QuikdownEditor('#test-editor');
+            await editor.initPromise;
+
+            await editor.setMarkdown('[Docs][ref] and ![logo][img]\n\n[ref]: https://example.com "Docs"\n[img]: /logo.png');
+            const html = editor.getHTML();
+
+            expect(html).toContain('href="https://example.com" title="Docs"');
+            expect(html).toContain('data-qd-ref="[ref]"');
+            expect(html).toContain('src="/logo.png"');
+            expect(editor.getMarkdown()).toContain('[ref]: https://example.com');
+        });
+
+        test('should render footnotes', async () => {
+            editor = new QuikdownEditor('#test-editor');
+            await editor.initPromise;
+
+            await editor.setMarkdown('Text[^1] and [^2].\n\n[^1]: The note\n    continues\n\n    More.\n[^2]: Other');
+            const html = editor.getHTML();
+
+            expect(html).toContain('href="#fn-1"');
+            expect(html).toContain('id="fn-2"');
+            expect(editor.getMarkdown()).toContain('[^1]: The note');
+        });
+
         test('should switch modes', async () => {
             editor = new QuikdownEditor('#test-editor');
             await editor.initPromise;
@@ -0,0 +1,137 @@
+/**
+ * Syntax extension API — the `extensions` option and quikdown.use()
+ * Covers core quikdown and quikdown_bd round-trips.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+
+const highlight = {
+    name: 'highlight',
+    trigger: /==([^=\n]+)==/,
+    render: (token, { getAttr }) => `<mark${getAttr('mark')}>${token.text}</mark>`,
+    reverse: (element, content) => `==${content}==`
+};
+
+const mention = {
+    name: 'mention',
+    raw: true,
+    trigger: /(?<=^|\s)@(\w+)/,
+    tokenize: (match) => match[1] === 'nobody' ? null : { user: match[1] },
+    render: (token, { escapeHtml, sanitizeUrl }) =>
+        `<a href="${sanitizeUrl(`/u/${token.user}`)}">@${escapeHtml(token.user)}</a>`
+};
+
+const box = {
+    name: 'box',
+    level: 'block',
+    trigger: /^:::(\w+)\n([\s\S]*?)\n:::$/,
+    tokenize: (match) => ({ kind: match[1], body: match[2] }),
+    render: (token, { escapeHtml }) => `<div class="box-${token.kind}">${escapeHtml(token.body)}</div>`
+};
+
+const extensions = [highlight, mention, box];
+
+describe('syntax extensions', () => {
+
+    describe('quikdown core', () => {
+        test('should format inline rules inside the protected pass', () => {
+            expect(quikdown('a ==b **c**== d', { extensions })).toBe(
+                '<p>a <mark class="quikdown-mark">b <strong class="quikdown-strong">c</strong></mark> d</p>');
+        });
+
+        test('should not match inside rendered tag attributes', () => {
+            expect(quikdown('[x](/a==b==c)', { extensions })).toBe(
+                '<p><a class="quikdown-a" href="/a==b==c">x</a></p>');
+        });
+
+        test('should capture raw rules before escaping', () => {
+            expect(quikdown('hi @bob and @nobody <x>', { extensions })).toBe(
+                '<p>hi <a href="/u/bob">@bob</a> and @nobody &lt;x&gt;</p>');
+            expect(quikdown('`@bob`', { extensions })).toBe('<p><code class="quikdown-code">@bob</code></p>');
+        });
+
+        test('should render block rules as blocks', () => {
+            expect(quikdown('text\n\n:::warn\n<b>x\n*y*\n:::\n\nafter', { extensions })).toBe(
+                '<p>text</p><div class="box-warn">&lt;b&gt;x\n*y*</div><p>after</p>');
+        });
+
+        test('should leave declined inline matches alone', () => {
+            const declined = { ...highlight, tokenize: (match) => match[1] === 'no' ? null : { text: match[1] } };
+            expect(quikdown('==no== ==yes==', { extensions: [declined] })).toBe(
+                '<p>==no== <mark class="quikdown-mark">yes</mark></p>');
+        });
+
+        test('should use the default token', () => {
+            const ins = { name: 'ins', trigger: /\+\+(.+?)\+\+/, render: (token) => `<ins title="${token.raw}">${token.text}</ins>` };
+            expect(quikdown('a ++b++', { extensions: [ins] })).toBe('<p>a <ins title="++b++">b</ins></p>');
+        });
+
+        test('should ignore rules without a trigger or renderer', () => {
+            const broken = [null, { name: 'a', render: () => 'x' }, { name: 'b', trigger: /x/ }, { trigger: 'x', render: () => 'y' }];
+            expect(quikdown('x', { extensions: broken })).toBe('<p>x</p>');
+        });
+
+        test('should keep source lines for blocks and declined matches', () => {
+            expect(quikdown(':::warn\nx\ny\n:::\n\npara ==h==', { extensions, source_map: true })).toBe(
+                '<div class="box-warn" data-qd-line-start="1" data-qd-line-end="4">x\ny</div>' +
+                '<p data-qd-line-start="6" data-qd-line-end="6">para <mark class="quikdown-mark">h</mark></p>');
+            const declined = { ...box, tokenize: () => null };
+            expect(quikdown(':::warn\nx\n:::\n\npara', { extensions: [declined], source_map: true })).toBe(
+                '<p data-qd-line-start="1" data-qd-line-end="3">:::warn\nx\n:::</p>' +
+                '<p data-qd-line-start="5" data-qd-line-end="5">para</p>');
+        });
+
+        test('should register rules globally with use()', () => {
+            const ins = { name: 'ins', trigger: /\+\+(.+?)\+\+/, render: (token) => `<ins>${token.text}</ins>` };
+            expect(quikdown.use(ins)).toBe(quikdown);
+            try {
+                expect(quikdown('a ++b++ ==c==', { extensions: [highlight] })).toBe(
+                    '<p>a <ins>b</ins> <mark class="quikdown-mark">c</mark></p>');
+            } finally {
+                quikdown.extensions.length = 0;
+            }
+            expect(quikdown('a ++b++')).toBe('<p>a ++b++</p>');
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should tag extension output', () => {
+            expect(quikdown_bd('@bob', { extensions })).toBe(
+                '<p><a data-qd-ext="mention" data-qd-source="@bob" href="/u/bob">@bob</a></p>');
+            expect(quikdown_bd('==x==', { extensions })).toBe('<p><mark data-qd-ext="highlight" class="quikdown-mark">x</mark></p>');
+        });
+
+        const roundTrip = [
+            'a ==b **c**== d',
+            'hi @bob and @nobody',
+            'text\n\n:::warn\n<b>x\n*y*\n:::\n\nafter'
+        ];
+        test.each(roundTrip)('should round-trip %j', (md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { extensions }), { extensions })).toBe(md);
+        });
+
+        test('should fall back to the converted content without reverse', () => {
+            const plain = { ...highlight, reverse: undefined };
+            expect(quikdown_bd.toMarkdown(quikdown_bd('a ==b==', { extensions: [plain] }), { extensions: [plain] })).toBe('a b');
+        });
+
+        test('should keep declined block matches and their source lines', () => {
+            const declined = { ...box, tokenize: () => null };
+            expect(quikdown_bd(':::warn\nx\n:::', { extensions: [declined], source_map: true })).toBe(
+                '<p data-qd-line-start="1" data-qd-line-end="3">:::warn\nx\n:::</p>');
+        });
+
+        test('should treat unknown extension output as plain HTML', () => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd('a ==*b*==', { extensions }))).toBe('a *b*');
+        });
+
+        test('should find globally registered rules', () => {
+            quikdown_bd.use(highlight);
+            try {
+                expect(quikdown_bd.toMarkdown(quikdown_bd('==x=='))).toBe('==x==');
+            } finally {
+                quikdown_bd.extensions.length = 0;
+            }
+        });
+    });
+});
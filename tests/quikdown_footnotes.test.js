@@ -0,0 +1,181 @@
+/**
+ * Footnotes: [^label] references and [^label]: definitions
+ * Covers core quikdown, quikdown_bd round-trips, quikdown_ast and quikdown_ast_html.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import quikdown_footnotes from '../dist/quikdown_footnotes.esm.js';
+
+quikdown.use(quikdown_footnotes);
+quikdown_bd.use(quikdown_footnotes);
+
+const ref = (key, num, id = key) =>
+    `<sup class="quikdown-footnote-ref"><a href="#fn-${key}" id="fnref-${id}">${num}</a></sup>`;
+const backref = (id) => ` <a href="#fnref-${id}" class="quikdown-footnote-backref">↩</a>`;
+
+describe('footnotes', () => {
+
+    describe('quikdown core', () => {
+        test('should render references and a footnotes section', () => {
+            expect(quikdown('Text[^1].\n\n[^1]: The note.')).toBe(
+                `<p>Text${ref('1', 1)}.</p>\n` +
+                '<section class="quikdown-footnotes"><hr class="quikdown-hr"><ol class="quikdown-ol">' +
+                `<li class="quikdown-li" id="fn-1"><p>The note.${backref('1')}</p></li></ol></section>`);
+        });
+
+        test('should number footnotes in order of first reference', () => {
+            const html = quikdown('A[^b] B[^a]\n\n[^a]: First defined\n[^b]: Second defined');
+            expect(html).toContain(`A${ref('b', 1)} B${ref('a', 2)}`);
+            expect(html.indexOf('id="fn-b"')).toBeLessThan(html.indexOf('id="fn-a"'));
+        });
+
+        test('should link every repeated reference back from the note', () => {
+            const html = quikdown('x[^n] y[^n]\n\n[^n]: Note');
+            expect(html).toContain(`x${ref('n', 1)} y${ref('n', 1, 'n-2')}`);
+            expect(html).toContain(`Note${backref('n')}${backref('n-2')}</p>`);
+        });
+
+        test('should support multi-paragraph notes with inline formatting', () => {
+            const md = 'x[^n]\n\n[^n]: The *note*\n    continues\n\n    Second `para`.';
+            expect(quikdown(md)).toContain(
+                '<li class="quikdown-li" id="fn-n"><p>The <em class="quikdown-em">note</em>\ncontinues</p>' +
+                `<p>Second <code class="quikdown-code">para</code>.${backref('n')}</p></li>`);
+        });
+
+        test('should leave undefined references literal and drop unused notes', () => {
+            expect(quikdown('a[^missing]\n\n[^unused]: Never shown')).toBe('<p>a[^missing]</p>');
+            expect(quikdown('a[^missing]')).toBe('<p>a[^missing]</p>');
+            expect(quikdown('a[^1] b[^missing]\n\n[^1]: note')).toContain('</sup> b[^missing]</p>');
+        });
+
+        test('should match labels case-insensitively and keep the first definition', () => {
+            const html = quikdown('x[^Note]\n\n[^note]: first\n[^NOTE]: second');
+            expect(html).toContain(ref('note', 1));
+            expect(html).toContain('first');
+            expect(html).not.toContain('second');
+        });
+
+        test('should not treat footnotes inside code as footnotes', () => {
+            const html = quikdown('`[^1]`\n\n```\n[^1]: code\n```\n\n[^1]: real');
+            expect(html).toContain('[^1]</code>');
+            expect(html).toContain('[^1]: code');
+            expect(html).not.toContain('<section');
+        });
+
+        test('should work with inline styles', () => {
+            const html = quikdown('x[^1]\n\n[^1]: y', { inline_styles: true });
+            expect(html).toContain('<sup style="font-size:.75em;line-height:0">');
+            expect(html).toContain('<section style="font-size:.875em;margin-top:2em">');
+            expect(html).toContain('<a href="#fnref-1" style="text-decoration:none">↩</a>');
+        });
+
+        test('should work with lazy linefeeds', () => {
+            expect(quikdown('x[^1]\n\n[^1]: y', { lazy_linefeeds: true }))
+                .toContain(`<p>y${backref('1')}</p>`);
+        });
+
+        test('should number footnotes referenced only from other footnotes', () => {
+            const html = quikdown('x[^a]\n\n[^a]: see[^b]\n[^b]: inner');
+            expect(html).toContain(`see${ref('b', 2)}`);
+            expect(html).toContain('id="fn-b"');
+        });
+
+        test('should escape HTML in footnote text', () => {
+            expect(quikdown('x[^1]\n\n[^1]: <b>bold</b>')).toContain('&lt;b&gt;bold&lt;/b&gt;');
+        });
+    });
+
+    describe('quikdown_bd round-trip', () => {
+        test('should mark references and notes with their labels', () => {
+            const html = quikdown_bd('x[^a]\n\n[^a]: note');
+            expect(html).toContain('data-qd-fn="a"');
+            expect(html).toContain('data-qd="[^"');
+        });
+
+        test('should restore references and definitions', () => {
+            const md = 'Text[^1] and more[^note] and again[^1].\n\n[^1]: First.\n[^note]: The *note*\n    continues here\n\n    Second para with `code`.';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe(md);
+        });
+
+        test('should keep undefined references literal next to defined ones', () => {
+            const md = 'a[^1] b[^missing]\n\n[^1]: note';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe(md);
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        test('should emit footnote reference and definition nodes', () => {
+            const ast = quikdown_ast('x[^a]\n\n[^a]: The *note*\n    more\n\n    Second.');
+            expect(ast.children).toEqual([
+                { type: 'paragraph', children: [
+                    { type: 'text', value: 'x' },
+                    { type: 'footnote_reference', label: 'a' }
+                ] },
+                { type: 'footnote_definition', label: 'a', children: [
+                    { type: 'paragraph', children: [
+                        { type: 'text', value: 'The ' },
+                        { type: 'em', children: [{ type: 'text', value: 'note' }] },
+                        { type: 'text', value: '\nmore' }
+                    ] },
+                    { type: 'paragraph', children: [{ type: 'text', value: 'Second.' }] }
+                ] }
+            ]);
+        });
+
+        test('should keep undefined references as text', () => {
+            const ast = quikdown_ast('x[^nope]');
+            expect(ast.children[0].children).toEqual([{ type: 'text', value: 'x[^nope]' }]);
+        });
+
+        test('should end a paragraph at a footnote definition', () => {
+            const ast = quikdown_ast('text\n[^a]: note\nafter');
+            expect(ast.children.map(n => n.type)).toEqual(['paragraph', 'footnote_definition', 'paragraph']);
+        });
+
+        test('should ignore footnote definitions in fenced code', () => {
+            const ast = quikdown_ast('```\n[^a]: code\n```\n\nx[^a]');
+            expect(ast.children[1].children).toEqual([{ type: 'text', value: 'x[^a]' }]);
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test('should render the same references and section as core', () => {
+            const html = quikdown_ast_html('A[^b] B[^a] C[^b]\n\n[^a]: Alpha\n[^b]: Beta');
+            expect(html).toBe(
+                `<p>A${ref('b', 1)} B${ref('a', 2)} C${ref('b', 1, 'b-2')}</p>` +
+                '<section class="quikdown-footnotes"><hr class="quikdown-hr"><ol class="quikdown-ol">' +
+                `<li class="quikdown-li" id="fn-b"><p>Beta${backref('b')}${backref('b-2')}</p></li>` +
+                `<li class="quikdown-li" id="fn-a"><p>Alpha${backref('a')}</p></li></ol></section>`);
+        });
+
+        test('should number footnotes referenced only from other footnotes', () => {
+            const html = quikdown_ast_html('x[^a]\n\n[^a]: see[^b]\n[^b]: inner');
+            expect(html).toContain(`see${ref('b', 2)}`);
+            expect(html).toContain('id="fn-b"');
+        });
+
+        test('should render references without a document as text', () => {
+            expect(quikdown_ast_html({ type: 'paragraph', children: [{ type: 'footnote_reference', label: 'x' }] }))
+                .toBe('<p>[^x]</p>');
+        });
+
+        test('should append backrefs after non-paragraph content', () => {
+            const html = quikdown_ast_html({ type: 'document', children: [
+                { type: 'paragraph', children: [{ type: 'footnote_reference', label: 'a' }] },
+                { type: 'footnote_definition', label: 'a', children: [{ type: 'hr' }] }
+            ] });
+            expect(html).toContain(`<hr class="quikdown-hr">${backref('a')}</li>`);
+        });
+
+        test('should render nothing for a document without references', () => {
+            expect(quikdown_ast_html('[^a]: unused')).toBe('');
+        });
+
+        test('should support inline styles', () => {
+            expect(quikdown_ast_html('x[^1]\n\n[^1]: y', { inline_styles: true }))
+                .toContain('<section style="font-size:.875em;margin-top:2em">');
+        });
+    });
+});
@@ -0,0 +1,298 @@
+/**
+ * Front matter: YAML (---) and TOML (+++) metadata blocks at the start
+ * of a document — left out of the HTML, returned by parseWithMeta, a
+ * `frontmatter` node in quikdown_ast and re-emitted by toMarkdown
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import quikdown_frontmatter from '../dist/quikdown_frontmatter.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+
+quikdown.use(quikdown_frontmatter, quikdown_stream);
+quikdown_bd.use(quikdown_frontmatter, quikdown_stream);
+
+const yamlDoc = [
+    '---',
+    'title: Hello',
+    'tags: [a, "b, c"]',
+    'draft: false',
+    '---',
+    '# Head',
+    '',
+    'Text'
+].join('\n');
+
+const tomlDoc = [
+    '+++',
+    'title = "Hello"',
+    'count = 1_000',
+    '[params]',
+    'ratio = 0.5',
+    '+++',
+    'Text'
+].join('\n');
+
+// The metadata parseWithMeta finds in `md`
+const meta = (md) => quikdown.parseWithMeta(md).meta;
+
+// The value of a leading frontmatter node, {} without one
+const frontValue = (ast) => ast.children[0] && ast.children[0].type === 'frontmatter' ? ast.children[0].value : {};
+
+// Every bundle carries the readers: metadata as each one reads it
+const readers = {
+    quikdown: meta,
+    quikdown_bd: (md) => quikdown_bd.parseWithMeta(md).meta,
+    quikdown_ast: (md) => frontValue(quikdown_ast(md)),
+    quikdown_json: (md) => frontValue(quikdown_json.parse(md)),
+    quikdown_yaml: (md) => frontValue(quikdown_yaml.parse(md)),
+    quikdown_ast_html: (md) => frontValue(quikdown_ast_html.toAst(md))
+};
+
+describe('front matter', () => {
+
+    describe('quikdown core', () => {
+        test('should leave front matter out of the HTML', () => {
+            expect(quikdown(yamlDoc)).toBe('<h1 class="quikdown-h1">Head</h1><p>Text</p>');
+            expect(quikdown(tomlDoc)).toBe('<p>Text</p>');
+        });
+
+        test('should return html, meta and metaRaw from parseWithMeta', () => {
+            expect(quikdown.parseWithMeta(yamlDoc)).toEqual({
+                html: quikdown(yamlDoc),
+                meta: { title: 'Hello', tags: ['a', 'b, c'], draft: false },
+                metaRaw: 'title: Hello\ntags: [a, "b, c"]\ndraft: false'
+            });
+            expect(quikdown.parseWithMeta(tomlDoc).meta).toEqual({ title: 'Hello', count: 1000, params: { ratio: 0.5 } });
+        });
+
+        test('should work when called unbound', () => {
+            const { parseWithMeta } = quikdown;
+            expect(parseWithMeta(yamlDoc)).toEqual(quikdown.parseWithMeta(yamlDoc));
+        });
+
+        test('should give empty meta without front matter', () => {
+            expect(quikdown.parseWithMeta('# Hi')).toEqual({ html: quikdown('# Hi'), meta: {}, metaRaw: '' });
+            expect(quikdown.parseWithMeta(null)).toEqual({ html: '', meta: {}, metaRaw: '' });
+        });
+
+        test('should render a document opening with a rule', () => {
+            expect(quikdown('---\n\ntext\n---')).toBe('<hr class="quikdown-hr"><p>text</p>\n<hr class="quikdown-hr">');
+        });
+
+        test('should keep line numbers for source_map', () => {
+            expect(quikdown(yamlDoc, { source_map: true })).toContain('data-qd-line-start="6"');
+        });
+
+        test('should close the paragraph between two rules', () => {
+            expect(quikdown('# A\n\n---\nb: c\n---')).toBe('<h1 class="quikdown-h1">A</h1><hr class="quikdown-hr">\n<p>b: c</p>\n<hr class="quikdown-hr">');
+        });
+    });
+
+    describe.each(Object.keys(readers))('readers (%s)', (bundle) => {
+        const meta = readers[bundle];
+
+        test('should only take a keyed, closed block at the very start', () => {
+            // An unclosed block, a block further down and a first line
+            // that isn't a key stay content
+            expect(meta('---\ntitle: x\nno close')).toEqual({});
+            expect(meta('text\n\n---\ntitle: x\n---')).toEqual({});
+            expect(meta('+++\nnot toml\n+++')).toEqual({});
+            expect(meta('---\ntitle: x\n...\nbody')).toEqual({ title: 'x' });
+            expect(meta('---\r\ntitle: x\n---\n')).toEqual({ title: 'x' });
+        });
+
+        describe('YAML reader', () => {
+            test('should read nested maps, lists and scalars', () => {
+                const md = [
+                    '---',
+                    'title: "Quoted \\"x\\""',
+                    '# a comment',
+                    'author:',
+                    '  name: Ann',
+                    '  links:',
+                    '    - one',
+                    '    - two',
+                    'items:',
+                    '  - name: a',
+                    '    note: |',
+                    '      line 1',
+                    '      line 2',
+                    '  - plain',
+                    'empty: ~',
+                    'nothing:',
+                    'version: 1.5 # trailing comment',
+                    "single: 'x'",
+                    '---'
+                ].join('\n');
+                expect(meta(md)).toEqual({
+                    title: 'Quoted "x"',
+                    author: { name: 'Ann', links: ['one', 'two'] },
+                    items: [{ name: 'a', note: 'line 1\nline 2\n' }, 'plain'],
+                    empty: null,
+                    nothing: null,
+                    version: 1.5,
+                    single: 'x'
+                });
+            });
+
+            test('should fold and chomp block scalars', () => {
+                const md = [
+                    '---',
+                    'folded: >',
+                    '  one',
+                    '  two',
+                    '',
+                    '  three',
+                    'strip: |-',
+                    '  kept',
+                    'keep: |+',
+                    '  kept',
+                    '',
+                    'last: end',
+                    '---'
+                ].join('\n');
+                expect(meta(md)).toEqual({ folded: 'one two\nthree\n', strip: 'kept', keep: 'kept\n\n', last: 'end' });
+            });
+
+            test('should step over blank lines, continuation lines and stray text', () => {
+                const md = [
+                    '---',
+                    'a: true',
+                    '',
+                    'b:',
+                    '',
+                    '  c: 1',
+                    'd:',
+                    '  {}',
+                    'e:',
+                    '  plain text',
+                    'list:',
+                    '',
+                    '  - x',
+                    '',
+                    '    continued',
+                    '  - y: 1',
+                    '',
+                    '    stray',
+                    '    - nested',
+                    '  stray item',
+                    'stray',
+                    'f:',
+                    '---'
+                ].join('\n');
+                expect(meta(md)).toEqual({ a: true, b: { c: 1 }, d: {}, e: 'plain text', list: ['x', { y: 1 }], f: null });
+            });
+
+            test('should keep quoted and flow list items as scalars', () => {
+                expect(meta('---\nlist:\n  - "a: b"\n  - [1, 2]\n---')).toEqual({ list: ['a: b', [1, 2]] });
+            });
+        });
+
+        describe('TOML reader', () => {
+            test('should read tables, dotted keys and values', () => {
+                const md = [
+                    '+++',
+                    'title = \'literal\'',
+                    '# comment',
+                    'site.name = "Docs"',
+                    '"quoted" = "a\\tb\\n"',
+                    'on = true',
+                    'off = false',
+                    'big = 1e3',
+                    'date = 2024-01-01',
+                    'tags = ["a", \'b\', 3] # list',
+                    'broken',
+                    '[a.b]',
+                    'c = "unclosed',
+                    'e = [1, 2',
+                    '[a]',
+                    'd = 1',
+                    '+++'
+                ].join('\n');
+                expect(meta(md)).toEqual({
+                    title: 'literal',
+                    site: { name: 'Docs' },
+                    quoted: 'a\tb\n',
+                    on: true,
+                    off: false,
+                    big: 1000,
+                    date: '2024-01-01',
+                    tags: ['a', 'b', 3],
+                    a: { b: { c: 'unclosed', e: [1, 2] }, d: 1 }
+                });
+            });
+
+            test('should replace a scalar with the table of the same name', () => {
+                expect(meta('+++\nx = 1\n[x]\ny = 2\n+++')).toEqual({ x: { y: 2 } });
+            });
+
+            test('should keep an unclosed literal string', () => {
+                expect(meta("+++\n[t]\ns = 'open\n+++")).toEqual({ t: { s: 'open' } });
+            });
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should re-emit front matter from toMarkdown unchanged', () => {
+            const html = quikdown_bd(yamlDoc);
+            expect(html).toContain('data-qd-frontmatter');
+            // A blank line separates it from the body
+            expect(quikdown_bd.toMarkdown(html)).toBe(yamlDoc.replace('---\n#', '---\n\n#'));
+            expect(quikdown_bd.toMarkdown(quikdown_bd(tomlDoc))).toBe(tomlDoc.replace('+++\nText', '+++\n\nText'));
+        });
+
+        test('should re-emit front matter of an otherwise empty document', () => {
+            const md = '---\ntitle: x\n---';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe(md);
+        });
+
+        test('should render bidirectionally from parseWithMeta', () => {
+            const result = quikdown_bd.parseWithMeta(yamlDoc);
+            expect(result.html).toBe(quikdown_bd(yamlDoc));
+            expect(result.meta.title).toBe('Hello');
+        });
+    });
+
+    describe('createStream', () => {
+        test('should match a one-shot render', () => {
+            const md = `${yamlDoc}\n\n---\nb: c\n---\n\nmore`;
+            for (const parse of [quikdown, quikdown_bd]) {
+                const stream = parse.createStream();
+                for (const ch of md) stream.push(ch);
+                expect(stream.end()).toBe(parse(md));
+            }
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        test('should add a frontmatter node first', () => {
+            const ast = quikdown_ast(yamlDoc);
+            expect(ast.children[0]).toEqual({
+                type: 'frontmatter',
+                format: 'yaml',
+                raw: 'title: Hello\ntags: [a, "b, c"]\ndraft: false',
+                value: { title: 'Hello', tags: ['a', 'b, c'], draft: false }
+            });
+            expect(ast.children[1].type).toBe('heading');
+            expect(quikdown_ast(tomlDoc).children[0].value.params).toEqual({ ratio: 0.5 });
+        });
+
+        test('should keep offsets for source_map', () => {
+            const ast = quikdown_ast(yamlDoc, { source_map: true });
+            expect(ast.children[0].position.start.offset).toBe(0);
+            expect(ast.children[0].position.end.offset).toBe(yamlDoc.indexOf('# Head') - 1);
+            expect(ast.children[1].position.start.line).toBe(6);
+        });
+
+        test('should carry the node through JSON and YAML and skip it in HTML', () => {
+            expect(JSON.parse(quikdown_json(yamlDoc)).children[0].type).toBe('frontmatter');
+            expect(quikdown_yaml(yamlDoc)).toContain('type: frontmatter');
+            expect(quikdown_ast_html(quikdown_json(yamlDoc))).toBe('<h1 class="quikdown-h1">Head</h1><p>Text</p>');
+            expect(quikdown_ast_html(quikdown_yaml(yamlDoc))).toBe('<h1 class="quikdown-h1">Head</h1><p>Text</p>');
+        });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Heading ids, slug generation and the table-of-contents API
+ * Covers the heading_ids option, quikdown.slugify, quikdown.toc and the
+ * [[toc]] marker (core and quikdown_bd round-trip).
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+
+describe('heading ids and table of contents', () => {
+
+    describe('quikdown.slugify', () => {
+        test('should produce GitHub-compatible slugs', () => {
+            expect(quikdown.slugify('Hello World')).toBe('hello-world');
+            expect(quikdown.slugify('Intro & Setup')).toBe('intro--setup');
+            expect(quikdown.slugify('What is it?')).toBe('what-is-it');
+            expect(quikdown.slugify('snake_case and kebab-case')).toBe('snake_case-and-kebab-case');
+            expect(quikdown.slugify('Déjà vu 2')).toBe('déjà-vu-2');
+            expect(quikdown.slugify('???')).toBe('');
+        });
+    });
+
+    describe('heading_ids option', () => {
+        test('should leave headings without ids by default', () => {
+            expect(quikdown('# Title')).toBe('<h1 class="quikdown-h1">Title</h1>');
+        });
+
+        test('should add ids derived from the rendered heading text', () => {
+            expect(quikdown('## Install `npm` *now*', { heading_ids: true })).toBe(
+                '<h2 class="quikdown-h2" id="install-npm-now">Install <code class="quikdown-code">npm</code> ' +
+                '<em class="quikdown-em">now</em></h2>');
+        });
+
+        test('should de-duplicate slugs within a document', () => {
+            const html = quikdown('# Intro\n\n# Intro\n\n# Intro-1\n\n# Intro', { heading_ids: true });
+            expect(html.match(/id="[^"]*"/g)).toEqual(
+                ['id="intro"', 'id="intro-1"', 'id="intro-1-1"', 'id="intro-2"']);
+        });
+
+        test('should fall back to "section" for headings without slug text', () => {
+            expect(quikdown('# ???', { heading_ids: true })).toBe('<h1 class="quikdown-h1" id="section">???</h1>');
+        });
+
+        test('should accept a custom slugger function', () => {
+            const html = quikdown('# A\n# B', { heading_ids: text => `h-${text}"` });
+            expect(html).toContain('id="h-A&quot;"');
+            expect(html).toContain('id="h-B&quot;"');
+        });
+
+        test('should work with inline styles', () => {
+            expect(quikdown('# Title', { heading_ids: true, inline_styles: true }))
+                .toBe('<h1 style="font-size:2em;font-weight:600;margin:.67em 0;text-align:left" id="title">Title</h1>');
+        });
+
+        test('should not treat headings inside code blocks as headings', () => {
+            const html = quikdown('```\n# not a heading\n```\n\n# Real', { heading_ids: true });
+            expect(html.match(/id="/g)).toHaveLength(1);
+            expect(html).toContain('id="real"');
+        });
+    });
+
+    describe('quikdown.toc', () => {
+        const md = '# Guide\n\nText\n\n## Install\n\n### Linux\n\n## Usage\n\n# API & More\n\n#### Deep';
+
+        test('should return a nested heading tree', () => {
+            expect(quikdown.toc(md)).toEqual([
+                { level: 1, text: 'Guide', id: 'guide', children: [
+                    { level: 2, text: 'Install', id: 'install', children: [
+                        { level: 3, text: 'Linux', id: 'linux', children: [] }
+                    ] },
+                    { level: 2, text: 'Usage', id: 'usage', children: [] }
+                ] },
+                { level: 1, text: 'API & More', id: 'api--more', children: [
+                    { level: 4, text: 'Deep', id: 'deep', children: [] }
+                ] }
+            ]);
+        });
+
+        test('should limit depth with maxLevel', () => {
+            const tree = quikdown.toc(md, { maxLevel: 1 });
+            expect(tree.map(n => n.id)).toEqual(['guide', 'api--more']);
+            expect(tree.every(n => n.children.length === 0)).toBe(true);
+        });
+
+        test('should use a custom slugger passed as heading_ids', () => {
+            expect(quikdown.toc('# One', { heading_ids: () => 'custom' })[0].id).toBe('custom');
+        });
+
+        test('should return an empty tree for documents without headings', () => {
+            expect(quikdown.toc('just text')).toEqual([]);
+            expect(quikdown.toc('')).toEqual([]);
+        });
+    });
+
+    describe('[[toc]] marker', () => {
+        test('should render a nested link list in place', () => {
+            const html = quikdown('[[toc]]\n\n# A & B\n\n## C', { heading_ids: true });
+            expect(html).toBe(
+                '<nav class="quikdown-toc"><ul class="quikdown-ul"><li class="quikdown-li">' +
+                '<a class="quikdown-a" href="#a--b">A &amp; B</a><ul class="quikdown-ul"><li class="quikdown-li">' +
+                '<a class="quikdown-a" href="#c">C</a></li></ul></li></ul></nav>' +
+                '<h1 class="quikdown-h1" id="a--b">A &amp; B</h1><h2 class="quikdown-h2" id="c">C</h2>');
+        });
+
+        test('should escape ids from a custom slugger in links', () => {
+            expect(quikdown('[[toc]]\n\n# A', { heading_ids: () => 'a"b' }))
+                .toContain('href="#a&quot;b"');
+        });
+
+        test('should render an empty nav when there are no headings', () => {
+            expect(quikdown('[[toc]]', { heading_ids: true })).toBe('<nav class="quikdown-toc"></nav>');
+        });
+
+        test('should stay literal text without heading_ids', () => {
+            expect(quikdown('[[toc]]\n\n# A')).toBe('<p>[[toc]]</p><h1 class="quikdown-h1">A</h1>');
+        });
+    });
+
+    describe('quikdown_bd round-trip', () => {
+        test('should restore the [[toc]] marker and drop heading ids', () => {
+            const md = '[[toc]]\n\n# Title\n\n## Section';
+            const html = quikdown_bd(md, { heading_ids: true });
+            expect(html).toContain('data-qd="[[toc]]"');
+            expect(html).toContain('id="section"');
+            expect(quikdown_bd.toMarkdown(html)).toBe(md);
+        });
+
+        test('should assign the same ids as core', () => {
+            const md = '[[toc]]\n\n# Intro\n\n## Intro\n\n# ???';
+            expect(quikdown_bd(md, { heading_ids: true }).match(/id="[^"]*"/g))
+                .toEqual(['id="intro"', 'id="intro-1"', 'id="section"']);
+            expect(quikdown_bd('[[toc]]\n\n# A & B', { heading_ids: true }))
+                .toContain('href="#a--b">A &amp; B</a>');
+            expect(quikdown_bd('# A', { heading_ids: () => 'x"' })).toContain('id="x&quot;"');
+            expect(quikdown_bd('[[toc]]\n\n# A', { heading_ids: () => 'x"' })).toContain('href="#x&quot;"');
+        });
+
+        test('should expose slugify and toc', () => {
+            expect(quikdown_bd.slugify('Hello World')).toBe('hello-world');
+            expect(quikdown_bd.toc('# A\n## B')).toEqual([
+                { level: 1, text: 'A', id: 'a', children: [{ level: 2, text: 'B', id: 'b', children: [] }] }
+            ]);
+            expect(quikdown_bd.toc('# A\n## B', { maxLevel: 1, heading_ids: () => 'z' })).toEqual([
+                { level: 1, text: 'A', id: 'z', children: [] }
+            ]);
+        });
+
+        test('should pass through a plain nav element', () => {
+            expect(quikdown_bd.toMarkdown('<nav><p>Links</p></nav>')).toBe('Links');
+        });
+    });
+});
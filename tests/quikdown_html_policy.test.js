@@ -0,0 +1,186 @@
+/**
+ * allow_unsafe_html policy objects: per-tag attributes, global
+ * attributes, style properties, srcset/target handling and tag balancing
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+
+const policy = {
+    tags: { a: ['href', 'target', 'rel'], img: ['src', 'srcset', 'alt', 'width'], b: [], div: [], span: [], p: [] },
+    globalAttrs: ['class', 'style', 'data-*'],
+    styleProps: ['color', 'text-align']
+};
+const render = (md, allow = policy) => quikdown(md, { allow_unsafe_html: allow });
+
+describe('allow_unsafe_html policy', () => {
+
+    describe('attributes', () => {
+        test('should keep only the attributes listed for the tag', () => {
+            expect(render('<img src="a.png" alt="A" width="9" onerror="x()" formaction="/x" ismap>')).toBe(
+                '<p><img src="a.png" alt="A" width="9"></p>');
+            expect(render('<b title="t" class="c">x</b>')).toBe('<p><b class="c">x</b></p>');
+        });
+
+        test('should match global attribute prefixes', () => {
+            expect(render('<span data-id="1" DATA-Kind="k" aria-label="no">x</span>')).toBe(
+                '<p><span data-id="1" DATA-Kind="k">x</span></p>');
+        });
+
+        test('should accept attribute names in any case', () => {
+            expect(render('<a href="/x">x</a>', { tags: { A: ['HREF'] } })).toBe('<p><a href="/x">x</a></p>');
+        });
+
+        test('should accept a list of tags without attributes', () => {
+            expect(render('<b class="c">x</b> <i>y</i>', { tags: ['B'], globalAttrs: ['class'] })).toBe(
+                '<p><b class="c">x</b> &lt;i&gt;y&lt;/i&gt;</p>');
+        });
+
+        test('should give non-array tag entries the global attributes only', () => {
+            expect(render('<b class="c" id="i">x</b>', { tags: { b: 1 }, globalAttrs: ['class'] })).toBe(
+                '<p><b class="c">x</b></p>');
+            expect(render('<b class="c">x</b>', { tags: { b: true } })).toBe('<p><b>x</b></p>');
+        });
+
+        test('should still drop on* handlers a policy lists', () => {
+            expect(render('<b onclick="x()">x</b>', { tags: { b: ['onclick'] } })).toBe('<p><b>x</b></p>');
+        });
+
+        test.each([
+            ['xlink:href', '<svg><a xlink:href="javascript:alert(1)">x</a></svg>', 'xlink:href="#"'],
+            ['data', '<object data="javascript:alert(1)"></object>', 'data="#"'],
+            ['srcset', '<img srcset="a.png 1x, javascript:alert(1) 2x">', 'srcset="a.png 1x, # 2x"'],
+            ['imagesrcset', '<link imagesrcset="JavaScript:alert(1) 640w">', 'imagesrcset="# 640w"'],
+            ['formaction', '<button formaction="javascript:alert(1)">x</button>', 'formaction="#"']
+        ])('should sanitize javascript: URLs in %s', (name, html, expected) => {
+            const out = render(html, { tags: { svg: [], a: [name], object: [name], img: [name], link: [name], button: [name] } });
+            expect(out).toContain(expected);
+            expect(out).not.toMatch(/javascript/i);
+        });
+
+        test('should keep safe URLs in xlink:href and data', () => {
+            expect(render('<a xlink:href="#top">x</a> <object data="movie.swf"></object>', { tags: { a: ['xlink:href'], object: ['data'] } })).toBe(
+                '<p><a xlink:href="#top">x</a> <object data="movie.swf"></object></p>');
+        });
+    });
+
+    describe('style', () => {
+        test('should keep only listed properties', () => {
+            expect(render('<div style="color: red; position:fixed; top:0;TEXT-ALIGN:center">x</div>')).toBe(
+                '<div style="color: red; TEXT-ALIGN:center">x</div>');
+        });
+
+        test('should drop values that load or run something', () => {
+            expect(render(`<div style="color:url(x.png); text-align:expression(alert(1)); color:\\72 ed">x</div>`)).toBe('<div>x</div>');
+            expect(render(`<span style='color:red"x;junk'>x</span>`)).toBe('<p><span style="color:red&quot;x">x</span></p>');
+        });
+
+        test('should keep style as written without styleProps', () => {
+            expect(render('<b style="position:fixed">x</b>', { tags: { b: ['style'] } })).toBe(
+                '<p><b style="position:fixed">x</b></p>');
+        });
+    });
+
+    describe('srcset', () => {
+        test('should sanitize each candidate URL', () => {
+            expect(render('<img srcset="a.png 1x, javascript:alert(1) 2x,b.png 640w">')).toBe(
+                '<p><img srcset="a.png 1x, # 2x, b.png 640w"></p>');
+        });
+
+        test('should handle candidates without descriptors', () => {
+            expect(render('<img srcset="a.png, b.png  ,c.png 2x">')).toBe('<p><img srcset="a.png, b.png, c.png 2x"></p>');
+            expect(render('<img srcset="  a.png  ">')).toBe('<p><img srcset="a.png"></p>');
+        });
+
+        test('should apply in the plain whitelist forms too', () => {
+            expect(render('<img srcset="vbscript:x 1x">', ['img'])).toBe('<p><img srcset="# 1x"></p>');
+        });
+
+        test('should sanitize poster and cite as URLs', () => {
+            expect(render('<video poster="javascript:x"></video><q cite="javascript:y">q</q>', ['video', 'q'])).toBe(
+                '<p><video poster="#"></video><q cite="#">q</q></p>');
+        });
+    });
+
+    describe('target', () => {
+        test('should add rel="noopener noreferrer" to links opening a new tab', () => {
+            expect(render('<a href="/x" target="_blank">x</a>')).toBe(
+                '<p><a href="/x" target="_blank" rel="noopener noreferrer">x</a></p>');
+        });
+
+        test('should add noopener to an existing rel', () => {
+            expect(render('<a target="w" rel="nofollow">x</a>')).toBe('<p><a target="w" rel="nofollow noopener">x</a></p>');
+            expect(render('<a target="w" rel>x</a>', ['a'])).toBe('<p><a target="w" rel="noopener">x</a></p>');
+            expect(render('<a target="w" rel="NOOPENER">x</a>')).toBe('<p><a target="w" rel="NOOPENER">x</a></p>');
+        });
+
+        test('should leave same-tab targets alone', () => {
+            expect(render('<a href="/x" target="_self">x</a> <a target="_TOP">y</a>')).toBe(
+                '<p><a href="/x" target="_self">x</a> <a target="_TOP">y</a></p>');
+        });
+
+        test('should still add rel when the policy has no rel', () => {
+            expect(render('<a target="_blank">x</a>', { tags: { a: ['target'] } })).toBe(
+                '<p><a target="_blank" rel="noopener noreferrer">x</a></p>');
+        });
+    });
+
+    describe('balancing', () => {
+        test('should close tags left open at the end of the output', () => {
+            expect(render('<div class="x">\n\n**a**')).toBe(
+                '<div class="x"></p><p><strong class="quikdown-strong">a</strong></p></div>');
+            expect(render('<b><span>x')).toBe('<p><b><span>x</p></span></b>');
+        });
+
+        test('should drop stray closing tags', () => {
+            expect(render('x</div></b> y')).toBe('<p>x y</p>');
+        });
+
+        test('should close inner tags with their parent', () => {
+            expect(render('<div><b>x</div></b>')).toBe('<div><b>x</b></div>');
+        });
+
+        test('should not track void tags', () => {
+            expect(render('<img src="a.png"><img src="b.png"/>x')).toBe('<p><img src="a.png"><img src="b.png"/>x</p>');
+        });
+
+        test('should expand self-closed non-void tags', () => {
+            expect(render('<div/>x<span class="c" />')).toBe('<div></div>x<span class="c"></span></p>');
+        });
+
+        test('should balance the plain whitelist forms', () => {
+            expect(render('<b>x', { b: 1 })).toBe('<p><b>x</p></b>');
+            expect(render('x</b>', ['b'])).toBe('<p>x</p>');
+        });
+
+        test('should leave escaped tags out of the count', () => {
+            expect(render('<b><script>x</b>')).toBe('<p><b>&lt;script&gt;x</b></p>');
+        });
+
+        test('should balance each render on its own', () => {
+            const md = '<div>';
+            render(md);
+            expect(render('x')).toBe('<p>x</p>');
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should apply the policy and close open tags', () => {
+            const html = quikdown_bd('<span style="color:red;position:fixed" title="t">x', { allow_unsafe_html: policy });
+            expect(html).toContain('<span style="color:red">x');
+            expect(html.endsWith('</span>')).toBe(true);
+            expect(quikdown_bd('<img srcset="a.png 1x, javascript:x 2x">', { allow_unsafe_html: policy }))
+                .toContain('srcset="a.png 1x, # 2x"');
+            expect(quikdown_bd('<a target="_blank">x</a>', { allow_unsafe_html: ['a'] })).toContain('rel="noopener noreferrer"');
+            expect(quikdown_bd('<b data-x="1">x</b>', { allow_unsafe_html: { tags: ['b'], globalAttrs: ['data-*'] } }))
+                .toContain('<b data-x="1">');
+        });
+
+        test('should cover the same edge cases as core', () => {
+            const bd = (md, allow = policy) => quikdown_bd(md, { allow_unsafe_html: allow });
+            expect(bd('<img srcset="a.png, b.png 2x">')).toContain('srcset="a.png, b.png 2x"');
+            expect(bd('<div style="color:url(x); junk">x</div>')).toBe('<div>x</div>');
+            expect(bd('<a target="w" rel="nofollow">x</a>')).toContain('rel="nofollow noopener"');
+            expect(bd('x</b> <div/>')).toBe('<p>x </p><div></div>');
+        });
+    });
+});
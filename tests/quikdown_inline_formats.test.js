@@ -0,0 +1,203 @@
+/**
+ * Opt-in inline formats: ==highlight== (highlight), ++insert++ (insert),
+ * ^superscript^ (superscript), ~subscript~ (subscript) and :emoji:
+ * shortcodes (emoji, with the quikdown_emoji table or the caller's own
+ * map).  Covers core quikdown, quikdown_bd round-trips, quikdown_ast,
+ * quikdown_ast_html and inspect.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import quikdown_emoji from '../dist/quikdown_emoji.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+import quikdown_footnotes from '../dist/quikdown_footnotes.esm.js';
+
+quikdown.use(quikdown_stream, quikdown_footnotes);
+quikdown_bd.use(quikdown_stream, quikdown_footnotes);
+
+const all = { highlight: true, superscript: true, subscript: true, insert: true, emoji: quikdown_emoji };
+
+const doc = '==a *b*== ++c++ x^2^ H~2~O ~~d~~ :rocket: :nope:';
+const docHtml = '<p><mark class="quikdown-mark">a <em class="quikdown-em">b</em></mark> <ins class="quikdown-ins">c</ins> ' +
+    'x<sup class="quikdown-sup">2</sup> H<sub class="quikdown-sub">2</sub>O <del class="quikdown-del">d</del> ' +
+    '<span class="quikdown-emoji">🚀</span> :nope:</p>';
+
+describe('highlight, insert, superscript, subscript and emoji', () => {
+
+    describe('quikdown core', () => {
+        test('should leave the syntax alone without the options', () => {
+            expect(quikdown(doc)).toBe('<p>==a <em class="quikdown-em">b</em>== ++c++ x^2^ H~2~O <del class="quikdown-del">d</del> :rocket: :nope:</p>');
+        });
+
+        test('should render each format', () => {
+            expect(quikdown(doc, all)).toBe(docHtml);
+            expect(quikdown('==a==', { highlight: true })).toBe('<p><mark class="quikdown-mark">a</mark></p>');
+            expect(quikdown('x^2^ ~y~', { superscript: true })).toBe('<p>x<sup class="quikdown-sup">2</sup> ~y~</p>');
+        });
+
+        test('should need text against the markers', () => {
+            expect(quikdown('a == b == c and C++ or C++', all)).toBe('<p>a == b == c and C++ or C++</p>');
+            expect(quikdown('x^a b^ and ~a b~', all)).toBe('<p>x^a b^ and ~a b~</p>');
+            expect(quikdown('== a== ++b ++', all)).toBe('<p>== a== ++b ++</p>');
+        });
+
+        test('should keep strikethrough, footnote brackets, code and URLs apart', () => {
+            expect(quikdown('~~a~~ ~b~ ~~c~', all)).toBe(
+                '<p><del class="quikdown-del">a</del> <sub class="quikdown-sub">b</sub> ~~c~</p>');
+            expect(quikdown('[^a][^b]', all)).toBe('<p>[^a][^b]</p>');
+            expect(quikdown('`==a== ~b~` https://x.com/~a/~b_c_/', all)).toBe('<p><code class="quikdown-code">==a== ~b~</code> ' +
+                '<a class="quikdown-a" href="https://x.com/~a/~b_c_/" rel="noopener noreferrer">https://x.com/~a/~b_c_/</a></p>');
+        });
+
+        test('should format table cells and headings', () => {
+            expect(quikdown('# ==a== :tada:', all)).toBe('<h1 class="quikdown-h1"><mark class="quikdown-mark">a</mark> <span class="quikdown-emoji">🎉</span></h1>');
+            expect(quikdown('| a |\n|---|\n| x^2^ |', all)).toContain('<td class="quikdown-td">x<sup class="quikdown-sup">2</sup></td>');
+        });
+
+        test('should support inline styles', () => {
+            expect(quikdown('==a== ++b++ ^c^ ~d~ :smile:', { ...all, inline_styles: true })).toBe(
+                '<p><mark style="background:#fff8c5;color:inherit;padding:0 .15em">a</mark> <ins style="text-decoration:underline">b</ins> ' +
+                '<sup style="font-size:.75em;vertical-align:super;line-height:0">c</sup> ' +
+                '<sub style="font-size:.75em;vertical-align:sub;line-height:0">d</sub> ' +
+                '<span style="font-style:normal;font-weight:normal">😄</span></p>');
+        });
+
+        test('should emit styles, with a dark highlight', () => {
+            expect(quikdown.emitStyles()).toContain('.quikdown-mark { background:#fff8c5;color:inherit;padding:0 .15em }');
+            expect(quikdown.emitStyles('quikdown-', 'dark')).toContain('.quikdown-mark { background:#332b00;');
+        });
+
+        describe('emoji', () => {
+            test('should replace known shortcodes only', () => {
+                expect(quikdown(':+1: :-1: :100: :smile::heart: :not_one: : smile:', all)).toBe(
+                    '<p><span class="quikdown-emoji">👍</span> <span class="quikdown-emoji">👎</span> ' +
+                    '<span class="quikdown-emoji">💯</span> <span class="quikdown-emoji">😄</span>' +
+                    '<span class="quikdown-emoji">❤️</span> :not_one: : smile:</p>');
+            });
+
+            test('should take the caller\'s map and ignore inherited names', () => {
+                const emoji = { ...quikdown_emoji, party_parrot: '🦜', html: '<b>' };
+                expect(quikdown(':party_parrot: :html: :constructor: :toString:', { emoji })).toBe(
+                    '<p><span class="quikdown-emoji">🦜</span> <span class="quikdown-emoji">&lt;b&gt;</span> :constructor: :toString:</p>');
+            });
+
+            test('should leave times, code and link targets alone', () => {
+                expect(quikdown('At 10:30:00 `:smile:` [a](/x:smile:y)', { emoji: { 30: '!', smile: '😄' } })).toBe(
+                    '<p>At 10<span class="quikdown-emoji">!</span>00 <code class="quikdown-code">:smile:</code> ' +
+                    '<a class="quikdown-a" href="/x:smile:y">a</a></p>');
+            });
+
+            test('should ship a table of shortcodes and characters', () => {
+                expect(quikdown_emoji.rocket).toBe('🚀');
+                const names = Object.keys(quikdown_emoji);
+                expect(names.length).toBeGreaterThan(200);
+                expect(names.every(name => /^[\w+-]+$/.test(name))).toBe(true);
+                expect(Object.values(quikdown_emoji).every(value => typeof value === 'string' && value.length)).toBe(true);
+            });
+        });
+
+        test('should stream the same HTML as a one-shot render', () => {
+            const md = `${doc}\n\n# ==x== :tada:\n\n- ++y++`;
+            for (const parse of [quikdown, quikdown_bd]) {
+                const stream = parse.createStream(all);
+                for (const ch of md) stream.push(ch);
+                expect(stream.end()).toBe(parse(md, all));
+            }
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should mark each format', () => {
+            expect(quikdown_bd('==a== ^b^ :smile:', all)).toBe('<p><mark class="quikdown-mark" data-qd="==">a</mark> ' +
+                '<sup class="quikdown-sup" data-qd="^">b</sup> <span class="quikdown-emoji" data-qd=":smile:">😄</span></p>');
+        });
+
+        test.each([
+            ['document', doc],
+            ['nested formats', '==a ++b++== **x^2^**'],
+            ['emoji next to text', 'Ship:rocket:it :+1:'],
+            ['heading and list', '# ==x== :tada:\n\n- ++y++\n- H~2~O']
+        ])('should round-trip a %s', (name, md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, all))).toBe(md);
+        });
+
+        test('should keep the content of unmarked and empty elements', () => {
+            expect(quikdown_bd.toMarkdown('<p><mark>a</mark> <ins>b</ins> <sub>c</sub> <sup>d</sup> <span>e</span></p>')).toBe('a b c d e');
+            expect(quikdown_bd.toMarkdown('<p>x<mark data-qd="=="></mark><sup data-qd="^"></sup>y</p>')).toBe('xy');
+        });
+    });
+
+    // Every bundle carrying quikdown_ast parses the syntax
+    const parsers = {
+        quikdown_ast: (md, options) => quikdown_ast(md, options),
+        quikdown_json: (md, options) => quikdown_json.parse(md, options),
+        quikdown_yaml: (md, options) => quikdown_yaml.parse(md, options),
+        quikdown_ast_html: (md, options) => quikdown_ast_html.toAst(md, options)
+    };
+
+    describe.each(Object.keys(parsers))('AST (%s)', (bundle) => {
+        const parse = parsers[bundle];
+        const text = (value) => ({ type: 'text', value });
+
+        test('should parse each format', () => {
+            expect(parse(doc, all).children[0].children).toEqual([
+                { type: 'mark', children: [text('a '), { type: 'em', children: [text('b')] }] },
+                text(' '),
+                { type: 'ins', children: [text('c')] },
+                text(' x'),
+                { type: 'sup', children: [text('2')] },
+                text(' H'),
+                { type: 'sub', children: [text('2')] },
+                text('O '),
+                { type: 'del', children: [text('d')] },
+                text(' '),
+                { type: 'emoji', name: 'rocket', value: '🚀' },
+                text(' :nope:')
+            ]);
+            expect(parse(doc).children[0].children[0]).toEqual(text('==a '));
+        });
+
+        test('should need text against the markers, as quikdown does', () => {
+            const md = 'a == b == c, C++ or C++, x^a b^, [^a][^b], ~~c~ and :constructor:';
+            expect(parse(md, all).children[0].children).toEqual([text(md)]);
+        });
+
+        test('should position formats and emoji', () => {
+            const [, mark, , emoji] = parse('x ==ab== :tada:', { ...all, source_map: true }).children[0].children;
+            expect(mark.position).toEqual({ start: { line: 1, column: 3, offset: 2 }, end: { line: 1, column: 9, offset: 8 } });
+            expect(mark.children[0].position.start.offset).toBe(4);
+            expect(emoji.position).toEqual({ start: { line: 1, column: 10, offset: 9 }, end: { line: 1, column: 16, offset: 15 } });
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test.each([
+            ['document', doc],
+            ['unmatched markers', 'a == b, C++ or C++, x^a b^, [^a][^b], ~~c~ and :constructor:'],
+            ['heading', '# ==x== :tada: H~2~O ^3^']
+        ])('should render a %s as quikdown does', (name, md) => {
+            expect(quikdown_ast_html(md, all)).toBe(quikdown(md, all));
+            expect(quikdown_ast_html(md, { ...all, inline_styles: true })).toBe(quikdown(md, { ...all, inline_styles: true }));
+        });
+
+        test('should render from JSON and YAML', () => {
+            expect(quikdown_ast_html(quikdown_json(doc, all))).toBe(docHtml);
+            expect(quikdown_ast_html(quikdown_yaml(doc, all))).toBe(docHtml);
+        });
+    });
+
+    describe('inspect', () => {
+        test('should read formats as text and emoji as characters', () => {
+            const md = '# ==Launch== :rocket:\n\nH~2~O is ++very++ wet';
+            for (const inspect of [quikdown_ast.inspect, quikdown_json.parse.inspect, quikdown_yaml.parse.inspect, quikdown_ast_html.inspect]) {
+                const facts = inspect(md, all);
+                expect(facts.headings[0].text).toBe('Launch 🚀');
+                expect(facts.words).toBe(6);
+                expect(facts.characters).toBe('Launch 🚀 H2O is very wet'.length - 1);
+            }
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * quikdown_ast.inspect: headings, links, images, code blocks, tasks,
+ * tables and text statistics from the AST, without a DOM
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import path from 'path';
+
+const doc = [
+    '---',
+    'title: Not content',
+    '---',
+    '# Intro & *Setup*',
+    '',
+    'Some **bo**ld text, a [link](https://example.com), https://auto.example',
+    'and [bad](javascript:alert) with `code`.',
+    '',
+    '![Logo](logo.png) and ![ref image][logo]',
+    '',
+    '## Intro & Setup',
+    '',
+    '- [x] done',
+    '- [ ] todo',
+    '- plain',
+    '',
+    '```js',
+    'let a;',
+    'let b;',
+    '```',
+    '',
+    '    indented',
+    '',
+    '| a | b | c |',
+    '|---|---|---|',
+    '| 1 | 2 | 3 |',
+    '| 4 | 5 | 6 |',
+    '',
+    '> [!NOTE] Title',
+    '> Quoted line',
+    '',
+    '[logo]: /logo.svg "The logo"'
+].join('\n');
+
+// Every bundle carrying quikdown_ast can inspect
+const bundles = {
+    quikdown_ast: quikdown_ast.inspect,
+    quikdown_json: quikdown_json.parse.inspect,
+    quikdown_yaml: quikdown_yaml.parse.inspect,
+    quikdown_ast_html: quikdown_ast_html.inspect
+};
+
+describe.each(Object.keys(bundles))('inspect (%s)', (bundle) => {
+    const inspect = bundles[bundle];
+    const facts = inspect(doc);
+
+    test('should list headings with levels and unique ids', () => {
+        expect(facts.headings).toEqual([
+            { level: 1, text: 'Intro & Setup', id: 'intro--setup' },
+            { level: 2, text: 'Intro & Setup', id: 'intro--setup-1' }
+        ]);
+    });
+
+    test('should list links with sanitized and raw URLs', () => {
+        expect(facts.links).toEqual([
+            { url: 'https://example.com', raw: 'https://example.com', text: 'link', autolink: false },
+            { url: 'https://auto.example', raw: 'https://auto.example', text: 'https://auto.example', autolink: true },
+            { url: '#', raw: 'javascript:alert', text: 'bad', autolink: false }
+        ]);
+    });
+
+    test('should apply the URL policy', () => {
+        const links = inspect('[a](&#106;avascript:x) [b](ftp://y) [c](https://z)', { url_schemes: ['https'] }).links;
+        expect(links.map(link => link.url)).toEqual(['#', '#', 'https://z']);
+    });
+
+    test('should list images, with reference titles', () => {
+        expect(facts.images).toEqual([
+            { url: 'logo.png', raw: 'logo.png', alt: 'Logo' },
+            { url: '/logo.svg', raw: '/logo.svg', alt: 'ref image', title: 'The logo' }
+        ]);
+    });
+
+    test('should count code block lines per language', () => {
+        expect(facts.codeBlocks).toEqual([
+            { lang: 'js', lines: 2, fenced: true },
+            { lang: null, lines: 1, fenced: false }
+        ]);
+    });
+
+    test('should count tasks and table dimensions', () => {
+        expect(facts.tasks).toEqual({ total: 2, done: 1 });
+        expect(facts.tables).toEqual([{ rows: 2, columns: 3 }]);
+    });
+
+    test('should count words, characters and reading time', () => {
+        // Front matter and definitions aren't content; inline markup
+        // runs on with the text around it
+        const expected = 'Intro & Setup Some bold text, a link, https://auto.example and bad with code. and ' +
+            'Intro & Setup done todo plain let a; let b; indented a b c 1 2 3 4 5 6 Title Quoted line';
+        expect(facts.words).toBe(expected.split(' ').length);
+        expect(facts.characters).toBe(expected.length);
+        expect(facts.readingTime).toBe(1);
+    });
+});
+
+describe('inspect', () => {
+    test('should be on the quikdown/ast entry points, not on the core', () => {
+        const pkg = require('../package.json');
+        const ast = require(path.join('..', pkg.exports['./ast'].require));
+        expect(ast.inspect('# Hi').headings).toEqual([{ level: 1, text: 'Hi', id: 'hi' }]);
+        expect(pkg.exports['./ast'].import).toBe('./dist/quikdown_ast.esm.js');
+        expect(quikdown.inspect).toBeUndefined();
+    });
+
+    test('should take an AST as well as markdown', () => {
+        const ast = quikdown_ast(doc);
+        expect(quikdown_ast.inspect(ast)).toEqual(quikdown_ast.inspect(doc));
+        expect(quikdown_ast_html.inspect(quikdown_json(doc))).toEqual(quikdown_ast.inspect(doc));
+    });
+
+    test('should give ids matching heading_ids', () => {
+        const md = '# A b\n\n## A b\n\n### `x` *y*\n\n#### !!!\n\n#### ?';
+        const ids = quikdown_ast.inspect(md).headings.map(h => h.id);
+        const html = quikdown(md, { heading_ids: true });
+        expect(ids).toEqual([...html.matchAll(/ id="([^"]*)"/g)].map(m => m[1]));
+        expect(ids).toEqual(quikdown.toc(md).flatMap(function flat(h) { return [h.id, ...h.children.flatMap(flat)]; }));
+    });
+
+    test('should apply the URL policy and slugger options', () => {
+        const facts = quikdown_ast.inspect('# Hi\n\n[a](ftp://x) ![i](http://y/i.png)', {
+            url_schemes: ['http', 'https'],
+            url_transform: (url, { kind }) => kind === 'image' ? url.replace('http:', 'https:') : undefined,
+            heading_ids: (text) => `h-${text}`
+        });
+        expect(facts.headings[0].id).toBe('h-Hi');
+        expect(facts.links[0].url).toBe('#');
+        expect(facts.images[0]).toEqual({ url: 'https://y/i.png', raw: 'http://y/i.png', alt: 'i' });
+    });
+
+    test('should round reading time up at wordsPerMinute', () => {
+        const md = Array(450).fill('word').join(' ');
+        expect(quikdown_ast.inspect(md).readingTime).toBe(3);
+        expect(quikdown_ast.inspect(md, { wordsPerMinute: 100 }).readingTime).toBe(5);
+    });
+
+    test('should count text in footnotes, line breaks and emoji as single characters', () => {
+        const facts = quikdown_ast.inspect('One[^1]  \ntwo 😀\n\n[^1]: Note');
+        expect(facts.words).toBe(4);
+        expect(facts.characters).toBe('One two 😀 Note'.length - 1);
+    });
+
+    test('should report an empty document', () => {
+        expect(quikdown_ast.inspect('')).toEqual({
+            headings: [], links: [], images: [], codeBlocks: [], tasks: { total: 0, done: 0 }, tables: [],
+            words: 0, characters: 0, readingTime: 0
+        });
+        expect(quikdown_ast.inspect('```\n```').codeBlocks).toEqual([{ lang: null, lines: 0, fenced: true }]);
+    });
+});
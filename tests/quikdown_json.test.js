@@ -2,7 +2,7 @@
  * Tests for quikdown_json - Markdown to JSON converter
  */
 import quikdown_json from '../dist/quikdown_json.esm.js';
-import { samples } from './fixtures/ast-samples.js';
+import { samples, sourceMapSample } from './fixtures/ast-samples.js';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 
@@ -169,5 +169,11 @@ describe('quikdown_json converter', () => {
             const ast = JSON.parse(result);
             expect(ast.children[0].children[0].value).toBe('Hello');
         });
+
+        test('should include node positions with source_map', () => {
+            const ast = JSON.parse(quikdown_json(sourceMapSample, { source_map: true }));
+            expect(ast.position.start).toEqual({ line: 1, column: 1, offset: 0 });
+            expect(ast.children[0].children[1].position.start).toEqual({ line: 1, column: 6, offset: 5 });
+        });
     });
 });
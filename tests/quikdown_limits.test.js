@@ -0,0 +1,259 @@
+/**
+ * limits option: input length, nesting depth, table cells, list items
+ * and time budget for quikdown, quikdown_bd, quikdown_bd.toMarkdown and
+ * quikdown_ast, each reported through onLimit
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+
+// Render with `limits`, collecting what onLimit reports
+function limited(parse, md, limits, options = {}) {
+    const reports = [];
+    const out = parse(md, { ...options, limits, onLimit: (info) => reports.push(info) });
+    return { out, reports };
+}
+
+// Make every Date.now() call `step` ms later than the last
+function tickingClock(step) {
+    let now = 0;
+    return jest.spyOn(Date, 'now').mockImplementation(() => (now += step));
+}
+
+const table = '| a | b |\n|---|---|\n| 1 | 2 |\n| 3 | 4 |';
+const nestedList = '- a\n  - b\n    - c\n      - d';
+
+describe('limits option', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('quikdown', () => {
+        test('should leave output unchanged without limits or within them', () => {
+            const md = `# T\n\n${table}\n\n${nestedList}\n\n> a\n> > b`;
+            const { out, reports } = limited(quikdown, md, {
+                maxInputLength: 1000, maxNestingDepth: 4, maxTableCells: 6, maxListItems: 4, timeBudgetMs: 60000
+            });
+            expect(out).toBe(quikdown(md));
+            expect(reports).toEqual([]);
+        });
+
+        test('should cut input at maxInputLength', () => {
+            const { out, reports } = limited(quikdown, 'hello **world**', { maxInputLength: 8 });
+            expect(out).toBe('<p>hello **</p>');
+            expect(reports).toEqual([{ limit: 'maxInputLength', max: 8, value: 15 }]);
+        });
+
+        test('should keep quotes past maxNestingDepth as text', () => {
+            const { out, reports } = limited(quikdown, '> a\n> > b\n> > > c', { maxNestingDepth: 2 });
+            expect(out).toBe('<blockquote class="quikdown-blockquote"><p>a</p>\n' +
+                '<blockquote class="quikdown-blockquote">b\n&gt; c</blockquote></blockquote>');
+            expect(reports).toEqual([{ limit: 'maxNestingDepth', max: 2, value: 3 }]);
+            for (const parse of [quikdown, quikdown_bd]) {
+                const mapped = limited(parse, '> a\n> > b\n> > c\n\nd', { maxNestingDepth: 1 }, { source_map: true }).out;
+                expect(mapped).toContain('data-qd-line-end="3">a\n&gt; b\n&gt; c</blockquote>');
+                expect(mapped).toContain('data-qd-line-start="5" data-qd-line-end="5">d</p>');
+            }
+        });
+
+        test('should survive deeply nested quotes', () => {
+            const { out } = limited(quikdown, `${'>'.repeat(20000)} x`, { maxNestingDepth: 8 });
+            expect(out.split('<blockquote').length - 1).toBe(8);
+        });
+
+        test('should cap nesting at 100 levels by default', () => {
+            const reports = [];
+            const quotes = quikdown(`${'> '.repeat(2000)}x`, { onLimit: (info) => reports.push(info) });
+            expect(quotes.split('<blockquote').length - 1).toBe(100);
+            expect(quotes).toContain('&gt; &gt; x');
+            expect(reports).toEqual([{ limit: 'maxNestingDepth', max: 100, value: 101 }]);
+            const listQuotes = quikdown(`${'- > '.repeat(500)}x`);
+            expect(listQuotes.split('<blockquote').length - 1).toBe(100);
+            expect(quikdown_bd(`${'- > '.repeat(500)}x`).split('<blockquote').length - 1).toBe(100);
+            expect(quikdown(`${'>'.repeat(20000)} x`).split('<blockquote').length - 1).toBe(100);
+        });
+
+        test('should render long input whole by default', () => {
+            const md = 'a'.repeat(2000001);
+            const reports = [];
+            expect(quikdown(md, { onLimit: (info) => reports.push(info) })).toBe(`<p>${md}</p>`);
+            expect(quikdown_ast(md).children[0].children[0].value).toBe(md);
+            const html = `<p>${md}</p>`;
+            expect(quikdown_bd.toMarkdown(html, { onLimit: (info) => reports.push(info) })).toBe(md);
+            expect(reports).toEqual([]);
+        });
+
+        test('should move list levels past maxNestingDepth up to the deepest allowed', () => {
+            const { out, reports } = limited(quikdown, nestedList, { maxNestingDepth: 2 });
+            expect(out).toBe('<ul class="quikdown-ul">\n<li class="quikdown-li">a</li>\n' +
+                '<ul class="quikdown-ul">\n<li class="quikdown-li">b</li>\n<li class="quikdown-li">c</li>\n' +
+                '<li class="quikdown-li">d</li>\n</ul>\n</ul>');
+            expect(reports).toEqual([{ limit: 'maxNestingDepth', max: 2, value: 3 }]);
+        });
+
+        test('should leave list items past maxListItems as text', () => {
+            const { out, reports } = limited(quikdown, '- a\n- b\n- c\n\n1. d', { maxListItems: 2 });
+            expect(out).toBe('<ul class="quikdown-ul">\n<li class="quikdown-li">a</li>\n' +
+                '<li class="quikdown-li">b</li>\n</ul>\n<p>- c</p><p>1. d</p>');
+            expect(reports).toEqual([{ limit: 'maxListItems', max: 2, value: 3 }]);
+        });
+
+        test('should drop table rows past maxTableCells', () => {
+            const { out, reports } = limited(quikdown, `${table}\n\n${table}`, { maxTableCells: 5 });
+            expect(out.match(/<td/g)).toHaveLength(2);
+            expect(out).not.toContain('<td class="quikdown-td">3</td>');
+            // The second table's header doesn't fit: its lines stay text
+            expect(out).toContain('<p>| a | b |\n|---|---|');
+            expect(reports).toEqual([{ limit: 'maxTableCells', max: 5, value: 6 }]);
+        });
+
+        test('should fall back to escaped paragraphs when the time budget runs out', () => {
+            tickingClock(100);
+            const { out, reports } = limited(quikdown, '# <b>a</b>\n\n\n- *b*\n\n  \n', { timeBudgetMs: 50 });
+            expect(out).toBe('<p># &lt;b&gt;a&lt;/b&gt;</p>\n<p>- *b*</p>');
+            expect(reports).toEqual([{ limit: 'timeBudgetMs', max: 50, value: 100 }]);
+        });
+
+        test('should run out of time inside the block walkers', () => {
+            // Each Date.now() call is 10ms on: the budget lasts a few checks
+            tickingClock(10);
+            const md = Array.from({ length: 50 }, (_, i) => `- ${i}`).join('\n');
+            expect(limited(quikdown, md, { timeBudgetMs: 25 }).out).toBe(`<p>${md}</p>`);
+            expect(limited(quikdown, `| a |\n|---|\n${'| x |\n'.repeat(50)}`, { timeBudgetMs: 15 }).out)
+                .toMatch(/^<p>\| a \|/);
+            expect(limited(quikdown, '> a', { timeBudgetMs: 25 }).out).toBe('<p>&gt; a</p>');
+        });
+
+        test('should stop soon after the time budget on a large document', () => {
+            const md = '# h\n\nword **b** `c` [l](u)\n\n- item\n\n'.repeat(20000);
+            let start = Date.now();
+            quikdown(md);
+            const full = Date.now() - start;
+            start = Date.now();
+            const { out, reports } = limited(quikdown, md, { timeBudgetMs: 5 });
+            expect(Date.now() - start).toBeLessThan(full / 2);
+            expect(out.startsWith('<p># h</p>')).toBe(true);
+            expect(reports[0].limit).toBe('timeBudgetMs');
+        });
+
+        test('should still throw errors that are not about the budget', () => {
+            const boom = { name: 'boom', trigger: /boom/, render: () => { throw new Error('boom'); } };
+            expect(() => quikdown('boom', { extensions: [boom], limits: { timeBudgetMs: 1000 } })).toThrow('boom');
+            expect(() => quikdown_bd('boom', { extensions: [boom], limits: { timeBudgetMs: 1000 } })).toThrow('boom');
+        });
+
+        test('should report each limit once and work without onLimit', () => {
+            const { reports } = limited(quikdown, '- a\n- b\n- c\n- d', { maxListItems: 1 });
+            expect(reports).toHaveLength(1);
+            expect(quikdown('- a\n- b', { limits: { maxListItems: 1 } })).toContain('<p>- b</p>');
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should apply the limits when rendering', () => {
+            expect(limited(quikdown_bd, '> a\n> > b', { maxNestingDepth: 1 }).out).toContain('&gt; b');
+            expect(limited(quikdown_bd, nestedList, { maxNestingDepth: 1 }).out.match(/<ul/g)).toHaveLength(1);
+            expect(limited(quikdown_bd, table, { maxTableCells: 4 }).out.match(/<td/g)).toHaveLength(2);
+            expect(limited(quikdown_bd, table, { maxTableCells: 1 }).out).toContain('| a | b |');
+            expect(limited(quikdown_bd, '- a\n- b', { maxListItems: 1 }).out).toContain('<p>- b</p>');
+            expect(limited(quikdown_bd, 'abcdef', { maxInputLength: 3 }).out).toBe('<p>abc</p>');
+            tickingClock(100);
+            expect(limited(quikdown_bd, '*a*\n\n\n<b>', { timeBudgetMs: 50 }).out).toBe('<p>*a*</p>\n<p>&lt;b&gt;</p>');
+        });
+
+        test('should return the text of HTML nested past maxNestingDepth in toMarkdown', () => {
+            const html = quikdown_bd(`${nestedList}\n\n> x **y**`);
+            const { out, reports } = limited(quikdown_bd.toMarkdown, html, { maxNestingDepth: 3 });
+            expect(out.replace(/\s+/g, ' ')).toBe('a b c d x y');
+            expect(reports).toEqual([{ limit: 'maxNestingDepth', max: 3, value: 4 }]);
+            expect(limited(quikdown_bd.toMarkdown, html, { maxNestingDepth: 5 }).out).toBe(quikdown_bd.toMarkdown(html));
+        });
+
+        test('should return the text of HTML nested past 100 levels by default in toMarkdown', () => {
+            const html = `${'<div>'.repeat(500)}<b>x</b>${'</div>'.repeat(500)}`;
+            const reports = [];
+            expect(quikdown_bd.toMarkdown(html, { onLimit: (info) => reports.push(info) })).toBe('x');
+            expect(reports).toEqual([{ limit: 'maxNestingDepth', max: 100, value: 101 }]);
+        });
+
+        test('should cut HTML at maxInputLength in toMarkdown', () => {
+            const { out, reports } = limited(quikdown_bd.toMarkdown, '<p>a <b>b</b></p><p>c</p>', { maxInputLength: 12 });
+            expect(out).toBe('a **b**');
+            expect(reports).toEqual([{ limit: 'maxInputLength', max: 12, value: 25 }]);
+            expect(limited(quikdown_bd.toMarkdown, '<p>a</p><img src="x.png" alt="b">', { maxInputLength: 20 }).out).toBe('a');
+        });
+
+        test('should return the text when toMarkdown runs out of time', () => {
+            const html = quikdown_bd('# a\n\n**b**');
+            tickingClock(100);
+            expect(limited(quikdown_bd.toMarkdown, html, { timeBudgetMs: 50 }).out).toBe('ab');
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        test('should apply the limits', () => {
+            const doc = (md, limits) => limited(quikdown_ast, md, limits);
+            expect(doc('hello world', { maxInputLength: 5 }).out.children[0].children[0].value).toBe('hello');
+
+            const deep = doc('> a\n> > b\n> > > c', { maxNestingDepth: 2 });
+            const inner = deep.out.children[0].children[1].children[1];
+            expect(inner).toEqual({ type: 'blockquote', children: [{ type: 'paragraph', children: [{ type: 'text', value: 'c' }] }] });
+            expect(deep.reports).toEqual([{ limit: 'maxNestingDepth', max: 2, value: 3 }]);
+
+            const items = doc('- a\n- b\n- c', { maxListItems: 2 }).out.children;
+            expect(items.map(node => node.type)).toEqual(['list', 'paragraph']);
+            expect(items[0].items).toHaveLength(2);
+
+            const tables = doc(`${table}\n\n${table}`, { maxTableCells: 5 }).out.children;
+            expect(tables[0].rows).toHaveLength(1);
+            expect(tables[1].type).toBe('paragraph');
+        });
+
+        test('should return one text paragraph when the time budget runs out', () => {
+            tickingClock(100);
+            expect(limited(quikdown_ast, '# a\n\n- b', { timeBudgetMs: 50 }).out).toEqual({
+                type: 'document',
+                children: [{ type: 'paragraph', children: [{ type: 'text', value: '# a\n\n- b' }] }]
+            });
+        });
+
+        test('should pass the limits through quikdown_json, quikdown_yaml and quikdown_ast_html', () => {
+            tickingClock(100);
+            expect(JSON.parse(quikdown_json('# a', { limits: { timeBudgetMs: 50 } })).children[0].type).toBe('paragraph');
+            expect(quikdown_yaml('# a', { limits: { timeBudgetMs: 50 } })).toContain('type: paragraph');
+            expect(quikdown_ast_html('# a', { limits: { timeBudgetMs: 50 } })).toBe('<p># a</p>');
+        });
+
+        test('should stop soon after the time budget inside a long paragraph', () => {
+            const md = 'a *b* '.repeat(5000);
+            let start = Date.now();
+            quikdown_ast(md);
+            const full = Date.now() - start;
+            start = Date.now();
+            expect(limited(quikdown_ast, md, { timeBudgetMs: 5 }).out.children[0].children).toEqual([{ type: 'text', value: md }]);
+            expect(Date.now() - start).toBeLessThan(full / 2);
+        });
+
+        test('should run out of time inside a list', () => {
+            tickingClock(10);
+            const md = Array.from({ length: 50 }, (_, i) => `- ${i}`).join('\n');
+            expect(limited(quikdown_ast, md, { timeBudgetMs: 35 }).out.children[0].type).toBe('paragraph');
+        });
+
+        test('should keep lists of any length whole without limits', () => {
+            const md = Array.from({ length: 1500 }, (_, i) => `- ${i}`).join('\n');
+            const { children } = quikdown_ast(md);
+            expect(children).toHaveLength(1);
+            expect(children[0].items).toHaveLength(1500);
+        });
+
+        test('should not hang on a pipe line without a valid separator', () => {
+            expect(quikdown_ast('a|b\n| |').children).toEqual([
+                { type: 'paragraph', children: [{ type: 'text', value: 'a|b\n| |' }] }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,233 @@
+/**
+ * Multi-paragraph list items and block content inside list items
+ * Covers core quikdown, quikdown_bd round-trips, quikdown_ast and quikdown_ast_html.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+
+const li = (content) => `<li class="quikdown-li">${content}</li>`;
+const ul = (...items) => `<ul class="quikdown-ul">\n${items.join('\n')}\n</ul>`;
+const ol = (...items) => `<ol class="quikdown-ol">\n${items.join('\n')}\n</ol>`;
+const pre = (code, lang) => `<pre class="quikdown-pre"><code${lang ? ` class="language-${lang}"` : ''}>${code}</code></pre>`;
+
+describe('list item content', () => {
+
+    describe('quikdown core', () => {
+        test('should keep tight lists without <p>', () => {
+            expect(quikdown('- a\n- b')).toBe(ul(li('a'), li('b')));
+        });
+
+        test('should make blank-line separated items a loose list', () => {
+            expect(quikdown('- a\n\n- b')).toBe(ul(li('<p>a</p>'), li('<p>b</p>')));
+            expect(quikdown('- a\n\n\n- b')).toBe(ul(li('<p>a</p>'), li('<p>b</p>')));
+        });
+
+        test('should join indented and lazy continuation lines', () => {
+            expect(quikdown('- a\n  indented\nlazy\n- b')).toBe(ul(li('a\nindented\nlazy'), li('b')));
+        });
+
+        test('should keep blank-line separated paragraphs in the item', () => {
+            expect(quikdown('- a\n\n  second\n- b\n\nAfter')).toBe(
+                ul(li('<p>a</p>\n<p>second</p>'), li('<p>b</p>')) + '<p>After</p>');
+        });
+
+        test('should nest fenced code in numbered steps', () => {
+            const md = '1. Install:\n\n   ```sh\n   npm i quikdown\n     --save\n   ```\n2. Import it';
+            expect(quikdown(md)).toBe(ol(
+                li(`<p>Install:</p>\n${pre('npm i quikdown\n  --save', 'sh')}`),
+                li('<p>Import it</p>')));
+        });
+
+        test('should nest a fence directly under the item text in a tight list', () => {
+            expect(quikdown('- run\n  ```\n  x\n  ```\n  then this\n- done')).toBe(
+                ul(li(`run\n${pre('x')}\n<p>then this</p>`), li('done')));
+        });
+
+        test('should nest blockquotes inside items', () => {
+            expect(quikdown('- a\n  > quoted\n- b')).toBe(
+                ul(li('a\n<blockquote class="quikdown-blockquote">quoted</blockquote>'), li('b')));
+        });
+
+        test('should continue a parent item after its nested list', () => {
+            expect(quikdown('- a\n  - b\n\n  c')).toBe(
+                ul('<li class="quikdown-li"><p>a</p>', ul(li('b')) + '<p>c</p></li>'));
+        });
+
+        test('should treat unindented text after a blank line as a new paragraph', () => {
+            expect(quikdown('- a\n\ntext')).toBe(ul(li('a')) + '<p>text</p>');
+        });
+
+        test('should not continue items into headings or other blocks', () => {
+            expect(quikdown('- a\n# Title')).toBe(ul(li('a')) + '\n<h1 class="quikdown-h1">Title</h1>');
+        });
+
+        test('should count nesting from an indented first item', () => {
+            expect(quikdown('  - a\n    - b\n  - c')).toBe(ul(li('a') + '\n' + ul(li('b')) + '\n' + li('c')));
+            expect(quikdown('text\n   - x\n   - y')).toBe('<p>text</p>\n' + ul(li('x') + '\n' + li('y')));
+        });
+
+        test('should render indented fences outside lists as code blocks', () => {
+            expect(quikdown('  ```\n  code\n  ```')).toBe(pre('code'));
+        });
+
+        test('should keep nested lists out of lazy line breaks', () => {
+            expect(quikdown('- a\n  - b\n\n  c\n\nnext\nline', { lazy_linefeeds: true })).toBe(
+                ul('<li class="quikdown-li"><p>a</p>', ul(li('b')) + '<p>c</p></li>') +
+                '<p>next<br class="quikdown-br">line</p>');
+            expect(quikdown('a</ul>\nb', { lazy_linefeeds: true, allow_unsafe_html: true }))
+                .toBe('<p>a</ul><br class="quikdown-br">b</p>');
+        });
+
+        test('should map item lines with source_map', () => {
+            const html = quikdown('- a\n\n  ```\n  x\n  ```\n- b', { source_map: true });
+            expect(html).toContain('<ul class="quikdown-ul" data-qd-line-start="1" data-qd-line-end="6">');
+            expect(html).toContain('<li class="quikdown-li" data-qd-line-start="1" data-qd-line-end="5"><p>a</p>');
+            expect(html).toContain('<pre class="quikdown-pre" data-qd-line-start="3" data-qd-line-end="5">');
+        });
+
+        test('should map continuation paragraphs after nested lists', () => {
+            const html = quikdown('- a\n  - b\n\n  c\n  d', { source_map: true });
+            expect(html).toContain('<li class="quikdown-li" data-qd-line-start="1" data-qd-line-end="5"><p>a</p>');
+            expect(html).toContain('</ul><p>c\nd</p></li>');
+        });
+
+        test('should map lines after a quote in an item', () => {
+            const html = quikdown('- > a\n  > b\n\npara\nnext', { source_map: true });
+            expect(html).toContain('<li class="quikdown-li" data-qd-line-start="1" data-qd-line-end="2"><blockquote class="quikdown-blockquote">a\nb</blockquote></li>');
+            expect(html).toContain('<p data-qd-line-start="4" data-qd-line-end="5">para\nnext</p>');
+        });
+    });
+
+    describe('quikdown_bd round-trip', () => {
+        const roundTrip = [
+            '- a\n\n- b',
+            '- a\n  cont\n- b',
+            '- a\n\n  para\n\n- b',
+            '1. Step\n\n  ```js\n  x\n    y\n  ```\n\n2. Next',
+            '- a\n  - b\n\n  c',
+            '- a\n  - b\n    - c\n- d',
+            '- a\n  > q\n- b'
+        ];
+        test.each(roundTrip)('should round-trip %j', (md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe(md);
+        });
+
+        test('should keep source-mapped items round-tripping', () => {
+            const md = '- a\n  - b\n\n  c';
+            const html = quikdown_bd(md, { source_map: true });
+            expect(html).toContain('data-qd-line-start="1" data-qd-line-end="4"><p>a</p>');
+            expect(quikdown_bd.toMarkdown(html)).toBe(md);
+            const quoted = '- a\n  > q\n  > r\n- b';
+            expect(quikdown_bd(quoted, { source_map: true })).toContain('data-qd-line-start="4" data-qd-line-end="4">b</li>');
+            expect(quikdown_bd.toMarkdown(quikdown_bd(quoted, { source_map: true }))).toBe(quoted);
+        });
+
+        test('should collapse extra blank lines and stop at headings', () => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd('- a\n\n\n- b\n# Title'))).toBe('- a\n\n- b\n\n# Title');
+        });
+
+        test('should ignore stray elements inside lists', () => {
+            expect(quikdown_bd.toMarkdown('<ul><div>x</div><li>a</li></ul>')).toBe('- a');
+        });
+
+        test('should normalize item indentation to two spaces', () => {
+            const md = '1. Step\n\n   ```js\n   x\n   ```\n2. Next';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe('1. Step\n\n  ```js\n  x\n  ```\n\n2. Next');
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        const strip = (node) => JSON.parse(JSON.stringify(node));
+
+        test('should keep inline children for tight text items', () => {
+            const list = quikdown_ast('- a\n  cont\n- b').children[0];
+            expect(list.loose).toBeUndefined();
+            expect(list.items[0].children).toEqual([{ type: 'text', value: 'a\ncont' }]);
+        });
+
+        test('should mark loose lists and keep paragraph children', () => {
+            const list = quikdown_ast('- a\n\n- b').children[0];
+            expect(strip(list)).toEqual({
+                type: 'list',
+                ordered: false,
+                loose: true,
+                items: [
+                    { type: 'list_item', checked: null, children: [{ type: 'paragraph', children: [{ type: 'text', value: 'a' }] }] },
+                    { type: 'list_item', checked: null, children: [{ type: 'paragraph', children: [{ type: 'text', value: 'b' }] }] }
+                ]
+            });
+        });
+
+        test('should parse code blocks and paragraphs inside items', () => {
+            const list = quikdown_ast('1. Step\n\n   ```js\n   x\n     y\n   ```\n\n   More\n2. Next').children[0];
+            expect(list.loose).toBe(true);
+            expect(list.items[0].children.map(c => c.type)).toEqual(['paragraph', 'code_block', 'paragraph']);
+            expect(list.items[0].children[1]).toMatchObject({ lang: 'js', content: 'x\n  y' });
+        });
+
+        test('should keep tight items with blocks as block children', () => {
+            const list = quikdown_ast('- a\n  > q\n- b').children[0];
+            expect(list.loose).toBeUndefined();
+            expect(list.items[0].children.map(c => c.type)).toEqual(['paragraph', 'blockquote']);
+            expect(list.items[1].children).toEqual([{ type: 'text', value: 'b' }]);
+        });
+
+        test('should not loosen a list for blank lines inside code or nested lists', () => {
+            expect(quikdown_ast('- a\n  ```\n  x\n\n  y\n  ```').children[0].loose).toBeUndefined();
+            const list = quikdown_ast('- a\n  - b\n\n  - c').children[0];
+            expect(list.loose).toBeUndefined();
+            expect(list.items[0].children[1].loose).toBe(true);
+        });
+
+        test('should end the list at unindented text after a blank line', () => {
+            const ast = quikdown_ast('- a\n\ntext');
+            expect(ast.children.map(c => c.type)).toEqual(['list', 'paragraph']);
+        });
+
+        test('should accept indented fences at the top level', () => {
+            expect(quikdown_ast('  ```\n  code\n  ```').children[0]).toEqual(
+                { type: 'code_block', lang: null, content: 'code', fence: '```' });
+        });
+
+        test('should position item bodies with source_map', () => {
+            const md = '- a\n\n  ```\n  x\n  ```\n- b\nlazy';
+            const list = quikdown_ast(md, { source_map: true }).children[0];
+            const source = (node) => md.slice(node.position.start.offset, node.position.end.offset);
+            expect(source(list.items[0])).toBe('- a\n\n  ```\n  x\n  ```');
+            expect(source(list.items[0].children[1])).toBe('```\n  x\n  ```');
+            expect(source(list.items[1].children[0])).toBe('b\nlazy');
+        });
+
+        test('should parse a 2000-level nested list in bounded time and memory', () => {
+            const md = Array.from({ length: 2000 }, (_, i) => `${'  '.repeat(i)}- x`).join('\n');
+            const heap = process.memoryUsage().heapUsed;
+            const start = Date.now();
+            let list = quikdown_ast(md).children[0];
+            expect(Date.now() - start).toBeLessThan(5000);
+            expect(process.memoryUsage().heapUsed - heap).toBeLessThan(300e6);
+            // Item bodies past maxNestingDepth (100 by default) stay text
+            let depth = 1;
+            while (list.items[0].children[1]) {
+                list = list.items[0].children[1];
+                depth++;
+            }
+            expect(depth).toBe(101);
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test('should render tight and loose lists', () => {
+            expect(quikdown_ast_html('- a\n- b')).toBe(
+                '<ul class="quikdown-ul"><li class="quikdown-li">a</li><li class="quikdown-li">b</li></ul>');
+            expect(quikdown_ast_html('- a\n\n- b')).toBe(
+                '<ul class="quikdown-ul"><li class="quikdown-li"><p>a</p></li><li class="quikdown-li"><p>b</p></li></ul>');
+        });
+
+        test('should render block content in tight items without <p>', () => {
+            expect(quikdown_ast_html('1. Step\n   ```js\n   x\n   ```')).toBe(
+                '<ol class="quikdown-ol"><li class="quikdown-li">Step<pre class="quikdown-pre"><code class="language-js">x</code></pre></li></ol>');
+        });
+    });
+});
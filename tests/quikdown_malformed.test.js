@@ -720,9 +720,9 @@ describe('Malformed markdown and exotic features', () => {
 
     test('link with empty text is not parsed as a link', () => {
       const result = quikdown('[](https://example.com)');
-      // Parser requires non-empty link text
-      expect(result).toContain('[](https://example.com)');
-      expect(result).not.toContain('<a');
+      // Parser requires non-empty link text; the URL is still autolinked
+      expect(result).toContain('[](<a');
+      expect(result).toContain('>https://example.com</a>)');
     });
 
     test('image with empty alt and src', () => {
@@ -871,4 +871,21 @@ describe('Malformed markdown and exotic features', () => {
       expect(hrCount).toBe(3);
     });
   });
+
+  // ========================================================================
+  // Text that looks like internal placeholders
+  // ========================================================================
+  describe('Placeholder-like text', () => {
+    test('unknown placeholders stay as written', () => {
+      expect(quikdown('a §CB9§ §IC9§ §XT9§ §MT9§ %%T9%% **b**')).toBe(
+        '<p>a §CB9§ §IC9§ §XT9§ §MT9§ %%T9%% <strong class="quikdown-strong">b</strong></p>');
+      expect(quikdown('- x\n\n§B9§ end', { lazy_linefeeds: true })).toContain('§B9§ end');
+      expect(quikdown('<b>x</b> §HT9§', { allow_unsafe_html: ['b'] })).toBe('<p><b>x</b> §HT9§</p>');
+    });
+
+    test('code keeps replacement patterns literal', () => {
+      expect(quikdown('```\n$& $$ $1\n```\n\n`$&`')).toBe(
+        '<pre class="quikdown-pre"><code>$&amp; $$ $1</code></pre><p><code class="quikdown-code">$&amp;</code></p>');
+    });
+  });
 });
@@ -0,0 +1,122 @@
+/**
+ * Inline and display math ($…$, $$…$$) behind the math option
+ * Covers core quikdown (default output, math_plugin, source_map) and quikdown_bd round-trips.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_math from '../dist/quikdown_math.esm.js';
+
+quikdown.use(quikdown_math);
+quikdown_bd.use(quikdown_math);
+
+const inline = (tex) => `<span class="quikdown-math">${tex}</span>`;
+const display = (tex) => `<div class="quikdown-math-display">${tex}</div>`;
+
+describe('math', () => {
+
+    describe('quikdown core', () => {
+        const q = (md, options) => quikdown(md, { math: true, ...options });
+
+        test('should leave dollars alone without the option', () => {
+            expect(quikdown('$x$ and $$y$$')).toBe('<p>$x$ and $$y$$</p>');
+        });
+
+        test('should render inline math untouched by emphasis', () => {
+            expect(q('Euler: $e^{i\\pi}+1=0$ and $a_1*b_2*c_3$')).toBe(
+                `<p>Euler: ${inline('e^{i\\pi}+1=0')} and ${inline('a_1*b_2*c_3')}</p>`);
+        });
+
+        test('should not treat prices or spaced dollars as math', () => {
+            expect(q('Costs $5 and $10.')).toBe('<p>Costs $5 and $10.</p>');
+            expect(q('$ x $ and $x $')).toBe('<p>$ x $ and $x $</p>');
+            expect(q('$x$5')).toBe('<p>$x$5</p>');
+        });
+
+        test('should escape TeX in the default output', () => {
+            expect(q('$a<b$')).toBe(`<p>${inline('a&lt;b')}</p>`);
+        });
+
+        test('should leave code spans and fences alone', () => {
+            expect(q('`$x$`')).toBe('<p><code class="quikdown-code">$x$</code></p>');
+            expect(q('```\n$x$\n```')).toBe('<pre class="quikdown-pre"><code>$x$</code></pre>');
+        });
+
+        test('should render display math on its own lines as a block', () => {
+            expect(q('$$\nx^2 * y_1\n$$')).toBe(display('x^2 * y_1'));
+            expect(q('Before\n\n$$\\sum_i a_i$$\n\nAfter')).toBe(
+                `<p>Before</p>${display('\\sum_i a_i')}<p>After</p>`);
+        });
+
+        test('should keep display math in running text inline', () => {
+            expect(q('Text $$a$$ more')).toBe('<p>Text <span class="quikdown-math-display">a</span> more</p>');
+        });
+
+        test('should render math in lists, quotes and tables', () => {
+            expect(q('1. step\n\n   $$\n   a\n    b\n   $$\n2. x')).toContain(`<p>step</p>\n${display('a\n b')}</li>`);
+            expect(q('> $$\n> y\n> $$')).toBe(`<blockquote class="quikdown-blockquote">${display('y')}</blockquote>`);
+            expect(q('| a |\n|---|\n| $|x|$ |')).toContain(`<td class="quikdown-td">${inline('|x|')}</td>`);
+        });
+
+        test('should use inline styles for display math', () => {
+            expect(q('$$\nx\n$$', { inline_styles: true })).toBe(
+                '<div style="display:block;margin:1em 0;text-align:center;overflow-x:auto">x</div>');
+        });
+
+        test('should call math_plugin.render with the TeX and display mode', () => {
+            const calls = [];
+            const math_plugin = {
+                render: (tex, displayMode) => {
+                    calls.push([tex, displayMode]);
+                    return tex === 'skip' ? undefined : `<span class="katex">${tex}</span>`;
+                }
+            };
+            expect(q('$a$ and $skip$\n\n$$\nb\n$$', { math_plugin })).toBe(
+                `<p><span class="katex">a</span> and ${inline('skip')}</p>` +
+                '<div class="quikdown-math-display"><span class="katex">b</span></div>');
+            expect(calls).toEqual([['b', true], ['a', false], ['skip', false]]);
+        });
+
+        test('should keep replacement patterns in plugin output literal', () => {
+            expect(q('$x$', { math_plugin: { render: () => '<i>$&$$</i>' } })).toBe('<p><i>$&$$</i></p>');
+        });
+
+        test('should map display math to its source lines', () => {
+            expect(q('para\n\n$$\nx\n$$', { source_map: true })).toBe(
+                '<p data-qd-line-start="1" data-qd-line-end="1">para</p>' +
+                '<div class="quikdown-math-display" data-qd-line-start="3" data-qd-line-end="5">x</div>');
+        });
+    });
+
+    describe('quikdown_bd round-trip', () => {
+        const roundTrip = [
+            'Euler $e^{i\\pi}+1=0$ and $a_1*b_2$',
+            '$$\nx^2 * y_1\n$$',
+            'Text $$a$$ more',
+            'para\n\n$$\nx\n$$\n\nafter',
+            '1. step\n\n  $$\n  a\n  $$\n\n2. x',
+            '> $$\n> y\n> $$',
+            '$a<b$ & "q"'
+        ];
+        test.each(roundTrip)('should round-trip %j', (md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { math: true }))).toBe(md);
+        });
+
+        test('should keep the TeX source on rendered elements', () => {
+            expect(quikdown_bd('$x$', { math: true })).toBe(
+                '<p><span data-qd="$" data-qd-tex="x" class="quikdown-math">x</span></p>');
+        });
+
+        test('should keep source-mapped display math round-tripping', () => {
+            const md = '$$\nx\n$$';
+            const html = quikdown_bd(md, { math: true, source_map: true });
+            expect(html).toContain('data-qd-line-start="1" data-qd-line-end="3"');
+            expect(quikdown_bd.toMarkdown(html)).toBe(md);
+        });
+
+        test('should round-trip plugin-rendered math', () => {
+            const math_plugin = { render: (tex) => `<span class="katex"><b>${tex}</b></span>` };
+            const md = 'Inline $a$\n\n$$\nb\n$$';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { math: true, math_plugin }))).toBe(md);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * mentions, hashtags and references options: @name, #tag and #123
+ * tokens the caller's resolvers know become links or spans, never inside
+ * code, links, URLs or email addresses.  Covers core quikdown,
+ * quikdown_bd round-trips, quikdown_ast, quikdown_ast_html and inspect.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_json from '../dist/quikdown_json.esm.js';
+import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+import quikdown_mentions from '../dist/quikdown_mentions.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+import quikdown_typographer from '../dist/quikdown_typographer.esm.js';
+
+quikdown.use(quikdown_mentions, quikdown_stream, quikdown_typographer);
+quikdown_bd.use(quikdown_mentions, quikdown_stream, quikdown_typographer);
+
+const users = { alice: 'Alice', 'bob.smith': 'Bob <B>' };
+const resolvers = {
+    mentions: (name, kind) => users[name] ? { href: `/u/${name}`, label: `@${users[name]}`, className: kind } : null,
+    hashtags: (name) => name === 'secret' ? null : { href: `/c/${name}` },
+    references: (number) => ({ label: `#${number}`, className: 'issue' })
+};
+
+describe('mentions, hashtags and references', () => {
+
+    describe('quikdown core', () => {
+        test('should leave tokens alone without resolvers', () => {
+            expect(quikdown('@alice #general #123')).toBe('<p>@alice #general #123</p>');
+            expect(quikdown('@alice #general', { mentions: 'yes' })).toBe('<p>@alice #general</p>');
+        });
+
+        test('should render what each resolver returns', () => {
+            expect(quikdown('@alice #general #123', resolvers)).toBe(
+                '<p><a class="quikdown-mention mention" href="/u/alice">@Alice</a> ' +
+                '<a class="quikdown-mention" href="/c/general">#general</a> ' +
+                '<span class="quikdown-mention issue">#123</span></p>');
+        });
+
+        test('should pass the name without its sigil and the kind', () => {
+            const calls = [];
+            const record = (name, kind) => { calls.push([name, kind]); return null; };
+            quikdown('@a.b-c #tag-1 #42 #4x', { mentions: record, hashtags: record, references: record });
+            expect(calls).toEqual([['a.b-c', 'mention'], ['tag-1', 'hashtag'], ['42', 'reference'], ['4x', 'hashtag']]);
+        });
+
+        test('should leave unknown tokens as text', () => {
+            expect(quikdown('@carol #secret', resolvers)).toBe('<p>@carol #secret</p>');
+            expect(quikdown('@alice', { mentions: () => 'Alice' })).toBe('<p>@alice</p>');
+            expect(quikdown('#general #1 @alice', { mentions: resolvers.mentions })).toBe(
+                '<p>#general #1 <a class="quikdown-mention mention" href="/u/alice">@Alice</a></p>');
+        });
+
+        test('should end tokens before trailing punctuation', () => {
+            expect(quikdown('(@bob.smith), #go-. #1!', resolvers)).toBe(
+                '<p>(<a class="quikdown-mention mention" href="/u/bob.smith">@Bob &lt;B&gt;</a>), ' +
+                '<a class="quikdown-mention" href="/c/go">#go</a>-. <span class="quikdown-mention issue">#1</span>!</p>');
+        });
+
+        test('should not match inside words, code, links, URLs, emails or entities', () => {
+            expect(quikdown('x@alice a#1 `@alice #1` [@alice #1](/u) https://x.example/#1 me@alice.example &#35;1 \\@alice', resolvers)).toBe(
+                '<p>x@alice a#1 <code class="quikdown-code">@alice #1</code> <a class="quikdown-a" href="/u">@alice #1</a> ' +
+                '<a class="quikdown-a" href="https://x.example/#1" rel="noopener noreferrer">https://x.example/#1</a> ' +
+                '<a class="quikdown-a" href="mailto:me@alice.example">me@alice.example</a> #1 @alice</p>');
+            expect(quikdown('```\n@alice\n```', resolvers)).toBe('<pre class="quikdown-pre"><code>@alice</code></pre>');
+        });
+
+        test('should match in headings, lists, tables and emphasis', () => {
+            expect(quikdown('# Hi @alice', resolvers)).toBe(
+                '<h1 class="quikdown-h1">Hi <a class="quikdown-mention mention" href="/u/alice">@Alice</a></h1>');
+            expect(quikdown('- **#7**', resolvers)).toContain(
+                '<strong class="quikdown-strong"><span class="quikdown-mention issue">#7</span></strong>');
+            expect(quikdown('| a |\n|---|\n| #7 |', resolvers)).toContain('<span class="quikdown-mention issue">#7</span>');
+        });
+
+        test('should apply the URL and link policies to hrefs', () => {
+            const md = '@x #y';
+            const options = { mentions: () => ({ href: 'javascript:alert(1)' }), hashtags: () => ({ href: 'https://tags.example/"y"' }) };
+            expect(quikdown(md, { ...options, link_target: '_blank' })).toBe('<p><a class="quikdown-mention" href="#">@x</a> ' +
+                '<a class="quikdown-mention" href="https://tags.example/&quot;y&quot;" rel="noopener noreferrer" target="_blank">#y</a></p>');
+        });
+
+        test('should support inline styles and escape class names', () => {
+            expect(quikdown('@alice #123 #t', { ...resolvers, inline_styles: true })).toBe(
+                '<p><a style="font-weight:600" class="mention" href="/u/alice">@Alice</a> ' +
+                '<span style="font-weight:600" class="issue">#123</span> <a style="font-weight:600" href="/c/t">#t</a></p>');
+            expect(quikdown('#1', { references: () => ({ className: 'a"b' }) })).toBe('<p><span class="quikdown-mention a&quot;b">#1</span></p>');
+            expect(quikdown.emitStyles()).toContain('.quikdown-mention { font-weight:600 }');
+        });
+
+        test('should keep labels from other inline formatting', () => {
+            expect(quikdown('#1 -- "a"', { references: () => ({ label: '*x* -- "y"' }), typographer: true })).toBe(
+                '<p><span class="quikdown-mention">*x* -- &quot;y&quot;</span> – “a”</p>');
+        });
+
+        test('should stream the same HTML as a one-shot render', () => {
+            const md = '@alice and #general\n\n# #123\n\n- @bob.smith';
+            for (const parse of [quikdown, quikdown_bd]) {
+                const stream = parse.createStream(resolvers);
+                for (const ch of md) stream.push(ch);
+                expect(stream.end()).toBe(parse(md, resolvers));
+            }
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should keep each token in data-qd-auto', () => {
+            expect(quikdown_bd('@alice #123', resolvers)).toBe(
+                '<p><a class="quikdown-mention mention" href="/u/alice" data-qd-auto="@alice">@Alice</a> ' +
+                '<span class="quikdown-mention issue" data-qd-auto="#123">#123</span></p>');
+        });
+
+        test.each([
+            ['sentence', 'Thanks @alice, see #123 in #general.'],
+            ['unknown tokens', '@carol and #secret stay'],
+            ['heading and list', '# @bob.smith\n\n- **#7** and `@alice`'],
+            ['token next to a URL', 'https://x.example/#1 #1']
+        ])('should round-trip a %s', (name, md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, resolvers))).toBe(md);
+        });
+
+        test('should keep the label of an unmarked span', () => {
+            expect(quikdown_bd.toMarkdown('<p><span class="quikdown-mention">@Alice</span></p>')).toBe('@Alice');
+        });
+    });
+
+    // Every bundle carrying quikdown_ast parses the tokens
+    const parsers = {
+        quikdown_ast: (md, options) => quikdown_ast(md, options),
+        quikdown_json: (md, options) => quikdown_json.parse(md, options),
+        quikdown_yaml: (md, options) => quikdown_yaml.parse(md, options),
+        quikdown_ast_html: (md, options) => quikdown_ast_html.toAst(md, options)
+    };
+
+    describe.each(Object.keys(parsers))('AST (%s)', (bundle) => {
+        const parse = parsers[bundle];
+        const text = (value) => ({ type: 'text', value });
+
+        test('should parse mention nodes', () => {
+            expect(parse('@alice #general #123 @carol', resolvers).children[0].children).toEqual([
+                { type: 'mention', kind: 'mention', token: '@alice', value: '@Alice', href: '/u/alice', className: 'mention' },
+                text(' '),
+                { type: 'mention', kind: 'hashtag', token: '#general', value: '#general', href: '/c/general' },
+                text(' '),
+                { type: 'mention', kind: 'reference', token: '#123', value: '#123', className: 'issue' },
+                text(' @carol')
+            ]);
+            expect(parse('@alice #1').children[0].children).toEqual([text('@alice #1')]);
+        });
+
+        test('should not match inside words, code, links, URLs or emails', () => {
+            const md = 'x@alice a#1 `#1` [#1](/u) https://x.example/#1 me@alice.example \\#1 (#2)';
+            const types = parse(md, resolvers).children[0].children.map(node => node.type);
+            expect(types).toEqual(['text', 'code', 'text', 'link', 'text', 'link', 'text', 'link', 'text', 'mention', 'text']);
+        });
+
+        test('should read a line starting with #tag as a paragraph', () => {
+            expect(parse('#general\n\n#123 fixed', resolvers).children.map(node => node.type)).toEqual(['paragraph', 'paragraph']);
+            expect(parse('#general').children[0].type).toBe('heading');
+        });
+
+        test('should position mentions', () => {
+            const [, mention] = parse('x @alice.', { ...resolvers, source_map: true }).children[0].children;
+            expect(mention.position).toEqual({ start: { line: 1, column: 3, offset: 2 }, end: { line: 1, column: 9, offset: 8 } });
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test.each([
+            ['sentence', 'Thanks @alice, see #123 in #general. @carol #secret'],
+            ['skipped tokens', 'x@alice `#1` [#1](/u) https://x.example/#1 me@alice.example'],
+            ['heading', '# @bob.smith #7']
+        ])('should render a %s as quikdown does', (name, md) => {
+            expect(quikdown_ast_html(md, resolvers)).toBe(quikdown(md, resolvers));
+            expect(quikdown_ast_html(md, { ...resolvers, inline_styles: true })).toBe(quikdown(md, { ...resolvers, inline_styles: true }));
+        });
+
+        test('should apply the URL policy and render from JSON', () => {
+            expect(quikdown_ast_html({ type: 'document', children: [{ type: 'mention', token: '@x', href: 'javascript:x' }] })).toBe(
+                '<a class="quikdown-mention" href="#"></a>');
+            expect(quikdown_ast_html(quikdown_json('#123', resolvers))).toBe('<p><span class="quikdown-mention issue">#123</span></p>');
+            expect(quikdown_ast_html(quikdown_json('#123'))).toBe('<h1 class="quikdown-h1">123</h1>');
+        });
+    });
+
+    describe('inspect', () => {
+        test('should read mentions as their labels', () => {
+            for (const inspect of [quikdown_ast.inspect, quikdown_json.parse.inspect, quikdown_yaml.parse.inspect, quikdown_ast_html.inspect]) {
+                const facts = inspect('# Hi @alice\n\nSee #123', resolvers);
+                expect(facts.headings[0].text).toBe('Hi @Alice');
+                expect(facts.words).toBe(4);
+            }
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Plugin modules — the opt-in syntax kept out of the core bundle
+ * (footnotes, math, callouts, mentions, typographer, entities, front
+ * matter, attributes, streaming).  Covers the core without them, each
+ * plugin through the `extensions` option, and quikdown.use() installing
+ * their API on quikdown and quikdown_bd.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_footnotes from '../dist/quikdown_footnotes.esm.js';
+import quikdown_math from '../dist/quikdown_math.esm.js';
+import quikdown_callouts from '../dist/quikdown_callouts.esm.js';
+import quikdown_mentions from '../dist/quikdown_mentions.esm.js';
+import quikdown_typographer from '../dist/quikdown_typographer.esm.js';
+import quikdown_entities from '../dist/quikdown_entities.esm.js';
+import quikdown_frontmatter from '../dist/quikdown_frontmatter.esm.js';
+import quikdown_attributes from '../dist/quikdown_attributes.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+
+const mentions = (name) => ({ href: `/u/${name}` });
+
+describe('plugins', () => {
+
+    describe('without plugins', () => {
+        test('should leave plugin syntax as text', () => {
+            expect(quikdown('a[^1]\n\n[^1]: note')).toBe('<p>a[^1]</p><p>[^1]: note</p>');
+            expect(quikdown('$x$', { math: true })).toBe('<p>$x$</p>');
+            expect(quikdown('> [!NOTE]\n> body')).toBe('<blockquote class="quikdown-blockquote">[!NOTE]\nbody</blockquote>');
+            expect(quikdown('hi @ana', { mentions })).toBe('<p>hi @ana</p>');
+            expect(quikdown('"a" -- b', { typographer: true })).toBe('<p>&quot;a&quot; -- b</p>');
+            expect(quikdown('# H {#id}', { attributes: true })).toBe('<h1 class="quikdown-h1">H {#id}</h1>');
+        });
+
+        test('should decode numeric references and XML\'s five names only', () => {
+            expect(quikdown('&copy; &#169; &lt;&amp;&gt; &quot;&apos; &constructor;')).toBe(
+                '<p>&amp;copy; © &lt;&amp;&gt; &quot;&#39; &amp;constructor;</p>');
+        });
+
+        test('should render front matter as a thematic break and text', () => {
+            expect(quikdown('---\ntitle: x\n---\nbody')).toContain('title: x');
+        });
+
+        test('should offer no parseWithMeta or createStream', () => {
+            expect(quikdown.parseWithMeta).toBeUndefined();
+            expect(quikdown.createStream).toBeUndefined();
+            expect(quikdown_bd.parseWithMeta).toBeUndefined();
+        });
+    });
+
+    describe('through the extensions option', () => {
+        test('should render each plugin\'s syntax', () => {
+            expect(quikdown('a[^1]\n\n[^1]: note', { extensions: [quikdown_footnotes] })).toContain('<section class="quikdown-footnotes">');
+            expect(quikdown('$x$', { math: true, extensions: [quikdown_math] })).toContain('class="quikdown-math"');
+            expect(quikdown('> [!NOTE]\n> body', { extensions: [quikdown_callouts] })).toContain('quikdown-callout-note');
+            expect(quikdown('hi @ana', { mentions, extensions: [quikdown_mentions] })).toContain('href="/u/ana"');
+            expect(quikdown('"a" -- b', { typographer: true, extensions: [quikdown_typographer] })).toBe('<p>“a” – b</p>');
+            expect(quikdown('&copy;', { extensions: [quikdown_entities] })).toBe('<p>©</p>');
+            expect(quikdown('---\ntitle: x\n---\nbody', { extensions: [quikdown_frontmatter] })).toBe('<p>body</p>');
+            expect(quikdown('# H {#id}', { attributes: true, extensions: [quikdown_attributes] })).toBe('<h1 class="quikdown-h1" id="id">H</h1>');
+        });
+
+        test('should stay off until their option is set', () => {
+            expect(quikdown('$x$', { extensions: [quikdown_math] })).toBe('<p>$x$</p>');
+            expect(quikdown('"a"', { extensions: [quikdown_typographer] })).toBe('<p>&quot;a&quot;</p>');
+            expect(quikdown('@ana', { extensions: [quikdown_mentions] })).toBe('<p>@ana</p>');
+            expect(quikdown('# H {#id}', { extensions: [quikdown_attributes] })).toBe('<h1 class="quikdown-h1">H {#id}</h1>');
+        });
+
+        test('should work with quikdown_bd', () => {
+            const html = quikdown_bd('a[^1]\n\n[^1]: note', { extensions: [quikdown_footnotes] });
+            expect(quikdown_bd.toMarkdown(html)).toBe('a[^1]\n\n[^1]: note');
+        });
+    });
+
+    describe('quikdown.use()', () => {
+        test('should install parseWithMeta and createStream on the parser it is called on', () => {
+            expect(quikdown.use(quikdown_frontmatter, quikdown_stream)).toBe(quikdown);
+            expect(quikdown.parseWithMeta('---\ntitle: x\n---\nbody')).toEqual({ html: '<p>body</p>', meta: { title: 'x' }, metaRaw: 'title: x' });
+            const stream = quikdown.createStream();
+            stream.push('# A\n\nb');
+            expect(stream.end()).toBe(quikdown('# A\n\nb'));
+
+            quikdown_bd.use(quikdown_frontmatter);
+            expect(quikdown_bd.parseWithMeta('---\ntitle: x\n---\nbody').html).toContain('data-qd-frontmatter');
+        });
+
+        test('should install on quikdown when called unbound', () => {
+            const { use } = quikdown;
+            use(quikdown_entities);
+            expect(quikdown('&copy;')).toBe('<p>©</p>');
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Reference-style links and link reference definitions
+ * Covers core quikdown, quikdown_bd round-trips, quikdown_ast and quikdown_ast_html.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+
+describe('reference-style links', () => {
+
+    describe('quikdown core', () => {
+        test('should resolve full, collapsed and shortcut references', () => {
+            const md = 'See [the docs][Docs], [Docs][] and [docs].\n\n[docs]: https://example.com/docs';
+            const link = (text) => `<a class="quikdown-a" href="https://example.com/docs" rel="noopener noreferrer">${text}</a>`;
+            expect(quikdown(md)).toBe(`<p>See ${link('the docs')}, ${link('Docs')} and ${link('docs')}.</p>`);
+        });
+
+        test('should match labels case- and whitespace-insensitively', () => {
+            const md = '[click][My   Label]\n\n[my label]: /target';
+            expect(quikdown(md)).toBe('<p><a class="quikdown-a" href="/target">click</a></p>');
+        });
+
+        test('should emit titles in all quote styles', () => {
+            expect(quikdown('[a]\n\n[a]: /u "Double"')).toContain('title="Double"');
+            expect(quikdown("[a]\n\n[a]: /u 'Single'")).toContain('title="Single"');
+            expect(quikdown('[a]\n\n[a]: /u (Paren)')).toContain('title="Paren"');
+            expect(quikdown('[a]\n\n[a]: /u "Raw"', { allow_unsafe_html: true })).toContain('title="Raw"');
+        });
+
+        test('should resolve reference images', () => {
+            const md = '![Logo][logo] and ![logo]\n\n[logo]: /img/logo.png "The logo"';
+            const img = (alt) => `<img class="quikdown-img" src="/img/logo.png" alt="${alt}" title="The logo">`;
+            expect(quikdown(md)).toBe(`<p>${img('Logo')} and ${img('logo')}</p>`);
+        });
+
+        test('should leave undefined references as literal text', () => {
+            expect(quikdown('[text][missing] and [other]\n\n[x]: /x'))
+                .toBe('<p>[text][missing] and [other]</p>');
+            expect(quikdown('[text][missing]')).toBe('<p>[text][missing]</p>');
+        });
+
+        test('should use the first definition of a duplicated label', () => {
+            expect(quikdown('[a]\n\n[a]: /first\n[A]: /second'))
+                .toBe('<p><a class="quikdown-a" href="/first">a</a></p>');
+        });
+
+        test('should sanitize definition URLs', () => {
+            expect(quikdown('[x][evil]\n\n[evil]: javascript:alert(1)'))
+                .toBe('<p><a class="quikdown-a" href="#">x</a></p>');
+            expect(quikdown('![i][evil]\n\n[evil]: data:text/html,boom'))
+                .toContain('src="#"');
+            expect(quikdown('[x][evil]\n\n[evil]: javascript:alert(1)', { allow_unsafe_urls: true }))
+                .toContain('href="javascript:alert(1)"');
+        });
+
+        test('should strip definition lines from the output', () => {
+            expect(quikdown('[a]: /a\n\n# Title\n\nText')).toBe(
+                '<h1 class="quikdown-h1">Title</h1><p>Text</p>');
+        });
+
+        test('should not treat definitions inside code as definitions', () => {
+            const md = '```\n[a]: /a\n```\n\n[a]';
+            const html = quikdown(md);
+            expect(html).toContain('[a]: /a');
+            expect(html).toContain('<p>[a]</p>');
+        });
+
+        test('should keep inline links working alongside references', () => {
+            const md = '[inline](/i) and [ref]\n\n[ref]: /r';
+            expect(quikdown(md)).toBe(
+                '<p><a class="quikdown-a" href="/i">inline</a> and <a class="quikdown-a" href="/r">ref</a></p>');
+        });
+
+        test('should still strip free-form [//]: # comments', () => {
+            expect(quikdown('[//]: # free text comment\nvisible')).toBe('<p>visible</p>');
+        });
+
+        test('should work with inline styles', () => {
+            expect(quikdown('[a]\n\n[a]: /u', { inline_styles: true }))
+                .toBe('<p><a style="color:#06c;text-decoration:underline" href="/u">a</a></p>');
+        });
+    });
+
+    describe('quikdown_bd round-trip', () => {
+        test('should mark reference links with data-qd-ref', () => {
+            const html = quikdown_bd('[a][b] [c][] [d]\n\n[b]: /b\n[c]: /c\n[d]: /d');
+            expect(html).toContain('data-qd-ref="[b]"');
+            expect(html).toContain('data-qd-ref="[]"');
+            expect(html).toContain('data-qd-ref=""');
+        });
+
+        test('should leave unknown labels as text', () => {
+            const html = quikdown_bd('[a] and [missing]\n\n[a]: /a');
+            expect(html).toContain('and [missing]');
+            expect(quikdown_bd.toMarkdown(html)).toBe('[a] and [missing]\n\n[a]: /a');
+        });
+
+        test('should restore reference style and definitions', () => {
+            const md = 'See [the docs][Docs], [Docs][] and [docs].\n\n![logo][l]\n\n[Docs]: https://example.com/docs "Doc Title"\n[l]: /logo.png';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe(md);
+        });
+
+        test('should use parentheses for titles containing double quotes', () => {
+            const md = "[a]\n\n[a]: /u 'say \"hi\"'";
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md))).toBe('[a]\n\n[a]: /u (say "hi")');
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        test('should emit definition nodes', () => {
+            const ast = quikdown_ast('[a]: /url "Title"\n[b]: /b \'T2\'\n[c]: /c (T3)\n[d]: /d');
+            expect(ast.children).toEqual([
+                { type: 'definition', label: 'a', url: '/url', title: 'Title' },
+                { type: 'definition', label: 'b', url: '/b', title: 'T2' },
+                { type: 'definition', label: 'c', url: '/c', title: 'T3' },
+                { type: 'definition', label: 'd', url: '/d' }
+            ]);
+        });
+
+        test('should resolve references to link nodes that keep the reference', () => {
+            const ast = quikdown_ast('[text][Ref] [Ref][] [ref]\n\n[ref]: /r "T"');
+            const links = ast.children[0].children.filter(n => n.type === 'link');
+            expect(links.map(l => l.reference)).toEqual([
+                { type: 'full', label: 'Ref' },
+                { type: 'collapsed', label: 'Ref' },
+                { type: 'shortcut', label: 'ref' }
+            ]);
+            expect(links[0]).toMatchObject({ url: '/r', title: 'T', children: [{ type: 'text', value: 'text' }] });
+        });
+
+        test('should resolve reference images', () => {
+            const ast = quikdown_ast('![alt][img]\n\n[img]: /i.png');
+            expect(ast.children[0].children[0]).toEqual({
+                type: 'image', alt: 'alt', url: '/i.png', reference: { type: 'full', label: 'img' }
+            });
+        });
+
+        test('should keep unknown references as text', () => {
+            const ast = quikdown_ast('[nope] and [x][y]');
+            expect(ast.children[0].children).toEqual([{ type: 'text', value: '[nope] and [x][y]' }]);
+        });
+
+        test('should ignore definitions in fenced code and keep the first duplicate', () => {
+            const ast = quikdown_ast('```\n[a]: /code\n```\n[a]: /first\n[a]: /second\n\n[a]');
+            const link = ast.children[3].children[0];
+            expect(link.url).toBe('/first');
+        });
+
+        test('should end a paragraph at a definition line', () => {
+            const ast = quikdown_ast('text\n[a]: /a');
+            expect(ast.children.map(n => n.type)).toEqual(['paragraph', 'definition']);
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test('should render resolved references with titles and drop definitions', () => {
+            const html = quikdown_ast_html('[a] ![i][a]\n\n[a]: /u "T"');
+            expect(html).toBe('<p><a class="quikdown-a" href="/u" title="T">a</a> <img class="quikdown-img" src="/u" alt="i" title="T"></p>');
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Per-element renderer overrides (the `renderers` option)
+ * Covers core quikdown, quikdown_bd round-trips and quikdown_ast_html.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+
+const renderers = {
+    link: (href, text, title) => `<a data-route href="${href}"${title ? ` title="${title}"` : ''}>${text}</a>`,
+    image: (src, alt) => `<figure><img src="${src}" alt="${alt}"><figcaption>${alt}</figcaption></figure>`,
+    heading: (level, html, id) => `<h${level}${id ? ` id="${id}"` : ''}>${html}${id ? ` <a href="#${id}">#</a>` : ''}</h${level}>`,
+    table: (header, rows, align) =>
+        `<table class="grid" data-align="${align.join(' ')}"><tr>${header.map(c => `<th>${c}</th>`).join('')}</tr>` +
+        rows.map(row => `<tr>${row.map(c => `<td>${c}</td>`).join('')}</tr>`).join('') + '</table>',
+    code_inline: (code) => `<kbd>${code}</kbd>`
+};
+
+const tableMd = '| a | b |\n|:-:|--:|\n| *1* | `2` |';
+const tableHtml = '<table class="grid" data-align="center right"><tr><th>a</th><th>b</th></tr>' +
+    '<tr><td><em class="quikdown-em">1</em></td><td><kbd>2</kbd></td></tr></table>';
+
+describe('renderer overrides', () => {
+
+    describe('quikdown core', () => {
+        test('should render links with sanitized hrefs', () => {
+            expect(quikdown('[a **b**](javascript:x) [c](/c)', { renderers })).toBe(
+                '<p><a data-route href="#">a <strong class="quikdown-strong">b</strong></a> <a data-route href="/c">c</a></p>');
+            expect(quikdown('see https://x.y', { renderers })).toBe('<p>see <a data-route href="https://x.y">https://x.y</a></p>');
+        });
+
+        test('should pass reference titles', () => {
+            expect(quikdown('[r] ![i][r]\n\n[r]: /r "T"', { renderers })).toBe(
+                '<p><a data-route href="/r" title="T">r</a> <figure><img src="/r" alt="i"><figcaption>i</figcaption></figure></p>');
+        });
+
+        test('should render images', () => {
+            expect(quikdown('![cat](data:text/html,x)', { renderers })).toBe(
+                '<p><figure><img src="#" alt="cat"><figcaption>cat</figcaption></figure></p>');
+        });
+
+        test('should render headings with finished content and ids', () => {
+            expect(quikdown('# Hi `x`', { renderers })).toBe('<h1>Hi <kbd>x</kbd></h1>');
+            expect(quikdown('# Hi `x`\n\n## Hi `x`', { renderers, heading_ids: true })).toBe(
+                '<h1 id="hi-x">Hi <kbd>x</kbd> <a href="#hi-x">#</a></h1><h2 id="hi-x-1">Hi <kbd>x</kbd> <a href="#hi-x-1">#</a></h2>');
+        });
+
+        test('should keep the table of contents with a heading renderer', () => {
+            const html = quikdown('[[toc]]\n\n# A', { renderers, heading_ids: true });
+            expect(html).toContain('<a class="quikdown-a" href="#a">A</a>');
+            expect(html).toContain('<h1 id="a">A <a href="#a">#</a></h1>');
+        });
+
+        test('should render tables from cells and alignments', () => {
+            expect(quikdown(tableMd, { renderers })).toBe(tableHtml);
+        });
+
+        test('should keep defaults when a hook returns undefined', () => {
+            const declining = { link: () => undefined, heading: () => undefined, table: () => undefined, code_inline: () => undefined };
+            const options = { renderers: declining };
+            expect(quikdown('# H\n\n[a](/a) `c`', options)).toBe(quikdown('# H\n\n[a](/a) `c`'));
+            expect(quikdown(tableMd, options)).toBe(quikdown(tableMd));
+            expect(quikdown('[a](/a)', { renderers: { link: 'not a function' } })).toBe(quikdown('[a](/a)'));
+        });
+
+        test('should move source lines onto the rendered element', () => {
+            const html = quikdown('# H\n\n' + tableMd, { renderers, source_map: true });
+            expect(html).toContain('<h1 data-qd-line-start="1" data-qd-line-end="1">H</h1>');
+            expect(html).toContain('<table data-qd-line-start="3" data-qd-line-end="5" class="grid"');
+        });
+
+        test('should leave output without the element tag as is', () => {
+            expect(quikdown('# H', { source_map: true, renderers: { heading: (level, html) => `<p>${html}</p>` } }))
+                .toBe('<p>H</p>');
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should carry bidirectional markers onto the rendered element', () => {
+            expect(quikdown_bd('[a](/a)', { renderers })).toBe(
+                '<p><a data-qd-text="a" data-qd="[" data-route href="/a">a</a></p>');
+            expect(quikdown_bd('![i](p.png)', { renderers })).toContain(
+                '<img data-qd-alt="i" data-qd-src="p.png" data-qd="!" src="p.png" alt="i">');
+        });
+
+        test('should keep defaults and unmarked output as is', () => {
+            expect(quikdown_bd('[a](/a)', { renderers: { link: () => undefined } })).toBe(quikdown_bd('[a](/a)'));
+            expect(quikdown_bd('see https://x.y', { renderers })).toBe('<p>see <a data-qd-auto="https://x.y" data-route href="https://x.y">https://x.y</a></p>');
+            expect(quikdown_bd('| a |\n|---|\n| b |', { renderers })).toBe(
+                '<table class="grid" data-align="left"><tr><th>a</th></tr><tr><td>b</td></tr></table>');
+        });
+
+        const roundTrip = [
+            '[a](/a) and `code`',
+            '# Heading\n\n[r]\n\n[r]: /r "T"',
+            '![i](p.png)'
+        ];
+        const sameTags = {
+            ...renderers,
+            image: (src, alt) => `<figure><img src="${src}" alt="${alt}"></figure>`,
+            code_inline: (code) => `<code class="c">${code}</code>`
+        };
+        test.each(roundTrip)('should round-trip %j', (md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { renderers: sameTags }))).toBe(md);
+        });
+    });
+
+    describe('quikdown_ast_html', () => {
+        test('should use the same hooks', () => {
+            const md = '# Hi `x`\n\n[a **b**](javascript:x) ![i](p.png) [r]\n\n[r]: /r "T"';
+            expect(quikdown_ast_html(md, { renderers })).toBe(
+                '<h1>Hi <kbd>x</kbd></h1><p><a data-route href="#">a <strong class="quikdown-strong">b</strong></a> ' +
+                '<figure><img src="p.png" alt="i"><figcaption>i</figcaption></figure> <a data-route href="/r" title="T">r</a></p>');
+            expect(quikdown_ast_html('![i][r]\n\n[r]: p.png "T"', { renderers: { image: (src, alt, title) => `<img src="${src}" title="${title}">` } }))
+                .toBe('<p><img src="p.png" title="T"></p>');
+        });
+
+        test('should render tables from cells and alignments', () => {
+            expect(quikdown_ast_html(tableMd, { renderers })).toBe(tableHtml);
+        });
+
+        test('should keep defaults when a hook returns undefined', () => {
+            const options = { renderers: { table: () => undefined, link: () => undefined } };
+            expect(quikdown_ast_html(tableMd + '\n\n[a](/a)', options)).toBe(quikdown_ast_html(tableMd + '\n\n[a](/a)'));
+        });
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Source maps: data-qd-line-start/end attributes and AST node positions
+ * Covers core quikdown, quikdown_bd and quikdown_ast.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast from '../dist/quikdown_ast.esm.js';
+import quikdown_footnotes from '../dist/quikdown_footnotes.esm.js';
+
+quikdown.use(quikdown_footnotes);
+quikdown_bd.use(quikdown_footnotes);
+
+const lines = (start, end) => `data-qd-line-start="${start}" data-qd-line-end="${end}"`;
+const strip = (html) => html.replace(/ data-qd-line-(start|end)="\d+"/g, '');
+
+describe('source maps', () => {
+
+    describe('quikdown core', () => {
+        const md = '# Hi\n\nPara one\nline two\n\n- a\n  - b\n- c\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n> quote\n\n---\n\n```js\nx\n```';
+
+        test('should not add line attributes by default', () => {
+            expect(quikdown(md)).not.toContain('data-qd-line');
+        });
+
+        test('should annotate top-level blocks with their source lines', () => {
+            const html = quikdown(md, { source_map: true });
+            expect(html).toContain(`<h1 class="quikdown-h1" ${lines(1, 1)}>Hi</h1>`);
+            expect(html).toContain(`<p ${lines(3, 4)}>Para one\nline two</p>`);
+            expect(html).toContain(`<table class="quikdown-table" ${lines(10, 12)}>`);
+            expect(html).toContain(`<blockquote class="quikdown-blockquote" ${lines(14, 14)}>quote</blockquote>`);
+            expect(html).toContain(`<hr class="quikdown-hr" ${lines(16, 16)}>`);
+            expect(html).toContain(`<pre class="quikdown-pre" ${lines(18, 20)}>`);
+        });
+
+        test('should annotate lists, nested lists and items', () => {
+            const html = quikdown(md, { source_map: true });
+            expect(html).toContain(`<ul class="quikdown-ul" ${lines(6, 8)}>`);
+            expect(html).toContain(`<ul class="quikdown-ul" ${lines(7, 7)}>`);
+            expect(html).toContain(`<li class="quikdown-li" ${lines(6, 6)}>a</li>`);
+            expect(html).toContain(`<li class="quikdown-li" ${lines(8, 8)}>c</li>`);
+        });
+
+        test('should produce the same markup apart from the attributes', () => {
+            expect(strip(quikdown(md, { source_map: true }))).toBe(quikdown(md));
+            expect(strip(quikdown(md, { source_map: true, lazy_linefeeds: true })))
+                .toBe(quikdown(md, { lazy_linefeeds: true }));
+            expect(strip(quikdown(md, { source_map: true, inline_styles: true })))
+                .toBe(quikdown(md, { inline_styles: true }));
+        });
+
+        test('should keep original line numbers after removed definitions', () => {
+            const html = quikdown('[a]: /a\n\n# T\n\n[^1]: n\n\nx[^1]', { source_map: true });
+            expect(html).toContain(`<h1 class="quikdown-h1" ${lines(3, 3)}>T</h1>`);
+            expect(html).toContain(`<p ${lines(7, 7)}>x<sup`);
+        });
+
+        test('should skip free-form [//]: # comments', () => {
+            const html = quikdown('[//]: # note to self\ntext', { source_map: true });
+            expect(html).toBe(`<p ${lines(2, 2)}>text</p>`);
+        });
+
+        test('should count lines inside multi-line code spans', () => {
+            const html = quikdown('`a\nb`\n\n# After', { source_map: true });
+            expect(html).toContain(`<p ${lines(1, 2)}>`);
+            expect(html).toContain(`<h1 class="quikdown-h1" ${lines(4, 4)}>After</h1>`);
+        });
+
+        test('should annotate fence plugin output', () => {
+            const fence_plugin = { render: (code) => `<div class="custom">${code}</div>` };
+            const html = quikdown('text\n\n```x\ny\nz\n```', { source_map: true, fence_plugin });
+            expect(html).toContain(`<div class="custom" ${lines(3, 6)}>y\nz</div>`);
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should combine line attributes with data-qd markers', () => {
+            const html = quikdown_bd('# Hi\n\ntext', { source_map: true });
+            expect(html).toBe(`<h1 class="quikdown-h1" data-qd="#" ${lines(1, 1)}>Hi</h1><p ${lines(3, 3)}>text</p>`);
+        });
+
+        test('should map the same blocks as core', () => {
+            const md = '[a]: /a\n\n# Hi\n[//]: # c\n\n[a]\n`a\nb`\n\n- x\n  - y\n\n| a |\n|---|\n| 1 |\n\n> q\n\n---\n\n```\ncode\n```\n\n[^1]: n';
+            const html = quikdown_bd(md, { source_map: true });
+            expect(html).toContain(`<p ${lines(6, 8)}>`);
+            expect(html).toContain(`<ul class="quikdown-ul" ${lines(10, 11)}>`);
+            expect(strip(html)).toBe(quikdown_bd(md));
+        });
+
+        test('should round-trip source-mapped HTML', () => {
+            const md = '# Title\n\n- one\n- two\n\n```\ncode\n```';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, { source_map: true }))).toBe(md);
+        });
+    });
+
+    describe('quikdown_ast', () => {
+        const md = '# Hi *there*\n\n> quote **b**\n> more\n\n- item `c`\n  - [x] sub [l](u)\n\n| a | *b* |\n|---|---|\n|  c | d |\n\nPara  \nline [r] https://x.io\n\n[r]: /r\n[^1]: note\n    more\n\n```\ncode\n```';
+        const ast = quikdown_ast(md, { source_map: true });
+        const source = (node) => md.slice(node.position.start.offset, node.position.end.offset);
+
+        test('should not add positions by default', () => {
+            expect(JSON.stringify(quikdown_ast(md))).not.toContain('position');
+        });
+
+        test('should leave the tree unchanged apart from positions', () => {
+            const withoutPositions = JSON.stringify(ast, (key, value) => key === 'position' ? undefined : value);
+            expect(withoutPositions).toBe(JSON.stringify(quikdown_ast(md)));
+        });
+
+        test('should position the document and block nodes', () => {
+            expect(ast.position).toEqual({
+                start: { line: 1, column: 1, offset: 0 },
+                end: { line: 22, column: 4, offset: md.length }
+            });
+            expect(ast.children.map(source)).toEqual([
+                '# Hi *there*',
+                '> quote **b**\n> more',
+                '- item `c`\n  - [x] sub [l](u)',
+                '| a | *b* |\n|---|---|\n|  c | d |',
+                'Para  \nline [r] https://x.io',
+                '[r]: /r',
+                '[^1]: note\n    more',
+                '```\ncode\n```'
+            ]);
+        });
+
+        test('should position inline nodes in headings and blockquotes', () => {
+            const [heading, quote] = ast.children;
+            expect(heading.children.map(source)).toEqual(['Hi ', '*there*']);
+            expect(source(heading.children[1].children[0])).toBe('there');
+            const strong = quote.children[0].children[1];
+            expect(source(strong)).toBe('**b**');
+            expect(strong.position.start).toEqual({ line: 3, column: 9, offset: 22 });
+        });
+
+        test('should position list items and nested lists', () => {
+            const item = ast.children[2].items[0];
+            expect(source(item)).toBe('- item `c`\n  - [x] sub [l](u)');
+            const nested = item.children[2];
+            expect(nested.type).toBe('list');
+            expect(source(nested)).toBe('- [x] sub [l](u)');
+            expect(nested.position.start.column).toBe(3);
+            const link = nested.items[0].children[1];
+            expect(source(link)).toBe('[l](u)');
+            expect(source(link.children[0])).toBe('l');
+        });
+
+        test('should position table cell content', () => {
+            const table = ast.children[3];
+            expect(table.headers.map(cell => cell.map(source))).toEqual([['a'], ['*b*']]);
+            expect(table.rows[0].map(cell => cell.map(source))).toEqual([['c'], ['d']]);
+        });
+
+        test('should position breaks, references and autolinks', () => {
+            const inline = ast.children[4].children;
+            expect(inline.map(node => [node.type, source(node)])).toEqual([
+                ['text', 'Para'],
+                ['br', '  \n'],
+                ['text', 'line '],
+                ['link', '[r]'],
+                ['text', ' '],
+                ['link', 'https://x.io']
+            ]);
+            expect(source(inline[3].children[0])).toBe('r');
+        });
+
+        test('should position footnote bodies and references', () => {
+            const note = ast.children[6];
+            expect(source(note.children[0])).toBe('note\n    more');
+            const ref = quikdown_ast('a[^n] ![i][n]\n\n[^n]: x\n[n]: /i', { source_map: true }).children[0].children;
+            expect(ref.map(node => node.position.start.column)).toEqual([1, 2, 6, 7]);
+        });
+    });
+});
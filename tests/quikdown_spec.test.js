@@ -0,0 +1,228 @@
+/**
+ * CommonMark / GFM spec conformance
+ *
+ * Runs every example of the CommonMark spec (0.31.2) and the GFM spec
+ * (0.28-gfm) through quikdown(), in the forgiving default and in
+ * strict: 'commonmark', and compares the HTML after normalizing away
+ * what quikdown adds for presentation (classes, styles, data-qd markers)
+ * and how it spells the same markup (<hr> vs <hr />, attribute order,
+ * newlines between tags).
+ *
+ * The fixtures are the specs' own spec.json files, as their
+ * spec_tests.py --dump-tests writes them (CC-BY-SA 4.0): a newer
+ * spec.json can be dropped in, with KNOWN_FAILURES brought up to date.
+ *
+ * Examples quikdown doesn't match yet are listed in KNOWN_FAILURES by
+ * their official example numbers and run as test.failing, so a fix that
+ * makes one pass shows up as a failure until it is taken off the list.
+ * Set QUIKDOWN_SPEC_REPORT=1 (npm run test:spec) to print pass/fail
+ * counts per section.
+ */
+import fs from 'fs';
+import path from 'path';
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+
+const SPECS = {
+    commonmark: 'fixtures/commonmark-spec.json',
+    gfm: 'fixtures/gfm-spec.json'
+};
+
+const examples = {};
+for (const [spec, file] of Object.entries(SPECS)) {
+    examples[spec] = JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+}
+const sectionsOf = spec => [...new Set(examples[spec].map(ex => ex.section))];
+
+const MODES = {
+    default: {},
+    commonmark: { strict: 'commonmark' }
+};
+
+// Official example numbers that don't match the spec yet, per spec and mode
+const KNOWN_FAILURES = {
+    commonmark: {
+        default: [
+            2, 4, 5, 6, 7, 9, 10, 11, 16, 17, 20, 21, 22, 24, 25, 31, 32, 33, 34, 41, 42, 43, 47, 49, 50, 51,
+            52, 53, 54, 56, 57, 58, 59, 60, 61, 67, 68, 70, 71, 75, 76, 77, 79, 80, 81, 82, 83, 84, 86, 87,
+            88, 89, 90, 91, 92, 93, 95, 96, 97, 101, 102, 103, 105, 109, 111, 113, 115, 117, 121, 124, 125,
+            126, 127, 128, 129, 131, 134, 135, 136, 137, 138, 139, 141, 143, 144, 145, 148, 149, 150, 151,
+            152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
+            171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189,
+            190, 191, 193, 194, 195, 196, 198, 200, 201, 202, 206, 208, 213, 214, 215, 217, 218, 222, 223,
+            224, 226, 227, 229, 230, 232, 233, 234, 236, 237, 238, 239, 240, 241, 242, 243, 245, 246, 247,
+            248, 249, 250, 251, 252, 253, 254, 255, 257, 259, 260, 263, 264, 265, 266, 267, 268, 270, 271,
+            273, 274, 275, 276, 278, 279, 280, 281, 282, 283, 284, 286, 287, 288, 290, 292, 293, 294, 295,
+            296, 297, 298, 299, 300, 301, 302, 304, 307, 308, 309, 310, 311, 312, 313, 315, 318, 319, 320,
+            321, 323, 324, 326, 329, 330, 331, 335, 336, 337, 339, 340, 344, 346, 347, 349, 351, 352, 353,
+            354, 362, 366, 368, 369, 373, 375, 379, 380, 383, 385, 386, 387, 388, 389, 391, 392, 394, 397,
+            398, 400, 401, 402, 405, 407, 408, 409, 413, 416, 417, 418, 419, 423, 425, 426, 427, 431, 432,
+            439, 442, 443, 444, 445, 447, 451, 454, 455, 456, 457, 459, 464, 465, 466, 467, 468, 469, 470,
+            471, 472, 473, 474, 475, 476, 477, 480, 481, 482, 484, 485, 486, 487, 488, 489, 490, 491, 492,
+            493, 494, 496, 497, 499, 501, 502, 503, 504, 505, 506, 507, 508, 509, 510, 512, 514, 518, 519,
+            520, 521, 524, 526, 528, 532, 533, 534, 535, 536, 538, 540, 541, 546, 549, 550, 552, 556, 559,
+            560, 564, 567, 568, 569, 571, 572, 573, 574, 575, 576, 577, 579, 580, 585, 587, 589, 594, 595,
+            600, 603, 608, 611, 612, 613, 614, 615, 616, 617, 623, 625, 626, 627, 628, 629, 630, 631, 634,
+            635, 636, 637, 638, 639, 640, 641, 642, 643, 645, 647, 649
+        ],
+        commonmark: [
+            2, 4, 5, 6, 7, 9, 10, 16, 17, 20, 21, 22, 24, 25, 31, 32, 33, 34, 41, 42, 49, 56, 61, 67, 68, 70,
+            71, 75, 76, 79, 81, 82, 87, 91, 92, 93, 97, 101, 109, 111, 113, 115, 117, 121, 124, 125, 126,
+            127, 128, 129, 131, 134, 135, 136, 137, 138, 139, 143, 144, 145, 148, 149, 150, 151, 152, 153,
+            154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172,
+            173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191,
+            193, 194, 195, 196, 198, 200, 201, 202, 206, 208, 213, 214, 215, 217, 218, 222, 223, 224, 226,
+            227, 229, 230, 232, 233, 234, 236, 237, 238, 239, 240, 241, 242, 243, 245, 246, 247, 248, 249,
+            250, 251, 252, 253, 254, 255, 257, 259, 260, 263, 264, 265, 266, 267, 268, 270, 271, 273, 274,
+            275, 276, 278, 279, 280, 281, 282, 283, 284, 286, 287, 288, 290, 292, 293, 294, 295, 296, 297,
+            298, 299, 300, 301, 302, 307, 308, 309, 310, 311, 312, 313, 315, 318, 319, 320, 321, 323, 324,
+            326, 329, 330, 331, 335, 336, 337, 339, 340, 344, 346, 347, 349, 353, 369, 373, 389, 394, 405,
+            407, 408, 409, 413, 416, 417, 418, 419, 423, 425, 426, 427, 431, 432, 439, 442, 443, 444, 445,
+            447, 451, 454, 455, 456, 457, 458, 459, 464, 465, 466, 467, 468, 469, 471, 472, 473, 474, 475,
+            476, 477, 480, 481, 482, 484, 485, 486, 487, 488, 489, 490, 491, 492, 493, 494, 496, 497, 499,
+            501, 502, 503, 504, 505, 506, 507, 508, 509, 510, 512, 514, 518, 519, 520, 521, 524, 526, 528,
+            532, 533, 534, 535, 536, 538, 540, 541, 546, 549, 550, 552, 556, 559, 560, 564, 567, 568, 569,
+            571, 572, 573, 574, 575, 576, 577, 579, 580, 585, 587, 589, 594, 595, 600, 603, 608, 611, 612,
+            613, 614, 615, 616, 617, 623, 625, 626, 627, 628, 629, 630, 631, 634, 635, 636, 637, 638, 639,
+            640, 641, 642, 643, 645, 647, 649
+        ]
+    },
+    gfm: {
+        default: [
+            2, 4, 5, 6, 7, 9, 10, 11, 12, 13, 17, 19, 20, 21, 22, 23, 24, 26, 27, 28, 29, 30, 31, 37, 38, 40,
+            41, 45, 46, 47, 49, 50, 51, 52, 53, 55, 56, 57, 58, 59, 60, 61, 62, 64, 65, 66, 70, 71, 72, 74,
+            78, 80, 82, 84, 86, 90, 93, 94, 95, 96, 97, 98, 100, 103, 104, 105, 106, 107, 108, 110, 112, 113,
+            114, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133,
+            134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152,
+            153, 154, 155, 156, 157, 158, 160, 161, 162, 163, 165, 167, 168, 172, 174, 179, 180, 181, 182,
+            186, 187, 188, 190, 191, 194, 195, 196, 197, 198, 201, 202, 204, 205, 206, 208, 209, 210, 211,
+            212, 213, 214, 215, 217, 218, 219, 220, 221, 222, 223, 224, 225, 226, 227, 229, 231, 232, 235,
+            236, 237, 238, 239, 240, 242, 243, 245, 246, 247, 248, 250, 251, 252, 253, 254, 255, 256, 258,
+            259, 260, 262, 264, 265, 266, 267, 268, 269, 270, 271, 272, 274, 275, 276, 278, 281, 282, 283,
+            284, 285, 286, 287, 289, 292, 293, 294, 295, 297, 298, 300, 306, 307, 310, 311, 312, 314, 315,
+            321, 322, 323, 324, 328, 329, 330, 333, 334, 335, 337, 338, 342, 344, 345, 347, 349, 350, 351,
+            359, 363, 365, 366, 370, 372, 376, 377, 380, 382, 383, 384, 385, 386, 388, 389, 391, 394, 395,
+            397, 398, 399, 402, 404, 405, 406, 410, 413, 414, 418, 420, 421, 422, 426, 427, 434, 437, 438,
+            439, 440, 442, 446, 449, 450, 451, 452, 454, 459, 460, 461, 462, 463, 464, 465, 466, 467, 468,
+            469, 470, 471, 472, 475, 476, 479, 481, 482, 483, 484, 485, 486, 488, 490, 492, 493, 494, 495,
+            496, 497, 498, 499, 500, 501, 503, 505, 509, 510, 511, 512, 515, 517, 519, 523, 524, 525, 527,
+            529, 532, 537, 540, 541, 543, 547, 550, 551, 555, 558, 559, 560, 562, 563, 564, 565, 566, 567,
+            568, 570, 571, 576, 578, 580, 585, 586, 591, 594, 599, 602, 603, 604, 605, 606, 607, 608, 609,
+            610, 611, 615, 616, 617, 618, 619, 625, 627, 630, 631, 632, 633, 634, 636, 638, 639, 640, 641,
+            642, 643, 644, 645, 646, 647, 649, 651, 653
+        ],
+        commonmark: [
+            2, 4, 5, 6, 7, 9, 10, 12, 19, 26, 31, 37, 38, 40, 41, 45, 46, 49, 51, 56, 60, 61, 62, 66, 70, 78,
+            80, 82, 84, 86, 90, 93, 94, 95, 96, 97, 98, 100, 103, 104, 105, 106, 107, 108, 112, 113, 114,
+            116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
+            135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
+            154, 155, 156, 157, 158, 160, 161, 162, 163, 165, 167, 168, 172, 174, 179, 180, 181, 182, 186,
+            187, 188, 190, 191, 194, 195, 196, 197, 198, 201, 202, 204, 205, 206, 208, 209, 210, 211, 212,
+            213, 214, 215, 217, 218, 219, 220, 221, 222, 223, 224, 225, 226, 227, 229, 231, 232, 235, 236,
+            237, 238, 239, 240, 242, 243, 245, 246, 247, 248, 250, 251, 252, 253, 254, 255, 256, 258, 259,
+            260, 262, 264, 265, 266, 267, 268, 269, 270, 271, 272, 274, 275, 276, 281, 282, 283, 284, 285,
+            286, 287, 289, 292, 293, 294, 295, 297, 298, 300, 306, 307, 310, 311, 312, 314, 315, 321, 322,
+            323, 324, 328, 329, 330, 333, 334, 335, 337, 338, 342, 344, 345, 347, 351, 366, 370, 386, 391,
+            402, 404, 405, 406, 410, 413, 414, 418, 420, 421, 422, 426, 427, 434, 437, 438, 439, 440, 442,
+            446, 449, 450, 451, 452, 453, 454, 459, 460, 461, 462, 463, 464, 466, 467, 468, 469, 470, 471,
+            472, 475, 476, 479, 481, 482, 483, 484, 485, 486, 488, 490, 492, 493, 494, 495, 496, 497, 498,
+            499, 500, 501, 503, 505, 509, 510, 511, 512, 515, 517, 519, 523, 524, 525, 527, 529, 532, 537,
+            540, 541, 543, 547, 550, 551, 555, 558, 559, 560, 562, 563, 564, 565, 566, 567, 568, 570, 571,
+            576, 578, 580, 585, 586, 591, 594, 599, 602, 603, 604, 605, 606, 607, 608, 609, 610, 611, 615,
+            616, 617, 618, 619, 625, 627, 630, 631, 632, 633, 634, 636, 638, 639, 640, 641, 642, 643, 644,
+            645, 646, 647, 649, 651, 653
+        ]
+    }
+};
+
+// Keep only the attributes that carry meaning, spelled one way
+function normalizeTag(match, close, tag, attrs) {
+    const kept = [];
+    for (const [, name, value = ''] of attrs.matchAll(/([\w-]+)(?:="([^"]*)")?/g)) {
+        if (name === 'class') {
+            const lang = value.split(' ').filter(c => c.startsWith('language-')).join(' ');
+            if (lang) kept.push(`class="${lang}"`);
+        } else if (name === 'style') {
+            const align = value.match(/text-align:\s*(\w+)/);
+            if (align) kept.push(`align="${align[1]}"`);
+        } else if (!name.startsWith('data-')) {
+            kept.push(value ? `${name}="${value}"` : name);
+        }
+    }
+    return `<${close}${tag}${kept.sort().map(a => ` ${a}`).join('')}>`;
+}
+
+function normalize(html) {
+    return html
+        .replace(/<(\/?)([a-z][a-z0-9]*)((?:\s+[\w-]+(?:="[^"]*")?)*)\s*\/?>/g, normalizeTag)
+        .replace(/&#39;/g, "'")
+        .replace(/\n<\/code>/g, '</code>')
+        .replace(/>\n+</g, '><')
+        .trim();
+}
+
+const results = {};
+
+describe.each(Object.keys(SPECS))('%s spec', (spec) => {
+    results[spec] = {};
+
+    describe.each(Object.keys(MODES))('examples (%s)', (mode) => {
+        const known = new Set(KNOWN_FAILURES[spec][mode]);
+        const tallies = results[spec][mode] = {};
+
+        describe.each(sectionsOf(spec))('%s', (section) => {
+            examples[spec].filter(ex => ex.section === section).forEach(ex => {
+                const run = known.has(ex.example) ? test.failing : test;
+                run(`example ${ex.example}`, () => {
+                    const actual = normalize(quikdown(ex.markdown, MODES[mode]));
+                    const expected = normalize(ex.html);
+                    const tally = tallies[section] = tallies[section] || { pass: 0, fail: 0 };
+                    tally[actual === expected ? 'pass' : 'fail']++;
+                    expect(actual).toBe(expected);
+                });
+            });
+        });
+    });
+});
+
+afterAll(() => {
+    if (!process.env.QUIKDOWN_SPEC_REPORT) return;
+    const lines = [];
+    for (const spec of Object.keys(results)) {
+        for (const mode of Object.keys(results[spec])) {
+            let pass = 0;
+            lines.push(`\n${spec} (${mode})`);
+            for (const section of sectionsOf(spec)) {
+                const tally = results[spec][mode][section];
+                pass += tally.pass;
+                lines.push(`  ${section.padEnd(42)} ${String(tally.pass).padStart(3)} / ${tally.pass + tally.fail}`);
+            }
+            lines.push(`  ${'total'.padEnd(42)} ${String(pass).padStart(3)} / ${examples[spec].length}`);
+        }
+    }
+    process.stdout.write(lines.join('\n') + '\n');
+});
+
+describe('strict: commonmark', () => {
+    test('should leave the default rendering alone', () => {
+        expect(quikdown('a * b *\n\n***')).toBe('<p>a <em class="quikdown-em"> b </em></p><p>***</p>');
+        expect(quikdown('a * b *\n\n***', { strict: 'commonmark' })).toBe('<p>a * b *</p><hr class="quikdown-hr">');
+        expect(quikdown('a', { strict: 'loose' })).toBe(quikdown('a'));
+    });
+
+    test('should apply to quikdown_bd', () => {
+        const html = quikdown_bd('Foo\n---\n\nsnake_case and * a *\n\nx\n3. y\n\n* *\n\n-*-\n\n_ _ _', { strict: 'commonmark' });
+        expect(html).toContain('<h2 class="quikdown-h2" data-qd="---">Foo</h2>');
+        expect(html.match(/<hr/g)).toHaveLength(1);
+        expect(html).toContain('<p>snake_case and * a *</p>');
+        expect(html).toContain('<p>x\n3. y</p>');
+        expect(quikdown_bd.toMarkdown(html)).toContain('Foo\n---');
+    });
+
+    test('should keep list interruption rules to paragraphs', () => {
+        const opts = { strict: 'commonmark' };
+        expect(quikdown('# a\n2. b', opts)).toContain('<ol class="quikdown-ol">');
+        expect(quikdown('2. a\n3. b', opts).match(/<li/g)).toHaveLength(2);
+        expect(quikdown('- a\n3. b', opts)).toContain('<ol class="quikdown-ol">');
+    });
+});
@@ -0,0 +1,330 @@
+/**
+ * Incremental rendering of streamed markdown (quikdown.createStream)
+ * Covers core quikdown and quikdown_bd, as HTML strings and into the DOM.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+import quikdown_footnotes from '../dist/quikdown_footnotes.esm.js';
+import quikdown_math from '../dist/quikdown_math.esm.js';
+
+quikdown.use(quikdown_stream, quikdown_footnotes, quikdown_math);
+quikdown_bd.use(quikdown_stream, quikdown_footnotes, quikdown_math);
+
+const doc = [
+    '# Title', '',
+    'Some **bold** text', 'over two lines.', '',
+    '- a', '- b', '',
+    '1. one', '', '2. two', '',
+    '```js', 'let x = 1;', '', 'x++;', '```', '',
+    '> quote', '> > nested', '',
+    '| a | b |', '|---|---|', '| 1 | 2 |', '',
+    'See [the docs][d] and `code`.', '',
+    '## Title', '',
+    'A note[^1].', '',
+    '[d]: https://example.com "Docs"', '',
+    '[^1]: The note.', '',
+    '---', '',
+    'Last'
+].join('\n');
+
+// Push `text` in pieces of the given sizes, cycling through them
+function streamIn(stream, text, sizes = [1]) {
+    const updates = [];
+    for (let i = 0, k = 0; i < text.length; k++) {
+        const size = sizes[k % sizes.length];
+        updates.push(stream.push(text.slice(i, i + size)));
+        i += size;
+    }
+    return updates;
+}
+
+describe('createStream', () => {
+
+    describe('quikdown core', () => {
+        const optionSets = [
+            {},
+            { heading_ids: true },
+            { source_map: true },
+            { lazy_linefeeds: true },
+            { math: true },
+            { allow_unsafe_html: true }
+        ];
+
+        test.each(optionSets)('should match a one-shot render with %j', (options) => {
+            for (const sizes of [[1], [3, 7], [50]]) {
+                const stream = quikdown.createStream(options);
+                streamIn(stream, doc, sizes);
+                expect(stream.end()).toBe(quikdown(doc, options));
+            }
+        });
+
+        test('should finish each block once and keep finished HTML stable', () => {
+            const stream = quikdown.createStream();
+            const committed = streamIn(stream, doc, [2]).map(u => u.committed).filter(Boolean);
+            expect(committed[0]).toBe('<h1 class="quikdown-h1">Title</h1>');
+            expect(committed[1]).toMatch(/^<p>Some <strong/);
+            expect(committed.length).toBeGreaterThan(4);
+            const html = stream.html;
+            expect(html.startsWith(committed.join(''))).toBe(true);
+            // end() renders again from the reference the definition resolves
+            const kept = committed.slice(0, committed.findIndex(out => out.includes('[the docs]'))).join('');
+            expect(kept).toContain('<table');
+            expect(stream.end().startsWith(kept)).toBe(true);
+        });
+
+        test('should re-render only the tail', () => {
+            const stream = quikdown.createStream();
+            expect(stream.push('# Hi\n\nPara')).toEqual({
+                html: '<h1 class="quikdown-h1">Hi</h1><p>Para</p>',
+                committed: '',
+                tail: '<h1 class="quikdown-h1">Hi</h1><p>Para</p>',
+                done: false,
+                rewind: 0
+            });
+            // The paragraph's first line is complete, so the heading finishes
+            expect(stream.push('graph\nmore')).toMatchObject({
+                committed: '<h1 class="quikdown-h1">Hi</h1>',
+                tail: '<p>Paragraph\nmore</p>'
+            });
+            expect(stream.push('!')).toMatchObject({ committed: '', tail: '<p>Paragraph\nmore!</p>' });
+            expect(stream.end()).toBe('<h1 class="quikdown-h1">Hi</h1><p>Paragraph\nmore!</p>');
+            expect(stream.html).toBe(stream.end());
+        });
+
+        test('should render again from a reference whose definition came later', () => {
+            const onUpdate = jest.fn();
+            const stream = quikdown.createStream({}, { onUpdate });
+            const updates = streamIn(stream, 'Top\n\nSee [r].\n\nNext\n\n[r]: /r\n\nend', [4]);
+            expect(updates.map(u => u.committed).join('')).toBe('<p>Top</p><p>See [r].</p><p>Next</p>');
+            expect(stream.end()).toBe('<p>Top</p><p>See <a class="quikdown-a" href="/r">r</a>.</p><p>Next</p><p>end</p>');
+            expect(onUpdate).toHaveBeenLastCalledWith({ html: stream.end(), rewind: '<p>See [r].</p><p>Next</p>'.length,
+                committed: '<p>See <a class="quikdown-a" href="/r">r</a>.</p><p>Next</p><p>end</p>', tail: '', done: true });
+        });
+
+        test('should keep blocks whose labels stay undefined', () => {
+            const onUpdate = jest.fn();
+            const stream = quikdown.createStream({}, { onUpdate });
+            streamIn(stream, 'See [sic] and [x].\n\nNext\n\n[r]: /r\n\n[R]: /s\n\nend');
+            expect(stream.end()).toBe('<p>See [sic] and [x].</p><p>Next</p><p>end</p>');
+            expect(onUpdate).toHaveBeenLastCalledWith(expect.objectContaining({ committed: '<p>end</p>', rewind: 0 }));
+        });
+
+        test('should render footnotes and [[toc]] again at the end', () => {
+            const md = '[[toc]]\n\n# A\n\nx[^n]\n\n[^n]: note\n\n# A\n\ny\n';
+            const stream = quikdown.createStream({ heading_ids: true });
+            expect(streamIn(stream, md).some(u => u.committed)).toBe(true);
+            expect(stream.end()).toBe(quikdown(md, { heading_ids: true }));
+        });
+
+        test('should render again from a term defined later with abbreviations', () => {
+            const md = 'Plain\n\nThe HTML spec.\n\nMore\n\n*[HTML]: Hyper Text\n\nHTML again';
+            let html = '';
+            const stream = quikdown.createStream({ abbreviations: true }, {
+                onUpdate: (u) => { html = html.slice(0, html.length - u.rewind) + u.committed; }
+            });
+            streamIn(stream, md, [3]);
+            expect(stream.end()).toBe(quikdown(md, { abbreviations: true }));
+            expect(html).toBe(stream.end());
+            expect(html).toMatch(/^<p>Plain<\/p><p>The <abbr/);
+        });
+
+        test('should stream long documents in linear time', () => {
+            const paras = Array.from({ length: 1000 }, (_, i) => `Paragraph ${i} about HTML, with *some* text in it.`);
+            const docs = [
+                ['footnote reference', `Intro[^1].\n\n${paras.join('\n\n')}\n\n[^1]: The note.`, {}],
+                ['abbreviation', `${paras.join('\n\n')}\n\n*[HTML]: Hyper Text`, { abbreviations: true }],
+                ['tight list', paras.map(para => `- ${para}`).join('\n'), {}]
+            ];
+            for (const [, md, options] of docs) {
+                const start = Date.now();
+                const stream = quikdown.createStream(options);
+                streamIn(stream, md, [16]);
+                expect(stream.end()).toBe(quikdown(md, options));
+                expect(Date.now() - start).toBeLessThan(5000);
+            }
+        });
+
+        test('should finish a tight list item by item', () => {
+            const stream = quikdown.createStream();
+            const updates = streamIn(stream, '- a\n- b\n- c\n\nafter\n');
+            expect(updates.map(u => u.committed).filter(Boolean)).toEqual([
+                '<ul class="quikdown-ul">\n<li class="quikdown-li">a</li>\n',
+                '<li class="quikdown-li">b</li>\n',
+                '<li class="quikdown-li">c</li>\n</ul>'
+            ]);
+            expect(updates[7].html).toBe('<ul class="quikdown-ul">\n<li class="quikdown-li">a</li>\n<li class="quikdown-li">b</li>\n</ul>');
+            expect(stream.end()).toBe(quikdown('- a\n- b\n- c\n\nafter\n'));
+        });
+
+        test('should render a list again when a blank line loosens it', () => {
+            for (const md of ['- a\n- b\n- c\n\n- d\n\nafter', '- a\n- b\n\n  more\n- c', '1. a\n2. b\n3. c\n\n4. d']) {
+                for (const parse of [quikdown, quikdown_bd]) {
+                    const stream = parse.createStream();
+                    expect(streamIn(stream, md).some(u => u.committed)).toBe(true);
+                    expect(stream.end()).toBe(parse(md));
+                }
+            }
+            const stream = quikdown.createStream();
+            stream.push('p\n\n- a\n- b\n\n- c\n');
+            expect(stream.end()).toBe(quikdown('p\n\n- a\n- b\n\n- c\n'));
+        });
+
+        test('should not cut a list where it can\'t continue', () => {
+            const md = ['- a\n* b\n- c', '- a\n- - -\n- b', '- a\n- b\n# h\n- c\n- d', '1. a\n- b\n2. c', '- a [x\n- b](/u)\n- c', '\n- - -\n|---|\ntext'];
+            for (const parse of [quikdown, quikdown_bd]) {
+                for (const options of [{}, { source_map: true }]) {
+                    for (const text of md) {
+                        const stream = parse.createStream(options);
+                        streamIn(stream, text);
+                        expect(stream.end()).toBe(parse(text, options));
+                    }
+                }
+            }
+        });
+
+        test('should render a list again when an item stops continuing it', () => {
+            // A block extension turns the second item into a rule
+            const options = { extensions: [{ name: 'rule', level: 'block', trigger: /^- z$/, render: () => '<hr>' }] };
+            for (const parse of [quikdown, quikdown_bd]) {
+                for (const md of ['- a\n- z\n', '- a\n- b\n- z\n- c\n\nend\n']) {
+                    const target = document.createElement('div');
+                    const stream = parse.createStream(options, { target });
+                    expect(streamIn(stream, md).some(u => u.committed)).toBe(true);
+                    expect(stream.end()).toBe(parse(md, options));
+                    const html = document.createElement('div');
+                    html.innerHTML = stream.end();
+                    expect(target.innerHTML).toBe(html.innerHTML);
+                }
+            }
+        });
+
+        test('should keep heading ids unique across finished blocks', () => {
+            const md = '# A\n\n# A\n\ntext\n\n# A';
+            const stream = quikdown.createStream({ heading_ids: true });
+            const updates = streamIn(stream, md);
+            expect(updates.map(u => u.committed).join('')).toContain('id="a-1"');
+            expect(stream.end()).toBe(quikdown(md, { heading_ids: true }));
+        });
+
+        test('should not split code spans, fences or links across blank lines', () => {
+            for (const md of ['a `x\n\ny` b\n\nc', '~~~\n[x]\n\n~~~\n\nc', '[a\n\nb](/u)\n\nc', 'x $$a\n\nb$$\n\nc']) {
+                const stream = quikdown.createStream({ math: true });
+                streamIn(stream, md);
+                expect(stream.end()).toBe(quikdown(md, { math: true }));
+            }
+        });
+
+        test('should report updates to onUpdate', () => {
+            const onUpdate = jest.fn();
+            const stream = quikdown.createStream({}, { onUpdate });
+            stream.push('a\n\nb\nc');
+            stream.end();
+            expect(onUpdate.mock.calls.map(([u]) => u)).toEqual([
+                { html: '<p>a</p><p>b\nc</p>', committed: '<p>a</p>', tail: '<p>b\nc</p>', done: false, rewind: 0 },
+                { html: '<p>a</p><p>b\nc</p>', committed: '<p>b\nc</p>', tail: '', done: true, rewind: 0 }
+            ]);
+        });
+
+        test('should finish once and refuse more input', () => {
+            const stream = quikdown.createStream();
+            expect(stream.end()).toBe('');
+            expect(stream.end()).toBe('');
+            expect(() => stream.push('x')).toThrow('push() after end()');
+        });
+
+        test('should work when called unbound', () => {
+            const { createStream } = quikdown;
+            const stream = createStream();
+            stream.push('*a*');
+            expect(stream.end()).toBe('<p><em class="quikdown-em">a</em></p>');
+        });
+    });
+
+    describe('DOM target', () => {
+        test('should append finished blocks and replace only the tail', () => {
+            const target = document.createElement('div');
+            const stream = quikdown.createStream({}, { target });
+            stream.push('# Hi\n\nPara\n\nnext');
+            const heading = target.firstChild;
+            expect(target.innerHTML).toBe(stream.html);
+            stream.push('\n\nlast');
+            expect(target.firstChild).toBe(heading);
+            const para = target.childNodes[1];
+            stream.push(' line');
+            expect(target.childNodes[1]).toBe(para);
+            stream.end();
+            expect(target.innerHTML).toBe('<h1 class="quikdown-h1">Hi</h1><p>Para</p><p>next</p><p>last line</p>');
+            expect(target.firstChild).toBe(heading);
+            expect(target.childNodes[1]).toBe(para);
+        });
+
+        test('should append list items into the open list', () => {
+            const target = document.createElement('div');
+            const stream = quikdown.createStream({}, { target });
+            stream.push('# T\n\n- a\n- b\n');
+            const list = target.lastChild;
+            expect(list.tagName).toBe('UL');
+            stream.push('- c\n');
+            expect(target.lastChild).toBe(list);
+            expect(list.children.length).toBe(3);
+            stream.push('\nafter\n\n');
+            expect(target.innerHTML).toBe(stream.html);
+            stream.end();
+            expect(target.childNodes[1]).toBe(list);
+            expect(target.innerHTML).toBe(quikdown('# T\n\n- a\n- b\n- c\n\nafter'));
+        });
+
+        test('should replace the blocks end() renders again', () => {
+            for (const parse of [quikdown, quikdown_bd]) {
+                const target = document.createElement('div');
+                const stream = parse.createStream({}, { target });
+                stream.push('# T\n\nSee [r].\n\n- a\n- b\n- c\n');
+                const heading = target.firstChild;
+                expect(target.innerHTML).toBe(stream.html);
+                stream.push('\n[r]: /r\n');
+                stream.end();
+                expect(target.firstChild).toBe(heading);
+                expect(target.innerHTML).toBe(parse('# T\n\nSee [r].\n\n- a\n- b\n- c\n\n[r]: /r\n'));
+            }
+        });
+
+        test('should leave the tail alone when it is unchanged', () => {
+            const target = document.createElement('div');
+            const stream = quikdown.createStream({}, { target });
+            stream.push('a');
+            const tail = target.firstChild;
+            stream.push('');
+            expect(target.firstChild).toBe(tail);
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should stream bidirectional HTML that converts back', () => {
+            const stream = quikdown_bd.createStream({ heading_ids: true, source_map: true });
+            streamIn(stream, doc, [5]);
+            const html = stream.end();
+            expect(html).toBe(quikdown_bd(doc, { heading_ids: true, source_map: true }));
+            expect(html).toContain('data-qd="#"');
+        });
+
+        test('should hold open spans and report updates', () => {
+            const onUpdate = jest.fn();
+            const md = '[a\n\nb](/u)\n\nc\n';
+            const stream = quikdown_bd.createStream({}, { onUpdate });
+            streamIn(stream, md);
+            expect(stream.end()).toBe(quikdown_bd(md));
+            expect(onUpdate).toHaveBeenCalledTimes(md.length + 1);
+        });
+
+        test('should render into a target that converts back', () => {
+            const target = document.createElement('div');
+            const stream = quikdown_bd.createStream({}, { target });
+            streamIn(stream, '# T\n\n- a\n- b\n\ntext', [3]);
+            stream.end();
+            expect(quikdown_bd.toMarkdown(target)).toBe('# T\n\n- a\n- b\n\ntext');
+            expect(target.innerHTML).toBe(stream.html);
+            expect(() => stream.push('x')).toThrow('push() after end()');
+        });
+    });
+});
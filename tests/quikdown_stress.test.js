@@ -283,8 +283,8 @@ describe('XSS and security', () => {
     });
 
     test('HTML entities pass through safely', () => {
-        const html = parse('&lt;script&gt;');
-        expect(html).toContain('&amp;lt;');
+        const html = parse('&lt;script&gt; &#60;img&#62;');
+        expect(html).toBe('<p>&lt;script&gt; &lt;img&gt;</p>');
     });
 
     test('null bytes in URL', () => {
@@ -1057,7 +1057,52 @@ End.`;
 });
 
 // ========================================================================
-// 13. REGRESSION: emitStyles and configure
+// 13. LARGE DOCUMENTS
+// ========================================================================
+// Placeholder restoration and paragraph wrapping are single passes, so
+// megabyte inputs with thousands of fences and code spans stay fast.
+describe('large documents', () => {
+    const section = (i) => `## Section ${i}\n\nText with \`code ${i}\` and **bold** \`more\`.\n\n` +
+        `\`\`\`js\nlet a${i} = 1;\n\`\`\`\n\n- item \`x\`\n- item\n\n`;
+    const doc = Array.from({ length: 10000 }, (_, i) => section(i)).join('');
+    const count = (html, re) => (html.match(re) || []).length;
+
+    test('1 MB with 10000 fences and 30000 code spans', () => {
+        expect(doc.length).toBeGreaterThan(1e6);
+        const html = parse(doc);
+        expect(count(html, /<pre /g)).toBe(10000);
+        expect(count(html, /<code class="quikdown-code">/g)).toBe(30000);
+        expect(count(html, /<p>/g)).toBe(10000);
+        expect(html).toContain('<code class="quikdown-code">code 9999</code>');
+    });
+
+    test('1 MB with lazy_linefeeds', () => {
+        const html = parse(doc, { lazy_linefeeds: true });
+        expect(count(html, /<pre /g)).toBe(10000);
+        expect(count(html, /<ul /g)).toBe(10000);
+    });
+
+    test('500 increasingly nested quotes', () => {
+        const md = Array.from({ length: 500 }, (_, i) => `${'> '.repeat(i + 1)}x`).join('\n');
+        const start = Date.now();
+        const html = parse(md);
+        expect(Date.now() - start).toBeLessThan(1000);
+        // Levels past maxNestingDepth (100 by default) stay text
+        expect(count(html, /<blockquote /g)).toBe(100);
+        expect(count(html, /<\/blockquote>/g)).toBe(100);
+        expect(html).not.toContain('§');
+    });
+
+    test('20000 uses of one reference definition', () => {
+        const start = Date.now();
+        const html = parse(`${'[x] '.repeat(20000)}\n\n[x]: /u`);
+        expect(Date.now() - start).toBeLessThan(1000);
+        expect(count(html, /<a class="quikdown-a" href="\/u">x<\/a>/g)).toBe(20000);
+    });
+});
+
+// ========================================================================
+// 14. REGRESSION: emitStyles and configure
 // ========================================================================
 describe('API surface', () => {
     test('quikdown.version exists', () => {
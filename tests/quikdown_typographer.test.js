@@ -0,0 +1,93 @@
+/**
+ * typographer option: SmartyPants-style curly quotes, en/em dashes,
+ * ellipses and (c)/(r)/(tm) in text only, and their source kept in
+ * quikdown_bd so toMarkdown doesn't rewrite it.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_typographer from '../dist/quikdown_typographer.esm.js';
+import quikdown_stream from '../dist/quikdown_stream.esm.js';
+import quikdown_footnotes from '../dist/quikdown_footnotes.esm.js';
+import quikdown_math from '../dist/quikdown_math.esm.js';
+
+quikdown.use(quikdown_typographer, quikdown_stream, quikdown_footnotes, quikdown_math);
+quikdown_bd.use(quikdown_typographer, quikdown_stream, quikdown_footnotes, quikdown_math);
+
+const typographer = { typographer: true };
+
+describe('typographer', () => {
+
+    describe('quikdown core', () => {
+        test('should leave punctuation alone without the option', () => {
+            expect(quikdown('"a" -- b...')).toBe('<p>&quot;a&quot; -- b...</p>');
+        });
+
+        test('should replace quotes, dashes, ellipses and symbols', () => {
+            expect(quikdown('"Hello," she said -- \'it\'s\' --- wait... (c) (C) (r) (tm) (TM)', typographer)).toBe(
+                '<p>“Hello,” she said – ‘it’s’ — wait… © © ® ™ ™</p>');
+        });
+
+        test('should open quotes after whitespace, brackets, markers, opening tags and quotes', () => {
+            expect(quikdown('(a "b") **"c"** -"d" "\'e\'"', typographer)).toBe(
+                '<p>(a “b”) <strong class="quikdown-strong">“c”</strong> -“d” “‘e’”</p>');
+            expect(quikdown('# "A"\n\n[x](/u)"c" `x`"d"', typographer)).toBe(
+                '<h1 class="quikdown-h1">“A”</h1><p><a class="quikdown-a" href="/u">x</a>”c” <code class="quikdown-code">x</code>”d”</p>');
+        });
+
+        test('should leave code, math and escapes alone', () => {
+            expect(quikdown('```\n"a" -- b\n```\n\n$a--b$ and `"x"--y` and \\"z\\" \\-\\-', { ...typographer, math: true })).toBe(
+                '<pre class="quikdown-pre"><code>&quot;a&quot; -- b</code></pre><p><span class="quikdown-math">a--b</span> and ' +
+                '<code class="quikdown-code">&quot;x&quot;--y</code> and &quot;z&quot; --</p>');
+        });
+
+        test('should leave URLs and attributes alone', () => {
+            expect(quikdown('![i "j"](/i--j.png) [r] https://x.com/a--b...c\n\n[r]: /u--v "T -- t"', typographer)).toBe(
+                '<p><img class="quikdown-img" src="/i--j.png" alt="i &quot;j&quot;"> <a class="quikdown-a" href="/u--v" title="T -- t">r</a> ' +
+                '<a class="quikdown-a" href="https://x.com/a--b...c" rel="noopener noreferrer">https://x.com/a--b...c</a></p>');
+            expect(quikdown('<span title="a--b">"x"</span> \'y\'', { ...typographer, allow_unsafe_html: true })).toBe(
+                '<p><span title="a--b">“x”</span> ‘y’</p>');
+        });
+
+        test('should format tables, footnotes and headings in the toc', () => {
+            expect(quikdown('| "a" | b -- c |\n|---|---|\n| x... | y |', typographer)).toContain('<th class="quikdown-th">“a”</th>\n<th class="quikdown-th">b – c</th>');
+            expect(quikdown('Note[^1]\n\n[^1]: "Quoted" -- note', typographer)).toContain('<p>“Quoted” – note <a');
+            expect(quikdown.toc('# "A" -- b', typographer)).toEqual([{ level: 1, text: '“A” – b', id: 'a--b', children: [] }]);
+        });
+
+        test('should stream the same HTML as a one-shot render', () => {
+            const md = '"One" -- two...\n\n# \'Three\'\n\n- (c) four';
+            for (const parse of [quikdown, quikdown_bd]) {
+                const stream = parse.createStream(typographer);
+                for (const ch of md) stream.push(ch);
+                expect(stream.end()).toBe(parse(md, typographer));
+            }
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should keep each replacement\'s source in data-qd', () => {
+            expect(quikdown_bd('"a" -- b', typographer)).toBe('<p><span data-qd="&quot;">“</span>a<span data-qd="&quot;">”</span> ' +
+                '<span data-qd="--">–</span> b</p>');
+        });
+
+        test.each([
+            ['sentence', '"Hello," she said -- \'it\'s\' --- wait... (c) (TM) (r)'],
+            ['nested quotes', '# "Quoted" heading\n\n> "quote" and **"bold"** and "\'nested\'"'],
+            ['list and table', '- "a" -- b\n- c...\n\n| "x" |\n| --- |\n| y -- z |'],
+            ['code next to text', '`"code" -- ...` and "text"']
+        ])('should round-trip a %s', (name, md) => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, typographer))).toBe(md);
+        });
+
+        test('should keep inline markdown in table cells and escape their pipes', () => {
+            const md = '| a \\| **b** | `c\\|d` |\n| --- | --- |\n| [l](/u) | "e" |';
+            expect(quikdown_bd.toMarkdown(quikdown_bd(md, typographer))).toBe(md);
+            expect(quikdown_bd.toMarkdown('<table><thead><tr><th>a|b</th><th><code>x|y</code></th></tr></thead></table>')).toBe(
+                '| a\\|b | `x\\|y` |\n| --- | --- |');
+        });
+
+        test('should keep curly punctuation typed as such', () => {
+            expect(quikdown_bd.toMarkdown(quikdown_bd('“a” – b…', typographer))).toBe('“a” – b…');
+        });
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * URL policy: scheme allowlist, url_transform and link rel/target
+ * Covers core quikdown, whitelisted HTML attributes, quikdown_bd
+ * round-trips and quikdown_ast_html.
+ */
+import quikdown from '../dist/quikdown.esm.js';
+import quikdown_bd from '../dist/quikdown_bd.esm.js';
+import quikdown_ast_html from '../dist/quikdown_ast_html.esm.js';
+
+const strict = { url_schemes: ['https', 'mailto', 'tel'] };
+const href = (html) => (html.match(/href="([^"]*)"/) || [])[1];
+const src = (html) => (html.match(/src="([^"]*)"/) || [])[1];
+
+describe('URL policy', () => {
+
+    describe('scheme allowlist', () => {
+        test.each([
+            ['https://a.example/x', 'https://a.example/x'],
+            ['mailto:me@a.example', 'mailto:me@a.example'],
+            ['tel:+15550100', 'tel:+15550100'],
+            ['HTTPS://A.example', 'HTTPS://A.example'],
+            ['/docs/page', '/docs/page'],
+            ['page#top', 'page#top'],
+            ['http://a.example', '#'],
+            ['ftp://a.example', '#'],
+            ['javascript:alert(1)', '#'],
+            ['data:image/png;base64,AA', '#']
+        ])('should map %s to %s', (url, expected) => {
+            expect(href(quikdown(`[x](${url})`, strict))).toBe(expected);
+            expect(href(quikdown_ast_html(`[x](${url})`, strict))).toBe(expected);
+        });
+
+        test('should match entries holding a colon as prefixes', () => {
+            const options = { url_schemes: ['https', 'data:image/png'] };
+            expect(src(quikdown('![a](data:image/png;base64,AA)', options))).toBe('data:image/png;base64,AA');
+            expect(src(quikdown('![a](data:image/svg+xml,x)', options))).toBe('#');
+        });
+
+        test('should apply to images, reference links and autolinks', () => {
+            expect(src(quikdown('![a](http://a.example/i.png)', strict))).toBe('#');
+            expect(href(quikdown('[x]\n\n[x]: http://a.example', strict))).toBe('#');
+            expect(href(quikdown('see http://a.example', strict))).toBe('#');
+            expect(href(quikdown('see https://a.example', strict))).toBe('https://a.example');
+        });
+
+        test('should keep the default blocklist without an allowlist', () => {
+            expect(href(quikdown('[x](ftp://a.example)'))).toBe('ftp://a.example');
+            expect(href(quikdown('[x](vbscript:x)'))).toBe('#');
+            expect(src(quikdown('![a](data:image/gif;base64,AA)'))).toBe('data:image/gif;base64,AA');
+        });
+
+        test('should see schemes hidden by whitespace and character references', () => {
+            expect(href(quikdown('[x](java\tscript:alert`1`)'))).toBe('#');
+            expect(href(quikdown('[x]( \u0001javascript:x)'))).toBe('#');
+            const html = { allow_unsafe_html: ['a'] };
+            expect(href(quikdown('<a href="javascript&#58;alert(1)">x</a>', html))).toBe('#');
+            expect(href(quikdown('<a href="&#x6A;avascript:x">x</a>', html))).toBe('#');
+            expect(href(quikdown('<a href="javascript&colon;x">x</a>', html))).toBe('#');
+            expect(href(quikdown('<a href="java&Tab;script:x">x</a>', html))).toBe('#');
+            expect(href(quikdown('<a href="&#99999999;x:y">x</a>', html))).toBe('&amp;#99999999;x:y');
+        });
+
+        test('should skip the check with allow_unsafe_urls', () => {
+            expect(href(quikdown('[x](http://a.example)', { ...strict, allow_unsafe_urls: true }))).toBe('http://a.example');
+        });
+
+        test('should see hidden schemes in quikdown_ast_html', () => {
+            expect(href(quikdown_ast_html('[x](java&#x09;script:x)'))).toBe('#');
+            expect(href(quikdown_ast_html('[x](&colon;x)'))).toBe('&amp;colon;x');
+        });
+    });
+
+    describe('url_transform', () => {
+        const calls = [];
+        const url_transform = (url, { kind }) => {
+            calls.push([url, kind]);
+            if (kind === 'image') return `https://proxy.example/?u=${encodeURIComponent(url)}`;
+            if (url.startsWith('/')) return `https://base.example${url}`;
+            return undefined;
+        };
+
+        beforeEach(() => { calls.length = 0; });
+
+        test('should rewrite links, images and autolinks by kind', () => {
+            const html = quikdown('[a](/a?x=1&y=2) ![i](/i.png) [r] https://b.example\n\n[r]: /r', { url_transform });
+            expect(calls).toEqual([
+                ['/i.png', 'image'], ['/a?x=1&y=2', 'link'], ['/r', 'link'], ['https://b.example', 'autolink']
+            ]);
+            expect(html).toContain('src="https://proxy.example/?u=%2Fi.png"');
+            expect(html).toContain('href="https://base.example/a?x=1&amp;y=2" rel="noopener noreferrer"');
+            expect(html).toContain('href="https://base.example/r" rel="noopener noreferrer"');
+            expect(html).toContain('href="https://b.example" rel="noopener noreferrer"');
+        });
+
+        test('should not see blocked URLs', () => {
+            expect(href(quikdown('[x](javascript:x)', { url_transform }))).toBe('#');
+            expect(calls).toEqual([]);
+        });
+
+        test('should keep the URL when the hook returns null', () => {
+            expect(href(quikdown('[x](/a)', { url_transform: () => null }))).toBe('/a');
+        });
+
+        test('should escape what the hook returns', () => {
+            expect(href(quikdown('[x](/a)', { url_transform: () => '/b"c' }))).toBe('/b&quot;c');
+        });
+
+        test('should apply to whitelisted HTML attributes', () => {
+            const html = quikdown('<a href="/a">x</a> <img src="/i.png">', { allow_unsafe_html: ['a', 'img'], url_transform });
+            expect(html).toContain('<a href="https://base.example/a">');
+            expect(html).toContain('<img src="https://proxy.example/?u=%2Fi.png">');
+        });
+
+        test('should apply in quikdown_ast_html', () => {
+            const html = quikdown_ast_html('[a](/a) ![i](/i.png) https://b.example', { url_transform });
+            expect(calls).toEqual([['/a', 'link'], ['/i.png', 'image'], ['https://b.example', 'autolink']]);
+            expect(html).toContain('href="https://base.example/a" rel="noopener noreferrer"');
+            expect(html).toContain('src="https://proxy.example/?u=%2Fi.png"');
+        });
+
+        test('should hand extension helpers the same policy', () => {
+            const ext = { name: 'go', trigger: /go:(\S+)/, render: (t, h) => `<a href="${h.sanitizeUrl(t.text)}">go</a>` };
+            expect(quikdown('go:/x go:javascript:y', { extensions: [ext], url_transform })).toBe(
+                '<p><a href="https://base.example/x">go</a> <a href="#">go</a></p>');
+            const empty = { name: 'empty', trigger: /empty:/, render: (t, h) => `[${h.sanitizeUrl('')}]` };
+            expect(quikdown('empty:', { extensions: [empty], url_transform })).toBe('<p>[]</p>');
+        });
+    });
+
+    describe('link attributes', () => {
+        const options = { link_target: '_blank', link_rel: 'nofollow ugc noopener', internal_hosts: ['docs.example'] };
+
+        test('should mark external links', () => {
+            expect(quikdown('[x](https://a.example/p)', options)).toBe(
+                '<p><a class="quikdown-a" href="https://a.example/p" rel="nofollow ugc noopener" target="_blank">x</a></p>');
+            expect(quikdown('[x](//a.example/p)', options)).toContain('target="_blank"');
+            expect(quikdown('https://a.example', options)).toContain('rel="nofollow ugc noopener" target="_blank"');
+        });
+
+        test('should leave internal and relative links alone', () => {
+            expect(quikdown('[x](https://DOCS.example/p)', options)).toBe(
+                '<p><a class="quikdown-a" href="https://DOCS.example/p">x</a></p>');
+            expect(quikdown('[x](/p) [y](mailto:me@a.example)', options)).not.toMatch(/rel=|target=/);
+        });
+
+        test('should drop rel when link_rel is empty', () => {
+            expect(quikdown('[x](https://a.example)', { link_rel: '' })).toBe(
+                '<p><a class="quikdown-a" href="https://a.example">x</a></p>');
+        });
+
+        test('should apply in quikdown_ast_html', () => {
+            expect(quikdown_ast_html('[x](https://a.example) [y](https://docs.example)', options)).toBe(
+                '<p><a class="quikdown-a" href="https://a.example" rel="nofollow ugc noopener" target="_blank">x</a> ' +
+                '<a class="quikdown-a" href="https://docs.example">y</a></p>');
+        });
+    });
+
+    describe('whitelisted HTML attributes', () => {
+        test('should escape quotes in single-quoted values', () => {
+            expect(quikdown(`<a title='x" onclick="alert(1)' href='/p'>x</a>`, { allow_unsafe_html: ['a'] })).toBe(
+                '<p><a title="x&quot; onclick=&quot;alert(1)" href="/p">x</a></p>');
+        });
+    });
+
+    describe('quikdown_bd', () => {
+        test('should round-trip links through url_transform', () => {
+            const options = { url_transform: (url) => `https://base.example${url}`, link_target: '_blank' };
+            const md = '[a](/a) and [b](/b)';
+            const html = quikdown_bd(md, options);
+            expect(html).toContain('href="https://base.example/a" rel="noopener noreferrer" target="_blank"');
+            expect(html).toContain('data-qd-href="/a"');
+            expect(quikdown_bd.toMarkdown(html)).toBe(md);
+        });
+
+        test('should round-trip transformed autolinks', () => {
+            const html = quikdown_bd('see https://a.example', { url_transform: () => 'https://proxy.example' });
+            expect(html).toContain('href="https://proxy.example"');
+            expect(quikdown_bd.toMarkdown(html)).toBe('see https://a.example');
+        });
+
+        test('should apply the allowlist and link attributes', () => {
+            expect(href(quikdown_bd('[x](http://a.example)', strict))).toBe('#');
+            expect(href(quikdown_bd('[x](java&#9;script:x) [y](&#x6A;avascript:x)'))).toBe('#');
+            expect(href(quikdown_bd('[x](\u0001javascript:x)'))).toBe('#');
+            expect(src(quikdown_bd('![a](data:image/png;base64,AA)', { url_schemes: ['data:image/'] }))).toBe('data:image/png;base64,AA');
+            expect(quikdown_bd('[x](https://docs.example)', { internal_hosts: ['docs.example'] })).not.toContain('rel=');
+            expect(quikdown_bd('[x](https://a.example)', { link_rel: '' })).not.toContain('rel=');
+            expect(href(quikdown_bd('[x](/a)', { url_transform: () => null }))).toBe('/a');
+            const empty = { name: 'empty', trigger: /empty:/, render: (t, h) => `[${h.sanitizeUrl('')}]` };
+            expect(quikdown_bd('empty:', { extensions: [empty] })).toContain('[]');
+        });
+    });
+});
@@ -2,7 +2,7 @@
  * Tests for quikdown_yaml - Markdown to YAML converter
  */
 import quikdown_yaml from '../dist/quikdown_yaml.esm.js';
-import { samples } from './fixtures/ast-samples.js';
+import { samples, sourceMapSample } from './fixtures/ast-samples.js';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 
@@ -216,5 +216,11 @@ describe('quikdown_yaml converter', () => {
             const result = quikdown_yaml.stringify(ast);
             expect(result).toContain('level: 2');
         });
+
+        test('should include node positions with source_map', () => {
+            const result = quikdown_yaml(sourceMapSample, { source_map: true });
+            expect(result).toContain('position:');
+            expect(result).toContain('offset: 5');
+        });
     });
 });
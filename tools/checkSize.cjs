@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Fails the build when the minified core parser outgrows its budget
+ * (dev/todo.md, "Design Principles to Maintain").  Opt-in syntax ships
+ * as plugin modules (quikdown_footnotes, quikdown_math, …), which are
+ * not counted.
+ *
+ * Exits with code 1 if dist/quikdown.esm.min.js is missing or over budget.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const RED = '\x1b[31m';
+const GREEN = '\x1b[32m';
+const RESET = '\x1b[0m';
+
+// Keep in step with dev/todo.md
+const BUDGET_KB = 36;
+
+const file = path.join(__dirname, '..', 'dist', 'quikdown.esm.min.js');
+let size;
+try {
+    size = fs.statSync(file).size;
+} catch (_err) {
+    console.error(`${RED}ERROR: ${path.relative(process.cwd(), file)} not found — run rollup first.${RESET}`);
+    process.exit(1);
+}
+
+const kb = (size / 1024).toFixed(1);
+if (size > BUDGET_KB * 1024) {
+    console.error(`${RED}ERROR: core parser is ${kb} KB minified, over its ${BUDGET_KB} KB budget.${RESET}`);
+    console.error('Move opt-in syntax into a plugin module, or shrink the core.');
+    process.exit(1);
+}
+console.log(`${GREEN}Core parser: ${kb} KB minified (budget ${BUDGET_KB} KB)${RESET}`);